@@ -0,0 +1,104 @@
+import { isQuotaError } from './useApiKeyManager'
+import {
+  ERROR_CATEGORY,
+  PERMANENT_ERROR_CODES,
+  RETRIABLE_ERROR_CODES,
+  PERMANENT_ERROR_PATTERNS,
+  RETRIABLE_ERROR_PATTERNS,
+} from '@/constants'
+
+// ============================================================================
+// API error classification (shared by all image providers)
+// ============================================================================
+
+/**
+ * Extract HTTP status code from various error formats
+ * @param {*} err
+ * @returns {number|string|null}
+ */
+export const getErrorStatus = (err) =>
+  err?.status ??
+  err?.code ??
+  err?.response?.status ??
+  err?.error?.status ??
+  err?.error?.code ??
+  null
+
+/**
+ * Extract error message from various error formats (lowercased)
+ * @param {*} err
+ * @returns {string}
+ */
+export const getErrorMessage = (err) => {
+  const message =
+    err?.message || err?.error?.message || err?.response?.data?.message || String(err || '')
+  return message.toLowerCase()
+}
+
+/**
+ * Classify an error into categories: PERMANENT, RETRIABLE, or UNKNOWN
+ * This helps determine whether to retry and what to tell the user
+ *
+ * @param {Error} err - The error to classify
+ * @returns {{ category: string, reason: string, isRetriable: boolean }}
+ */
+export const classifyApiError = (err) => {
+  const status = getErrorStatus(err)
+  const message = getErrorMessage(err)
+
+  // Check permanent status codes first
+  if (PERMANENT_ERROR_CODES.includes(status)) {
+    return {
+      category: ERROR_CATEGORY.PERMANENT,
+      reason: `HTTP ${status}`,
+      isRetriable: false,
+    }
+  }
+
+  // Check retriable status codes
+  if (RETRIABLE_ERROR_CODES.includes(status)) {
+    return {
+      category: ERROR_CATEGORY.RETRIABLE,
+      reason: `HTTP ${status}`,
+      isRetriable: true,
+    }
+  }
+
+  // Check permanent error patterns
+  for (const pattern of PERMANENT_ERROR_PATTERNS) {
+    if (message.includes(pattern)) {
+      return {
+        category: ERROR_CATEGORY.PERMANENT,
+        reason: pattern,
+        isRetriable: false,
+      }
+    }
+  }
+
+  // Check retriable error patterns
+  for (const pattern of RETRIABLE_ERROR_PATTERNS) {
+    if (message.includes(pattern)) {
+      return {
+        category: ERROR_CATEGORY.RETRIABLE,
+        reason: pattern,
+        isRetriable: true,
+      }
+    }
+  }
+
+  // Quota errors are retriable (may succeed with different key or after waiting)
+  if (isQuotaError(err)) {
+    return {
+      category: ERROR_CATEGORY.RETRIABLE,
+      reason: 'quota',
+      isRetriable: true,
+    }
+  }
+
+  // Unknown errors - default to retriable for safety (might be transient)
+  return {
+    category: ERROR_CATEGORY.UNKNOWN,
+    reason: 'unknown',
+    isRetriable: true,
+  }
+}
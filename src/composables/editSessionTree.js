@@ -0,0 +1,291 @@
+// ============================================================================
+// Edit session tree (multi-turn conversational editing)
+// ============================================================================
+//
+// An edit session is a tree of turns. The root turn holds the source image;
+// every other turn is one prompt sent on top of its parent's image. Sending
+// from an earlier turn starts a branch instead of discarding later turns.
+//
+// The tree is stored on the history record as `options.editSession`, and the
+// images it points to are the record's OPFS images (`imageIndex`). Everything
+// here is pure so the branching logic can be unit-tested without the API.
+
+export const EDIT_SESSION_VERSION = 1
+
+/**
+ * Turn ID of the source image
+ */
+export const ROOT_TURN_ID = 't0'
+
+/**
+ * @typedef {Object} EditTurn
+ * @property {string} id
+ * @property {string|null} parentId - null for the root (source image)
+ * @property {string} prompt - What the user typed
+ * @property {string} [sentPrompt] - Prompt actually sent (buildPrompt applied)
+ * @property {'pending'|'success'|'failed'} status
+ * @property {number|null} imageIndex - Index into the record's images
+ * @property {string} [textResponse]
+ * @property {Array<Object>} [modelParts] - Model reply parts without image bytes (see toStoredModelParts)
+ * @property {string} [error]
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {Object} EditSession
+ * @property {number} version
+ * @property {string} activeTurnId - Turn the next prompt builds on
+ * @property {Array<EditTurn>} turns - Insertion order; IDs are never reused
+ */
+
+/**
+ * New session whose root turn is the source image (image index 0)
+ * @param {number} [now]
+ * @returns {EditSession}
+ */
+export const createEditSession = (now = Date.now()) => ({
+  version: EDIT_SESSION_VERSION,
+  activeTurnId: ROOT_TURN_ID,
+  turns: [
+    {
+      id: ROOT_TURN_ID,
+      parentId: null,
+      prompt: '',
+      status: 'success',
+      imageIndex: 0,
+      createdAt: now,
+    },
+  ],
+})
+
+/**
+ * @param {EditSession} session
+ * @param {string} id
+ * @returns {EditTurn|undefined}
+ */
+export const findTurn = (session, id) => session?.turns.find((turn) => turn.id === id)
+
+/**
+ * Turns from the root down to `id` (inclusive)
+ * @param {EditSession} session
+ * @param {string} id
+ * @returns {Array<EditTurn>} Empty if the turn doesn't exist
+ */
+export const getTurnPath = (session, id) => {
+  const path = []
+  const seen = new Set()
+  let turn = findTurn(session, id)
+  while (turn && !seen.has(turn.id)) {
+    seen.add(turn.id)
+    path.unshift(turn)
+    turn = turn.parentId ? findTurn(session, turn.parentId) : undefined
+  }
+  return path
+}
+
+/**
+ * @param {EditSession} session
+ * @param {string} id
+ * @returns {Array<EditTurn>} Direct children in creation order
+ */
+export const getChildTurns = (session, id) => session.turns.filter((turn) => turn.parentId === id)
+
+/**
+ * Add a pending turn under `parentId`
+ * @param {EditSession} session
+ * @param {string} parentId - Must be a successful turn
+ * @param {string} prompt
+ * @param {number} [now]
+ * @returns {{ session: EditSession, turn: EditTurn }}
+ * @throws {Error} If the parent is missing or has no image
+ */
+export const appendTurn = (session, parentId, prompt, now = Date.now()) => {
+  const parent = findTurn(session, parentId)
+  if (!parent || parent.status !== 'success') {
+    throw new Error(`Cannot branch from turn ${parentId}`)
+  }
+
+  // IDs follow insertion order and survive serialization, so the next one
+  // only has to be larger than any existing one
+  const maxId = Math.max(...session.turns.map((t) => parseInt(t.id.slice(1), 10) || 0))
+  const turn = {
+    id: `t${maxId + 1}`,
+    parentId,
+    prompt,
+    status: 'pending',
+    imageIndex: null,
+    createdAt: now,
+  }
+  return { session: { ...session, turns: [...session.turns, turn] }, turn }
+}
+
+/**
+ * @param {EditSession} session
+ * @param {string} id
+ * @param {Partial<EditTurn>} updates
+ * @returns {EditSession}
+ */
+export const updateTurn = (session, id, updates) => ({
+  ...session,
+  turns: session.turns.map((turn) => (turn.id === id ? { ...turn, ...updates } : turn)),
+})
+
+/**
+ * Make a successful turn the one the next prompt builds on
+ * @param {EditSession} session
+ * @param {string} id
+ * @returns {EditSession} Unchanged if the turn has no image
+ */
+export const setActiveTurn = (session, id) => {
+  const turn = findTurn(session, id)
+  if (!turn || turn.status !== 'success') return session
+  return { ...session, activeTurnId: id }
+}
+
+/**
+ * Next free image index (images are append-only)
+ * @param {EditSession} session
+ * @returns {number}
+ */
+export const getNextImageIndex = (session) =>
+  Math.max(-1, ...session.turns.map((t) => (Number.isInteger(t.imageIndex) ? t.imageIndex : -1))) + 1
+
+/**
+ * Flatten the tree depth-first for the timeline, marking the active path
+ * @param {EditSession} session
+ * @returns {Array<{ turn: EditTurn, depth: number, onActivePath: boolean, isActive: boolean }>}
+ */
+export const buildTimelineRows = (session) => {
+  if (!session) return []
+  const activePath = new Set(getTurnPath(session, session.activeTurnId).map((t) => t.id))
+  const rows = []
+
+  const visit = (turn, depth) => {
+    rows.push({
+      turn,
+      depth,
+      onActivePath: activePath.has(turn.id),
+      isActive: turn.id === session.activeTurnId,
+    })
+    // The child on the active path is listed first so the current line reads top-down
+    const children = getChildTurns(session, turn.id).sort(
+      (a, b) => Number(activePath.has(b.id)) - Number(activePath.has(a.id)),
+    )
+    children.forEach((child, i) => visit(child, i === 0 ? depth : depth + 1))
+  }
+
+  const root = findTurn(session, ROOT_TURN_ID)
+  if (root) visit(root, 0)
+  return rows
+}
+
+/**
+ * Strip image bytes from a model reply so it can be stored on the history
+ * record. Text and thought signatures are kept; only the first image is kept
+ * (it is the turn's image). Adjacent unsigned text parts are merged.
+ * @param {Array<Object>} parts - Non-thought response parts
+ * @returns {Array<Object>}
+ */
+export const toStoredModelParts = (parts = []) => {
+  const stored = []
+  let hasImage = false
+
+  for (const part of parts) {
+    if (part.inlineData) {
+      if (hasImage) continue
+      hasImage = true
+      stored.push({
+        inlineData: { mimeType: part.inlineData.mimeType || 'image/png' },
+        ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature }),
+      })
+    } else if (part.text) {
+      const prev = stored[stored.length - 1]
+      if (prev && prev.text !== undefined && !prev.thoughtSignature && !part.thoughtSignature) {
+        prev.text += part.text
+      } else {
+        stored.push({
+          text: part.text,
+          ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature }),
+        })
+      }
+    }
+  }
+  return stored
+}
+
+/**
+ * Rebuild a model turn from its stored parts and image
+ * @param {EditTurn} turn
+ * @param {{data: string, mimeType: string}} image
+ * @returns {Array<Object>}
+ */
+const toModelParts = (turn, image) => {
+  const imagePart = { inlineData: { mimeType: image.mimeType, data: image.data } }
+  if (!turn.modelParts?.length) {
+    return turn.textResponse ? [imagePart, { text: turn.textResponse }] : [imagePart]
+  }
+  return turn.modelParts.map((part) =>
+    part.inlineData
+      ? { ...imagePart, ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature }) }
+      : { ...part },
+  )
+}
+
+/**
+ * Gemini `contents` replaying a path of turns, oldest first. The caller
+ * appends the new user message. The source image goes with the first prompt.
+ * @param {Array<EditTurn>} path - Root to the turn being built on (see getTurnPath)
+ * @param {(imageIndex: number) => ({data: string, mimeType: string}|undefined)} getImage
+ * @returns {Array<{role: 'user'|'model', parts: Array<Object>}>}
+ * @throws {Error} If an image on the path is missing
+ */
+export const buildConversationHistory = (path, getImage) => {
+  const requireImage = (turn) => {
+    const image = getImage(turn.imageIndex)
+    if (!image?.data) throw new Error(`Missing image for turn ${turn.id}`)
+    return image
+  }
+
+  const [root, ...turns] = path
+  if (!root || turns.length === 0) return []
+
+  const source = requireImage(root)
+  const contents = []
+  turns.forEach((turn, i) => {
+    const parts = [{ text: turn.sentPrompt || turn.prompt }]
+    if (i === 0) {
+      parts.push({ inlineData: { mimeType: source.mimeType, data: source.data } })
+    }
+    contents.push({ role: 'user', parts })
+    contents.push({ role: 'model', parts: toModelParts(turn, requireImage(turn)) })
+  })
+  return contents
+}
+
+/**
+ * Plain copy for IndexedDB. Pending turns (interrupted sends) are dropped.
+ * @param {EditSession} session
+ * @returns {EditSession}
+ */
+export const serializeEditSession = (session) =>
+  JSON.parse(
+    JSON.stringify({
+      ...session,
+      turns: session.turns.filter((turn) => turn.status !== 'pending'),
+    }),
+  )
+
+/**
+ * Validate a stored session
+ * @param {*} value - `options.editSession` from a history record
+ * @returns {EditSession|null} null if it isn't a usable session
+ */
+export const deserializeEditSession = (value) => {
+  if (!value || !Array.isArray(value.turns)) return null
+  const turns = value.turns.filter((turn) => turn && typeof turn.id === 'string' && turn.status !== 'pending')
+  const root = turns.find((turn) => turn.id === ROOT_TURN_ID)
+  if (!root || !Number.isInteger(root.imageIndex)) return null
+
+  const session = { version: EDIT_SESSION_VERSION, activeTurnId: ROOT_TURN_ID, turns }
+  return setActiveTurn(session, value.activeTurnId)
+}
@@ -0,0 +1,252 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ROOT_TURN_ID,
+  createEditSession,
+  findTurn,
+  getTurnPath,
+  getChildTurns,
+  appendTurn,
+  updateTurn,
+  setActiveTurn,
+  getNextImageIndex,
+  buildTimelineRows,
+  toStoredModelParts,
+  buildConversationHistory,
+  serializeEditSession,
+  deserializeEditSession,
+} from './editSessionTree'
+
+/**
+ * Append a turn and mark it successful with the next image index
+ */
+const addSuccessTurn = (session, parentId, prompt, extra = {}) => {
+  const imageIndex = getNextImageIndex(session)
+  const { session: next, turn } = appendTurn(session, parentId, prompt, 1)
+  return {
+    session: setActiveTurn(updateTurn(next, turn.id, { status: 'success', imageIndex, ...extra }), turn.id),
+    id: turn.id,
+  }
+}
+
+// Root -> t1 -> t2, plus a branch t1 -> t3
+const buildBranchedSession = () => {
+  let session = createEditSession(0)
+  let r = addSuccessTurn(session, ROOT_TURN_ID, 'make it blue')
+  session = r.session
+  r = addSuccessTurn(session, 't1', 'add a hat')
+  session = r.session
+  r = addSuccessTurn(session, 't1', 'add glasses')
+  return r.session
+}
+
+// ============================================================================
+// createEditSession / appendTurn
+// ============================================================================
+
+describe('createEditSession', () => {
+  it('starts with the source image as the active root turn', () => {
+    const session = createEditSession(123)
+    expect(session.activeTurnId).toBe(ROOT_TURN_ID)
+    expect(session.turns).toEqual([
+      { id: ROOT_TURN_ID, parentId: null, prompt: '', status: 'success', imageIndex: 0, createdAt: 123 },
+    ])
+  })
+})
+
+describe('appendTurn', () => {
+  it('adds a pending turn without mutating the session', () => {
+    const session = createEditSession(0)
+    const { session: next, turn } = appendTurn(session, ROOT_TURN_ID, 'make it blue', 5)
+
+    expect(turn).toEqual({
+      id: 't1',
+      parentId: ROOT_TURN_ID,
+      prompt: 'make it blue',
+      status: 'pending',
+      imageIndex: null,
+      createdAt: 5,
+    })
+    expect(next.turns).toHaveLength(2)
+    expect(session.turns).toHaveLength(1)
+  })
+
+  it('never reuses IDs', () => {
+    const session = buildBranchedSession()
+    const { turn } = appendTurn(session, 't2', 'x')
+    expect(turn.id).toBe('t4')
+  })
+
+  it('refuses to branch from a failed or missing turn', () => {
+    let { session, turn } = appendTurn(createEditSession(0), ROOT_TURN_ID, 'x')
+    session = updateTurn(session, turn.id, { status: 'failed', error: 'boom' })
+    expect(() => appendTurn(session, turn.id, 'y')).toThrow()
+    expect(() => appendTurn(session, 't99', 'y')).toThrow()
+  })
+})
+
+// ============================================================================
+// Navigation
+// ============================================================================
+
+describe('getTurnPath / getChildTurns', () => {
+  it('returns turns from the root down', () => {
+    const session = buildBranchedSession()
+    expect(getTurnPath(session, 't2').map((t) => t.id)).toEqual(['t0', 't1', 't2'])
+    expect(getTurnPath(session, 't3').map((t) => t.id)).toEqual(['t0', 't1', 't3'])
+  })
+
+  it('returns an empty path for unknown turns', () => {
+    expect(getTurnPath(createEditSession(0), 'nope')).toEqual([])
+  })
+
+  it('lists direct children', () => {
+    const session = buildBranchedSession()
+    expect(getChildTurns(session, 't1').map((t) => t.id)).toEqual(['t2', 't3'])
+  })
+})
+
+describe('setActiveTurn', () => {
+  it('switches to a successful turn', () => {
+    const session = buildBranchedSession()
+    expect(setActiveTurn(session, 't2').activeTurnId).toBe('t2')
+  })
+
+  it('ignores failed turns', () => {
+    let { session, turn } = appendTurn(createEditSession(0), ROOT_TURN_ID, 'x')
+    session = updateTurn(session, turn.id, { status: 'failed' })
+    expect(setActiveTurn(session, turn.id).activeTurnId).toBe(ROOT_TURN_ID)
+  })
+})
+
+describe('getNextImageIndex', () => {
+  it('follows the largest image index', () => {
+    expect(getNextImageIndex(createEditSession(0))).toBe(1)
+    expect(getNextImageIndex(buildBranchedSession())).toBe(4)
+  })
+})
+
+// ============================================================================
+// buildTimelineRows
+// ============================================================================
+
+describe('buildTimelineRows', () => {
+  it('lists the active path first and indents other branches', () => {
+    const rows = buildTimelineRows(buildBranchedSession())
+    expect(rows.map((r) => [r.turn.id, r.depth, r.onActivePath, r.isActive])).toEqual([
+      ['t0', 0, true, false],
+      ['t1', 0, true, false],
+      ['t3', 0, true, true],
+      ['t2', 1, false, false],
+    ])
+  })
+
+  it('returns nothing without a session', () => {
+    expect(buildTimelineRows(null)).toEqual([])
+  })
+})
+
+// ============================================================================
+// Conversation history
+// ============================================================================
+
+describe('toStoredModelParts', () => {
+  it('drops image bytes but keeps thought signatures', () => {
+    expect(
+      toStoredModelParts([
+        { inlineData: { mimeType: 'image/png', data: 'AAAA' }, thoughtSignature: 'sig' },
+        { text: 'Here ' },
+        { text: 'you go' },
+      ]),
+    ).toEqual([{ inlineData: { mimeType: 'image/png' }, thoughtSignature: 'sig' }, { text: 'Here you go' }])
+  })
+
+  it('keeps only the first image', () => {
+    const parts = toStoredModelParts([
+      { inlineData: { mimeType: 'image/png', data: 'A' } },
+      { inlineData: { mimeType: 'image/png', data: 'B' } },
+    ])
+    expect(parts).toHaveLength(1)
+  })
+
+  it('does not merge signed text parts', () => {
+    expect(toStoredModelParts([{ text: 'a' }, { text: 'b', thoughtSignature: 's' }])).toHaveLength(2)
+  })
+})
+
+describe('buildConversationHistory', () => {
+  const images = [
+    { data: 'SRC', mimeType: 'image/webp' },
+    { data: 'ONE', mimeType: 'image/webp' },
+    { data: 'TWO', mimeType: 'image/webp' },
+  ]
+  const getImage = (i) => images[i]
+
+  it('is empty when building on the source image', () => {
+    const session = createEditSession(0)
+    expect(buildConversationHistory(getTurnPath(session, ROOT_TURN_ID), getImage)).toEqual([])
+  })
+
+  it('sends the source image with the first prompt and replays model images', () => {
+    let session = createEditSession(0)
+    let r = addSuccessTurn(session, ROOT_TURN_ID, 'make it blue', {
+      sentPrompt: 'Edit this image: make it blue',
+      modelParts: [{ inlineData: { mimeType: 'image/png' }, thoughtSignature: 'sig1' }],
+    })
+    session = r.session
+    r = addSuccessTurn(session, 't1', 'add a hat', { textResponse: 'Done' })
+    session = r.session
+
+    expect(buildConversationHistory(getTurnPath(session, 't2'), getImage)).toEqual([
+      {
+        role: 'user',
+        parts: [{ text: 'Edit this image: make it blue' }, { inlineData: { mimeType: 'image/webp', data: 'SRC' } }],
+      },
+      {
+        role: 'model',
+        parts: [{ inlineData: { mimeType: 'image/webp', data: 'ONE' }, thoughtSignature: 'sig1' }],
+      },
+      { role: 'user', parts: [{ text: 'add a hat' }] },
+      {
+        role: 'model',
+        parts: [{ inlineData: { mimeType: 'image/webp', data: 'TWO' } }, { text: 'Done' }],
+      },
+    ])
+  })
+
+  it('throws when an image on the path is missing', () => {
+    const { session } = addSuccessTurn(createEditSession(0), ROOT_TURN_ID, 'x')
+    expect(() => buildConversationHistory(getTurnPath(session, 't1'), () => undefined)).toThrow()
+  })
+})
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+describe('serializeEditSession / deserializeEditSession', () => {
+  it('round-trips a branched session', () => {
+    const session = buildBranchedSession()
+    expect(deserializeEditSession(serializeEditSession(session))).toEqual(session)
+  })
+
+  it('drops pending turns', () => {
+    const { session } = appendTurn(createEditSession(0), ROOT_TURN_ID, 'x')
+    expect(serializeEditSession(session).turns).toHaveLength(1)
+  })
+
+  it('falls back to the root when the active turn is gone', () => {
+    const stored = { ...serializeEditSession(buildBranchedSession()), activeTurnId: 't9' }
+    expect(deserializeEditSession(stored).activeTurnId).toBe(ROOT_TURN_ID)
+  })
+
+  it('rejects values without a root image', () => {
+    expect(deserializeEditSession(null)).toBeNull()
+    expect(deserializeEditSession({ turns: [] })).toBeNull()
+    expect(deserializeEditSession({ turns: [{ id: 't1', status: 'success', imageIndex: 1 }] })).toBeNull()
+  })
+
+  it('finds turns after a round trip', () => {
+    const restored = deserializeEditSession(serializeEditSession(buildBranchedSession()))
+    expect(findTurn(restored, 't3').prompt).toBe('add glasses')
+  })
+})
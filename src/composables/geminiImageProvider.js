@@ -0,0 +1,216 @@
+import { Modality, ThinkingLevel } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
+import { classifyApiError } from './apiErrors'
+import { DEFAULT_MODEL, VALID_RATIOS, RESOLUTION_API_MAP } from '@/constants'
+import { estimateImageCallCost } from '@/constants/modelPricing'
+
+// ============================================================================
+// Gemini image provider (@google/genai SDK, streaming)
+// ============================================================================
+
+const FLASH_31_MODEL = 'gemini-3.1-flash-image-preview'
+
+/**
+ * Build content parts for SDK request
+ * @param {string} prompt
+ * @param {Array<{data: string, mimeType?: string}>} referenceImages
+ * @returns {Array<Object>}
+ */
+export const buildContentParts = (prompt, referenceImages = []) => {
+  const parts = []
+
+  // Add text prompt
+  parts.push({ text: prompt })
+
+  // Add reference images (supports multiple images for all modes)
+  if (referenceImages && referenceImages.length > 0) {
+    for (const image of referenceImages) {
+      parts.push({
+        inlineData: {
+          mimeType: image.mimeType || 'image/jpeg',
+          data: image.data,
+        },
+      })
+    }
+  }
+
+  return parts
+}
+
+/**
+ * Build SDK generation config
+ * @param {Object} options - Mode options (model, temperature, seed, ratio, resolution)
+ * @returns {Object}
+ */
+export const buildSdkConfig = (options = {}) => {
+  const model = options.model || DEFAULT_MODEL
+  const is31Flash = model === FLASH_31_MODEL
+
+  const config = {
+    // 3.1 Flash outputs images only; older models return both image and text
+    responseModalities: is31Flash
+      ? [Modality.IMAGE]
+      : [Modality.IMAGE, Modality.TEXT],
+  }
+
+  // Add temperature if specified
+  if (options.temperature !== undefined && options.temperature !== null) {
+    config.temperature = parseFloat(options.temperature)
+  }
+
+  // Add seed if specified
+  if (options.seed !== undefined && options.seed !== null && options.seed !== '') {
+    config.seed = parseInt(options.seed, 10)
+  }
+
+  // Build image config
+  const imageConfig = {}
+
+  // Add aspect ratio
+  if (options.ratio && VALID_RATIOS.has(options.ratio)) {
+    imageConfig.aspectRatio = options.ratio
+  }
+
+  // Add resolution/image size (camelCase for SDK)
+  if (options.resolution && RESOLUTION_API_MAP[options.resolution]) {
+    imageConfig.imageSize = RESOLUTION_API_MAP[options.resolution]
+  }
+
+  if (Object.keys(imageConfig).length > 0) {
+    config.imageConfig = imageConfig
+  }
+
+  // Thinking config: 3.1 Flash uses thinkingLevel, older models use includeThoughts
+  config.thinkingConfig = is31Flash
+    ? { thinkingLevel: ThinkingLevel.HIGH }
+    : { includeThoughts: true }
+
+  // Enable Google Search for real-time data (weather, stocks, etc.)
+  config.tools = [{ googleSearch: {} }]
+
+  return config
+}
+
+/**
+ * Stream one generation and collect images, text and thinking
+ * @param {import('./imageProviders').ImageRequest} request
+ * @returns {Promise<import('./imageProviders').ImageResult>}
+ */
+const generate = async ({
+  prompt,
+  options = {},
+  referenceImages = [],
+  history = [],
+  credentials,
+  signal,
+  onThinkingChunk,
+}) => {
+  const model = options.model || DEFAULT_MODEL
+  const ai = createGenAIClient(credentials.apiKey)
+
+  // Multi-turn edits replay the conversation, which already carries the image
+  const userParts = history.length > 0 ? buildContentParts(prompt) : buildContentParts(prompt, referenceImages)
+
+  // Make streaming API request using SDK with abort signal
+  const response = await ai.models.generateContentStream({
+    model,
+    contents: [...history, { role: 'user', parts: userParts }],
+    config: { ...buildSdkConfig(options), abortSignal: signal },
+  })
+
+  // Process stream
+  const images = []
+  // Non-thought parts with their thought signatures, for replaying this turn
+  const modelParts = []
+  let textResponse = ''
+  let thinkingText = ''
+  const metadata = {}
+  let usageMetadata = null
+
+  for await (const chunk of response) {
+    // Usage is cumulative; the last chunk carries the final counts
+    if (chunk.usageMetadata) {
+      usageMetadata = chunk.usageMetadata
+    }
+
+    // Process candidates
+    if (chunk.candidates && chunk.candidates.length > 0) {
+      const candidate = chunk.candidates[0]
+
+      if (candidate.content && candidate.content.parts) {
+        for (const part of candidate.content.parts) {
+          if (!part.thought && (part.inlineData || part.text)) {
+            modelParts.push(part)
+          }
+
+          if (part.inlineData) {
+            const imageData = {
+              data: part.inlineData.data,
+              mimeType: part.inlineData.mimeType || 'image/png',
+              isThought: !!part.thought,
+            }
+            images.push(imageData)
+
+            // If this is a thought image, send it to the thinking callback
+            if (part.thought && onThinkingChunk) {
+              onThinkingChunk({
+                type: 'image',
+                data: part.inlineData.data,
+                mimeType: part.inlineData.mimeType || 'image/png',
+              })
+            }
+          } else if (part.text) {
+            // Check if this is thinking content (thought: true flag)
+            if (part.thought) {
+              // This is thinking/reasoning text
+              if (onThinkingChunk) {
+                onThinkingChunk(part.text)
+              }
+              thinkingText += part.text
+            } else {
+              // Regular text response
+              textResponse += part.text
+            }
+          }
+        }
+      }
+
+      // Capture metadata
+      if (candidate.finishReason) {
+        metadata.finishReason = candidate.finishReason
+      }
+      if (candidate.safetyRatings) {
+        metadata.safetyRatings = candidate.safetyRatings
+      }
+    }
+
+    // Model version
+    if (chunk.modelVersion) {
+      metadata.modelVersion = chunk.modelVersion
+    }
+  }
+
+  return {
+    images,
+    textResponse,
+    thinkingText,
+    modelParts,
+    metadata,
+    model,
+    usage: usageMetadata ? { usageMetadata } : null,
+  }
+}
+
+/** @type {import('./imageProviders').ImageProvider} */
+export const geminiImageProvider = {
+  id: 'gemini',
+  isConfigured: (credentials) => !!credentials?.apiKey,
+  // 3.1 Flash doesn't expose its thinking process
+  streamsThinking: (options = {}) => (options.model || DEFAULT_MODEL) !== FLASH_31_MODEL,
+  estimateCallCost: (options = {}, input = {}) =>
+    estimateImageCallCost(options.model || DEFAULT_MODEL, { resolution: options.resolution, ...input }),
+  generate,
+  // Gemini edits through the same call: the source image is a reference image
+  edit: generate,
+  classifyError: classifyApiError,
+}
@@ -0,0 +1,17 @@
+import { GoogleGenAI } from '@google/genai'
+import { MockGoogleGenAI } from '@/utils/mock-genai'
+import { isMockBackendEnabled } from './mockBackend'
+
+// ============================================================================
+// Gemini client factory (real SDK or offline mock backend)
+// ============================================================================
+
+/**
+ * Create a Gemini client. Use instead of `new GoogleGenAI({ apiKey })`.
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {boolean} [options.mock] - Force mock on/off (defaults to isMockBackendEnabled())
+ * @returns {GoogleGenAI|MockGoogleGenAI}
+ */
+export const createGenAIClient = (apiKey, { mock = isMockBackendEnabled() } = {}) =>
+  mock ? new MockGoogleGenAI({ apiKey }) : new GoogleGenAI({ apiKey })
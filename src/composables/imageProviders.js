@@ -0,0 +1,62 @@
+import { geminiImageProvider } from './geminiImageProvider'
+import { openAiImageProvider } from './openAiImageProvider'
+import { DEFAULT_IMAGE_PROVIDER } from '@/constants'
+
+// ============================================================================
+// Image provider registry
+// ============================================================================
+//
+// useApi.generateImageStream owns retries, timeouts, rate limiting and usage
+// recording; a provider only makes one attempt and reports what came back.
+// Settings (which provider, its credentials) live in useImageProvider.js.
+
+/**
+ * @typedef {Object} ImageRequest
+ * @property {string} prompt - Final prompt (buildPrompt already applied)
+ * @property {Object} options - Mode options (model, ratio, resolution, temperature, seed, ...)
+ * @property {Array<{data: string, mimeType?: string}>} referenceImages - For multi-turn edits, the latest image
+ * @property {Array<Object>} [history] - Earlier turns as Gemini `contents` (multi-turn edits). Providers
+ *   that can't replay a conversation ignore it and edit `referenceImages` instead.
+ * @property {Object} credentials - Provider-specific ({ apiKey } or { baseUrl, apiKey, model })
+ * @property {AbortSignal} signal - Aborted on timeout or when the next retry starts
+ * @property {Function|null} onThinkingChunk - Receives thinking text / thought images while streaming
+ */
+
+/**
+ * @typedef {Object} ImageResult
+ * @property {Array<{data: string, mimeType: string, isThought: boolean}>} images
+ * @property {string} textResponse
+ * @property {string} thinkingText
+ * @property {Array<Object>} [modelParts] - Non-thought reply parts incl. thought signatures (Gemini only)
+ * @property {Object} metadata
+ * @property {string} model - Model that served the request (for the usage ledger)
+ * @property {Object|null} usage - recordUsage() fields: { usageMetadata } or { usage, cost }
+ */
+
+/**
+ * @typedef {Object} ImageProvider
+ * @property {string} id
+ * @property {(credentials: Object) => boolean} isConfigured
+ * @property {(options: Object) => boolean} streamsThinking - Whether thinking chunks will be emitted
+ * @property {(options: Object, input: {promptLength?: number, referenceImageCount?: number}) => number} estimateCallCost - USD per call, for the budget guard
+ * @property {(request: ImageRequest) => Promise<ImageResult>} generate
+ * @property {(request: ImageRequest) => Promise<ImageResult>} edit
+ * @property {(err: Error) => {category: string, reason: string, isRetriable: boolean}} classifyError
+ */
+
+export const IMAGE_PROVIDERS = {
+  [geminiImageProvider.id]: geminiImageProvider,
+  [openAiImageProvider.id]: openAiImageProvider,
+}
+
+/**
+ * Modes whose API calls all go through the image provider. Slides renders
+ * pages through it too, but still needs Gemini for analysis and narration.
+ */
+export const PROVIDER_ONLY_MODES = ['generate', 'sticker', 'edit', 'story', 'diagram']
+
+/**
+ * @param {string} id
+ * @returns {ImageProvider} Falls back to the default provider for unknown IDs
+ */
+export const getImageProvider = (id) => IMAGE_PROVIDERS[id] || IMAGE_PROVIDERS[DEFAULT_IMAGE_PROVIDER]
@@ -0,0 +1,123 @@
+// ============================================================================
+// Generation Job Queue - pure helpers
+// ============================================================================
+//
+// Job lifecycle:
+//
+//   pending ──▶ running ──▶ done
+//     │  ▲         │
+//     ▼  │         ├──▶ failed ──(retry)──▶ pending
+//   paused        │
+//                  └──▶ cancelled ──(retry)──▶ pending
+//
+// A job left in `running` when its tab closed is put back to `pending` by the
+// next tab that takes the queue lock (see recoverInterruptedJobs).
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+}
+
+/**
+ * Modes that can be queued. These run a single self-contained API call from a
+ * snapshot of prompt + options + reference images. Video and slides depend on
+ * live editor state (frames, per-page content, narration) and agent mode is
+ * conversational, so they stay foreground-only.
+ */
+export const QUEUEABLE_MODES = ['generate', 'sticker', 'edit', 'story', 'diagram']
+
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]
+
+/** @param {Object} job */
+export const canPauseJob = (job) => job.status === JOB_STATUS.PENDING
+
+/** @param {Object} job */
+export const canResumeJob = (job) => job.status === JOB_STATUS.PAUSED
+
+/** @param {Object} job */
+export const canCancelJob = (job) =>
+  [JOB_STATUS.PENDING, JOB_STATUS.PAUSED, JOB_STATUS.RUNNING].includes(job.status)
+
+/** @param {Object} job */
+export const canRetryJob = (job) =>
+  job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED
+
+/** @param {Object} job */
+export const isJobFinished = (job) => FINISHED_STATUSES.includes(job.status)
+
+/**
+ * Sort jobs by queue position (ties broken by ID, i.e. insertion order)
+ * @param {Array<Object>} jobs
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortJobs = (jobs) =>
+  [...jobs].sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || (a.id ?? 0) - (b.id ?? 0))
+
+/**
+ * Next order value for a newly enqueued job
+ * @param {Array<Object>} jobs
+ * @returns {number}
+ */
+export const nextJobOrder = (jobs) =>
+  jobs.reduce((max, job) => Math.max(max, job.order ?? 0), 0) + 1
+
+/**
+ * Pick the next job to run: the first pending job in queue order
+ * @param {Array<Object>} jobs
+ * @returns {Object|null}
+ */
+export const findNextRunnableJob = (jobs) =>
+  sortJobs(jobs).find((job) => job.status === JOB_STATUS.PENDING) || null
+
+/**
+ * Jobs that were running when the page went away. They never reported a
+ * result, so they are safe to run again.
+ * @param {Array<Object>} jobs
+ * @returns {Array<number>} IDs to reset to pending
+ */
+export const recoverInterruptedJobs = (jobs) =>
+  jobs.filter((job) => job.status === JOB_STATUS.RUNNING).map((job) => job.id)
+
+/**
+ * Move a waiting job one step up or down among the other waiting jobs.
+ * Running and finished jobs keep their place.
+ * @param {Array<Object>} jobs
+ * @param {number} id - Job to move
+ * @param {number} direction - -1 (earlier) or 1 (later)
+ * @returns {Array<{id: number, order: number}>} Order updates to persist (empty if no move)
+ */
+export const moveJob = (jobs, id, direction) => {
+  const waiting = sortJobs(jobs).filter(
+    (job) => job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.PAUSED,
+  )
+  const index = waiting.findIndex((job) => job.id === id)
+  const target = index + direction
+  if (index === -1 || target < 0 || target >= waiting.length) return []
+
+  const a = waiting[index]
+  const b = waiting[target]
+  // Orders can collide after imports/edits; fall back to distinct values
+  const orderA = a.order ?? 0
+  const orderB = b.order === orderA ? orderA + direction : (b.order ?? 0)
+  return [
+    { id: a.id, order: orderB },
+    { id: b.id, order: orderA },
+  ]
+}
+
+/**
+ * Count jobs per status
+ * @param {Array<Object>} jobs
+ * @returns {Object<string, number>}
+ */
+export const countJobsByStatus = (jobs) => {
+  const counts = Object.fromEntries(Object.values(JOB_STATUS).map((s) => [s, 0]))
+  for (const job of jobs) {
+    if (job.status in counts) counts[job.status]++
+  }
+  return counts
+}
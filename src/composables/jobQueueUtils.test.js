@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import {
+  JOB_STATUS,
+  canPauseJob,
+  canResumeJob,
+  canCancelJob,
+  canRetryJob,
+  isJobFinished,
+  sortJobs,
+  nextJobOrder,
+  findNextRunnableJob,
+  recoverInterruptedJobs,
+  moveJob,
+  countJobsByStatus,
+} from './jobQueueUtils'
+
+const job = (id, status, order = id) => ({ id, status, order })
+
+// ============================================================================
+// Status transitions
+// ============================================================================
+
+describe('status guards', () => {
+  it('only pauses pending jobs and only resumes paused ones', () => {
+    expect(canPauseJob(job(1, JOB_STATUS.PENDING))).toBe(true)
+    expect(canPauseJob(job(1, JOB_STATUS.RUNNING))).toBe(false)
+    expect(canResumeJob(job(1, JOB_STATUS.PAUSED))).toBe(true)
+    expect(canResumeJob(job(1, JOB_STATUS.PENDING))).toBe(false)
+  })
+
+  it('cancels anything not yet finished', () => {
+    expect(canCancelJob(job(1, JOB_STATUS.RUNNING))).toBe(true)
+    expect(canCancelJob(job(1, JOB_STATUS.PAUSED))).toBe(true)
+    expect(canCancelJob(job(1, JOB_STATUS.DONE))).toBe(false)
+  })
+
+  it('retries failed and cancelled jobs', () => {
+    expect(canRetryJob(job(1, JOB_STATUS.FAILED))).toBe(true)
+    expect(canRetryJob(job(1, JOB_STATUS.CANCELLED))).toBe(true)
+    expect(canRetryJob(job(1, JOB_STATUS.DONE))).toBe(false)
+  })
+
+  it('treats done, failed and cancelled as finished', () => {
+    expect(isJobFinished(job(1, JOB_STATUS.DONE))).toBe(true)
+    expect(isJobFinished(job(1, JOB_STATUS.FAILED))).toBe(true)
+    expect(isJobFinished(job(1, JOB_STATUS.CANCELLED))).toBe(true)
+    expect(isJobFinished(job(1, JOB_STATUS.PENDING))).toBe(false)
+  })
+})
+
+// ============================================================================
+// Ordering
+// ============================================================================
+
+describe('sortJobs / nextJobOrder', () => {
+  it('sorts by order then id without mutating input', () => {
+    const input = [job(3, 'pending', 1), job(1, 'pending', 2), job(2, 'pending', 1)]
+    expect(sortJobs(input).map((j) => j.id)).toEqual([2, 3, 1])
+    expect(input[0].id).toBe(3)
+  })
+
+  it('appends after the highest order', () => {
+    expect(nextJobOrder([])).toBe(1)
+    expect(nextJobOrder([job(1, 'done', 7), job(2, 'pending', 3)])).toBe(8)
+  })
+})
+
+describe('findNextRunnableJob', () => {
+  it('returns the first pending job in queue order', () => {
+    const jobs = [
+      job(1, JOB_STATUS.DONE, 1),
+      job(2, JOB_STATUS.PAUSED, 2),
+      job(3, JOB_STATUS.PENDING, 4),
+      job(4, JOB_STATUS.PENDING, 3),
+    ]
+    expect(findNextRunnableJob(jobs).id).toBe(4)
+  })
+
+  it('returns null when nothing is pending', () => {
+    expect(findNextRunnableJob([job(1, JOB_STATUS.FAILED)])).toBeNull()
+  })
+})
+
+describe('recoverInterruptedJobs', () => {
+  it('returns IDs of jobs left running', () => {
+    const jobs = [job(1, JOB_STATUS.RUNNING), job(2, JOB_STATUS.PENDING), job(3, JOB_STATUS.RUNNING)]
+    expect(recoverInterruptedJobs(jobs)).toEqual([1, 3])
+  })
+})
+
+describe('moveJob', () => {
+  const jobs = [
+    job(1, JOB_STATUS.RUNNING, 1),
+    job(2, JOB_STATUS.PENDING, 2),
+    job(3, JOB_STATUS.PAUSED, 3),
+    job(4, JOB_STATUS.PENDING, 4),
+  ]
+
+  it('swaps order with the neighbouring waiting job', () => {
+    expect(moveJob(jobs, 4, -1)).toEqual([
+      { id: 4, order: 3 },
+      { id: 3, order: 4 },
+    ])
+  })
+
+  it('does not move past running jobs', () => {
+    expect(moveJob(jobs, 2, -1)).toEqual([])
+  })
+
+  it('does not move past the end', () => {
+    expect(moveJob(jobs, 4, 1)).toEqual([])
+  })
+
+  it('ignores unknown or finished jobs', () => {
+    expect(moveJob(jobs, 1, 1)).toEqual([])
+    expect(moveJob(jobs, 99, 1)).toEqual([])
+  })
+
+  it('produces distinct orders when orders collide', () => {
+    const updates = moveJob([job(1, 'pending', 5), job(2, 'pending', 5)], 2, -1)
+    expect(updates[0].order).not.toBe(updates[1].order)
+  })
+})
+
+describe('countJobsByStatus', () => {
+  it('counts every status', () => {
+    const counts = countJobsByStatus([job(1, 'pending'), job(2, 'pending'), job(3, 'done')])
+    expect(counts.pending).toBe(2)
+    expect(counts.done).toBe(1)
+    expect(counts.running).toBe(0)
+  })
+})
@@ -0,0 +1,40 @@
+// ============================================================================
+// Offline mock backend switch
+// ============================================================================
+//
+// On when built with VITE_MOCK_BACKEND=true (CI, demos) or toggled per browser
+// with ?mock=1 / ?mock=0 (see main.js). The client itself is utils/mock-genai.js.
+
+export const MOCK_BACKEND_STORAGE_KEY = 'nbp-mock-backend'
+
+// Placeholder key so key checks pass without a real key in mock mode
+export const MOCK_API_KEY = 'mock-backend-key'
+
+/**
+ * Whether API calls go to the offline mock backend.
+ * Workers have no localStorage; they receive the flag from the main thread.
+ * @returns {boolean}
+ */
+export const isMockBackendEnabled = () => {
+  if (import.meta.env?.VITE_MOCK_BACKEND === 'true') return true
+  try {
+    return typeof localStorage !== 'undefined' && localStorage.getItem(MOCK_BACKEND_STORAGE_KEY) === 'true'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * @param {boolean} enabled
+ */
+export const setMockBackendEnabled = (enabled) => {
+  try {
+    if (enabled) {
+      localStorage.setItem(MOCK_BACKEND_STORAGE_KEY, 'true')
+    } else {
+      localStorage.removeItem(MOCK_BACKEND_STORAGE_KEY)
+    }
+  } catch {
+    // Storage unavailable (private mode): flag stays as-is
+  }
+}
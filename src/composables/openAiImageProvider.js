@@ -0,0 +1,207 @@
+import { classifyApiError, getErrorMessage } from './apiErrors'
+import { blobToBase64 } from './useImageCompression'
+import { detectMimeFromBase64 } from '@/utils/binaryUtils'
+import { ERROR_CATEGORY, OPENAI_IMAGE_LONG_EDGE } from '@/constants'
+
+// ============================================================================
+// OpenAI-compatible image provider (POST /v1/images/generations, /v1/images/edits)
+// ============================================================================
+//
+// Works with any server that speaks the OpenAI Images API. There is no
+// streaming or thinking output; usage is recorded when the server reports it.
+
+// OpenAI error codes that will not succeed on retry, whatever the HTTP status
+const PERMANENT_OPENAI_CODES = [
+  'content_policy_violation',
+  'moderation_blocked',
+  'insufficient_quota',
+  'invalid_api_key',
+  'model_not_found',
+  'billing_hard_limit_reached',
+]
+
+/**
+ * Map app ratio + resolution to an OpenAI `size` string.
+ * The long edge follows the resolution; the short edge is rounded to a
+ * multiple of 64, which every compatible server accepts.
+ * @param {string} [ratio] - e.g. '16:9' (default square)
+ * @param {string} [resolution] - '1k' | '2k' | '4k'
+ * @returns {string} e.g. '1024x576'
+ */
+export const toOpenAiImageSize = (ratio = '1:1', resolution = '1k') => {
+  const longEdge = OPENAI_IMAGE_LONG_EDGE[resolution] || OPENAI_IMAGE_LONG_EDGE['1k']
+  const [w, h] = String(ratio).split(':').map(Number)
+  if (!(w > 0 && h > 0)) return `${longEdge}x${longEdge}`
+
+  const shortEdge = Math.max(64, Math.round((longEdge * Math.min(w, h)) / Math.max(w, h) / 64) * 64)
+  return w >= h ? `${longEdge}x${shortEdge}` : `${shortEdge}x${longEdge}`
+}
+
+/**
+ * Build the endpoint URL from a base URL such as `http://localhost:8080/v1`
+ * @param {string} baseUrl
+ * @param {'generations'|'edits'} endpoint
+ * @returns {string}
+ */
+export const buildImagesEndpoint = (baseUrl, endpoint) =>
+  `${String(baseUrl || '').trim().replace(/\/+$/, '')}/images/${endpoint}`
+
+// gpt-image models always return base64 and reject `response_format`
+const acceptsResponseFormat = (model) => !String(model || '').startsWith('gpt-image')
+
+const base64ToBlob = (base64, mimeType) => {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return new Blob([bytes], { type: mimeType })
+}
+
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+
+/**
+ * Turn a non-OK response into an Error carrying status and OpenAI error code
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+const toResponseError = async (response) => {
+  let body = null
+  try {
+    body = await response.json()
+  } catch {
+    // Not JSON (proxy error page etc.)
+  }
+  const err = new Error(body?.error?.message || `HTTP ${response.status} ${response.statusText || ''}`.trim())
+  err.status = response.status
+  err.openAiCode = body?.error?.code || body?.error?.type || null
+  return err
+}
+
+/**
+ * Convert an Images API response body into provider images.
+ * Entries with a `url` instead of `b64_json` are downloaded.
+ * @param {Object} body - `{ data: [{ b64_json?, url?, revised_prompt? }], usage? }`
+ * @param {Object} [fetchOptions] - Passed to fetch for URL downloads (signal)
+ * @returns {Promise<{ images: Array<{data: string, mimeType: string, isThought: boolean}>, textResponse: string }>}
+ */
+export const parseImagesResponse = async (body, fetchOptions = {}) => {
+  const images = []
+  const revisedPrompts = []
+
+  for (const item of body?.data || []) {
+    let data = item.b64_json || null
+    let mimeType = null
+
+    if (!data && item.url) {
+      const response = await fetch(item.url, fetchOptions)
+      if (!response.ok) throw await toResponseError(response)
+      const blob = await response.blob()
+      data = await blobToBase64(blob)
+      mimeType = blob.type || null
+    }
+
+    if (data) {
+      images.push({ data, mimeType: mimeType || detectMimeFromBase64(data), isThought: false })
+    }
+    if (item.revised_prompt) revisedPrompts.push(item.revised_prompt)
+  }
+
+  return { images, textResponse: revisedPrompts.join('\n') }
+}
+
+/**
+ * Convert OpenAI `usage` into ledger token counts
+ * @param {Object} [usage] - `{ input_tokens, output_tokens, total_tokens }`
+ * @returns {Object|null}
+ */
+export const normalizeOpenAiUsage = (usage) => {
+  if (!usage) return null
+  const inputTokens = usage.input_tokens || 0
+  const imageOutputTokens = usage.output_tokens || 0
+  return {
+    inputTokens,
+    imageOutputTokens,
+    totalTokens: usage.total_tokens || inputTokens + imageOutputTokens,
+  }
+}
+
+/**
+ * @param {'generations'|'edits'} endpoint
+ * @param {import('./imageProviders').ImageRequest} request
+ * @returns {Promise<import('./imageProviders').ImageResult>}
+ */
+const callImagesApi = async (endpoint, { prompt, options = {}, referenceImages = [], credentials, signal }) => {
+  const { baseUrl, apiKey, model } = credentials
+  const size = toOpenAiImageSize(options.ratio, options.resolution)
+  const fields = { prompt, n: 1, size }
+  if (model) fields.model = model
+  if (acceptsResponseFormat(model)) fields.response_format = 'b64_json'
+
+  let init
+  if (endpoint === 'edits') {
+    const form = new FormData()
+    for (const [key, value] of Object.entries(fields)) form.append(key, String(value))
+    // Single image uses `image`; several use the array form `image[]`
+    const imageField = referenceImages.length > 1 ? 'image[]' : 'image'
+    referenceImages.forEach((image, index) => {
+      const mimeType = image.mimeType || 'image/png'
+      const extension = mimeType.split('/')[1] || 'png'
+      form.append(imageField, base64ToBlob(image.data, mimeType), `image-${index + 1}.${extension}`)
+    })
+    init = { method: 'POST', headers: authHeaders(apiKey), body: form, signal }
+  } else {
+    init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders(apiKey) },
+      body: JSON.stringify(fields),
+      signal,
+    }
+  }
+
+  const response = await fetch(buildImagesEndpoint(baseUrl, endpoint), init)
+  if (!response.ok) throw await toResponseError(response)
+
+  const body = await response.json()
+  const { images, textResponse } = await parseImagesResponse(body, { signal })
+  const usage = normalizeOpenAiUsage(body.usage)
+
+  return {
+    images,
+    textResponse,
+    thinkingText: '',
+    metadata: { provider: 'openai', endpoint, size },
+    model: model || 'openai-compatible',
+    // Pricing of custom servers is unknown: record tokens, not cost
+    usage: usage ? { usage, cost: 0 } : null,
+  }
+}
+
+/**
+ * Classify OpenAI-style errors, falling back to the shared HTTP/message rules
+ * @param {Error} err
+ * @returns {{ category: string, reason: string, isRetriable: boolean }}
+ */
+export const classifyOpenAiError = (err) => {
+  const code = err?.openAiCode
+  if (code && PERMANENT_OPENAI_CODES.includes(code)) {
+    return { category: ERROR_CATEGORY.PERMANENT, reason: code, isRetriable: false }
+  }
+  // fetch() network failures surface as TypeError("Failed to fetch")
+  if (err?.name === 'TypeError' && getErrorMessage(err).includes('fetch')) {
+    return { category: ERROR_CATEGORY.RETRIABLE, reason: 'network', isRetriable: true }
+  }
+  return classifyApiError(err)
+}
+
+/** @type {import('./imageProviders').ImageProvider} */
+export const openAiImageProvider = {
+  id: 'openai',
+  isConfigured: (credentials) => !!credentials?.baseUrl?.trim(),
+  streamsThinking: () => false,
+  // Custom servers have no published pricing
+  estimateCallCost: () => 0,
+  // Reference images can only be sent through the edits endpoint
+  generate: (request) =>
+    callImagesApi(request.referenceImages?.length ? 'edits' : 'generations', request),
+  edit: (request) => callImagesApi('edits', request),
+  classifyError: classifyOpenAiError,
+}
@@ -0,0 +1,270 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  toOpenAiImageSize,
+  buildImagesEndpoint,
+  parseImagesResponse,
+  normalizeOpenAiUsage,
+  classifyOpenAiError,
+  openAiImageProvider,
+} from './openAiImageProvider'
+import { ERROR_CATEGORY } from '@/constants'
+
+// Tiny PNG header, enough for MIME detection
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAAB'
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  json: async () => body,
+})
+
+// ============================================================================
+// toOpenAiImageSize
+// ============================================================================
+
+describe('toOpenAiImageSize', () => {
+  it('returns a square size by default', () => {
+    expect(toOpenAiImageSize()).toBe('1024x1024')
+  })
+
+  it('scales the long edge with resolution', () => {
+    expect(toOpenAiImageSize('1:1', '2k')).toBe('2048x2048')
+    expect(toOpenAiImageSize('1:1', '4k')).toBe('4096x4096')
+  })
+
+  it('keeps landscape width as the long edge', () => {
+    expect(toOpenAiImageSize('16:9', '1k')).toBe('1024x576')
+  })
+
+  it('keeps portrait height as the long edge', () => {
+    expect(toOpenAiImageSize('9:16', '1k')).toBe('576x1024')
+  })
+
+  it('rounds the short edge to a multiple of 64', () => {
+    const [w, h] = toOpenAiImageSize('3:2', '1k').split('x').map(Number)
+    expect(w).toBe(1024)
+    expect(h % 64).toBe(0)
+  })
+
+  it('falls back to square for invalid ratios', () => {
+    expect(toOpenAiImageSize('abc', '1k')).toBe('1024x1024')
+  })
+
+  it('falls back to 1k for unknown resolutions', () => {
+    expect(toOpenAiImageSize('1:1', '8k')).toBe('1024x1024')
+  })
+})
+
+// ============================================================================
+// buildImagesEndpoint
+// ============================================================================
+
+describe('buildImagesEndpoint', () => {
+  it('appends the images endpoint', () => {
+    expect(buildImagesEndpoint('http://localhost:8080/v1', 'generations'))
+      .toBe('http://localhost:8080/v1/images/generations')
+  })
+
+  it('strips trailing slashes and whitespace', () => {
+    expect(buildImagesEndpoint(' https://api.example.com/v1// ', 'edits'))
+      .toBe('https://api.example.com/v1/images/edits')
+  })
+})
+
+// ============================================================================
+// parseImagesResponse
+// ============================================================================
+
+describe('parseImagesResponse', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('reads b64_json entries', async () => {
+    const result = await parseImagesResponse({ data: [{ b64_json: PNG_BASE64 }] })
+    expect(result.images).toEqual([{ data: PNG_BASE64, mimeType: 'image/png', isThought: false }])
+    expect(result.textResponse).toBe('')
+  })
+
+  it('joins revised prompts into textResponse', async () => {
+    const result = await parseImagesResponse({
+      data: [
+        { b64_json: PNG_BASE64, revised_prompt: 'a cat' },
+        { b64_json: PNG_BASE64, revised_prompt: 'a dog' },
+      ],
+    })
+    expect(result.images).toHaveLength(2)
+    expect(result.textResponse).toBe('a cat\na dog')
+  })
+
+  it('downloads url entries', async () => {
+    const blob = new Blob([new Uint8Array([1, 2, 3])], { type: 'image/webp' })
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, blob: async () => blob })
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await parseImagesResponse({ data: [{ url: 'https://cdn.example.com/a.webp' }] })
+
+    expect(fetchMock).toHaveBeenCalledWith('https://cdn.example.com/a.webp', {})
+    expect(result.images).toHaveLength(1)
+    expect(result.images[0].mimeType).toBe('image/webp')
+    expect(result.images[0].data).toBe('AQID')
+  })
+
+  it('returns no images for an empty body', async () => {
+    expect((await parseImagesResponse(null)).images).toEqual([])
+  })
+})
+
+// ============================================================================
+// normalizeOpenAiUsage
+// ============================================================================
+
+describe('normalizeOpenAiUsage', () => {
+  it('returns null without usage', () => {
+    expect(normalizeOpenAiUsage(undefined)).toBeNull()
+  })
+
+  it('maps input and output tokens', () => {
+    expect(normalizeOpenAiUsage({ input_tokens: 10, output_tokens: 4000, total_tokens: 4010 })).toEqual({
+      inputTokens: 10,
+      imageOutputTokens: 4000,
+      totalTokens: 4010,
+    })
+  })
+
+  it('computes total when missing', () => {
+    expect(normalizeOpenAiUsage({ input_tokens: 5, output_tokens: 7 }).totalTokens).toBe(12)
+  })
+})
+
+// ============================================================================
+// classifyOpenAiError
+// ============================================================================
+
+describe('classifyOpenAiError', () => {
+  it('treats known OpenAI codes as permanent', () => {
+    const err = Object.assign(new Error('blocked'), { status: 400, openAiCode: 'moderation_blocked' })
+    expect(classifyOpenAiError(err)).toEqual({
+      category: ERROR_CATEGORY.PERMANENT,
+      reason: 'moderation_blocked',
+      isRetriable: false,
+    })
+  })
+
+  it('treats fetch TypeErrors as retriable network errors', () => {
+    const result = classifyOpenAiError(new TypeError('Failed to fetch'))
+    expect(result.isRetriable).toBe(true)
+    expect(result.reason).toBe('network')
+  })
+
+  it('falls back to HTTP status rules', () => {
+    const err = Object.assign(new Error('Service Unavailable'), { status: 503 })
+    expect(classifyOpenAiError(err).isRetriable).toBe(true)
+  })
+})
+
+// ============================================================================
+// openAiImageProvider
+// ============================================================================
+
+describe('openAiImageProvider', () => {
+  let fetchMock
+
+  const request = (overrides = {}) => ({
+    prompt: 'a red apple',
+    options: { ratio: '1:1', resolution: '1k' },
+    referenceImages: [],
+    credentials: { baseUrl: 'http://localhost:8080/v1', apiKey: 'sk-test', model: 'dall-e-3' },
+    signal: undefined,
+    onThinkingChunk: null,
+    ...overrides,
+  })
+
+  beforeEach(() => {
+    fetchMock = vi.fn().mockResolvedValue(
+      jsonResponse({ data: [{ b64_json: PNG_BASE64 }], usage: { input_tokens: 3, output_tokens: 9 } }),
+    )
+    vi.stubGlobal('fetch', fetchMock)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('is configured only with a base URL', () => {
+    expect(openAiImageProvider.isConfigured({ baseUrl: 'http://x/v1' })).toBe(true)
+    expect(openAiImageProvider.isConfigured({ baseUrl: '  ', apiKey: 'sk' })).toBe(false)
+  })
+
+  it('does not stream thinking or estimate cost', () => {
+    expect(openAiImageProvider.streamsThinking({})).toBe(false)
+    expect(openAiImageProvider.estimateCallCost({}, {})).toBe(0)
+  })
+
+  it('posts JSON to /images/generations without reference images', async () => {
+    const result = await openAiImageProvider.generate(request())
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('http://localhost:8080/v1/images/generations')
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer sk-test' })
+    expect(JSON.parse(init.body)).toEqual({
+      prompt: 'a red apple',
+      n: 1,
+      size: '1024x1024',
+      model: 'dall-e-3',
+      response_format: 'b64_json',
+    })
+    expect(result.images).toHaveLength(1)
+    expect(result.model).toBe('dall-e-3')
+    expect(result.usage).toEqual({
+      usage: { inputTokens: 3, imageOutputTokens: 9, totalTokens: 12 },
+      cost: 0,
+    })
+  })
+
+  it('omits response_format for gpt-image models', async () => {
+    await openAiImageProvider.generate(request({
+      credentials: { baseUrl: 'http://localhost:8080/v1', model: 'gpt-image-1' },
+    }))
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body)
+    expect(body.response_format).toBeUndefined()
+    expect(body.model).toBe('gpt-image-1')
+  })
+
+  it('omits the Authorization header without an API key', async () => {
+    await openAiImageProvider.generate(request({ credentials: { baseUrl: 'http://localhost:8080/v1' } }))
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBeUndefined()
+  })
+
+  it('uses /images/edits with a single image field', async () => {
+    await openAiImageProvider.edit(request({ referenceImages: [{ data: PNG_BASE64, mimeType: 'image/png' }] }))
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('http://localhost:8080/v1/images/edits')
+    expect(init.body).toBeInstanceOf(FormData)
+    expect(init.body.getAll('image')).toHaveLength(1)
+    expect(init.body.get('prompt')).toBe('a red apple')
+    expect(init.headers['Content-Type']).toBeUndefined()
+  })
+
+  it('uses image[] for several reference images', async () => {
+    const image = { data: PNG_BASE64, mimeType: 'image/png' }
+    await openAiImageProvider.generate(request({ referenceImages: [image, image] }))
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('http://localhost:8080/v1/images/edits')
+    expect(init.body.getAll('image[]')).toHaveLength(2)
+    expect(init.body.get('image')).toBeNull()
+  })
+
+  it('throws with status and OpenAI code on error responses', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ error: { message: 'bad key', code: 'invalid_api_key' } }, 401))
+
+    await expect(openAiImageProvider.generate(request())).rejects.toMatchObject({
+      message: 'bad key',
+      status: 401,
+      openAiCode: 'invalid_api_key',
+    })
+  })
+})
@@ -0,0 +1,157 @@
+// ============================================================================
+// Option Profiles
+// ============================================================================
+//
+// A profile is a named snapshot of one mode's options plus the common
+// settings (temperature, seed, model), e.g. "Company LINE sticker 4x4 zh-TW".
+// Content that belongs to the current piece of work (input images, slide
+// pages, generation progress) is never captured and survives applying a
+// profile. Persistence lives in useIndexedDB (optionProfiles store);
+// everything here is pure.
+
+import { GENERATION_MODES } from '@/constants/modeStyles'
+import { getDefaultOptions } from '@/constants/defaults'
+
+export const PROFILE_EXPORT_VERSION = 1
+export const PROFILE_EXPORT_TYPE = 'optionProfiles'
+
+/**
+ * Option keys that hold work content or runtime state rather than settings
+ */
+export const PROFILE_EXCLUDED_KEYS = {
+  edit: ['inputImage', 'inputImagePreview'],
+  video: ['startFrame', 'endFrame', 'referenceImages', 'inputVideo'],
+  slides: [
+    'pagesRaw',
+    'pages',
+    'globalReferenceImages',
+    'analyzedStyle',
+    'styleConfirmed',
+    'currentPageIndex',
+    'totalPages',
+    'progressStartTime',
+    'pageGenerationTimes',
+    'effectiveRate',
+    'isAnalyzing',
+    'analysisError',
+    'narrationScripts',
+    'narrationGlobalStyle',
+    'narrationStatus',
+    'narrationError',
+    'audioCompletedCount',
+    'audioTotalCount',
+  ],
+}
+
+const excludedKeys = (mode) => PROFILE_EXCLUDED_KEYS[mode] || []
+
+/**
+ * Snapshot the settings part of a mode's options
+ * @param {string} mode - One of GENERATION_MODES
+ * @param {Object} options - Current mode options
+ * @returns {Object} Plain deep copy without excluded keys
+ */
+export const captureProfileOptions = (mode, options) => {
+  const excluded = excludedKeys(mode)
+  const captured = {}
+  for (const [key, value] of Object.entries(options || {})) {
+    if (!excluded.includes(key)) captured[key] = value
+  }
+  return JSON.parse(JSON.stringify(captured))
+}
+
+/**
+ * Options after applying a profile: defaults, then the profile's settings,
+ * then the current content keys (so the work in progress is kept).
+ * Keys the profile doesn't know (added in a later version) fall back to defaults.
+ * @param {string} mode
+ * @param {Object} current - Current mode options
+ * @param {Object|null} profileOptions - Profile options, or null to reset to defaults
+ * @returns {Object}
+ */
+export const mergeProfileOptions = (mode, current, profileOptions) => {
+  const merged = { ...getDefaultOptions(mode), ...captureProfileOptions(mode, profileOptions) }
+  for (const key of excludedKeys(mode)) {
+    if (current && key in current) merged[key] = current[key]
+  }
+  return merged
+}
+
+/**
+ * Whether the current settings differ from a profile
+ * @param {string} mode
+ * @param {Object} profile - { options, temperature, seed, model }
+ * @param {{ options: Object, temperature: number, seed: number|string, model: string }} current
+ * @returns {boolean}
+ */
+export const isProfileModified = (mode, profile, current) => {
+  const expected = captureProfileOptions(mode, mergeProfileOptions(mode, {}, profile.options))
+  // Compare only known keys: stale keys in saved settings shouldn't count as a change
+  const actual = Object.fromEntries(Object.keys(expected).map((key) => [key, current.options?.[key]]))
+  return (
+    JSON.stringify(expected) !== JSON.stringify(actual) ||
+    ('temperature' in profile && profile.temperature !== current.temperature) ||
+    ('seed' in profile && profile.seed !== current.seed) ||
+    (!!profile.model && profile.model !== current.model)
+  )
+}
+
+/**
+ * Build the JSON payload for a profile export file
+ * @param {Array<Object>} profiles - Profile records from IndexedDB
+ * @returns {Object}
+ */
+export const buildProfileExport = (profiles) => ({
+  version: PROFILE_EXPORT_VERSION,
+  type: PROFILE_EXPORT_TYPE,
+  exportedAt: Date.now(),
+  appVersion: typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'unknown',
+  profiles: profiles.map((profile) => ({
+    uuid: profile.uuid,
+    name: profile.name,
+    mode: profile.mode,
+    options: profile.options,
+    temperature: profile.temperature,
+    seed: profile.seed,
+    model: profile.model,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+  })),
+})
+
+/**
+ * Validate a parsed profile export file and return the usable entries.
+ * Entries with an unknown mode, a missing name or non-object options are dropped;
+ * content keys are stripped from the options.
+ * @param {Object} data - Parsed JSON
+ * @returns {{ profiles: Array<Object>, invalid: number }}
+ * @throws {Error} If the file is not a profile export
+ */
+export const parseProfileImport = (data) => {
+  if (!data?.version || data.type !== PROFILE_EXPORT_TYPE || !Array.isArray(data.profiles)) {
+    throw new Error('Invalid option profile export file format')
+  }
+
+  const profiles = []
+  let invalid = 0
+  for (const profile of data.profiles) {
+    const name = typeof profile?.name === 'string' ? profile.name.trim() : ''
+    const options = profile?.options
+    if (!name || !GENERATION_MODES.includes(profile.mode) || !options || typeof options !== 'object' || Array.isArray(options)) {
+      invalid++
+      continue
+    }
+    const entry = {
+      uuid: typeof profile.uuid === 'string' && profile.uuid ? profile.uuid : null,
+      name,
+      mode: profile.mode,
+      options: captureProfileOptions(profile.mode, options),
+      createdAt: Number.isFinite(profile.createdAt) ? profile.createdAt : undefined,
+    }
+    if (Number.isFinite(profile.temperature)) entry.temperature = profile.temperature
+    if (typeof profile.seed === 'number' || typeof profile.seed === 'string') entry.seed = profile.seed
+    if (typeof profile.model === 'string' && profile.model) entry.model = profile.model
+    profiles.push(entry)
+  }
+  return { profiles, invalid }
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PROFILE_EXPORT_TYPE,
+  captureProfileOptions,
+  mergeProfileOptions,
+  isProfileModified,
+  buildProfileExport,
+  parseProfileImport,
+} from './optionProfiles'
+import { getDefaultOptions } from '@/constants/defaults'
+
+// ============================================================================
+// captureProfileOptions / mergeProfileOptions
+// ============================================================================
+
+describe('captureProfileOptions', () => {
+  it('keeps settings and drops work content', () => {
+    const slides = {
+      ...getDefaultOptions('slides'),
+      resolution: '4k',
+      pages: [{ id: 'p1', image: 'data' }],
+      pagesRaw: 'Intro --- Outro',
+      analyzedStyle: 'Blue corporate',
+    }
+    const captured = captureProfileOptions('slides', slides)
+    expect(captured.resolution).toBe('4k')
+    expect(captured.narration).toEqual(slides.narration)
+    expect(captured).not.toHaveProperty('pages')
+    expect(captured).not.toHaveProperty('pagesRaw')
+    expect(captured).not.toHaveProperty('analyzedStyle')
+  })
+
+  it('returns a deep copy', () => {
+    const sticker = getDefaultOptions('sticker')
+    const captured = captureProfileOptions('sticker', sticker)
+    captured.languages.push('en')
+    expect(sticker.languages).toEqual(['zh-TW'])
+  })
+})
+
+describe('mergeProfileOptions', () => {
+  it('applies profile settings and keeps current content', () => {
+    const current = { ...getDefaultOptions('edit'), resolution: '1k', inputImage: { data: 'abc' } }
+    const merged = mergeProfileOptions('edit', current, { resolution: '4k', inputImage: { data: 'other' } })
+    expect(merged.resolution).toBe('4k')
+    expect(merged.inputImage).toEqual({ data: 'abc' })
+  })
+
+  it('fills keys missing from older profiles with defaults', () => {
+    const current = { ...getDefaultOptions('sticker'), layoutRows: 5 }
+    const merged = mergeProfileOptions('sticker', current, { layoutCols: 4 })
+    expect(merged.layoutCols).toBe(4)
+    expect(merged.layoutRows).toBe(3)
+  })
+
+  it('resets to defaults when no profile is given', () => {
+    const current = { ...getDefaultOptions('video'), resolution: '4k', startFrame: { name: 'a.png' } }
+    const merged = mergeProfileOptions('video', current, null)
+    expect(merged.resolution).toBe('720p')
+    expect(merged.startFrame).toEqual({ name: 'a.png' })
+  })
+})
+
+// ============================================================================
+// isProfileModified
+// ============================================================================
+
+describe('isProfileModified', () => {
+  const options = { ...getDefaultOptions('sticker'), layoutRows: 4, layoutCols: 4 }
+  const profile = { options: captureProfileOptions('sticker', options), temperature: 1, seed: 42, model: 'm1' }
+  const current = { options, temperature: 1, seed: 42, model: 'm1' }
+
+  it('is false right after applying', () => {
+    expect(isProfileModified('sticker', profile, current)).toBe(false)
+  })
+
+  it('detects option and common setting changes', () => {
+    expect(isProfileModified('sticker', profile, { ...current, options: { ...options, layoutRows: 2 } })).toBe(true)
+    expect(isProfileModified('sticker', profile, { ...current, seed: 7 })).toBe(true)
+    expect(isProfileModified('sticker', profile, { ...current, model: 'm2' })).toBe(true)
+  })
+
+  it('ignores stale keys in the current options', () => {
+    expect(isProfileModified('sticker', profile, { ...current, options: { ...options, legacy: true } })).toBe(false)
+  })
+})
+
+// ============================================================================
+// Export / import
+// ============================================================================
+
+describe('buildProfileExport', () => {
+  it('wraps profiles with type and version', () => {
+    const data = buildProfileExport([
+      { id: 1, uuid: 'u1', name: 'P', mode: 'sticker', options: { layoutRows: 4 }, temperature: 1, seed: '', model: 'm', createdAt: 1, updatedAt: 2 },
+    ])
+    expect(data.type).toBe(PROFILE_EXPORT_TYPE)
+    expect(data.version).toBe(1)
+    expect(data.profiles[0]).toEqual({
+      uuid: 'u1',
+      name: 'P',
+      mode: 'sticker',
+      options: { layoutRows: 4 },
+      temperature: 1,
+      seed: '',
+      model: 'm',
+      createdAt: 1,
+      updatedAt: 2,
+    })
+  })
+})
+
+describe('parseProfileImport', () => {
+  it('round-trips an export', () => {
+    const data = buildProfileExport([
+      { uuid: 'u1', name: 'Deck', mode: 'slides', options: { resolution: '4k' }, temperature: 0.5, seed: 3, model: 'm', createdAt: 5 },
+    ])
+    const { profiles, invalid } = parseProfileImport(JSON.parse(JSON.stringify(data)))
+    expect(invalid).toBe(0)
+    expect(profiles).toEqual([
+      { uuid: 'u1', name: 'Deck', mode: 'slides', options: { resolution: '4k' }, temperature: 0.5, seed: 3, model: 'm', createdAt: 5 },
+    ])
+  })
+
+  it('strips content keys from imported options', () => {
+    const { profiles } = parseProfileImport({
+      version: 1,
+      type: PROFILE_EXPORT_TYPE,
+      profiles: [{ name: 'x', mode: 'slides', options: { resolution: '2k', pages: [{ image: 'data' }] } }],
+    })
+    expect(profiles[0].options).toEqual({ resolution: '2k' })
+  })
+
+  it('drops entries with unknown mode or missing fields', () => {
+    const { profiles, invalid } = parseProfileImport({
+      version: 1,
+      type: PROFILE_EXPORT_TYPE,
+      profiles: [
+        { name: 'ok', mode: 'generate', options: {} },
+        { name: 'bad mode', mode: 'nope', options: {} },
+        { name: '', mode: 'generate', options: {} },
+        { name: 'no options', mode: 'generate' },
+        { name: 'array', mode: 'generate', options: [] },
+        null,
+      ],
+    })
+    expect(profiles).toHaveLength(1)
+    expect(profiles[0].uuid).toBeNull()
+    expect(invalid).toBe(5)
+  })
+
+  it('throws on non-profile files', () => {
+    expect(() => parseProfileImport({ version: 1, type: 'promptTemplates', templates: [] })).toThrow()
+    expect(() => parseProfileImport(null)).toThrow()
+  })
+})
@@ -152,9 +152,18 @@ const buildStickerPrompt = (basePrompt, options) => {
 /**
  * Build prompt for edit mode
  * @param {string} basePrompt - User's base prompt text
- * @param {Object} _options - Mode-specific options (reserved for future use)
+ * @param {Object} [options] - Edit options
+ * @param {boolean} [options.maskedRegion] - Second reference image is a mask (see useMaskedEdit)
  */
-const buildEditPrompt = (basePrompt, _options) => {
+const buildEditPrompt = (basePrompt, options = {}) => {
+  if (options.maskedRegion) {
+    return (
+      `Edit this image: ${basePrompt}. ` +
+      'The second image is a black-and-white mask of the same picture. ' +
+      'Only change the area that is white in the mask; keep everything in the black area exactly as it is, ' +
+      'and keep the same framing and image size.'
+    )
+  }
   return `Edit this image: ${basePrompt}`
 }
 
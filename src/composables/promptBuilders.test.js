@@ -84,6 +84,12 @@ describe('buildEditPrompt', () => {
   it('wraps with edit prefix', () => {
     expect(buildEditPrompt('make it red')).toBe('Edit this image: make it red')
   })
+
+  it('explains the mask for masked region edits', () => {
+    const prompt = buildEditPrompt('a red hat', { maskedRegion: true })
+    expect(prompt.startsWith('Edit this image: a red hat.')).toBe(true)
+    expect(prompt).toContain('Only change the area that is white in the mask')
+  })
 })
 
 // ============================================================================
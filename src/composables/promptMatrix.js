@@ -0,0 +1,166 @@
+// ============================================================================
+// Prompt Matrix (X/Y sweep) for generate mode
+// ============================================================================
+//
+// A matrix run takes two option axes (e.g. styles × variations, or
+// temperature × seed) and expands them into one generation job per cell.
+// Everything here is pure so the expansion can be unit-tested without the API.
+
+/**
+ * Axes that can be swept. `styles` and `variations` take their values from the
+ * chips selected in GenerateOptions; `temperature` and `seed` are typed as a
+ * comma-separated list.
+ */
+export const MATRIX_AXES = ['styles', 'variations', 'temperature', 'seed']
+
+/**
+ * Axis value meaning "no Y axis" (single-row sweep)
+ */
+export const MATRIX_AXIS_NONE = 'none'
+
+/**
+ * Upper bound on cells per run. Each cell is a full image request, so this
+ * keeps a single click from burning through the RPM budget.
+ */
+export const MAX_MATRIX_CELLS = 16
+
+/**
+ * Axes whose values come from the free-text input instead of the chip selection
+ */
+const TEXT_INPUT_AXES = new Set(['temperature', 'seed'])
+
+/**
+ * Whether an axis reads its values from the comma-separated text input
+ * @param {string} axis
+ * @returns {boolean}
+ */
+export const isTextInputAxis = (axis) => TEXT_INPUT_AXES.has(axis)
+
+/**
+ * Parse a comma-separated axis input into typed, de-duplicated values
+ * @param {string} axis - 'temperature' | 'seed'
+ * @param {string} input - Raw user input, e.g. "0.5, 1, 1.5"
+ * @returns {Array<number|string>}
+ */
+export const parseAxisInput = (axis, input) => {
+  const tokens = String(input || '')
+    .split(/[,，\s]+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+
+  const values = []
+  for (const token of tokens) {
+    const n = Number(token)
+    if (!Number.isFinite(n)) continue
+
+    if (axis === 'temperature') {
+      // Same range as the CommonSettings slider, rounded to one decimal
+      const value = Math.round(Math.min(2, Math.max(0, n)) * 10) / 10
+      if (!values.includes(value)) values.push(value)
+    } else if (axis === 'seed') {
+      // Seeds are stored as strings in the store (see CommonSettings)
+      const value = String(Math.trunc(Math.abs(n)))
+      if (!values.includes(value)) values.push(value)
+    }
+  }
+  return values
+}
+
+/**
+ * Resolve the values of one axis
+ * @param {string} axis - Axis name (see MATRIX_AXES)
+ * @param {Object} options - Generate options (for styles/variations chips)
+ * @param {string} input - Raw text input (for temperature/seed)
+ * @returns {Array<number|string>}
+ */
+export const resolveAxisValues = (axis, options = {}, input = '') => {
+  if (axis === 'styles') return [...(options.styles || [])]
+  if (axis === 'variations') return [...(options.variations || [])]
+  if (isTextInputAxis(axis)) return parseAxisInput(axis, input)
+  return []
+}
+
+/**
+ * Return a copy of `options` with one axis fixed to a single value
+ * @param {Object} options - Base generate options
+ * @param {string} axis - Axis name
+ * @param {number|string} value - Axis value for this cell
+ * @returns {Object}
+ */
+export const applyAxisValue = (options, axis, value) => {
+  switch (axis) {
+    case 'styles':
+      return { ...options, styles: [value] }
+    case 'variations':
+      return { ...options, variations: [value] }
+    case 'temperature':
+      return { ...options, temperature: value }
+    case 'seed':
+      return { ...options, seed: value }
+    default:
+      return { ...options }
+  }
+}
+
+/**
+ * Validate a matrix configuration against the current options
+ * @param {Object} matrix - { xAxis, yAxis, xInput, yInput }
+ * @param {Object} options - Generate options
+ * @returns {string|null} i18n key under `matrix.errors` or null if valid
+ */
+export const validateMatrix = (matrix, options = {}) => {
+  const { xAxis, yAxis = MATRIX_AXIS_NONE } = matrix || {}
+
+  if (!MATRIX_AXES.includes(xAxis)) return 'invalidAxis'
+  if (yAxis !== MATRIX_AXIS_NONE && !MATRIX_AXES.includes(yAxis)) return 'invalidAxis'
+  if (xAxis === yAxis) return 'sameAxis'
+
+  const xCount = resolveAxisValues(xAxis, options, matrix.xInput).length
+  const yCount =
+    yAxis === MATRIX_AXIS_NONE ? 1 : resolveAxisValues(yAxis, options, matrix.yInput).length
+
+  if (xCount === 0 || yCount === 0) return 'emptyAxis'
+  if (xCount * yCount > MAX_MATRIX_CELLS) return 'tooManyCells'
+  return null
+}
+
+/**
+ * Expand a matrix configuration into cells (row-major order).
+ *
+ * @param {Object} matrix - { xAxis, yAxis, xInput, yInput }
+ * @param {Object} options - Base generate options (without the `matrix` key)
+ * @returns {{ xAxis: string, yAxis: string, xValues: Array, yValues: Array, cells: Array<MatrixCell> }}
+ *
+ * @typedef {Object} MatrixCell
+ * @property {string} id - Stable cell ID, e.g. "r0c2"
+ * @property {number} row - Row index (Y axis)
+ * @property {number} col - Column index (X axis)
+ * @property {number|string} xValue
+ * @property {number|string|null} yValue - null when there is no Y axis
+ * @property {Object} options - Full options for this cell's request
+ */
+export const buildMatrixCells = (matrix, options = {}) => {
+  const xAxis = matrix.xAxis
+  const yAxis = matrix.yAxis || MATRIX_AXIS_NONE
+  const xValues = resolveAxisValues(xAxis, options, matrix.xInput)
+  const yValues = yAxis === MATRIX_AXIS_NONE ? [null] : resolveAxisValues(yAxis, options, matrix.yInput)
+
+  const cells = []
+  yValues.forEach((yValue, row) => {
+    xValues.forEach((xValue, col) => {
+      let cellOptions = applyAxisValue(options, xAxis, xValue)
+      if (yAxis !== MATRIX_AXIS_NONE) {
+        cellOptions = applyAxisValue(cellOptions, yAxis, yValue)
+      }
+      cells.push({ id: `r${row}c${col}`, row, col, xValue, yValue, options: cellOptions })
+    })
+  })
+
+  return {
+    xAxis,
+    yAxis,
+    xValues,
+    yValues: yAxis === MATRIX_AXIS_NONE ? [] : yValues,
+    cells,
+  }
+}
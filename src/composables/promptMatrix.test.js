@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_MATRIX_CELLS,
+  parseAxisInput,
+  resolveAxisValues,
+  applyAxisValue,
+  validateMatrix,
+  buildMatrixCells,
+} from './promptMatrix'
+
+// ============================================================================
+// parseAxisInput
+// ============================================================================
+
+describe('parseAxisInput', () => {
+  it('parses comma and whitespace separated temperatures', () => {
+    expect(parseAxisInput('temperature', '0.5, 1 1.5')).toEqual([0.5, 1, 1.5])
+  })
+
+  it('clamps temperature to 0–2 and rounds to one decimal', () => {
+    expect(parseAxisInput('temperature', '-1, 0.74, 5')).toEqual([0, 0.7, 2])
+  })
+
+  it('accepts full-width commas', () => {
+    expect(parseAxisInput('seed', '1，2')).toEqual(['1', '2'])
+  })
+
+  it('converts seeds to positive integer strings', () => {
+    expect(parseAxisInput('seed', '42, -7, 3.9')).toEqual(['42', '7', '3'])
+  })
+
+  it('drops non-numeric tokens and duplicates', () => {
+    expect(parseAxisInput('seed', 'abc, 42, 42')).toEqual(['42'])
+  })
+
+  it('returns empty array for empty input', () => {
+    expect(parseAxisInput('temperature', '')).toEqual([])
+    expect(parseAxisInput('temperature', undefined)).toEqual([])
+  })
+})
+
+// ============================================================================
+// resolveAxisValues / applyAxisValue
+// ============================================================================
+
+describe('resolveAxisValues', () => {
+  it('reads styles and variations from options', () => {
+    const options = { styles: ['anime', 'watercolor'], variations: ['lighting'] }
+    expect(resolveAxisValues('styles', options)).toEqual(['anime', 'watercolor'])
+    expect(resolveAxisValues('variations', options)).toEqual(['lighting'])
+  })
+
+  it('reads temperature and seed from the text input', () => {
+    expect(resolveAxisValues('temperature', {}, '0.2,0.8')).toEqual([0.2, 0.8])
+  })
+
+  it('returns empty array for unknown axis', () => {
+    expect(resolveAxisValues('unknown', {}, '1')).toEqual([])
+  })
+})
+
+describe('applyAxisValue', () => {
+  it('narrows chip axes to a single value', () => {
+    const base = { styles: ['a', 'b'], variations: ['x'] }
+    expect(applyAxisValue(base, 'styles', 'b').styles).toEqual(['b'])
+    expect(applyAxisValue(base, 'variations', 'y').variations).toEqual(['y'])
+  })
+
+  it('sets scalar axes without mutating the base', () => {
+    const base = { temperature: 1 }
+    const result = applyAxisValue(base, 'temperature', 0.3)
+    expect(result.temperature).toBe(0.3)
+    expect(base.temperature).toBe(1)
+  })
+})
+
+// ============================================================================
+// validateMatrix
+// ============================================================================
+
+describe('validateMatrix', () => {
+  const options = { styles: ['a', 'b'], variations: ['x', 'y'] }
+
+  it('accepts a valid configuration', () => {
+    expect(validateMatrix({ xAxis: 'styles', yAxis: 'variations' }, options)).toBeNull()
+  })
+
+  it('accepts a single-row sweep', () => {
+    expect(validateMatrix({ xAxis: 'seed', yAxis: 'none', xInput: '1,2' }, options)).toBeNull()
+  })
+
+  it('rejects unknown axes', () => {
+    expect(validateMatrix({ xAxis: 'prompt', yAxis: 'none' }, options)).toBe('invalidAxis')
+    expect(validateMatrix({ xAxis: 'styles', yAxis: 'prompt' }, options)).toBe('invalidAxis')
+  })
+
+  it('rejects identical axes', () => {
+    expect(validateMatrix({ xAxis: 'styles', yAxis: 'styles' }, options)).toBe('sameAxis')
+  })
+
+  it('rejects empty axes', () => {
+    expect(validateMatrix({ xAxis: 'styles', yAxis: 'seed', yInput: '' }, options)).toBe(
+      'emptyAxis',
+    )
+  })
+
+  it('rejects matrices over the cell limit', () => {
+    const seeds = Array.from({ length: MAX_MATRIX_CELLS + 1 }, (_, i) => i + 1).join(',')
+    expect(validateMatrix({ xAxis: 'seed', yAxis: 'none', xInput: seeds }, options)).toBe(
+      'tooManyCells',
+    )
+  })
+})
+
+// ============================================================================
+// buildMatrixCells
+// ============================================================================
+
+describe('buildMatrixCells', () => {
+  it('expands two axes in row-major order', () => {
+    const options = { styles: ['a', 'b'], temperature: 1 }
+    const result = buildMatrixCells(
+      { xAxis: 'styles', yAxis: 'temperature', yInput: '0.5, 1.5' },
+      options,
+    )
+
+    expect(result.xValues).toEqual(['a', 'b'])
+    expect(result.yValues).toEqual([0.5, 1.5])
+    expect(result.cells.map((c) => c.id)).toEqual(['r0c0', 'r0c1', 'r1c0', 'r1c1'])
+    expect(result.cells[3].options).toMatchObject({ styles: ['b'], temperature: 1.5 })
+  })
+
+  it('produces a single row when Y axis is none', () => {
+    const result = buildMatrixCells({ xAxis: 'seed', yAxis: 'none', xInput: '1,2,3' }, {})
+
+    expect(result.yValues).toEqual([])
+    expect(result.cells).toHaveLength(3)
+    expect(result.cells.every((c) => c.row === 0 && c.yValue === null)).toBe(true)
+    expect(result.cells[2].options.seed).toBe('3')
+  })
+})
@@ -0,0 +1,99 @@
+// ============================================================================
+// Prompt Templates
+// ============================================================================
+//
+// Templates are plain prompts with `{{variable}}` placeholders, scoped to a
+// mode. Applying a template fills the placeholders and writes the result into
+// the prompt box, so the normal buildPrompt() pipeline still applies on top.
+// Persistence lives in useIndexedDB (promptTemplates store); everything here
+// is pure.
+
+import { GENERATION_MODES } from '@/constants/modeStyles'
+
+export const TEMPLATE_EXPORT_VERSION = 1
+export const TEMPLATE_EXPORT_TYPE = 'promptTemplates'
+
+/**
+ * Matches `{{ name }}` — the name may contain anything except braces,
+ * surrounding whitespace is ignored.
+ */
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g
+
+/**
+ * Extract variable names from template content, in order of first appearance
+ * @param {string} content - Template text, e.g. "A {{color}} {{subject}}"
+ * @returns {string[]} - Unique variable names, e.g. ['color', 'subject']
+ */
+export const extractTemplateVariables = (content) => {
+  const names = []
+  for (const match of String(content || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1])
+  }
+  return names
+}
+
+/**
+ * Replace placeholders with values. Variables without a (non-blank) value are
+ * left as-is so the user can still see what is missing.
+ * @param {string} content - Template text
+ * @param {Object<string, string>} values - Variable name → value
+ * @returns {string}
+ */
+export const fillTemplate = (content, values = {}) => {
+  return String(content || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name]
+    return typeof value === 'string' && value.trim() ? value.trim() : placeholder
+  })
+}
+
+/**
+ * Build the JSON payload for a template export file
+ * @param {Array<Object>} templates - Template records from IndexedDB
+ * @returns {Object}
+ */
+export const buildTemplateExport = (templates) => ({
+  version: TEMPLATE_EXPORT_VERSION,
+  type: TEMPLATE_EXPORT_TYPE,
+  exportedAt: Date.now(),
+  appVersion: typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'unknown',
+  templates: templates.map((tpl) => ({
+    uuid: tpl.uuid,
+    name: tpl.name,
+    mode: tpl.mode,
+    content: tpl.content,
+    createdAt: tpl.createdAt,
+    updatedAt: tpl.updatedAt,
+  })),
+})
+
+/**
+ * Validate a parsed template export file and return the usable entries.
+ * Entries with an unknown mode or missing name/content are dropped.
+ * @param {Object} data - Parsed JSON
+ * @returns {{ templates: Array<Object>, invalid: number }}
+ * @throws {Error} If the file is not a template export
+ */
+export const parseTemplateImport = (data) => {
+  if (!data?.version || data.type !== TEMPLATE_EXPORT_TYPE || !Array.isArray(data.templates)) {
+    throw new Error('Invalid template export file format')
+  }
+
+  const templates = []
+  let invalid = 0
+  for (const tpl of data.templates) {
+    const name = typeof tpl?.name === 'string' ? tpl.name.trim() : ''
+    const content = typeof tpl?.content === 'string' ? tpl.content : ''
+    if (!name || !content.trim() || !GENERATION_MODES.includes(tpl.mode)) {
+      invalid++
+      continue
+    }
+    templates.push({
+      uuid: typeof tpl.uuid === 'string' && tpl.uuid ? tpl.uuid : null,
+      name,
+      mode: tpl.mode,
+      content,
+      createdAt: Number.isFinite(tpl.createdAt) ? tpl.createdAt : undefined,
+    })
+  }
+  return { templates, invalid }
+}
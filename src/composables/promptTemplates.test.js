@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import {
+  TEMPLATE_EXPORT_TYPE,
+  extractTemplateVariables,
+  fillTemplate,
+  buildTemplateExport,
+  parseTemplateImport,
+} from './promptTemplates'
+
+// ============================================================================
+// extractTemplateVariables
+// ============================================================================
+
+describe('extractTemplateVariables', () => {
+  it('returns variables in order of first appearance', () => {
+    expect(extractTemplateVariables('A {{color}} {{subject}} on {{color}}')).toEqual([
+      'color',
+      'subject',
+    ])
+  })
+
+  it('ignores whitespace inside braces', () => {
+    expect(extractTemplateVariables('{{ subject }} and {{subject}}')).toEqual(['subject'])
+  })
+
+  it('supports non-ASCII names', () => {
+    expect(extractTemplateVariables('一隻{{顏色}}的貓')).toEqual(['顏色'])
+  })
+
+  it('returns empty array when there are no variables', () => {
+    expect(extractTemplateVariables('plain prompt')).toEqual([])
+    expect(extractTemplateVariables('{single} {{}}')).toEqual([])
+    expect(extractTemplateVariables(undefined)).toEqual([])
+  })
+})
+
+// ============================================================================
+// fillTemplate
+// ============================================================================
+
+describe('fillTemplate', () => {
+  it('replaces every occurrence of a variable', () => {
+    expect(fillTemplate('{{a}} and {{ a }}', { a: 'cat' })).toBe('cat and cat')
+  })
+
+  it('trims values', () => {
+    expect(fillTemplate('A {{color}} cat', { color: '  red ' })).toBe('A red cat')
+  })
+
+  it('keeps placeholders for missing or blank values', () => {
+    expect(fillTemplate('{{a}} {{b}}', { a: ' ' })).toBe('{{a}} {{b}}')
+  })
+})
+
+// ============================================================================
+// Export / import
+// ============================================================================
+
+describe('buildTemplateExport', () => {
+  it('wraps templates with type and version', () => {
+    const data = buildTemplateExport([
+      { id: 1, uuid: 'u1', name: 'T', mode: 'sticker', content: '{{x}}', createdAt: 1, updatedAt: 2 },
+    ])
+    expect(data.type).toBe(TEMPLATE_EXPORT_TYPE)
+    expect(data.version).toBe(1)
+    expect(data.templates[0]).toEqual({
+      uuid: 'u1',
+      name: 'T',
+      mode: 'sticker',
+      content: '{{x}}',
+      createdAt: 1,
+      updatedAt: 2,
+    })
+  })
+})
+
+describe('parseTemplateImport', () => {
+  it('round-trips an export', () => {
+    const data = buildTemplateExport([
+      { uuid: 'u1', name: 'Flow', mode: 'diagram', content: 'Flow of {{topic}}', createdAt: 5 },
+    ])
+    const { templates, invalid } = parseTemplateImport(JSON.parse(JSON.stringify(data)))
+    expect(invalid).toBe(0)
+    expect(templates).toEqual([
+      { uuid: 'u1', name: 'Flow', mode: 'diagram', content: 'Flow of {{topic}}', createdAt: 5 },
+    ])
+  })
+
+  it('drops entries with unknown mode or missing fields', () => {
+    const { templates, invalid } = parseTemplateImport({
+      version: 1,
+      type: TEMPLATE_EXPORT_TYPE,
+      templates: [
+        { name: 'ok', mode: 'generate', content: 'x' },
+        { name: 'bad mode', mode: 'nope', content: 'x' },
+        { name: '', mode: 'generate', content: 'x' },
+        { name: 'empty', mode: 'generate', content: '  ' },
+        null,
+      ],
+    })
+    expect(templates).toHaveLength(1)
+    expect(templates[0].uuid).toBeNull()
+    expect(invalid).toBe(4)
+  })
+
+  it('throws on non-template files', () => {
+    expect(() => parseTemplateImport({ version: 1, type: 'characters', characters: [] })).toThrow()
+    expect(() => parseTemplateImport(null)).toThrow()
+  })
+})
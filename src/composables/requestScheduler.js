@@ -4,6 +4,8 @@
  * This module provides utilities for managing concurrent API requests with:
  * - Rate limiting (RPM enforcement via minimum intervals)
  * - Concurrency control (parallel execution with order preservation)
+ * - Origin-wide variants shared by every open tab (Web Locks + localStorage)
+ * - Adaptive concurrency (AIMD) that backs off on rate limits and timeouts
  *
  * @module requestScheduler
  */
@@ -59,7 +61,8 @@ export const clampInt = (value, min, max, fallback) => {
  *
  * @remarks
  * - This is a single-threaded (per-tab) limiter
- * - Multiple browser tabs will each have their own limiter instance
+ * - Multiple browser tabs will each have their own limiter instance;
+ *   use createSharedMinIntervalLimiter to share the limit across tabs
  * - The limiter is resilient to cancelled/rejected promises in the chain
  */
 export const createMinIntervalLimiter = ({ minIntervalMs }) => {
@@ -90,6 +93,169 @@ export const createMinIntervalLimiter = ({ minIntervalMs }) => {
   return { acquire }
 }
 
+/**
+ * Read the browser's Web Locks manager, if any
+ * @returns {LockManager|null}
+ */
+const getDefaultLocks = () => globalThis.navigator?.locks || null
+
+/**
+ * Read localStorage, if accessible (it throws in some privacy modes)
+ * @returns {Storage|null}
+ */
+const getDefaultStorage = () => {
+  try {
+    return globalThis.localStorage || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Creates a rate limiter shared by every tab of the origin.
+ *
+ * acquire() runs inside an exclusive Web Lock, so only one tab at a time reads
+ * and advances the next allowed start time, which is kept in localStorage.
+ * Falls back to createMinIntervalLimiter (per-tab) when Web Locks or
+ * localStorage are unavailable.
+ *
+ * @param {Object} options - Limiter configuration
+ * @param {string} options.name - Lock name and storage key prefix (one per limit)
+ * @param {number} options.minIntervalMs - Minimum milliseconds between request starts
+ * @param {LockManager} [options.locks] - Defaults to navigator.locks
+ * @param {Storage} [options.storage] - Defaults to localStorage
+ * @returns {{ acquire: () => Promise<void>, isShared: boolean }}
+ *
+ * @example
+ * const limiter = createSharedMinIntervalLimiter({ name: 'nbp-image-start', minIntervalMs: 3000 })
+ * await limiter.acquire() // Waits for requests started in this and other tabs
+ */
+export const createSharedMinIntervalLimiter = ({
+  name,
+  minIntervalMs,
+  locks = getDefaultLocks(),
+  storage = getDefaultStorage(),
+}) => {
+  if (!locks || !storage) {
+    return { ...createMinIntervalLimiter({ minIntervalMs }), isShared: false }
+  }
+
+  const key = `${name}:next-start`
+
+  const acquire = () =>
+    locks.request(name, async () => {
+      const nextAllowedStartAt = Number(storage.getItem(key)) || 0
+      // Cap the wait so a bad value (clock change, manual edit) can't stall every tab
+      const waitMs = Math.min(minIntervalMs, Math.max(0, nextAllowedStartAt - Date.now()))
+      if (waitMs > 0) {
+        await sleep(waitMs)
+      }
+      storage.setItem(key, String(Date.now() + minIntervalMs))
+    })
+
+  return { acquire, isShared: true }
+}
+
+/**
+ * Creates a counting semaphore shared by every tab of the origin.
+ *
+ * Each of the `size` slots is a Web Lock; holding one means one request in
+ * flight. acquire() first tries every slot without waiting, then queues on one
+ * slot (round-robin). Locks held by a closed or crashed tab are released by
+ * the browser. Falls back to a per-tab semaphore without Web Locks.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Lock name prefix
+ * @param {number} options.size - Maximum concurrent holders across all tabs
+ * @param {LockManager} [options.locks] - Defaults to navigator.locks
+ * @returns {{ acquire: () => Promise<() => void>, isShared: boolean }} acquire resolves
+ *   with a release function (safe to call more than once)
+ *
+ * @example
+ * const slots = createSharedSemaphore({ name: 'nbp-image-slot', size: 10 })
+ * const release = await slots.acquire()
+ * try { await makeApiCall() } finally { release() }
+ */
+export const createSharedSemaphore = ({ name, size, locks = getDefaultLocks() }) => {
+  if (!locks) {
+    return { ...createLocalSemaphore(size), isShared: false }
+  }
+
+  let nextSlot = 0
+
+  // Resolves with a release function once the slot lock is held, or null if
+  // `ifAvailable` was set and the slot is taken
+  const holdSlot = (slot, options) =>
+    new Promise((resolve, reject) => {
+      let release
+      const held = new Promise((r) => {
+        release = r
+      })
+      locks
+        .request(`${name}:${slot}`, options, (lock) => {
+          if (!lock) {
+            resolve(null)
+            return undefined
+          }
+          resolve(once(release))
+          // The lock is held until this promise settles
+          return held
+        })
+        .catch(reject)
+    })
+
+  const acquire = async () => {
+    for (let i = 0; i < size; i++) {
+      const release = await holdSlot(i, { ifAvailable: true })
+      if (release) return release
+    }
+    const slot = nextSlot
+    nextSlot = (nextSlot + 1) % size
+    return holdSlot(slot, {})
+  }
+
+  return { acquire, isShared: true }
+}
+
+/**
+ * @param {Function} fn
+ * @returns {Function} fn that only runs on the first call
+ */
+const once = (fn) => {
+  let called = false
+  return () => {
+    if (called) return
+    called = true
+    fn()
+  }
+}
+
+/**
+ * Per-tab counting semaphore (fallback for createSharedSemaphore)
+ * @param {number} size
+ * @returns {{ acquire: () => Promise<() => void> }}
+ */
+const createLocalSemaphore = (size) => {
+  let active = 0
+  const waiters = []
+
+  const acquire = async () => {
+    if (active >= size) {
+      await new Promise((resolve) => waiters.push(resolve))
+    } else {
+      active++
+    }
+    return once(() => {
+      const next = waiters.shift()
+      // Hand the slot straight to the next waiter, or free it
+      if (next) next()
+      else active--
+    })
+  }
+
+  return { acquire }
+}
+
 /**
  * Custom error class for timeout errors
  * Allows distinguishing timeout errors from other errors for retry logic
@@ -194,3 +360,177 @@ export const mapConcurrent = async (items, concurrency, mapper) => {
   return results
 }
 
+// ============================================================================
+// Adaptive concurrency (AIMD)
+// ============================================================================
+
+// classifyError reasons that mean "slow down" rather than "this request is bad"
+const CONGESTION_REASONS = ['HTTP 429', 'HTTP 503', 'HTTP 504', 'quota', 'timeout', 'timed out', 'overloaded', 'capacity']
+
+/**
+ * Whether a classified error signals rate limiting or overload
+ * @param {{ reason?: string }} errorClass - From classifyError (or a failed job's errorReason)
+ * @returns {boolean}
+ */
+export const isCongestionError = (errorClass) => CONGESTION_REASONS.includes(errorClass?.reason)
+
+/**
+ * Creates an AIMD (additive increase, multiplicative decrease) controller for
+ * concurrency and start spacing, as used by TCP congestion control:
+ * - Congestion (429, quota, timeout): halve the limit and double the start interval
+ * - A full round of fast successes (`limit` in a row): limit + 1, interval shrinks
+ * - Slow successes (over `slowLatencyMs`): hold steady
+ *
+ * Congestion signals within `cooldownMs` of the last decrease count once, since
+ * requests already in flight tend to fail together.
+ *
+ * @param {Object} options
+ * @param {number} options.initial - Starting concurrency
+ * @param {number} [options.min=1]
+ * @param {number} options.max
+ * @param {number} [options.baseIntervalMs=0] - Start interval when not congested
+ * @param {number} [options.maxIntervalMs=30000]
+ * @param {number} [options.intervalStepMs=1000] - First interval after congestion when the base is 0
+ * @param {number} [options.slowLatencyMs=Infinity]
+ * @param {number} [options.cooldownMs=5000]
+ * @param {(snapshot: AdaptiveSnapshot) => void} [options.onChange]
+ * @param {() => number} [options.now=Date.now]
+ * @returns {AdaptiveController}
+ *
+ * @typedef {Object} AdaptiveSnapshot
+ * @property {number} limit - Current concurrency
+ * @property {number} intervalMs - Current minimum spacing between starts
+ * @property {number} startsPerMinute - Starts in the last 60 seconds
+ *
+ * @typedef {Object} AdaptiveController
+ * @property {number} limit
+ * @property {number} intervalMs
+ * @property {() => void} recordStart
+ * @property {(latencyMs: number) => void} recordSuccess
+ * @property {() => void} recordCongestion
+ * @property {() => AdaptiveSnapshot} getSnapshot
+ *
+ * @example
+ * const adaptive = createAdaptiveConcurrency({ initial: 3, max: 10 })
+ * await mapAdaptive(pages, adaptive, generatePage)
+ */
+export const createAdaptiveConcurrency = ({
+  initial,
+  min = 1,
+  max,
+  baseIntervalMs = 0,
+  maxIntervalMs = 30_000,
+  intervalStepMs = 1000,
+  slowLatencyMs = Infinity,
+  cooldownMs = 5000,
+  onChange = null,
+  now = Date.now,
+}) => {
+  let limit = clampInt(initial, min, max, min)
+  let intervalMs = baseIntervalMs
+  let successStreak = 0
+  let lastDecreaseAt = -Infinity
+  let starts = []
+
+  const getSnapshot = () => {
+    const cutoff = now() - 60_000
+    starts = starts.filter((t) => t > cutoff)
+    return { limit, intervalMs, startsPerMinute: starts.length }
+  }
+
+  const notify = () => onChange?.(getSnapshot())
+
+  const recordStart = () => {
+    starts.push(now())
+    notify()
+  }
+
+  const recordSuccess = (latencyMs) => {
+    if (latencyMs > slowLatencyMs) {
+      successStreak = 0
+      return
+    }
+    intervalMs = Math.max(baseIntervalMs, Math.floor(intervalMs * 0.75))
+    if (intervalMs < intervalStepMs / 2) intervalMs = baseIntervalMs
+    successStreak++
+    if (successStreak >= limit && limit < max) {
+      limit++
+      successStreak = 0
+    }
+    notify()
+  }
+
+  const recordCongestion = () => {
+    successStreak = 0
+    if (now() - lastDecreaseAt < cooldownMs) return
+    lastDecreaseAt = now()
+    limit = Math.max(min, Math.floor(limit / 2))
+    intervalMs = Math.min(maxIntervalMs, Math.max(intervalStepMs, intervalMs * 2, baseIntervalMs))
+    notify()
+  }
+
+  return {
+    get limit() {
+      return limit
+    },
+    get intervalMs() {
+      return intervalMs
+    },
+    recordStart,
+    recordSuccess,
+    recordCongestion,
+    getSnapshot,
+  }
+}
+
+/**
+ * Like mapConcurrent, but the number of workers and the spacing between
+ * starts follow an adaptive controller and can change while running.
+ * Results keep the input order. If a mapper throws, the remaining items still
+ * run and the first error is rethrown at the end.
+ *
+ * The mapper (or the code it calls) reports outcomes with
+ * controller.recordSuccess / recordCongestion; mapAdaptive only records starts.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {AdaptiveController} controller - From createAdaptiveConcurrency
+ * @param {(item: T, index: number) => Promise<R>} mapper
+ * @returns {Promise<R[]>}
+ */
+export const mapAdaptive = async (items, controller, mapper) => {
+  const results = new Array(items.length)
+  const running = new Set()
+  let nextStartAt = 0
+  let failure = null
+
+  for (let index = 0; index < items.length; index++) {
+    while (running.size >= controller.limit) {
+      await Promise.race(running)
+    }
+
+    const waitMs = nextStartAt - Date.now()
+    if (waitMs > 0) {
+      await sleep(waitMs)
+    }
+    nextStartAt = Date.now() + controller.intervalMs
+    controller.recordStart()
+
+    const task = Promise.resolve()
+      .then(() => mapper(items[index], index))
+      .then(
+        (result) => {
+          results[index] = result
+        },
+        (err) => {
+          failure = failure || { err }
+        },
+      )
+      .finally(() => running.delete(task))
+    running.add(task)
+  }
+
+  await Promise.all(running)
+  if (failure) throw failure.err
+  return results
+}
@@ -1,5 +1,16 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { clampInt, TimeoutError, withTimeout, mapConcurrent, createMinIntervalLimiter } from './requestScheduler'
+import {
+  clampInt,
+  TimeoutError,
+  withTimeout,
+  mapConcurrent,
+  createMinIntervalLimiter,
+  createSharedMinIntervalLimiter,
+  createSharedSemaphore,
+  isCongestionError,
+  createAdaptiveConcurrency,
+  mapAdaptive,
+} from './requestScheduler'
 
 // ============================================================================
 // clampInt
@@ -218,3 +229,321 @@ describe('createMinIntervalLimiter', () => {
     expect(order).toEqual([1, 2, 3])
   })
 })
+
+// ============================================================================
+// Shared (cross-tab) limiter and semaphore
+// ============================================================================
+
+/** In-memory Web Locks: exclusive per name, FIFO, with ifAvailable */
+const createFakeLocks = () => {
+  const held = new Set()
+  const queues = new Map()
+
+  const run = async (name, callback) => {
+    held.add(name)
+    try {
+      return await callback({ name })
+    } finally {
+      held.delete(name)
+      queues.get(name)?.shift()?.()
+    }
+  }
+
+  const request = (name, options, callback) => {
+    if (typeof options === 'function') return request(name, {}, options)
+    if (!held.has(name)) return run(name, callback)
+    if (options.ifAvailable) return Promise.resolve(callback(null))
+    return new Promise((resolve, reject) => {
+      if (!queues.has(name)) queues.set(name, [])
+      queues.get(name).push(() => run(name, callback).then(resolve, reject))
+    })
+  }
+
+  return { request }
+}
+
+/** localStorage stand-in shared by "tabs" */
+const createFakeStorage = () => {
+  const map = new Map()
+  return {
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+  }
+}
+
+describe('createSharedMinIntervalLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('spaces starts across limiters that share locks and storage', async () => {
+    const locks = createFakeLocks()
+    const storage = createFakeStorage()
+    const tabA = createSharedMinIntervalLimiter({ name: 'test', minIntervalMs: 1000, locks, storage })
+    const tabB = createSharedMinIntervalLimiter({ name: 'test', minIntervalMs: 1000, locks, storage })
+    expect(tabA.isShared).toBe(true)
+
+    const starts = []
+    const start = Date.now()
+    const p1 = tabA.acquire().then(() => starts.push(Date.now() - start))
+    const p2 = tabB.acquire().then(() => starts.push(Date.now() - start))
+    const p3 = tabA.acquire().then(() => starts.push(Date.now() - start))
+
+    await vi.advanceTimersByTimeAsync(2500)
+    await Promise.all([p1, p2, p3])
+
+    expect(starts).toEqual([0, 1000, 2000])
+  })
+
+  it('caps the wait when the stored time is far in the future', async () => {
+    const storage = createFakeStorage()
+    storage.setItem('test:next-start', String(Date.now() + 3_600_000))
+    const limiter = createSharedMinIntervalLimiter({ name: 'test', minIntervalMs: 500, locks: createFakeLocks(), storage })
+
+    let done = false
+    limiter.acquire().then(() => {
+      done = true
+    })
+    await vi.advanceTimersByTimeAsync(500)
+    expect(done).toBe(true)
+  })
+
+  it('falls back to a per-tab limiter without Web Locks', () => {
+    const limiter = createSharedMinIntervalLimiter({ name: 'test', minIntervalMs: 100, locks: null, storage: null })
+    expect(limiter.isShared).toBe(false)
+    expect(typeof limiter.acquire).toBe('function')
+  })
+})
+
+describe('createSharedSemaphore', () => {
+  it('limits holders across semaphores that share locks', async () => {
+    const locks = createFakeLocks()
+    const tabA = createSharedSemaphore({ name: 'slot', size: 2, locks })
+    const tabB = createSharedSemaphore({ name: 'slot', size: 2, locks })
+
+    const releaseA = await tabA.acquire()
+    const releaseB = await tabB.acquire()
+
+    let thirdAcquired = false
+    const third = tabA.acquire().then((release) => {
+      thirdAcquired = true
+      return release
+    })
+    await Promise.resolve()
+    expect(thirdAcquired).toBe(false)
+
+    releaseA()
+    const releaseC = await third
+    expect(thirdAcquired).toBe(true)
+
+    releaseB()
+    releaseC()
+  })
+
+  it('ignores repeated release calls', async () => {
+    const locks = createFakeLocks()
+    const semaphore = createSharedSemaphore({ name: 'slot', size: 1, locks })
+
+    const release = await semaphore.acquire()
+    release()
+    release()
+
+    const first = await semaphore.acquire()
+    let secondAcquired = false
+    semaphore.acquire().then(() => {
+      secondAcquired = true
+    })
+    await Promise.resolve()
+    expect(secondAcquired).toBe(false)
+    first()
+  })
+
+  it('falls back to a per-tab semaphore without Web Locks', async () => {
+    const semaphore = createSharedSemaphore({ name: 'slot', size: 1, locks: null })
+    expect(semaphore.isShared).toBe(false)
+
+    const release = await semaphore.acquire()
+    let secondAcquired = false
+    const second = semaphore.acquire().then((next) => {
+      secondAcquired = true
+      return next
+    })
+    await Promise.resolve()
+    expect(secondAcquired).toBe(false)
+
+    release()
+    ;(await second)()
+    expect(secondAcquired).toBe(true)
+  })
+})
+
+// ============================================================================
+// Adaptive concurrency
+// ============================================================================
+
+describe('isCongestionError', () => {
+  it('matches rate limit, overload and timeout reasons', () => {
+    expect(isCongestionError({ reason: 'HTTP 429' })).toBe(true)
+    expect(isCongestionError({ reason: 'quota' })).toBe(true)
+    expect(isCongestionError({ reason: 'timeout' })).toBe(true)
+    expect(isCongestionError({ reason: 'overloaded' })).toBe(true)
+  })
+
+  it('ignores request errors and missing input', () => {
+    expect(isCongestionError({ reason: 'HTTP 400' })).toBe(false)
+    expect(isCongestionError({ reason: 'safety' })).toBe(false)
+    expect(isCongestionError(null)).toBe(false)
+  })
+})
+
+describe('createAdaptiveConcurrency', () => {
+  let clock
+  const now = () => clock
+
+  beforeEach(() => {
+    clock = 100_000
+  })
+
+  it('clamps the initial limit', () => {
+    expect(createAdaptiveConcurrency({ initial: 20, max: 10, now }).limit).toBe(10)
+    expect(createAdaptiveConcurrency({ initial: 0, min: 2, max: 10, now }).limit).toBe(2)
+  })
+
+  it('halves the limit and widens the interval on congestion', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 8, max: 10, intervalStepMs: 1000, now })
+    adaptive.recordCongestion()
+    expect(adaptive.limit).toBe(4)
+    expect(adaptive.intervalMs).toBe(1000)
+
+    clock += 10_000
+    adaptive.recordCongestion()
+    expect(adaptive.limit).toBe(2)
+    expect(adaptive.intervalMs).toBe(2000)
+  })
+
+  it('counts congestion within the cooldown once', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 8, max: 10, cooldownMs: 5000, now })
+    adaptive.recordCongestion()
+    clock += 1000
+    adaptive.recordCongestion()
+    adaptive.recordCongestion()
+    expect(adaptive.limit).toBe(4)
+  })
+
+  it('never goes below min or above maxIntervalMs', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 2, min: 1, max: 10, maxIntervalMs: 3000, now })
+    for (let i = 0; i < 5; i++) {
+      adaptive.recordCongestion()
+      clock += 10_000
+    }
+    expect(adaptive.limit).toBe(1)
+    expect(adaptive.intervalMs).toBe(3000)
+  })
+
+  it('adds one after a full round of successes, up to max', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 2, max: 3, now })
+    adaptive.recordSuccess(100)
+    expect(adaptive.limit).toBe(2)
+    adaptive.recordSuccess(100)
+    expect(adaptive.limit).toBe(3)
+    for (let i = 0; i < 6; i++) adaptive.recordSuccess(100)
+    expect(adaptive.limit).toBe(3)
+  })
+
+  it('shrinks the interval back to the base as requests succeed', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 4, max: 10, baseIntervalMs: 0, intervalStepMs: 1000, now })
+    adaptive.recordCongestion()
+    clock += 10_000
+    adaptive.recordCongestion()
+    expect(adaptive.intervalMs).toBe(2000)
+
+    adaptive.recordSuccess(100)
+    expect(adaptive.intervalMs).toBe(1500)
+    for (let i = 0; i < 5; i++) adaptive.recordSuccess(100)
+    expect(adaptive.intervalMs).toBe(0)
+  })
+
+  it('holds steady on slow successes', () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 1, max: 10, slowLatencyMs: 5000, now })
+    adaptive.recordSuccess(9000)
+    adaptive.recordSuccess(9000)
+    expect(adaptive.limit).toBe(1)
+    adaptive.recordSuccess(100)
+    expect(adaptive.limit).toBe(2)
+  })
+
+  it('reports starts in the last minute to onChange', () => {
+    const onChange = vi.fn()
+    const adaptive = createAdaptiveConcurrency({ initial: 2, max: 10, onChange, now })
+    adaptive.recordStart()
+    clock += 30_000
+    adaptive.recordStart()
+    expect(onChange).toHaveBeenLastCalledWith({ limit: 2, intervalMs: 0, startsPerMinute: 2 })
+
+    clock += 40_000
+    expect(adaptive.getSnapshot().startsPerMinute).toBe(1)
+  })
+})
+
+describe('mapAdaptive', () => {
+  it('preserves order of results', async () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 3, max: 3 })
+    const results = await mapAdaptive([30, 10, 20], adaptive, async (item) => {
+      await new Promise((r) => setTimeout(r, item))
+      return item * 2
+    })
+    expect(results).toEqual([60, 20, 40])
+  })
+
+  it('follows the limit as it changes', async () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 4, max: 4, intervalStepMs: 0 })
+    let running = 0
+    const maxRunning = []
+
+    await mapAdaptive([1, 2, 3, 4, 5, 6, 7, 8], adaptive, async (item) => {
+      running++
+      maxRunning.push(running)
+      await new Promise((r) => setTimeout(r, 5))
+      if (item === 1) adaptive.recordCongestion()
+      running--
+    })
+
+    expect(Math.max(...maxRunning)).toBeLessThanOrEqual(4)
+    // After the limit drops to 2, no more than 2 run at once
+    expect(Math.max(...maxRunning.slice(4))).toBeLessThanOrEqual(2)
+  })
+
+  it('spaces starts by the current interval', async () => {
+    vi.useFakeTimers()
+    try {
+      const adaptive = createAdaptiveConcurrency({ initial: 3, max: 3, baseIntervalMs: 1000 })
+      const startedAt = []
+      const promise = mapAdaptive([1, 2, 3], adaptive, async () => {
+        startedAt.push(Date.now())
+      })
+      await vi.runAllTimersAsync()
+      await promise
+      expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(1000)
+      expect(startedAt[2] - startedAt[1]).toBeGreaterThanOrEqual(1000)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('runs every item before rethrowing the first error', async () => {
+    const adaptive = createAdaptiveConcurrency({ initial: 2, max: 2 })
+    const seen = []
+    await expect(
+      mapAdaptive([1, 2, 3], adaptive, async (item) => {
+        seen.push(item)
+        if (item === 1) throw new Error('boom')
+        return item
+      }),
+    ).rejects.toThrow('boom')
+    expect(seen).toEqual([1, 2, 3])
+  })
+})
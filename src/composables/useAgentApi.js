@@ -1,7 +1,8 @@
 import { ref } from 'vue'
-import { GoogleGenAI } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
 import { useApiKeyManager } from './useApiKeyManager'
 import { useGeneratorStore } from '@/stores/generator'
+import { recordUsage } from './useUsageLedger'
 
 // Agent mode requires gemini-3-flash-preview specifically (codeExecution tool support)
 const AGENT_MODEL = 'gemini-3-flash-preview'
@@ -183,7 +184,7 @@ export function useAgentApi() {
     const { onPart, onComplete, onError, conversation } = callbacks
 
     return await callWithFallback(async (apiKey) => {
-      const ai = new GoogleGenAI({ apiKey })
+      const ai = createGenAIClient(apiKey)
       const contextDepth = store.agentOptions.contextDepth || 5
 
       isStreaming.value = true
@@ -239,8 +240,10 @@ export function useAgentApi() {
         }
 
         const response = await chat.sendMessageStream({ message: messageParts })
+        let usageMetadata = null
 
         for await (const chunk of response) {
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata
           if (chunk.candidates && chunk.candidates.length > 0) {
             for (const candidate of chunk.candidates) {
               if (candidate.content && candidate.content.parts) {
@@ -257,6 +260,10 @@ export function useAgentApi() {
           }
         }
 
+        if (usageMetadata) {
+          recordUsage({ source: 'agent', mode: 'agent', model: AGENT_MODEL, apiKey, usageMetadata })
+        }
+
         if (onComplete) {
           onComplete(accumulatedParts)
         }
@@ -1,29 +1,26 @@
 import { ref, computed } from 'vue'
-import { GoogleGenAI, Modality, ThinkingLevel } from '@google/genai'
-import { useLocalStorage } from './useLocalStorage'
-import { isQuotaError } from './useApiKeyManager'
 import { buildPrompt } from './promptBuilders'
+import { recordUsage } from './useUsageLedger'
+import { classifyApiError } from './apiErrors'
+import { useImageProvider } from './useImageProvider'
 import {
   clampInt,
-  createMinIntervalLimiter,
+  createSharedMinIntervalLimiter,
+  createSharedSemaphore,
+  isCongestionError,
+  mapAdaptive,
   mapConcurrent,
   sleep,
   withTimeout,
   TimeoutError,
 } from './requestScheduler'
 import {
-  DEFAULT_MODEL,
-  VALID_RATIOS,
-  RESOLUTION_API_MAP,
   IMAGE_MIN_START_INTERVAL_MS,
+  IMAGE_MAX_IN_FLIGHT,
   DEFAULT_RETRY_CONFIG,
   RETRY_LIMITS,
   DEFAULT_REQUEST_TIMEOUT_MS,
   ERROR_CATEGORY,
-  PERMANENT_ERROR_CODES,
-  RETRIABLE_ERROR_CODES,
-  PERMANENT_ERROR_PATTERNS,
-  RETRIABLE_ERROR_PATTERNS,
 } from '@/constants'
 import { t } from '@/i18n'
 
@@ -34,14 +31,20 @@ export { buildPrompt } from './promptBuilders'
 // API Composable
 // ============================================================================
 
-// Rate limiter: enforces minimum interval between image generation starts
-const imageStartLimiter = createMinIntervalLimiter({ minIntervalMs: IMAGE_MIN_START_INTERVAL_MS })
+// Rate limiter: enforces minimum interval between image generation starts (all tabs)
+const imageStartLimiter = createSharedMinIntervalLimiter({
+  name: 'nbp-image-start',
+  minIntervalMs: IMAGE_MIN_START_INTERVAL_MS,
+})
+
+// In-flight slots: caps concurrent image requests across all tabs
+const imageSlots = createSharedSemaphore({ name: 'nbp-image-slot', size: IMAGE_MAX_IN_FLIGHT })
 
 export function useApi() {
   const loadingCount = ref(0)
   const isLoading = computed(() => loadingCount.value > 0)
   const error = ref(null)
-  const { getApiKey } = useLocalStorage()
+  const { resolveImageProvider, resolveCredentials, reportCredentialResult } = useImageProvider()
 
   const withLoading = async (fn) => {
     loadingCount.value += 1
@@ -53,91 +56,15 @@ export function useApi() {
   }
 
   /**
-   * Extract HTTP status code from various error formats
+   * Classify an error with the shared HTTP/message rules (provider-agnostic)
+   * @see classifyApiError
    */
-  const getErrorStatus = (err) =>
-    err?.status ??
-    err?.code ??
-    err?.response?.status ??
-    err?.error?.status ??
-    err?.error?.code ??
-    null
+  const classifyError = classifyApiError
 
-  /**
-   * Extract error message from various error formats
-   */
-  const getErrorMessage = (err) => {
-    const message =
-      err?.message || err?.error?.message || err?.response?.data?.message || String(err || '')
-    return message.toLowerCase()
-  }
-
-  /**
-   * Classify an error into categories: PERMANENT, RETRIABLE, or UNKNOWN
-   * This helps determine whether to retry and what to tell the user
-   *
-   * @param {Error} err - The error to classify
-   * @returns {{ category: string, reason: string, isRetriable: boolean }}
-   */
-  const classifyError = (err) => {
-    const status = getErrorStatus(err)
-    const message = getErrorMessage(err)
-
-    // Check permanent status codes first
-    if (PERMANENT_ERROR_CODES.includes(status)) {
-      return {
-        category: ERROR_CATEGORY.PERMANENT,
-        reason: `HTTP ${status}`,
-        isRetriable: false,
-      }
-    }
-
-    // Check retriable status codes
-    if (RETRIABLE_ERROR_CODES.includes(status)) {
-      return {
-        category: ERROR_CATEGORY.RETRIABLE,
-        reason: `HTTP ${status}`,
-        isRetriable: true,
-      }
-    }
-
-    // Check permanent error patterns
-    for (const pattern of PERMANENT_ERROR_PATTERNS) {
-      if (message.includes(pattern)) {
-        return {
-          category: ERROR_CATEGORY.PERMANENT,
-          reason: pattern,
-          isRetriable: false,
-        }
-      }
-    }
-
-    // Check retriable error patterns
-    for (const pattern of RETRIABLE_ERROR_PATTERNS) {
-      if (message.includes(pattern)) {
-        return {
-          category: ERROR_CATEGORY.RETRIABLE,
-          reason: pattern,
-          isRetriable: true,
-        }
-      }
-    }
-
-    // Quota errors are retriable (may succeed with different key or after waiting)
-    if (isQuotaError(err)) {
-      return {
-        category: ERROR_CATEGORY.RETRIABLE,
-        reason: 'quota',
-        isRetriable: true,
-      }
-    }
-
-    // Unknown errors - default to retriable for safety (might be transient)
-    return {
-      category: ERROR_CATEGORY.UNKNOWN,
-      reason: 'unknown',
-      isRetriable: true,
-    }
+  // Why a provider has no usable credentials
+  const missingCredentialsMessage = (provider, credentials) => {
+    if (provider.id !== 'gemini') return t('errors.imageProviderNotConfigured')
+    return credentials.overBudget ? t('budget.keysSpent') : t('errors.apiKeyNotSet')
   }
 
   const computeBackoffMs = (attempt, { baseMs, maxMs, jitterMs }) => {
@@ -147,83 +74,9 @@ export function useApi() {
   }
 
   /**
-   * Build content parts for SDK request
-   */
-  const buildContentParts = (prompt, referenceImages = []) => {
-    const parts = []
-
-    // Add text prompt
-    parts.push({ text: prompt })
-
-    // Add reference images (supports multiple images for all modes)
-    if (referenceImages && referenceImages.length > 0) {
-      for (const image of referenceImages) {
-        parts.push({
-          inlineData: {
-            mimeType: image.mimeType || 'image/jpeg',
-            data: image.data,
-          },
-        })
-      }
-    }
-
-    return parts
-  }
-
-  /**
-   * Build SDK generation config
-   */
-  const buildSdkConfig = (options = {}) => {
-    const model = options.model || DEFAULT_MODEL
-    const is31Flash = model === 'gemini-3.1-flash-image-preview'
-
-    const config = {
-      // 3.1 Flash outputs images only; older models return both image and text
-      responseModalities: is31Flash
-        ? [Modality.IMAGE]
-        : [Modality.IMAGE, Modality.TEXT],
-    }
-
-    // Add temperature if specified
-    if (options.temperature !== undefined && options.temperature !== null) {
-      config.temperature = parseFloat(options.temperature)
-    }
-
-    // Add seed if specified
-    if (options.seed !== undefined && options.seed !== null && options.seed !== '') {
-      config.seed = parseInt(options.seed, 10)
-    }
-
-    // Build image config
-    const imageConfig = {}
-
-    // Add aspect ratio
-    if (options.ratio && VALID_RATIOS.has(options.ratio)) {
-      imageConfig.aspectRatio = options.ratio
-    }
-
-    // Add resolution/image size (camelCase for SDK)
-    if (options.resolution && RESOLUTION_API_MAP[options.resolution]) {
-      imageConfig.imageSize = RESOLUTION_API_MAP[options.resolution]
-    }
-
-    if (Object.keys(imageConfig).length > 0) {
-      config.imageConfig = imageConfig
-    }
-
-    // Thinking config: 3.1 Flash uses thinkingLevel, older models use includeThoughts
-    config.thinkingConfig = is31Flash
-      ? { thinkingLevel: ThinkingLevel.HIGH }
-      : { includeThoughts: true }
-
-    // Enable Google Search for real-time data (weather, stocks, etc.)
-    config.tools = [{ googleSearch: {} }]
-
-    return config
-  }
-
-  /**
-   * Stream API call using @google/genai SDK
+   * Generate images through the active image provider (Gemini by default),
+   * with retries, per-attempt timeout and start-rate limiting.
+   * Thinking chunks are streamed when the provider supports it.
    */
   const generateImageStream = async (
     prompt,
@@ -234,9 +87,9 @@ export function useApi() {
     request = {},
   ) => {
     return await withLoading(async () => {
-      const apiKey = getApiKey()
-      if (!apiKey) {
-        throw new Error(t('errors.apiKeyNotSet'))
+      const { provider, credentials: initialCredentials } = resolveImageProvider()
+      if (!provider.isConfigured(initialCredentials)) {
+        throw new Error(missingCredentialsMessage(provider, initialCredentials))
       }
 
       error.value = null
@@ -269,21 +122,20 @@ export function useApi() {
 
       const jobId = request?.jobId || null
 
+      // Optional adaptive concurrency controller (generateImagesBatch) fed with attempt outcomes
+      const adaptive = request?.adaptive || null
+
       // Per-request timeout (can be overridden, 0 = no timeout)
       const timeoutMs = clampInt(request?.timeoutMs, 0, 300_000, DEFAULT_REQUEST_TIMEOUT_MS)
 
       // Build the enhanced prompt once (reused across retries)
       const enhancedPrompt = buildPrompt(prompt, options, mode)
 
-      // Build content parts and config once (reused across retries)
-      const parts = buildContentParts(enhancedPrompt, referenceImages)
-      const config = buildSdkConfig(options)
+      // Edit mode uses the provider's edit call; Gemini treats both the same
+      const runAttempt = mode === 'edit' ? provider.edit : provider.generate
 
-      // Get model
-      const model = options.model || DEFAULT_MODEL
-
-      // Notify that 3.1 Flash doesn't expose thinking process
-      if (model === 'gemini-3.1-flash-image-preview' && onThinkingChunk) {
+      // Notify when the provider/model doesn't expose a thinking process
+      if (!provider.streamsThinking(options) && onThinkingChunk) {
         onThinkingChunk(`[${t('generation.noThinkingProcess')}]\n`)
       }
 
@@ -292,8 +144,19 @@ export function useApi() {
       let currentAbortController = null
 
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Retries pick a key again, so a key in quota cooldown is skipped
+        const credentials = attempt === 1 ? initialCredentials : resolveCredentials(provider.id)
+        // Every key may have reached its budget limit since the last attempt
+        if (!provider.isConfigured(credentials)) {
+          throw new Error(missingCredentialsMessage(provider, credentials))
+        }
+
+        // Hold an origin-wide slot for the attempt (released before backoff sleeps)
+        const releaseSlot = await imageSlots.acquire()
+
         // Intentional sleeping to respect RPM limits (start-rate)
         await imageStartLimiter.acquire()
+        const attemptStartedAt = Date.now()
 
         // Abort previous attempt's request if still in-flight
         if (currentAbortController) {
@@ -312,90 +175,20 @@ export function useApi() {
           : null
 
         try {
-          // Wrap the entire streaming operation with timeout
+          // One provider attempt, wrapped with timeout below
           // On timeout, the AbortController cancels the underlying fetch request
-          const streamOperation = async () => {
-            // Initialize SDK client (fresh per attempt)
-            const ai = new GoogleGenAI({ apiKey })
-
-            // Make streaming API request using SDK with abort signal
-            const response = await ai.models.generateContentStream({
-              model,
-              contents: [{ role: 'user', parts }],
-              config: { ...config, abortSignal: attemptAbortController.signal },
-            })
-
-            // Process stream
-            const images = []
-            let textResponse = ''
-            let thinkingText = ''
-            let metadata = {}
-
-            for await (const chunk of response) {
-              // Process candidates
-              if (chunk.candidates && chunk.candidates.length > 0) {
-                const candidate = chunk.candidates[0]
-
-                if (candidate.content && candidate.content.parts) {
-                  for (const part of candidate.content.parts) {
-                    if (part.inlineData) {
-                      const imageData = {
-                        data: part.inlineData.data,
-                        mimeType: part.inlineData.mimeType || 'image/png',
-                        isThought: !!part.thought,
-                      }
-                      images.push(imageData)
-
-                      // If this is a thought image, send it to the thinking callback
-                      if (part.thought && guardedThinkingChunk) {
-                        guardedThinkingChunk({
-                          type: 'image',
-                          data: part.inlineData.data,
-                          mimeType: part.inlineData.mimeType || 'image/png',
-                        })
-                      }
-                    } else if (part.text) {
-                      // Check if this is thinking content (thought: true flag)
-                      if (part.thought) {
-                        // This is thinking/reasoning text
-                        if (guardedThinkingChunk) {
-                          guardedThinkingChunk(part.text)
-                        }
-                        thinkingText += part.text
-                      } else {
-                        // Regular text response
-                        textResponse += part.text
-                      }
-                    }
-                  }
-                }
-
-                // Capture metadata
-                if (candidate.finishReason) {
-                  metadata.finishReason = candidate.finishReason
-                }
-                if (candidate.safetyRatings) {
-                  metadata.safetyRatings = candidate.safetyRatings
-                }
-              }
-
-              // Model version
-              if (chunk.modelVersion) {
-                metadata.modelVersion = chunk.modelVersion
-              }
-            }
-
-            return {
-              images,
-              textResponse,
-              thinkingText,
-              metadata,
-            }
-          } // End of streamOperation
+          const streamPromise = runAttempt({
+            prompt: enhancedPrompt,
+            options,
+            referenceImages,
+            history: request?.history || [],
+            credentials,
+            signal: attemptAbortController.signal,
+            onThinkingChunk: guardedThinkingChunk,
+          })
 
           // Execute with timeout - on timeout, abort the in-flight request
-          const streamPromise = streamOperation()
-          const { images, textResponse, thinkingText, metadata } = await withTimeout(
+          const { images, textResponse, thinkingText, modelParts, metadata, model, usage } = await withTimeout(
             streamPromise,
             timeoutMs,
             `Image generation (attempt ${attempt})`,
@@ -410,6 +203,11 @@ export function useApi() {
             throw err
           })
 
+          // The call was billed whether or not it produced a usable image
+          if (usage) {
+            recordUsage({ source: 'image', mode, model, apiKey: credentials.apiKey, ...usage })
+          }
+
           // Filter: prefer non-thought images, but use thought images as fallback
           let finalImages = images.filter((img) => !img.isThought)
 
@@ -425,6 +223,8 @@ export function useApi() {
             throw new Error(t('errors.noImageData'))
           }
 
+          adaptive?.recordSuccess(Date.now() - attemptStartedAt)
+          reportCredentialResult(credentials, { ok: true })
           error.value = null
           return {
             success: true,
@@ -432,6 +232,7 @@ export function useApi() {
             images: finalImages,
             textResponse,
             thinkingText,
+            modelParts: modelParts || [],
             prompt: enhancedPrompt,
             originalPrompt: prompt,
             options,
@@ -451,13 +252,22 @@ export function useApi() {
           const isTimeout = err instanceof TimeoutError
           const errorClass = isTimeout
             ? { category: ERROR_CATEGORY.RETRIABLE, reason: 'timeout', isRetriable: true }
-            : classifyError(err)
+            : provider.classifyError(err)
 
           // Attach classification to error for upstream handling
           err.errorCategory = errorClass.category
           err.errorReason = errorClass.reason
           err.isRetriable = errorClass.isRetriable
 
+          if (isCongestionError(errorClass)) {
+            adaptive?.recordCongestion()
+          }
+          reportCredentialResult(credentials, {
+            ok: false,
+            quota: errorClass.reason === 'HTTP 429' || errorClass.reason === 'quota',
+            message: err.message,
+          })
+
           const canRetry = attempt < maxAttempts && errorClass.isRetriable
           if (!canRetry) {
             // For permanent errors, provide a clearer message
@@ -478,7 +288,10 @@ export function useApi() {
               `\n[Retry ${attempt}/${maxAttempts - 1} due to ${errorClass.reason}, waiting ${Math.ceil(delayMs / 1000)}s]\n`,
             )
           }
+          releaseSlot()
           await sleep(delayMs)
+        } finally {
+          releaseSlot()
         }
       }
 
@@ -561,6 +374,21 @@ export function useApi() {
     return generateImageStream(prompt, options, 'edit', referenceImages, onThinkingChunk)
   }
 
+  /**
+   * One turn of a multi-turn edit session (see useEditSession)
+   * @param {string} prompt
+   * @param {Object} turn
+   * @param {Array<Object>} turn.history - Earlier turns as Gemini contents (buildConversationHistory)
+   * @param {{data: string, mimeType: string}} turn.currentImage - Image this turn builds on
+   * @param {Object} [options]
+   * @param {Function} [onThinkingChunk]
+   */
+  const editImageTurn = async (prompt, { history = [], currentImage }, options = {}, onThinkingChunk = null) => {
+    return generateImageStream(prompt, options, 'edit', currentImage ? [currentImage] : [], onThinkingChunk, {
+      history,
+    })
+  }
+
   const generateDiagram = async (
     prompt,
     options = {},
@@ -577,6 +405,8 @@ export function useApi() {
    * @param {Array<{id: string, prompt: string, options?: Object, mode?: string, referenceImages?: Array, request?: Object, onThinkingChunk?: Function}>} jobs
    * @param {Object} batchOptions
    * @param {number} batchOptions.concurrency - 1..10 (default 3)
+   * @param {Object} [batchOptions.adaptive] - createAdaptiveConcurrency controller; when set it
+   *   decides concurrency and start spacing instead of `concurrency`
    * @param {(evt: JobUpdateEvent) => void} batchOptions.onJobUpdate - Callback for job status updates
    *
    * @typedef {Object} JobUpdateEvent
@@ -593,10 +423,11 @@ export function useApi() {
   const generateImagesBatch = async (jobs = [], batchOptions = {}) => {
     const concurrency = clampInt(batchOptions?.concurrency, 1, 10, 3)
     const onJobUpdate = batchOptions?.onJobUpdate || null
+    const adaptive = batchOptions?.adaptive || null
 
     const resultsById = new Map()
 
-    await mapConcurrent(jobs, concurrency, async (job) => {
+    const runJob = async (job) => {
       const startedAt = Date.now()
       onJobUpdate?.({ id: job.id, status: 'started', startedAt })
 
@@ -607,7 +438,7 @@ export function useApi() {
           job.mode || 'generate',
           job.referenceImages || [],
           job.onThinkingChunk || null,
-          { ...(job.request || {}), jobId: job.id },
+          { ...(job.request || {}), jobId: job.id, adaptive },
         )
         const finishedAt = Date.now()
         resultsById.set(job.id, { ok: true, id: job.id, startedAt, finishedAt, result })
@@ -629,7 +460,13 @@ export function useApi() {
         resultsById.set(job.id, { ok: false, ...errorInfo })
         onJobUpdate?.(errorInfo)
       }
-    })
+    }
+
+    if (adaptive) {
+      await mapAdaptive(jobs, adaptive, runJob)
+    } else {
+      await mapConcurrent(jobs, concurrency, runJob)
+    }
 
     return { resultsById }
   }
@@ -640,6 +477,7 @@ export function useApi() {
     generateImageStream,
     generateStory,
     editImage,
+    editImageTurn,
     generateDiagram,
     generateImagesBatch,
     // Exported for consumers that need to classify errors (e.g., for UI display)
@@ -1,13 +1,36 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 
 // Mock useLocalStorage before importing useApi
 vi.mock('./useLocalStorage', () => ({
   useLocalStorage: () => ({
     getApiKey: vi.fn(() => 'test-api-key'),
+    getFreeTierApiKey: vi.fn(() => ''),
   }),
 }))
 
+// The ledger writes to IndexedDB; only the calls matter here
+vi.mock('./useUsageLedger', () => ({
+  recordUsage: vi.fn(),
+}))
+
+// Real clients, with each stream call recorded (one client per attempt)
+vi.mock('./genaiClient', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    createGenAIClient: vi.fn((...args) => {
+      const ai = actual.createGenAIClient(...args)
+      vi.spyOn(ai.models, 'generateContentStream')
+      return ai
+    }),
+  }
+})
+
 import { useApi } from './useApi'
+import { recordUsage } from './useUsageLedger'
+import { createGenAIClient } from './genaiClient'
+import { MOCK_BACKEND_STORAGE_KEY } from './mockBackend'
+import { resetMockState } from '@/utils/mock-genai'
 import {
   ERROR_CATEGORY,
   PERMANENT_ERROR_CODES,
@@ -136,3 +159,74 @@ describe('classifyError', () => {
     expect(result.category).toBe(ERROR_CATEGORY.PERMANENT)
   })
 })
+
+// ============================================================================
+// generateImageStream (full flow on the mock backend)
+// ============================================================================
+
+describe('generateImageStream with the mock backend', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    resetMockState()
+    recordUsage.mockClear()
+    createGenAIClient.mockClear()
+    localStorage.setItem(MOCK_BACKEND_STORAGE_KEY, 'true')
+  })
+
+  afterEach(() => {
+    localStorage.removeItem(MOCK_BACKEND_STORAGE_KEY)
+    vi.useRealTimers()
+  })
+
+  it('retries scripted 429s and returns the image from the third attempt', async () => {
+    const { generateImageStream, error } = useApi()
+    const pending = generateImageStream(
+      'a lighthouse at dusk [mock:429x2]',
+      { model: 'gemini-3-pro-image-preview', ratio: '1:1', resolution: '1k' },
+      'generate',
+      [],
+      null,
+      { jobId: 'job-1', maxAttempts: 3, backoffBaseMs: 100, backoffJitterMs: 0 },
+    )
+
+    // Start-rate limiter and backoff sleeps
+    await vi.runAllTimersAsync()
+    const result = await pending
+
+    expect(result.success).toBe(true)
+    expect(result.jobId).toBe('job-1')
+    expect(result.images).toHaveLength(1)
+    expect(result.images[0].mimeType).toBe('image/png')
+    expect(error.value).toBeNull()
+
+    const calls = createGenAIClient.mock.results.map(
+      ({ value: ai }) => ai.models.generateContentStream.mock.results[0].value,
+    )
+    expect(calls).toHaveLength(3)
+    await expect(calls[0]).rejects.toMatchObject({ status: 429 })
+    await expect(calls[1]).rejects.toMatchObject({ status: 429 })
+    await expect(calls[2]).resolves.toBeTruthy()
+
+    // Failed attempts return no usage; only the successful call is billed
+    expect(recordUsage).toHaveBeenCalledTimes(1)
+    expect(recordUsage).toHaveBeenCalledWith(expect.objectContaining({ source: 'image', mode: 'generate' }))
+  })
+
+  it('gives up when the scripted 429s outlast the attempts', async () => {
+    const { generateImageStream } = useApi()
+    const pending = generateImageStream(
+      'a lighthouse at dusk [mock:429x2]',
+      { model: 'gemini-3-pro-image-preview', ratio: '1:1', resolution: '1k' },
+      'generate',
+      [],
+      null,
+      { maxAttempts: 2, backoffBaseMs: 100, backoffJitterMs: 0 },
+    )
+    const outcome = expect(pending).rejects.toMatchObject({ status: 429, isRetriable: true })
+
+    await vi.runAllTimersAsync()
+    await outcome
+    expect(createGenAIClient).toHaveBeenCalledTimes(2)
+    expect(recordUsage).not.toHaveBeenCalled()
+  })
+})
@@ -1,17 +1,24 @@
-import { ref, computed, onScopeDispose } from 'vue'
+import { ref, computed } from 'vue'
 import { useI18n } from 'vue-i18n'
 import { useLocalStorage } from './useLocalStorage'
+import { useApiKeyPool } from './useApiKeyPool'
+import { FREE_TIER_KEY_ID, PAID_KEY_ID } from '@/utils/api-key-pool'
 
 /**
  * API Key 管理與分流
  *
- * 本專案使用雙 API Key 架構：
- * - 付費金鑰 (Primary): 用於圖片/影片生成，強制使用
- * - Free Tier 金鑰 (Secondary): 用於文字處理，優先使用
+ * 金鑰來源 (見 useApiKeyPool)：
+ * - 付費金鑰 (Primary): 所有用途，優先順序最低
+ * - Free Tier 金鑰 (Secondary): 文字、TTS、embedding，優先使用
+ * - 金鑰池: 任意數量的金鑰，各自設定標籤與允許的用途
  *
  * Usage Types:
- * - 'image': 圖片/影片生成，強制使用付費金鑰
- * - 'text': 文字處理，優先 Free Tier，免費額度用罄時 fallback 到付費
+ * - 'image' / 'video': 圖片/影片生成
+ * - 'text': 文字處理
+ * - 'tts': 語音合成
+ * - 'embedding': 搜尋向量
+ *
+ * 依優先順序或輪替 (round-robin) 挑選金鑰；額度錯誤會讓該金鑰冷卻，並改用下一把。
  */
 export function useApiKeyManager() {
   const {
@@ -22,122 +29,79 @@ export function useApiKeyManager() {
     setFreeTierApiKey,
     hasFreeTierApiKey,
   } = useLocalStorage()
+  const { getKeyOrder, selectKey, hasKeyFor, reportKeyResult, resetCooldown, isKeyCoolingDown } = useApiKeyPool()
   const { t } = useI18n()
 
-  // 追蹤 Free Tier 額度狀態（session-level）
-  const freeTierExhausted = ref(false)
-
-  // Timeout ID for auto-reset (to prevent memory leaks)
-  let resetTimeoutId = null
-
   // 追蹤當前正在使用的 key 類型（用於 UI 顯示）
-  const lastUsedKeyType = ref(null) // 'paid' | 'freeTier' | null
+  const lastUsedKeyType = ref(null) // 'paid' | 'freeTier' | 'pool' | null
+
+  const keyTypeOf = (id) => (id === PAID_KEY_ID || id === FREE_TIER_KEY_ID ? id : 'pool')
 
   /**
    * 根據使用情境取得適當的 API Key
-   * @param {'image' | 'text'} usage - 使用情境
+   * @param {'image' | 'text' | 'tts' | 'video' | 'embedding'} usage - 使用情境
    * @returns {string} API Key
    */
   const getApiKey = (usage = 'image') => {
-    if (usage === 'image') {
-      // 圖片/影片生成：強制使用付費金鑰
-      lastUsedKeyType.value = 'paid'
-      return getPaidApiKey()
-    }
-
-    // 文字處理：優先 Free Tier
-    if (!freeTierExhausted.value) {
-      const freeTierKey = getFreeTierApiKey()
-      if (freeTierKey) {
-        lastUsedKeyType.value = 'freeTier'
-        return freeTierKey
-      }
-    }
-
-    // Fallback 到付費金鑰
-    lastUsedKeyType.value = 'paid'
-    return getPaidApiKey()
+    const selected = selectKey(usage)
+    lastUsedKeyType.value = selected ? keyTypeOf(selected.id) : null
+    return selected?.key || ''
   }
 
   /**
    * 檢查指定使用情境是否有可用的 API Key
-   * @param {'image' | 'text'} usage - 使用情境
+   * @param {'image' | 'text' | 'tts' | 'video' | 'embedding'} usage - 使用情境
    * @returns {boolean}
    */
-  const hasApiKeyFor = (usage = 'image') => {
-    if (usage === 'image') {
-      return hasPaidApiKey()
-    }
-    // 文字處理：Free Tier 或付費金鑰任一可用即可
-    return hasFreeTierApiKey() || hasPaidApiKey()
-  }
+  const hasApiKeyFor = (usage = 'image') => hasKeyFor(usage)
 
   /**
    * 標記 Free Tier 額度已耗盡
    * 在收到 429 或額度相關錯誤時調用
    */
   const markFreeTierExhausted = () => {
-    freeTierExhausted.value = true
-    // Clear any existing timeout to avoid duplicates
-    if (resetTimeoutId) {
-      clearTimeout(resetTimeoutId)
-    }
-    // 1 小時後自動重試（Free Tier 通常每分鐘/每小時重置）
-    resetTimeoutId = setTimeout(() => {
-      freeTierExhausted.value = false
-      resetTimeoutId = null
-    }, 60 * 60 * 1000)
+    reportKeyResult(FREE_TIER_KEY_ID, { ok: false, quota: true, message: 'quota' })
   }
 
   /**
    * 重置 Free Tier 額度狀態（手動重試時使用）
    */
   const resetFreeTierStatus = () => {
-    if (resetTimeoutId) {
-      clearTimeout(resetTimeoutId)
-      resetTimeoutId = null
-    }
-    freeTierExhausted.value = false
+    resetCooldown(FREE_TIER_KEY_ID)
   }
 
-  // Clean up timeout on scope dispose to prevent memory leaks
-  onScopeDispose(() => {
-    if (resetTimeoutId) {
-      clearTimeout(resetTimeoutId)
-      resetTimeoutId = null
-    }
-  })
-
   /**
    * 帶有自動 fallback 的 API 調用包裝器
+   * 依序嘗試可用的金鑰；額度錯誤時將該金鑰冷卻並換下一把，其他錯誤直接拋出
    * @param {(apiKey: string) => Promise<T>} apiCall - API 調用函數
-   * @param {'image' | 'text'} usage - 使用情境
+   * @param {'image' | 'text' | 'tts' | 'video' | 'embedding'} usage - 使用情境
    * @returns {Promise<T>}
    */
   const callWithFallback = async (apiCall, usage = 'text') => {
-    const primaryKey = getApiKey(usage)
+    const keys = getKeyOrder(usage)
 
-    if (!primaryKey) {
+    if (keys.length === 0) {
       throw new Error(t('errors.apiKeyNotSet'))
     }
 
-    try {
-      return await apiCall(primaryKey)
-    } catch (error) {
-      // 檢查是否為額度不足錯誤，且當前使用的是 Free Tier
-      if (isQuotaError(error) && usage === 'text' && lastUsedKeyType.value === 'freeTier') {
-        markFreeTierExhausted()
-
-        // 嘗試使用付費金鑰
-        const fallbackKey = getPaidApiKey()
-        if (fallbackKey) {
-          lastUsedKeyType.value = 'paid'
-          console.info('[API] Free Tier 免費額度用罄，自動切換到付費金鑰')
-          return await apiCall(fallbackKey)
+    let lastError = null
+    for (const [index, { id, key }] of keys.entries()) {
+      lastUsedKeyType.value = keyTypeOf(id)
+      try {
+        const result = await apiCall(key)
+        reportKeyResult(id, { ok: true })
+        return result
+      } catch (error) {
+        const quota = isQuotaError(error)
+        reportKeyResult(id, { ok: false, quota, message: error?.message })
+        if (!quota) throw error
+        lastError = error
+        if (index < keys.length - 1) {
+          console.info(`[API] 金鑰 ${id} 額度用罄，自動切換到下一把金鑰`)
         }
       }
-      throw error
     }
+    throw lastError
   }
 
   return {
@@ -156,7 +120,7 @@ export function useApiKeyManager() {
     // 額度管理
     markFreeTierExhausted,
     resetFreeTierStatus,
-    freeTierExhausted: computed(() => freeTierExhausted.value),
+    freeTierExhausted: computed(() => isKeyCoolingDown(FREE_TIER_KEY_ID)),
 
     // 帶 fallback 的調用
     callWithFallback,
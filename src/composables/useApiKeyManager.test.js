@@ -1,5 +1,9 @@
-import { describe, it, expect } from 'vitest'
-import { isQuotaError } from './useApiKeyManager'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { isQuotaError, useApiKeyManager } from './useApiKeyManager'
+
+vi.mock('vue-i18n', () => ({
+  useI18n: () => ({ t: (key) => key }),
+}))
 
 describe('isQuotaError', () => {
   it('detects HTTP 429 via status property', () => {
@@ -51,3 +55,31 @@ describe('isQuotaError', () => {
     expect(isQuotaError({})).toBe(false)
   })
 })
+
+describe('freeTierExhausted', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('clears by itself when the cooldown ends', () => {
+    vi.useFakeTimers()
+    const { markFreeTierExhausted, freeTierExhausted } = useApiKeyManager()
+
+    markFreeTierExhausted()
+    expect(freeTierExhausted.value).toBe(true)
+
+    vi.advanceTimersByTime(30_000)
+    expect(freeTierExhausted.value).toBe(true)
+
+    vi.advanceTimersByTime(30_000)
+    expect(freeTierExhausted.value).toBe(false)
+  })
+
+  it('clears when the cooldown is reset by hand', () => {
+    const { markFreeTierExhausted, resetFreeTierStatus, freeTierExhausted } = useApiKeyManager()
+    markFreeTierExhausted()
+    expect(freeTierExhausted.value).toBe(true)
+    resetFreeTierStatus()
+    expect(freeTierExhausted.value).toBe(false)
+  })
+})
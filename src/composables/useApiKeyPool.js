@@ -0,0 +1,260 @@
+import { ref, computed } from 'vue'
+import { useLocalStorage } from './useLocalStorage'
+import { generateShortId } from './useUUID'
+import { createSecretStore, onVaultChange } from './useSecretVault'
+import {
+  KEY_USAGES,
+  ROTATION_STRATEGIES,
+  PAID_KEY_ID,
+  FREE_TIER_KEY_ID,
+  normalizePoolEntry,
+  normalizePoolSettings,
+  buildKeyCandidates,
+  orderKeysForUsage,
+  applyKeyOutcome,
+  isCoolingDown,
+} from '@/utils/api-key-pool'
+
+const POOL_STORAGE_KEY = 'nbp-api-key-pool'
+const secrets = createSecretStore('gemini')
+
+const loadSettings = () => {
+  try {
+    return normalizePoolSettings(JSON.parse(secrets.getItem(POOL_STORAGE_KEY)))
+  } catch {
+    return normalizePoolSettings(null)
+  }
+}
+
+// Module-level state: one pool per tab, shared by every API composable.
+// Health is session-only, like the old free tier "exhausted" flag.
+const settings = ref(loadSettings())
+const health = ref({})
+const cursors = {}
+// (usage, candidates) => key ids to skip; set by useBudgetGuard, read on every pick
+let budgetFilter = null
+// Set when a cooldown ends, so computeds over isKeyCoolingDown() update
+const cooldownClock = ref(0)
+let cooldownTimer = null
+
+/** Update cooldownClock when the next cooldown ends */
+const scheduleCooldownEnd = () => {
+  clearTimeout(cooldownTimer)
+  const now = Date.now()
+  const ends = Object.values(health.value)
+    .map((entry) => entry.cooldownUntil || 0)
+    .filter((until) => until > now)
+  if (ends.length === 0) return
+  cooldownTimer = setTimeout(() => {
+    cooldownClock.value = Date.now()
+    scheduleCooldownEnd()
+  }, Math.min(...ends) - now)
+}
+
+// Pool keys are unreadable while the vault is locked
+onVaultChange(() => {
+  settings.value = loadSettings()
+})
+
+/**
+ * API key pool: the paid and free tier keys from ApiKeyInput plus any number
+ * of labelled keys, each allowed for some usages (image, text, tts, video,
+ * embedding). Keys are picked by priority or round-robin; a key that hits a
+ * quota error cools down (1 min, doubling up to 1 h) and the next one is used.
+ */
+export function useApiKeyPool() {
+  const { getApiKey: getPaidApiKey, getFreeTierApiKey } = useLocalStorage()
+
+  const persist = () => {
+    secrets.setItem(POOL_STORAGE_KEY, JSON.stringify(settings.value))
+  }
+
+  /** Candidates in priority order, read at call time (built-in keys aren't reactive) */
+  const getCandidates = () =>
+    buildKeyCandidates({
+      paidKey: getPaidApiKey(),
+      freeTierKey: getFreeTierApiKey(),
+      poolKeys: settings.value.keys,
+    })
+
+  /**
+   * Keys to try for a usage, best first. Advances the round-robin cursor.
+   * @param {string} usage - One of KEY_USAGES
+   * @returns {Array<{ id: string, key: string }>}
+   */
+  const getKeyOrder = (usage) => {
+    const cursor = cursors[usage] || 0
+    cursors[usage] = cursor + 1
+    return orderKeysForUsage(getCandidates(), usage, {
+      strategy: settings.value.strategy,
+      health: health.value,
+      cursor,
+      now: Date.now(),
+      excluded: getBudgetExcluded(usage),
+    })
+  }
+
+  /**
+   * Every key allowed for a usage in priority order, ignoring cooldowns and
+   * without advancing the round-robin cursor
+   * @param {string} usage
+   * @returns {Array<{ id: string, label: string, key: string }>}
+   */
+  const getUsageCandidates = (usage) => getCandidates().filter((c) => c.usages.includes(usage))
+
+  /** @param {string} usage */
+  const getBudgetExcluded = (usage) => (budgetFilter ? budgetFilter(usage, getUsageCandidates(usage)) : [])
+
+  /**
+   * Skip keys by budget; the filter runs each time a key is picked, so keys
+   * that reach a limit mid-run drop out of rotation right away
+   * @param {(usage: string, candidates: Array<Object>) => Array<string>} filter - Returns key ids to skip
+   */
+  const setBudgetFilter = (filter) => {
+    budgetFilter = filter
+  }
+
+  /**
+   * Whether a usage has keys but the budget filter skips all of them
+   * @param {string} usage
+   * @returns {boolean}
+   */
+  const isUsageOverBudget = (usage) => {
+    const candidates = getUsageCandidates(usage)
+    return candidates.length > 0 && getBudgetExcluded(usage).length >= candidates.length
+  }
+
+  /**
+   * The key to use for the next request of a usage
+   * @param {string} usage
+   * @returns {{ id: string, key: string }|null}
+   */
+  const selectKey = (usage) => getKeyOrder(usage)[0] || null
+
+  /**
+   * @param {string} usage
+   * @returns {boolean}
+   */
+  const hasKeyFor = (usage) => getCandidates().some((c) => c.usages.includes(usage))
+
+  /**
+   * Record the outcome of a request made with a pool key
+   * @param {string} id - Key id (from selectKey / getKeyOrder)
+   * @param {{ ok: boolean, quota?: boolean, message?: string }} outcome
+   */
+  const reportKeyResult = (id, outcome) => {
+    if (!id) return
+    health.value = { ...health.value, [id]: applyKeyOutcome(health.value[id], outcome, Date.now()) }
+    scheduleCooldownEnd()
+  }
+
+  /** @param {string} id */
+  const resetCooldown = (id) => {
+    if (!health.value[id]) return
+    health.value = { ...health.value, [id]: { ...health.value[id], cooldownUntil: 0, quotaStrikes: 0 } }
+    scheduleCooldownEnd()
+  }
+
+  /**
+   * Reactive: re-evaluates when the key's cooldown ends
+   * @param {string} id
+   * @returns {boolean}
+   */
+  const isKeyCoolingDown = (id) =>
+    isCoolingDown(health.value[id], Math.max(cooldownClock.value, Date.now()))
+
+  /**
+   * Every key with its health, for the settings view
+   * @param {number} now
+   * @returns {Array}
+   */
+  const getKeyStatus = (now) =>
+    getCandidates().map((candidate) => {
+      const entry = health.value[candidate.id] || {}
+      return {
+        ...candidate,
+        lastSuccessAt: entry.lastSuccessAt || null,
+        lastErrorAt: entry.lastErrorAt || null,
+        lastError: entry.lastError || '',
+        cooldownUntil: entry.cooldownUntil || 0,
+        coolingDown: isCoolingDown(entry, now),
+      }
+    })
+
+  /**
+   * @param {{ label?: string, key: string, usages?: string[] }} entry
+   * @returns {boolean} false if the key is empty
+   */
+  const addPoolKey = (entry) => {
+    const normalized = normalizePoolEntry({ ...entry, id: generateShortId([PAID_KEY_ID, FREE_TIER_KEY_ID, ...settings.value.keys.map((k) => k.id)]) })
+    if (!normalized) return false
+    settings.value = { ...settings.value, keys: [...settings.value.keys, normalized] }
+    persist()
+    return true
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ label?: string, usages?: string[] }} updates
+   */
+  const updatePoolKey = (id, updates) => {
+    settings.value = {
+      ...settings.value,
+      keys: settings.value.keys.map((k) => (k.id === id ? normalizePoolEntry({ ...k, ...updates, id }) || k : k)),
+    }
+    persist()
+  }
+
+  /** @param {string} id */
+  const removePoolKey = (id) => {
+    settings.value = { ...settings.value, keys: settings.value.keys.filter((k) => k.id !== id) }
+    const rest = { ...health.value }
+    delete rest[id]
+    health.value = rest
+    persist()
+  }
+
+  /**
+   * Move a pool key up (-1) or down (+1) in priority
+   * @param {string} id
+   * @param {number} delta
+   */
+  const movePoolKey = (id, delta) => {
+    const keys = [...settings.value.keys]
+    const from = keys.findIndex((k) => k.id === id)
+    const to = from + delta
+    if (from < 0 || to < 0 || to >= keys.length) return
+    keys.splice(to, 0, keys.splice(from, 1)[0])
+    settings.value = { ...settings.value, keys }
+    persist()
+  }
+
+  /** @param {string} strategy - One of ROTATION_STRATEGIES */
+  const setStrategy = (strategy) => {
+    if (!Object.values(ROTATION_STRATEGIES).includes(strategy)) return
+    settings.value = { ...settings.value, strategy }
+    persist()
+  }
+
+  return {
+    usages: KEY_USAGES,
+    strategy: computed(() => settings.value.strategy),
+    poolKeys: computed(() => settings.value.keys),
+    health: computed(() => health.value),
+    getKeyOrder,
+    getUsageCandidates,
+    setBudgetFilter,
+    isUsageOverBudget,
+    selectKey,
+    hasKeyFor,
+    reportKeyResult,
+    resetCooldown,
+    isKeyCoolingDown,
+    getKeyStatus,
+    addPoolKey,
+    updatePoolKey,
+    removePoolKey,
+    movePoolKey,
+    setStrategy,
+  }
+}
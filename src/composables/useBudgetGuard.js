@@ -0,0 +1,285 @@
+import { ref, computed } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useApiKeyPool } from './useApiKeyPool'
+import { useVideoApi } from './useVideoApi'
+import { useImageProvider } from './useImageProvider'
+import { buildMatrixCells, validateMatrix } from './promptMatrix'
+import { maskApiKey } from '@/utils/usage-ledger'
+import {
+  BUDGET_ACTIONS,
+  DEFAULT_BUDGET_SETTINGS,
+  normalizeBudgetSettings,
+  getKeyLimits,
+  startOfMonth,
+  sumSpentForKey,
+  evaluateKeyBudgets,
+  canCoverCost,
+  getBudgetExclusions,
+  parseLimit,
+} from '@/utils/budget-guard'
+import { JOB_STATUS } from './jobQueueUtils'
+
+const BUDGET_SETTINGS_KEY = 'nbp-budget-limits'
+
+const loadSettings = () => {
+  try {
+    return normalizeBudgetSettings(JSON.parse(localStorage.getItem(BUDGET_SETTINGS_KEY)))
+  } catch {
+    return { ...DEFAULT_BUDGET_SETTINGS }
+  }
+}
+
+// Module-level state: settings are shared, and BudgetGuardModal renders the
+// pending check for whoever called preflightBudget()
+const settings = ref(loadSettings())
+const pendingCheck = ref(null)
+
+// This month's ledger entries, reloaded by each pre-flight check and kept
+// current as calls are recorded, so key selection sees spending mid-run
+let ledgerEntries = []
+let budgetFilterSet = false
+window.addEventListener('nbp-usage-recorded', ({ detail }) => {
+  if (detail) ledgerEntries.push(detail)
+})
+
+// Guarded usages: what image and video runs pay for
+const budgetUsageForMode = (mode) => (mode === 'video' ? 'video' : 'image')
+const BUDGET_USAGES = ['image', 'video']
+
+const toBudgetKeys = (candidates) => candidates.map(({ id, key }) => ({ id, keyHint: maskApiKey(key) }))
+
+/**
+ * Number of image API calls a run of this mode will make
+ * @param {string} mode
+ * @param {Object} options - Mode options (store.getCurrentOptions)
+ * @returns {number}
+ */
+const countImageCalls = (mode, options) => {
+  switch (mode) {
+    case 'generate':
+      if (options.matrix?.enabled) {
+        const { matrix, ...baseOptions } = options
+        if (validateMatrix(matrix, baseOptions)) return 0
+        return buildMatrixCells(matrix, baseOptions).cells.length
+      }
+      return 1
+    case 'story':
+      return options.steps || 4
+    case 'slides':
+      return options.pages?.length || 0
+    case 'sticker':
+    case 'edit':
+    case 'diagram':
+      return 1
+    default:
+      return 0
+  }
+}
+
+/**
+ * Spending limits per API key with a pre-flight check before costly runs.
+ *
+ * Limits are keyed by the masked key (same `keyHint` as the usage ledger), so
+ * switching keys switches limits. Every time the pool picks a key for an image
+ * or video call, keys that reached a limit are skipped; preflightBudget() asks
+ * the user only when the keys together cannot pay for the run.
+ */
+export function useBudgetGuard() {
+  const { getUsageEntriesSince } = useIndexedDB()
+  const { getUsageCandidates, setBudgetFilter } = useApiKeyPool()
+  const { calculateCostEstimate } = useVideoApi()
+  const { activeProvider } = useImageProvider()
+
+  /** Reload this month's ledger, keeping calls recorded while it was read */
+  const refreshLedger = async () => {
+    const since = startOfMonth(Date.now())
+    const loaded = await getUsageEntriesSince(since)
+    const loadedIds = new Set(loaded.map((entry) => entry.id))
+    const recorded = ledgerEntries.filter((entry) => !loadedIds.has(entry.id) && entry.timestamp >= since)
+    ledgerEntries = [...loaded, ...recorded]
+  }
+
+  if (!budgetFilterSet) {
+    budgetFilterSet = true
+    setBudgetFilter((usage, candidates) =>
+      BUDGET_USAGES.includes(usage)
+        ? getBudgetExclusions({ keys: toBudgetKeys(candidates), settings: settings.value, entries: ledgerEntries })
+        : [],
+    )
+    refreshLedger().catch((err) => console.warn('[budget] Failed to read usage ledger:', err))
+  }
+
+  const persist = () => {
+    localStorage.setItem(BUDGET_SETTINGS_KEY, JSON.stringify(settings.value))
+  }
+
+  /**
+   * @param {string} keyHint - Masked key
+   * @param {{ daily: *, monthly: * }} limits - Empty or 0 clears a limit
+   */
+  const setKeyLimits = (keyHint, { daily, monthly }) => {
+    settings.value = normalizeBudgetSettings({
+      ...settings.value,
+      keys: { ...settings.value.keys, [keyHint]: { daily: parseLimit(daily), monthly: parseLimit(monthly) } },
+    })
+    persist()
+  }
+
+  /** @param {'confirm'|'block'} action */
+  const setBudgetAction = (action) => {
+    settings.value = normalizeBudgetSettings({ ...settings.value, action })
+    persist()
+  }
+
+  /**
+   * Keys image and video runs can bill, for the limit settings
+   * @returns {Array<{ id: string, label: string, keyHint: string }>}
+   */
+  const getBudgetKeys = () => {
+    const keys = new Map()
+    for (const usage of BUDGET_USAGES) {
+      for (const { id, label, key } of getUsageCandidates(usage)) {
+        if (!keys.has(id)) keys.set(id, { id, label, keyHint: maskApiKey(key) })
+      }
+    }
+    return [...keys.values()]
+  }
+
+  /**
+   * Estimate what a run will cost before starting it.
+   * Narration (TTS) and text analysis calls are not included; they are
+   * small next to image output.
+   * @param {Object} params
+   * @param {string} params.mode
+   * @param {Object} params.options - Mode options (store.getCurrentOptions)
+   * @param {string} [params.prompt]
+   * @param {Array} [params.referenceImages]
+   * @param {number} [params.imageCalls] - Override the call count (e.g. dirty slides only)
+   * @returns {{ cost: number, calls: number }}
+   */
+  const estimateProjectedCost = ({ mode, options, prompt = '', referenceImages = [], imageCalls }) => {
+    if (mode === 'video') {
+      return { cost: calculateCostEstimate(options).totalCost, calls: 1 }
+    }
+
+    const calls = imageCalls ?? countImageCalls(mode, options)
+    const perCall = activeProvider.value.estimateCallCost(options, {
+      promptLength: prompt.length,
+      referenceImageCount: referenceImages.length,
+    })
+    return { cost: perCall * calls, calls }
+  }
+
+  /**
+   * Estimated cost of queued jobs that have not finished, for one usage
+   * @param {Array<Object>} jobs - useJobQueue jobs
+   * @param {string} mode - Mode of the run being checked
+   * @returns {{ cost: number, calls: number }}
+   */
+  const estimateQueuedCost = (jobs, mode) => {
+    const usage = budgetUsageForMode(mode)
+    const total = { cost: 0, calls: 0 }
+    for (const job of jobs) {
+      if (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING) continue
+      if (budgetUsageForMode(job.mode) !== usage) continue
+      const { cost, calls } = estimateProjectedCost({
+        mode: job.mode,
+        options: job.options || {},
+        prompt: job.prompt,
+        referenceImages: job.referenceImages || [],
+      })
+      total.cost += cost
+      total.calls += calls
+    }
+    return total
+  }
+
+  /**
+   * Spending today / this month for a key, from the usage ledger
+   * @param {string} keyHint
+   * @returns {Promise<{ day: number, month: number }>}
+   */
+  const getSpent = async (keyHint) => {
+    const now = Date.now()
+    const entries = await getUsageEntriesSince(startOfMonth(now))
+    return sumSpentForKey(entries, keyHint, now)
+  }
+
+  /**
+   * Check that the keys a run may use can pay for it together (the pool
+   * moves on to the next key once one reaches its limit). When they cannot,
+   * BudgetGuardModal asks the user (or tells them the run is blocked);
+   * resolves with their answer. Nothing is remembered for later runs.
+   * @param {Object} params
+   * @param {string} params.mode
+   * @param {number} params.projectedCost - USD
+   * @param {number} [params.calls] - Number of API calls, for display
+   * @returns {Promise<boolean>} Whether to proceed
+   */
+  const preflightBudget = async ({ mode, projectedCost, calls = 1 }) => {
+    if (!(projectedCost > 0)) return true
+
+    const keys = toBudgetKeys(getUsageCandidates(budgetUsageForMode(mode)))
+    const hasLimits = keys.some(({ keyHint }) => {
+      const limits = getKeyLimits(settings.value, keyHint)
+      return limits.daily !== null || limits.monthly !== null
+    })
+    if (!hasLimits) return true
+
+    const now = Date.now()
+    try {
+      await refreshLedger()
+    } catch (err) {
+      // Never block generation because the ledger could not be read
+      console.warn('[budget] Failed to read usage ledger:', err)
+      return true
+    }
+
+    const entries = ledgerEntries
+    if (canCoverCost({ projectedCost, keys, settings: settings.value, entries, now })) return true
+
+    // Only one check can be on screen; a second caller is refused
+    if (pendingCheck.value) return false
+
+    // Show the key the run would use first
+    const checks = evaluateKeyBudgets({ projectedCost, keys, settings: settings.value, entries, now })
+    const { keyHint, spent, limits, evaluation } = checks[0]
+    return new Promise((resolve) => {
+      pendingCheck.value = {
+        mode,
+        calls,
+        keyHint,
+        projectedCost,
+        spent,
+        limits,
+        evaluation,
+        blocked: settings.value.action === BUDGET_ACTIONS.BLOCK,
+        resolve,
+      }
+    })
+  }
+
+  /**
+   * Answer the pending check (called by BudgetGuardModal)
+   * @param {boolean} proceed
+   */
+  const resolvePendingCheck = (proceed) => {
+    const check = pendingCheck.value
+    if (!check) return
+    pendingCheck.value = null
+    check.resolve(proceed && !check.blocked)
+  }
+
+  return {
+    settings: computed(() => settings.value),
+    pendingCheck,
+    setKeyLimits,
+    setBudgetAction,
+    getBudgetKeys,
+    estimateProjectedCost,
+    estimateQueuedCost,
+    getSpent,
+    preflightBudget,
+    resolvePendingCheck,
+  }
+}
@@ -1,6 +1,7 @@
 import { ref } from 'vue'
-import { GoogleGenAI } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
 import { useApiKeyManager } from './useApiKeyManager'
+import { recordUsage } from './useUsageLedger'
 import { t } from '@/i18n'
 
 import { DEFAULT_TEXT_MODEL } from '@/constants/modelOptions'
@@ -85,9 +86,9 @@ export function useCharacterExtraction() {
     try {
       // Use callWithFallback for automatic Free Tier → Paid fallback
       const response = await callWithFallback(async (apiKey) => {
-        const ai = new GoogleGenAI({ apiKey })
+        const ai = createGenAIClient(apiKey)
 
-        return await ai.models.generateContent({
+        const result = await ai.models.generateContent({
           model,
           contents: [
             {
@@ -112,6 +113,17 @@ export function useCharacterExtraction() {
             },
           },
         })
+
+        if (result.usageMetadata) {
+          recordUsage({
+            source: 'character',
+            mode: 'character',
+            model,
+            apiKey,
+            usageMetadata: result.usageMetadata,
+          })
+        }
+        return result
       }, 'text')
 
       // Extract JSON from response
@@ -1,5 +1,6 @@
 import { ref } from 'vue'
 import { useOPFS } from './useOPFS'
+import { detectMimeFromBase64 } from '@/utils/binaryUtils'
 
 /**
  * Character Storage Composable
@@ -45,13 +46,14 @@ export function useCharacterStorage() {
    * Save character image to OPFS
    * @param {number} characterId - Character ID
    * @param {string} imageData - Base64 encoded image data (without data URL prefix)
-   * @param {string} mimeType - Image MIME type (default: image/png)
+   * @param {string} [mimeType] - Image MIME type (default: detected from the data)
    * @returns {Promise<{opfsPath: string}>} - Path where image is stored
    */
-  const saveCharacterImage = async (characterId, imageData, mimeType = 'image/png') => {
+  const saveCharacterImage = async (characterId, imageData, mimeType) => {
     if (!imageData) {
       throw new Error('No image data provided')
     }
+    mimeType = mimeType || detectMimeFromBase64(imageData)
 
     isProcessing.value = true
     error.value = null
@@ -19,6 +19,29 @@ export function useCharacterTransfer() {
   const progress = ref({ current: 0, total: 0, phase: '' })
   const importResult = ref(null)
 
+  /**
+   * A character as it appears in exports and backups
+   * @param {Object} char - Character record
+   * @returns {Promise<Object>}
+   */
+  const toCharacterExport = async (char) => {
+    // Load imageData from OPFS with fallback to legacy IndexedDB data
+    const imageData = await loadCharacterImageWithFallback(char.id, char.imageData)
+
+    return {
+      uuid: char.uuid || generateUUID(),
+      name: char.name,
+      description: char.description,
+      physicalTraits: char.physicalTraits,
+      clothing: char.clothing,
+      accessories: char.accessories,
+      distinctiveFeatures: char.distinctiveFeatures,
+      imageData, // Loaded from OPFS
+      thumbnail: char.thumbnail,
+      createdAt: char.createdAt,
+    }
+  }
+
   /**
    * Export characters to JSON file
    * @param {Array<number>|null} selectedIds - Optional array of character IDs to export (null = all)
@@ -47,21 +70,7 @@ export function useCharacterTransfer() {
         const char = characters[i]
         progress.value.current = i + 1
 
-        // Load imageData from OPFS with fallback to legacy IndexedDB data
-        const imageData = await loadCharacterImageWithFallback(char.id, char.imageData)
-
-        characterExports.push({
-          uuid: char.uuid || generateUUID(),
-          name: char.name,
-          description: char.description,
-          physicalTraits: char.physicalTraits,
-          clothing: char.clothing,
-          accessories: char.accessories,
-          distinctiveFeatures: char.distinctiveFeatures,
-          imageData, // Loaded from OPFS
-          thumbnail: char.thumbnail,
-          createdAt: char.createdAt,
-        })
+        characterExports.push(await toCharacterExport(char))
       }
 
       const exportData = {
@@ -112,17 +121,37 @@ export function useCharacterTransfer() {
     importResult.value = null
     progress.value = { current: 0, total: 0, phase: 'reading' }
 
+    let data
     try {
       // Read JSON file
       const text = await file.text()
-      const data = JSON.parse(text)
+      data = JSON.parse(text)
 
       // Validate format
       if (!data.version || data.type !== 'characters' || !Array.isArray(data.characters)) {
         throw new Error('Invalid character export file format')
       }
+    } catch (err) {
+      console.error('Import characters failed:', err)
+      importResult.value = { imported: 0, skipped: 0, failed: 0, total: 0, error: err.message }
+      isImporting.value = false
+      progress.value = { current: 0, total: 0, phase: '' }
+      throw err
+    }
+
+    return importCharacterList(data.characters)
+  }
 
-      const characters = data.characters
+  /**
+   * Import exported characters (from a file or a backup folder)
+   * @param {Array<Object>} characters - Entries shaped like toCharacterExport()
+   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number}>}
+   */
+  const importCharacterList = async (characters) => {
+    isImporting.value = true
+    importResult.value = null
+
+    try {
       progress.value = { current: 0, total: characters.length, phase: 'importing' }
 
       let imported = 0
@@ -201,6 +230,8 @@ export function useCharacterTransfer() {
     exportCharacters,
     exportSingleCharacter,
     importCharacters,
+    toCharacterExport,
+    importCharacterList,
     isCharacterExportFile,
   }
 }
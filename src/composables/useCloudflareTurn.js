@@ -4,6 +4,7 @@
  * Handles Cloudflare TURN credentials, ICE server configuration,
  * and caching for WebRTC NAT traversal.
  */
+import { createSecretStore } from './useSecretVault'
 
 // Fallback STUN servers (used when no custom config)
 const FALLBACK_ICE_SERVERS = [
@@ -16,6 +17,9 @@ const CF_TURN_CREDENTIALS_KEY = 'nbp-cf-turn-credentials'
 const CF_ICE_CACHE_KEY = 'nbp-cf-ice-cache'
 const CF_TURN_ENABLED_KEY = 'nbp-cf-turn-enabled'
 
+// Credentials and the ICE cache (TURN passwords) go through the vault
+const secrets = createSecretStore('peer-sync')
+
 // Cloudflare TURN API TTL (24 hours in seconds)
 const CLOUDFLARE_TURN_TTL = 86400
 
@@ -39,12 +43,12 @@ export function setTurnEnabled(enabled) {
 }
 
 /**
- * Get stored Cloudflare TURN credentials from localStorage
+ * Get stored Cloudflare TURN credentials (null while the vault is locked)
  * @returns {{ turnTokenId: string, apiToken: string } | null}
  */
 export function getCfTurnCredentials() {
   try {
-    const stored = localStorage.getItem(CF_TURN_CREDENTIALS_KEY)
+    const stored = secrets.getItem(CF_TURN_CREDENTIALS_KEY)
     if (stored) {
       return JSON.parse(stored)
     }
@@ -55,7 +59,7 @@ export function getCfTurnCredentials() {
 }
 
 /**
- * Save Cloudflare TURN credentials to localStorage
+ * Save Cloudflare TURN credentials (fails while the vault is locked)
  * @param {string} turnTokenId - Cloudflare TURN Token ID
  * @param {string} apiToken - Cloudflare API Token
  * @returns {{ success: boolean, error?: string }}
@@ -63,16 +67,16 @@ export function getCfTurnCredentials() {
 export function saveCfTurnCredentials(turnTokenId, apiToken) {
   try {
     if (!turnTokenId?.trim() || !apiToken?.trim()) {
-      localStorage.removeItem(CF_TURN_CREDENTIALS_KEY)
-      localStorage.removeItem(CF_ICE_CACHE_KEY)
+      secrets.removeItem(CF_TURN_CREDENTIALS_KEY)
+      secrets.removeItem(CF_ICE_CACHE_KEY)
       return { success: true }
     }
-    localStorage.setItem(CF_TURN_CREDENTIALS_KEY, JSON.stringify({
+    secrets.setItem(CF_TURN_CREDENTIALS_KEY, JSON.stringify({
       turnTokenId: turnTokenId.trim(),
       apiToken: apiToken.trim(),
     }))
     // Clear cached ICE servers when credentials change
-    localStorage.removeItem(CF_ICE_CACHE_KEY)
+    secrets.removeItem(CF_ICE_CACHE_KEY)
     return { success: true }
   } catch (e) {
     return { success: false, error: e.message }
@@ -92,8 +96,8 @@ export function hasCfTurnCredentials() {
  * Clear Cloudflare TURN credentials
  */
 export function clearCfTurnCredentials() {
-  localStorage.removeItem(CF_TURN_CREDENTIALS_KEY)
-  localStorage.removeItem(CF_ICE_CACHE_KEY)
+  secrets.removeItem(CF_TURN_CREDENTIALS_KEY)
+  secrets.removeItem(CF_ICE_CACHE_KEY)
 }
 
 /**
@@ -136,7 +140,7 @@ export async function fetchCfIceServers(credentials = null) {
     // Only cache if using stored credentials (not during validation)
     if (!credentials) {
       const cacheExpiry = Date.now() + (CLOUDFLARE_TURN_TTL * 0.9 * 1000)
-      localStorage.setItem(CF_ICE_CACHE_KEY, JSON.stringify({
+      secrets.setItem(CF_ICE_CACHE_KEY, JSON.stringify({
         iceServers,
         expiry: cacheExpiry,
       }))
@@ -154,14 +158,14 @@ export async function fetchCfIceServers(credentials = null) {
  */
 function getCachedIceServers() {
   try {
-    const cached = localStorage.getItem(CF_ICE_CACHE_KEY)
+    const cached = secrets.getItem(CF_ICE_CACHE_KEY)
     if (cached) {
       const { iceServers, expiry } = JSON.parse(cached)
       if (Date.now() < expiry) {
         return iceServers
       }
       // Cache expired, remove it
-      localStorage.removeItem(CF_ICE_CACHE_KEY)
+      secrets.removeItem(CF_ICE_CACHE_KEY)
     }
   } catch (e) {
     console.error('Failed to read ICE cache:', e)
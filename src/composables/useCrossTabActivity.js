@@ -0,0 +1,108 @@
+import { ref, computed } from 'vue'
+
+const CHANNEL_NAME = 'nbp-tab-activity'
+// Generating tabs re-announce on this interval; entries older than the TTL are dropped
+const HEARTBEAT_MS = 10_000
+const ENTRY_TTL_MS = 30_000
+
+/**
+ * Apply a message from another tab to the activity map
+ * @param {Object<string, {generating: boolean, mode: string, updatedAt: number}>} tabs
+ * @param {Object} message - { type: 'status' | 'bye', tabId, generating, mode }
+ * @param {number} now
+ * @returns {Object} New map
+ */
+export const applyActivityMessage = (tabs, message, now) => {
+  if (!message?.tabId) return tabs
+  const next = { ...tabs }
+  if (message.type === 'bye' || (message.type === 'status' && !message.generating)) {
+    delete next[message.tabId]
+  } else if (message.type === 'status') {
+    next[message.tabId] = { generating: true, mode: message.mode || '', updatedAt: now }
+  }
+  return next
+}
+
+/**
+ * Drop entries from tabs that stopped sending heartbeats (crashed or frozen)
+ * @param {Object} tabs
+ * @param {number} now
+ * @param {number} [ttlMs]
+ * @returns {Object} Same map if nothing expired
+ */
+export const pruneActivity = (tabs, now, ttlMs = ENTRY_TTL_MS) => {
+  const expired = Object.keys(tabs).filter((id) => now - tabs[id].updatedAt > ttlMs)
+  if (expired.length === 0) return tabs
+  const next = { ...tabs }
+  for (const id of expired) delete next[id]
+  return next
+}
+
+// Module-level state: one channel per tab
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+const otherTabs = ref({})
+let channel = null
+let heartbeatTimer = null
+let localStatus = { generating: false, mode: '' }
+
+const post = (message) => {
+  try {
+    channel?.postMessage({ ...message, tabId })
+  } catch {
+    // Channel closed (page unloading)
+  }
+}
+
+const postStatus = () => post({ type: 'status', ...localStatus })
+
+const connect = () => {
+  if (channel || typeof BroadcastChannel === 'undefined') return
+  channel = new BroadcastChannel(CHANNEL_NAME)
+  channel.onmessage = ({ data }) => {
+    if (data?.type === 'hello') {
+      // A new tab asks who is generating
+      if (localStatus.generating) postStatus()
+      return
+    }
+    otherTabs.value = applyActivityMessage(otherTabs.value, data, Date.now())
+  }
+  setInterval(() => {
+    otherTabs.value = pruneActivity(otherTabs.value, Date.now())
+  }, HEARTBEAT_MS)
+  window.addEventListener('pagehide', () => post({ type: 'bye' }))
+  post({ type: 'hello' })
+}
+
+/**
+ * Generation activity across tabs of this origin (BroadcastChannel).
+ * Each tab announces when it starts and stops generating, so the others can
+ * show that a shared rate limit is in use. The limits themselves live in
+ * requestScheduler.js (createSharedMinIntervalLimiter / createSharedSemaphore).
+ */
+export function useCrossTabActivity() {
+  connect()
+
+  const generatingTabs = computed(() => Object.values(otherTabs.value).filter((tab) => tab.generating))
+  const otherTabsGenerating = computed(() => generatingTabs.value.length)
+
+  /**
+   * Announce this tab's generating state (no-op if unchanged)
+   * @param {boolean} generating
+   * @param {string} [mode]
+   */
+  const setLocalGenerating = (generating, mode = '') => {
+    if (localStatus.generating === generating && localStatus.mode === mode) return
+    localStatus = { generating, mode }
+    postStatus()
+
+    clearInterval(heartbeatTimer)
+    heartbeatTimer = generating ? setInterval(postStatus, HEARTBEAT_MS) : null
+  }
+
+  return {
+    tabId,
+    generatingTabs,
+    otherTabsGenerating,
+    setLocalGenerating,
+  }
+}
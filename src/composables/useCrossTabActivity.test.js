@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { applyActivityMessage, pruneActivity } from './useCrossTabActivity'
+
+// ============================================================================
+// applyActivityMessage
+// ============================================================================
+
+describe('applyActivityMessage', () => {
+  it('adds a tab that starts generating', () => {
+    const tabs = applyActivityMessage({}, { type: 'status', tabId: 'a', generating: true, mode: 'generate' }, 100)
+    expect(tabs).toEqual({ a: { generating: true, mode: 'generate', updatedAt: 100 } })
+  })
+
+  it('refreshes the timestamp on heartbeats', () => {
+    const first = applyActivityMessage({}, { type: 'status', tabId: 'a', generating: true }, 100)
+    const second = applyActivityMessage(first, { type: 'status', tabId: 'a', generating: true }, 200)
+    expect(second.a.updatedAt).toBe(200)
+  })
+
+  it('removes a tab that stops generating or closes', () => {
+    const tabs = { a: { generating: true, mode: '', updatedAt: 0 }, b: { generating: true, mode: '', updatedAt: 0 } }
+    const afterStop = applyActivityMessage(tabs, { type: 'status', tabId: 'a', generating: false }, 1)
+    expect(Object.keys(afterStop)).toEqual(['b'])
+    expect(applyActivityMessage(afterStop, { type: 'bye', tabId: 'b' }, 2)).toEqual({})
+  })
+
+  it('ignores messages without a tab id', () => {
+    const tabs = {}
+    expect(applyActivityMessage(tabs, { type: 'status', generating: true }, 1)).toBe(tabs)
+  })
+})
+
+// ============================================================================
+// pruneActivity
+// ============================================================================
+
+describe('pruneActivity', () => {
+  it('drops tabs that stopped sending heartbeats', () => {
+    const tabs = { old: { generating: true, updatedAt: 0 }, fresh: { generating: true, updatedAt: 25_000 } }
+    expect(Object.keys(pruneActivity(tabs, 31_000))).toEqual(['fresh'])
+  })
+
+  it('returns the same map when nothing expired', () => {
+    const tabs = { a: { generating: true, updatedAt: 1000 } }
+    expect(pruneActivity(tabs, 2000)).toBe(tabs)
+  })
+})
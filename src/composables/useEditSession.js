@@ -0,0 +1,246 @@
+import { ref, shallowRef, computed } from 'vue'
+import { useGeneratorStore } from '@/stores/generator'
+import { useApi } from './useApi'
+import { useImageStorage } from './useImageStorage'
+import { useIndexedDB } from './useIndexedDB'
+import {
+  createEditSession,
+  findTurn,
+  getTurnPath,
+  appendTurn,
+  updateTurn,
+  setActiveTurn,
+  getNextImageIndex,
+  buildTimelineRows,
+  toStoredModelParts,
+  buildConversationHistory,
+  serializeEditSession,
+  deserializeEditSession,
+} from './editSessionTree'
+import { buildParentLinks } from '@/utils/history-lineage'
+
+// Module-level state: the edit panel and useGeneration share one session
+const session = ref(null)
+const historyId = ref(null)
+// Options the record was created with (editSession is added on save)
+const recordOptions = ref(null)
+// Lineage of the record: the source image's history record, if it came from one
+const sourceParents = ref([])
+// Decoded images by imageIndex ({ data, mimeType }); large, so not deep-reactive
+const images = shallowRef([])
+// Saved image metadata by imageIndex (mirrors record.images)
+const imagesMeta = shallowRef([])
+
+/**
+ * Multi-turn edit session: each prompt edits the previous turn's image with
+ * the whole conversation replayed, so the model keeps context. Turns form a
+ * tree (see editSessionTree.js); sending from an earlier turn branches.
+ *
+ * The session is one history record: the source image is image 0 and each
+ * successful turn appends one image. `options.editSession` holds the tree.
+ */
+export function useEditSession() {
+  const store = useGeneratorStore()
+  const { editImageTurn } = useApi()
+  const imageStorage = useImageStorage()
+  const { updateHistory } = useIndexedDB()
+
+  const isActive = computed(() => !!session.value)
+  const activeTurn = computed(() => findTurn(session.value, session.value?.activeTurnId) || null)
+  const timelineRows = computed(() => buildTimelineRows(session.value))
+  const isSending = computed(() => !!session.value?.turns.some((turn) => turn.status === 'pending'))
+
+  /**
+   * @param {Object} turn
+   * @returns {{data: string, mimeType: string}|null}
+   */
+  const getTurnImage = (turn) => (Number.isInteger(turn?.imageIndex) ? images.value[turn.imageIndex] || null : null)
+
+  /**
+   * Small image URL for the timeline (stored thumbnail once saved)
+   * @param {Object} turn
+   * @returns {string|null}
+   */
+  const getTurnThumbnail = (turn) => {
+    const thumbnail = imagesMeta.value[turn?.imageIndex]?.thumbnail
+    if (thumbnail) return `data:image/webp;base64,${thumbnail}`
+    const image = getTurnImage(turn)
+    return image ? `data:${image.mimeType};base64,${image.data}` : null
+  }
+
+  /**
+   * Show a turn's image in ImagePreview
+   */
+  const showTurn = (turn) => {
+    const image = getTurnImage(turn)
+    if (!image) return
+    store.setGeneratedImages([image])
+    const meta = imagesMeta.value[turn.imageIndex]
+    store.setGeneratedImagesMetadata(meta ? [meta] : [])
+    if (historyId.value) store.setCurrentHistoryId(historyId.value)
+  }
+
+  /**
+   * Start a session on a source image. Nothing is saved until the first turn succeeds.
+   * @param {{data: string, mimeType: string, source?: Object}} sourceImage - `source` links the record to its history parent
+   */
+  const startSession = (sourceImage) => {
+    session.value = createEditSession()
+    historyId.value = null
+    recordOptions.value = null
+    sourceParents.value = buildParentLinks({ mode: 'edit', referenceImages: [sourceImage] })
+    images.value = [{ data: sourceImage.data, mimeType: sourceImage.mimeType || 'image/png' }]
+    imagesMeta.value = []
+  }
+
+  const endSession = () => {
+    session.value = null
+    historyId.value = null
+    recordOptions.value = null
+    sourceParents.value = []
+    images.value = []
+    imagesMeta.value = []
+  }
+
+  /**
+   * Continue from a turn: the next prompt builds on its image
+   * @param {string} turnId
+   */
+  const selectTurn = (turnId) => {
+    if (!session.value || isSending.value) return
+    session.value = setActiveTurn(session.value, turnId)
+    showTurn(activeTurn.value)
+  }
+
+  /**
+   * Write new images and the session tree to the history record
+   * @param {Array<{data: string, mimeType: string}>} newImages - Starting at imagesMeta.length
+   * @param {Object} record - Fields for the first save (prompt, options, thinkingText)
+   */
+  const persist = async (newImages, record) => {
+    if (!historyId.value) {
+      recordOptions.value = JSON.parse(JSON.stringify(record.options))
+      historyId.value = await store.addToHistory({
+        prompt: record.prompt,
+        mode: 'edit',
+        options: { ...recordOptions.value, editSession: serializeEditSession(session.value) },
+        status: 'success',
+        parents: sourceParents.value,
+        thinkingText: record.thinkingText || '',
+      })
+    }
+
+    const saved = newImages.length
+      ? await imageStorage.saveGeneratedImages(historyId.value, newImages, {
+          startIndex: imagesMeta.value.length,
+        })
+      : []
+    imagesMeta.value = [...imagesMeta.value, ...saved]
+
+    await updateHistory(historyId.value, {
+      images: JSON.parse(JSON.stringify(imagesMeta.value)),
+      options: { ...recordOptions.value, editSession: serializeEditSession(session.value) },
+    })
+    await store.updateStorageUsage()
+    await store.loadHistory()
+  }
+
+  /**
+   * Send a prompt on top of the active turn
+   * @param {string} prompt
+   * @param {Object} options - Edit mode options
+   * @param {Function} [onThinkingChunk]
+   * @returns {Promise<Object>} useApi result with the turn's single image and `historyId`
+   * @throws {Error} If the call fails (the turn stays in the tree as failed)
+   */
+  const sendTurn = async (prompt, options, onThinkingChunk = null) => {
+    if (!session.value) throw new Error('No edit session')
+
+    const parent = activeTurn.value
+    const path = getTurnPath(session.value, parent.id)
+    const history = buildConversationHistory(path, (index) => images.value[index])
+    const appended = appendTurn(session.value, parent.id, prompt)
+    session.value = appended.session
+    const turnId = appended.turn.id
+
+    let result
+    try {
+      result = await editImageTurn(prompt, { history, currentImage: getTurnImage(parent) }, options, onThinkingChunk)
+    } catch (err) {
+      session.value = updateTurn(session.value, turnId, { status: 'failed', error: err.message })
+      // Keep failed turns on an existing record so the timeline survives a reload
+      if (historyId.value) {
+        await persist([], {}).catch((saveErr) => console.error('Failed to save edit session:', saveErr))
+      }
+      throw err
+    }
+
+    const image = result.images[0]
+    const imageIndex = getNextImageIndex(session.value)
+    images.value = Object.assign([...images.value], { [imageIndex]: image })
+    session.value = setActiveTurn(
+      updateTurn(session.value, turnId, {
+        status: 'success',
+        imageIndex,
+        sentPrompt: result.prompt,
+        textResponse: result.textResponse || '',
+        modelParts: toStoredModelParts(result.modelParts),
+      }),
+      turnId,
+    )
+
+    // The first save also writes the source image (index 0)
+    const newImages = historyId.value ? [image] : [images.value[0], image]
+    await persist(newImages, { prompt, options, thinkingText: result.thinkingText })
+
+    showTurn(activeTurn.value)
+    return { ...result, images: [image], historyId: historyId.value }
+  }
+
+  /**
+   * Reopen a saved session from its history record
+   * @param {Object} record - History record with `options.editSession`
+   * @returns {Promise<boolean>} false if the record has no usable session
+   */
+  const resumeFromRecord = async (record) => {
+    const restored = deserializeEditSession(record?.options?.editSession)
+    if (!restored || !record.images?.length) return false
+
+    const loaded = []
+    for (const meta of record.images) {
+      try {
+        const data = await imageStorage.getImageBase64(meta.opfsPath)
+        loaded[meta.index] = data ? { data, mimeType: meta.compressedFormat || 'image/webp' } : undefined
+      } catch {
+        // Missing file: turns using it can be viewed in the timeline but not replayed
+      }
+    }
+    if (!loaded[0]) return false
+
+    const options = { ...record.options }
+    delete options.editSession
+    session.value = restored
+    historyId.value = record.id
+    recordOptions.value = options
+    images.value = loaded
+    imagesMeta.value = [...record.images].sort((a, b) => a.index - b.index)
+    showTurn(activeTurn.value)
+    return true
+  }
+
+  return {
+    session,
+    historyId,
+    isActive,
+    isSending,
+    activeTurn,
+    timelineRows,
+    getTurnImage,
+    getTurnThumbnail,
+    startSession,
+    endSession,
+    selectTurn,
+    sendTurn,
+    resumeFromRecord,
+  }
+}
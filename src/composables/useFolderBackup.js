@@ -0,0 +1,412 @@
+import { ref, shallowRef } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useOPFS } from './useOPFS'
+import { useHistoryTransfer } from './useHistoryTransfer'
+import { useCharacterTransfer } from './useCharacterTransfer'
+import { generateUUID } from './useUUID'
+import { expectedHistoryFiles, CHARACTER_IMAGE_EXTENSIONS } from '@/utils/storage-integrity'
+import {
+  BACKUP_INDEX_FILE,
+  fileStamp,
+  itemFingerprint,
+  createBackupIndex,
+  parseBackupIndex,
+  recordBackupPath,
+  recordFilesDir,
+  characterBackupPath,
+} from '@/utils/folder-backup'
+
+const AUTO_BACKUP_STORAGE_KEY = 'nbp-backup-auto'
+// appState keys: the directory handle can't live in localStorage
+const FOLDER_STATE_KEY = 'backupFolder'
+const LAST_BACKUP_STATE_KEY = 'backupLast'
+// Names this browser in the index's per-device scan times
+const DEVICE_STATE_KEY = 'backupDevice'
+// Wait for a generation's follow-up writes (images, video, narration) to settle
+const AUTO_BACKUP_DELAY = 5000
+// The index is also written every this many items, so an interrupted run keeps its progress
+const INDEX_SAVE_INTERVAL = 20
+
+// Module-level state: automatic backups run outside any component
+const folderHandle = shallowRef(null)
+const permission = ref(null)
+const autoBackup = ref(localStorage.getItem(AUTO_BACKUP_STORAGE_KEY) === 'true')
+const lastBackup = ref(null)
+const isBackingUp = ref(false)
+const isRestoring = ref(false)
+const progress = ref({ current: 0, total: 0 })
+
+let services = null
+let loading = null
+let deviceId = null
+let autoTimer = null
+let rerunRequested = false
+let autoStarted = false
+
+const getServices = () => {
+  services ||= {
+    db: useIndexedDB(),
+    opfs: useOPFS(),
+    transfer: useHistoryTransfer(),
+    charTransfer: useCharacterTransfer(),
+  }
+  return services
+}
+
+// ============================================================================
+// Folder access (File System Access API)
+// ============================================================================
+
+const splitPath = (path) => {
+  const parts = path.split('/').filter(Boolean)
+  const name = parts.pop()
+  return [parts, name]
+}
+
+const getFolder = async (root, parts, create) => {
+  let dir = root
+  for (const part of parts) dir = await dir.getDirectoryHandle(part, { create })
+  return dir
+}
+
+const writeFolderFile = async (root, path, data) => {
+  const [parts, name] = splitPath(path)
+  const fileHandle = await (await getFolder(root, parts, true)).getFileHandle(name, { create: true })
+  const writable = await fileHandle.createWritable()
+  try {
+    await writable.write(data)
+    await writable.close()
+  } catch (err) {
+    await writable.abort().catch(() => {})
+    throw err
+  }
+}
+
+const readFolderFile = async (root, path) => {
+  const [parts, name] = splitPath(path)
+  try {
+    return await (await (await getFolder(root, parts, false)).getFileHandle(name)).getFile()
+  } catch (err) {
+    if (err.name === 'NotFoundError') return null
+    throw err
+  }
+}
+
+const removeFolderEntry = async (root, path) => {
+  const [parts, name] = splitPath(path)
+  try {
+    await (await getFolder(root, parts, false)).removeEntry(name, { recursive: true })
+  } catch (err) {
+    if (err.name !== 'NotFoundError') throw err
+  }
+}
+
+const readIndex = async (root) => {
+  const file = await readFolderFile(root, BACKUP_INDEX_FILE)
+  if (!file) return createBackupIndex()
+  try {
+    return parseBackupIndex(JSON.parse(await file.text()))
+  } catch {
+    return createBackupIndex()
+  }
+}
+
+const getDeviceId = async () => {
+  if (deviceId) return deviceId
+  const { db } = getServices()
+  deviceId = await db.getAppState(DEVICE_STATE_KEY)
+  if (!deviceId) {
+    deviceId = generateUUID()
+    await db.setAppState(DEVICE_STATE_KEY, deviceId)
+  }
+  return deviceId
+}
+
+/**
+ * @param {FileSystemDirectoryHandle} handle
+ * @param {boolean} request - Ask the user when not granted (needs a user gesture)
+ * @returns {Promise<'granted'|'prompt'|'denied'>}
+ */
+const checkPermission = async (handle, request) => {
+  const options = { mode: 'readwrite' }
+  let state = await handle.queryPermission(options)
+  if (state === 'prompt' && request) state = await handle.requestPermission(options)
+  return state
+}
+
+const loadFolder = () => {
+  loading ||= (async () => {
+    const { db } = getServices()
+    const handle = await db.getAppState(FOLDER_STATE_KEY)
+    lastBackup.value = (await db.getAppState(LAST_BACKUP_STATE_KEY)) || null
+    if (!handle) return
+    folderHandle.value = handle
+    permission.value = await checkPermission(handle, false)
+  })().catch((err) => {
+    console.warn('[Backup] Failed to load backup folder:', err)
+  })
+  return loading
+}
+
+// ============================================================================
+// Backup
+// ============================================================================
+
+/** @returns {Promise<Array<string>>} Stamps of every OPFS file the record owns */
+const historyStamps = async (record) => {
+  const { opfs } = getServices()
+  const stamps = []
+  for (const { path } of expectedHistoryFiles(record)) {
+    stamps.push(fileStamp(path, await opfs.readFile(path)))
+  }
+  return stamps
+}
+
+const characterStamp = async (characterId) => {
+  const { opfs } = getServices()
+  for (const ext of CHARACTER_IMAGE_EXTENSIONS) {
+    const path = `/characters/${characterId}/image.${ext}`
+    const file = await opfs.readFile(path)
+    if (file) return fileStamp(path, file)
+  }
+  return fileStamp(`/characters/${characterId}/image`, null)
+}
+
+/**
+ * Write new and changed records and characters to the folder
+ * @param {boolean} interactive - Called from a user gesture (may ask for permission)
+ * @returns {Promise<{ history: number, characters: number }|null>} Items written; null when skipped
+ */
+const runBackup = async (interactive) => {
+  await loadFolder()
+  const root = folderHandle.value
+  if (!root) return null
+  if (isRestoring.value) return null
+  if (isBackingUp.value) {
+    rerunRequested = true
+    return null
+  }
+  permission.value = await checkPermission(root, interactive)
+  if (permission.value !== 'granted') return null
+
+  const { db, transfer, charTransfer } = getServices()
+  isBackingUp.value = true
+  try {
+    const startedAt = Date.now()
+    const device = await getDeviceId()
+    const index = await readIndex(root)
+    // Records untouched since this browser's last complete run are already backed up
+    const since = index.scans[device]
+    const ids = since === undefined ? await db.getAllHistoryIds() : await db.getHistoryIdsUpdatedSince(since)
+    const characters = await db.getAllCharacters()
+    progress.value = { current: 0, total: ids.length + characters.length }
+
+    const written = { history: 0, characters: 0 }
+    const writer = { addFile: (path, data) => writeFolderFile(root, path, data) }
+    const saveIndex = () => writeFolderFile(root, BACKUP_INDEX_FILE, JSON.stringify({ ...index, updatedAt: Date.now() }))
+    const wrote = async () => {
+      if ((written.history + written.characters) % INDEX_SAVE_INTERVAL === 0) await saveIndex()
+    }
+
+    for (const id of ids) {
+      progress.value.current++
+      const record = await db.getHistoryById(id)
+      if (!record?.uuid) continue
+      const fingerprint = itemFingerprint(record, await historyStamps(record))
+      if (index.history[record.uuid] === fingerprint) continue
+
+      // Files of the previous version may not exist in this one
+      await removeFolderEntry(root, recordFilesDir(record.uuid))
+      const exported = await transfer.writeExportRecord(writer, record)
+      await writeFolderFile(root, recordBackupPath(record.uuid), JSON.stringify(exported))
+      index.history[record.uuid] = fingerprint
+      written.history++
+      await wrote()
+    }
+
+    for (let character of characters) {
+      progress.value.current++
+      // Characters made before UUIDs existed get one now, so the backup has a stable key
+      if (!character.uuid) {
+        character = { ...character, uuid: generateUUID() }
+        await db.updateCharacter(character.id, { uuid: character.uuid })
+      }
+      const fingerprint = itemFingerprint(character, [await characterStamp(character.id)])
+      if (index.characters[character.uuid] === fingerprint) continue
+
+      const exported = await charTransfer.toCharacterExport(character)
+      await writeFolderFile(root, characterBackupPath(character.uuid), JSON.stringify(exported))
+      index.characters[character.uuid] = fingerprint
+      written.characters++
+      await wrote()
+    }
+
+    index.scans[device] = startedAt
+    await saveIndex()
+    lastBackup.value = { at: Date.now(), ...written }
+    await db.setAppState(LAST_BACKUP_STATE_KEY, lastBackup.value)
+    return written
+  } finally {
+    isBackingUp.value = false
+    progress.value = { current: 0, total: 0 }
+    if (rerunRequested) {
+      rerunRequested = false
+      scheduleAutoBackup()
+    }
+  }
+}
+
+function scheduleAutoBackup() {
+  // Records being restored come from the folder already
+  if (!autoBackup.value || !folderHandle.value || isRestoring.value) return
+  clearTimeout(autoTimer)
+  autoTimer = setTimeout(() => {
+    runBackup(false).catch((err) => console.warn('[Backup] Automatic backup failed:', err))
+  }, AUTO_BACKUP_DELAY)
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Backups to a user-picked local folder: differential (only new or changed
+ * items, keyed by UUID), on demand or after each generation, and restorable.
+ * Folder layout: utils/folder-backup.js.
+ */
+export function useFolderBackup() {
+  const isSupported = typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function'
+
+  /**
+   * Let the user pick the backup folder
+   * @returns {Promise<boolean>} false when cancelled
+   */
+  const chooseFolder = async () => {
+    let handle
+    try {
+      handle = await window.showDirectoryPicker({ id: 'nbp-backup', mode: 'readwrite' })
+    } catch (err) {
+      if (err.name === 'AbortError') return false
+      throw err
+    }
+    const { db } = getServices()
+    await db.setAppState(FOLDER_STATE_KEY, handle)
+    folderHandle.value = handle
+    permission.value = await checkPermission(handle, true)
+    lastBackup.value = null
+    await db.deleteAppState(LAST_BACKUP_STATE_KEY)
+    return true
+  }
+
+  /** Ask again for access after a reload (browsers don't keep it) */
+  const reconnect = async () => {
+    await loadFolder()
+    if (!folderHandle.value) return
+    permission.value = await checkPermission(folderHandle.value, true)
+  }
+
+  /** Forget the folder; its files are left as they are */
+  const disconnect = async () => {
+    clearTimeout(autoTimer)
+    const { db } = getServices()
+    await db.deleteAppState(FOLDER_STATE_KEY)
+    await db.deleteAppState(LAST_BACKUP_STATE_KEY)
+    folderHandle.value = null
+    permission.value = null
+    lastBackup.value = null
+  }
+
+  /** @param {boolean} enabled */
+  const setAutoBackup = (enabled) => {
+    autoBackup.value = enabled
+    localStorage.setItem(AUTO_BACKUP_STORAGE_KEY, String(enabled))
+    if (!enabled) clearTimeout(autoTimer)
+  }
+
+  /** @returns {Promise<{ history: number, characters: number }|null>} */
+  const backupNow = () => runBackup(true)
+
+  /**
+   * Import every record and character in the folder that isn't here yet
+   * (existing UUIDs and trashed records are skipped, as with file imports)
+   * @returns {Promise<{ history: Object, characters: Object }|null>} Import results; null without access
+   */
+  const restoreFromFolder = async () => {
+    await loadFolder()
+    const root = folderHandle.value
+    if (!root || isBackingUp.value || isRestoring.value) return null
+    permission.value = await checkPermission(root, true)
+    if (permission.value !== 'granted') return null
+
+    const { transfer, charTransfer } = getServices()
+    isRestoring.value = true
+    try {
+      const index = await readIndex(root)
+      const readJson = async (path) => {
+        const file = await readFolderFile(root, path)
+        if (!file) throw new Error(`Missing backup file: ${path}`)
+        return JSON.parse(await file.text())
+      }
+
+      const uuids = Object.keys(index.history)
+      progress.value = { current: 0, total: uuids.length }
+      const source = {
+        count: uuids.length,
+        readRecord: (i) => {
+          progress.value = { current: i + 1, total: uuids.length }
+          return readJson(recordBackupPath(uuids[i]))
+        },
+        openFile: async (path, type) => {
+          const file = await readFolderFile(root, path)
+          if (!file) throw new Error(`Missing backup file: ${path}`)
+          return file.slice(0, file.size, type)
+        },
+      }
+      const history = await transfer.importFromSource(source, `backup:${root.name}:${index.updatedAt}`)
+
+      const characters = []
+      for (const uuid of Object.keys(index.characters)) {
+        try {
+          characters.push(await readJson(characterBackupPath(uuid)))
+        } catch (err) {
+          console.warn('[Backup] Skipping unreadable character backup:', err)
+        }
+      }
+      const characterResult = await charTransfer.importCharacterList(characters)
+
+      return { history, characters: characterResult }
+    } finally {
+      isRestoring.value = false
+      progress.value = { current: 0, total: 0 }
+    }
+  }
+
+  /** Load the saved folder and back up after each generation (call once at startup) */
+  const startAutoBackup = () => {
+    if (!isSupported || autoStarted) return
+    autoStarted = true
+    loadFolder()
+    window.addEventListener('nbp-history-added', scheduleAutoBackup)
+    window.addEventListener('nbp-history-updated', scheduleAutoBackup)
+    window.addEventListener('characters-updated', scheduleAutoBackup)
+  }
+
+  return {
+    isSupported,
+    folderHandle,
+    permission,
+    autoBackup,
+    lastBackup,
+    isBackingUp,
+    isRestoring,
+    progress,
+    loadFolder,
+    chooseFolder,
+    reconnect,
+    disconnect,
+    setAutoBackup,
+    backupNow,
+    restoreFromFolder,
+    startAutoBackup,
+  }
+}
@@ -7,6 +7,13 @@ import { useToast } from './useToast'
 import { useImageStorage } from './useImageStorage'
 import { useVideoStorage } from './useVideoStorage'
 import { useIndexedDB } from './useIndexedDB'
+import { buildMatrixCells, validateMatrix, MAX_MATRIX_CELLS } from './promptMatrix'
+import { useBudgetGuard } from './useBudgetGuard'
+import { useImageProvider } from './useImageProvider'
+import { PROVIDER_ONLY_MODES } from './imageProviders'
+import { useEditSession } from './useEditSession'
+import { hasMaskedRegion, buildMaskedEditReferences, compositeMaskedEdit } from './useMaskedEdit'
+import { buildParentLinks } from '@/utils/history-lineage'
 
 /**
  * Composable for handling image generation logic
@@ -19,9 +26,13 @@ export function useGeneration() {
   const imageStorage = useImageStorage()
   const videoStorage = useVideoStorage()
   const { updateHistoryImages, updateHistoryVideo, updateHistoryNarration } = useIndexedDB()
-  const { generateImageStream, generateStory, editImage, generateDiagram } = useApi()
+  const { generateImageStream, generateStory, editImage, generateDiagram, generateImagesBatch } =
+    useApi()
   const { generateVideo } = useVideoApi()
   const { generateAllPages, generateAllAudio, saveAudioToStorage } = useSlidesGeneration()
+  const { estimateProjectedCost, preflightBudget } = useBudgetGuard()
+  const { hasCredentialsFor, isGeminiProvider } = useImageProvider()
+  const editSession = useEditSession()
 
   // AbortController for cancellable operations (e.g., video polling)
   let currentAbortController = null
@@ -42,32 +53,145 @@ export function useGeneration() {
     if (store.currentMode !== 'slides' && !store.prompt.trim()) {
       return t('errors.noPrompt')
     }
-    if (!store.hasApiKey) {
-      return t('errors.noApiKey')
+    if (!hasCredentialsFor(store.currentMode, store.hasApiKey)) {
+      return isGeminiProvider.value || !PROVIDER_ONLY_MODES.includes(store.currentMode)
+        ? t('errors.noApiKey')
+        : t('errors.imageProviderNotConfigured')
     }
     return null
   }
 
   /**
-   * Execute generation based on current mode
+   * Run a prompt matrix (X/Y sweep): one job per cell through generateImagesBatch.
+   * Cells keep their own options so the grid and history record can show what
+   * produced each image.
+   * @returns {Promise<Object>} Result with `images` (successful cells only) and `matrix`
+   */
+  const generateMatrix = async (prompt, options, refImages, onChunk = onThinkingChunk) => {
+    const { matrix: matrixConfig, ...baseOptions } = options
+
+    const validationError = validateMatrix(matrixConfig, baseOptions)
+    if (validationError) {
+      throw new Error(t(`matrix.errors.${validationError}`, { max: MAX_MATRIX_CELLS }))
+    }
+
+    const matrix = buildMatrixCells(matrixConfig, baseOptions)
+    const totalCells = matrix.cells.length
+    let settledCount = 0
+
+    const cellLabel = (cell) =>
+      cell.yValue === null ? `${cell.xValue}` : `${cell.xValue} × ${cell.yValue}`
+
+    onChunk(`\n--- ${t('matrix.progress', { current: 0, total: totalCells })} ---\n`)
+
+    const jobs = matrix.cells.map((cell) => ({
+      id: cell.id,
+      prompt,
+      mode: 'generate',
+      options: cell.options,
+      referenceImages: refImages,
+      onThinkingChunk: (chunk) => {
+        if (typeof chunk === 'string') {
+          onChunk(`[${cellLabel(cell)}] ${chunk}`)
+        } else {
+          onChunk({ ...chunk, matrixCell: cell.id })
+        }
+      },
+    }))
+
+    const { resultsById } = await generateImagesBatch(jobs, {
+      concurrency: matrixConfig.concurrency,
+      onJobUpdate: ({ status }) => {
+        if (status === 'started') return
+        settledCount++
+        onChunk(
+          `\n--- ${t('matrix.progress', { current: settledCount, total: totalCells })} ---\n`,
+        )
+      },
+    })
+
+    // Collect images in cell order; each cell remembers which image it produced
+    const images = []
+    let thinkingText = ''
+    for (const cell of matrix.cells) {
+      const entry = resultsById.get(cell.id)
+      const image = entry?.ok ? entry.result?.images?.[0] : null
+      if (image) {
+        cell.status = 'success'
+        cell.imageIndex = images.length
+        images.push({ ...image, matrixCell: cell.id })
+        if (entry.result.thinkingText) {
+          thinkingText += `[${cellLabel(cell)}]\n${entry.result.thinkingText}\n`
+        }
+      } else {
+        cell.status = 'failed'
+        cell.error = entry?.error?.message || t('errors.noImageData')
+      }
+    }
+
+    const successCount = images.length
+    return {
+      success: successCount === totalCells,
+      images,
+      thinkingText,
+      matrix,
+      totalCells,
+      successCount,
+      failedCount: totalCells - successCount,
+    }
+  }
+
+  /**
+   * Edit only the masked region of a reference image (painted in SketchCanvas).
+   * The model sees the image and its mask; its output is then pasted back over
+   * the original inside the mask, so pixels outside it are unchanged.
+   */
+  const editMaskedRegion = async (prompt, options, refImages, onChunk) => {
+    const source = refImages.find(hasMaskedRegion)
+    const result = await editImage(
+      prompt,
+      buildMaskedEditReferences(refImages),
+      { ...options, maskedRegion: true },
+      onChunk,
+    )
+    const images = []
+    for (const image of result.images) {
+      images.push(await compositeMaskedEdit(source, image))
+    }
+    return { ...result, images, maskedRegion: true }
+  }
+
+  /**
+   * Execute generation for a mode
+   * @param {string} mode - Generation mode
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Mode options
+   * @param {Array} refImages - Reference images
+   * @param {Function} onChunk - Thinking chunk callback (defaults to the live thinking panel)
    * @returns {Promise<Object>} Generation result
    */
-  const executeGeneration = async (options, refImages) => {
-    switch (store.currentMode) {
+  const executeGeneration = async (mode, prompt, options, refImages, onChunk = onThinkingChunk) => {
+    switch (mode) {
       case 'generate':
-        return generateImageStream(store.prompt, options, 'generate', refImages, onThinkingChunk)
+        if (options.matrix?.enabled) {
+          return generateMatrix(prompt, options, refImages, onChunk)
+        }
+        return generateImageStream(prompt, options, 'generate', refImages, onChunk)
 
       case 'sticker':
-        return generateImageStream(store.prompt, options, 'sticker', refImages, onThinkingChunk)
+        return generateImageStream(prompt, options, 'sticker', refImages, onChunk)
 
       case 'edit':
         if (refImages.length === 0) {
           throw new Error(t('errors.noEditImage'))
         }
-        return editImage(store.prompt, refImages, options, onThinkingChunk)
+        if (refImages.some(hasMaskedRegion)) {
+          return editMaskedRegion(prompt, options, refImages, onChunk)
+        }
+        return editImage(prompt, refImages, options, onChunk)
 
       case 'story': {
-        const result = await generateStory(store.prompt, options, refImages, onThinkingChunk)
+        const result = await generateStory(prompt, options, refImages, onChunk)
         // Flatten story results - only collect successful step images
         if (result.results) {
           const allImages = []
@@ -88,11 +212,11 @@ export function useGeneration() {
       }
 
       case 'diagram':
-        return generateDiagram(store.prompt, options, refImages, onThinkingChunk)
+        return generateDiagram(prompt, options, refImages, onChunk)
 
       case 'video': {
         // Build enhanced prompt from prompt builder options
-        const enhancedPrompt = buildVideoPrompt(store.prompt, store.videoPromptOptions)
+        const enhancedPrompt = buildVideoPrompt(prompt, store.videoPromptOptions)
         // Build negative prompt (separate API field)
         const negativePrompt = buildVideoNegativePrompt(store.videoPromptOptions)
         // Merge negative prompt into options for API call
@@ -152,16 +276,66 @@ export function useGeneration() {
       }
 
       default:
-        throw new Error(`Unknown mode: ${store.currentMode}`)
+        throw new Error(`Unknown mode: ${mode}`)
     }
   }
 
+  /**
+   * History options for image modes (everything except video and slides)
+   * @param {Object} options - Options the generation ran with
+   * @param {Object} result - Generation result
+   * @returns {Object}
+   */
+  const buildImageHistoryOptions = (options, result) => {
+    if (result?.matrix) {
+      // Keep the sweep definition plus every cell's options and outcome
+      return {
+        ...options,
+        matrix: {
+          ...options.matrix,
+          xValues: result.matrix.xValues,
+          yValues: result.matrix.yValues,
+          cells: result.matrix.cells,
+        },
+      }
+    }
+    if (result?.maskedRegion) {
+      return { ...options, maskedRegion: true }
+    }
+    return { ...options }
+  }
+
+  /**
+   * Name of the character whose image was locked into the references (see
+   * store.selectCharacter), recorded on history for filtering
+   * @param {Array} referenceImages
+   * @returns {string|undefined}
+   */
+  const getLockedCharacterName = (referenceImages) =>
+    referenceImages?.find((img) => img.isCharacterLocked)?.name || undefined
+
+  /**
+   * Status for the history record
+   * Slides/Story/Matrix: check partial success; other modes: always 'success'
+   * @param {string} mode - Generation mode
+   * @param {Object} result - Generation result
+   * @returns {'success'|'partial'|'failed'}
+   */
+  const resolveHistoryStatus = (mode, result) => {
+    if ((mode === 'slides' || mode === 'story' || result?.matrix) && result) {
+      const { successCount = 0, failedCount = 0 } = result
+      if (successCount === 0) return 'failed'
+      if (failedCount > 0) return 'partial'
+    }
+    return 'success'
+  }
+
   /**
    * Save images to storage (background operation)
    */
-  const saveImagesToStorage = async (historyId, images, { skipReload = false } = {}) => {
+  const saveImagesToStorage = async (historyId, images, { skipReload = false, lossless = false } = {}) => {
     try {
-      const metadata = await imageStorage.saveGeneratedImages(historyId, images)
+      const metadata = await imageStorage.saveGeneratedImages(historyId, images, { lossless })
       await updateHistoryImages(historyId, metadata)
       store.setGeneratedImagesMetadata(metadata)
       if (!skipReload) {
@@ -229,6 +403,33 @@ export function useGeneration() {
     }
   }
 
+  /**
+   * Send the prompt as the next turn of the active edit session. The session
+   * keeps its own history record, so nothing is added here; a failed turn is
+   * recorded in the session's timeline instead of as a failed record.
+   */
+  const runEditSessionTurn = async (options, callbacks) => {
+    try {
+      const result = await editSession.sendTurn(store.prompt, options, onThinkingChunk)
+      toast.success(t('toast.generateSuccess', { count: result.images.length }))
+
+      if (callbacks.onComplete) {
+        callbacks.onComplete({ success: true, result })
+      }
+      return { success: true, result }
+    } catch (err) {
+      store.setGenerationError(err.message || t('toast.generateFailed'))
+
+      if (callbacks.onComplete) {
+        callbacks.onComplete({ success: false, error: err })
+      }
+      return { success: false, error: err }
+    } finally {
+      store.setGenerating(false)
+      store.setStreaming(false)
+    }
+  }
+
   /**
    * Main generation handler
    * @param {Object} callbacks - Optional callbacks for UI updates
@@ -246,6 +447,22 @@ export function useGeneration() {
       return { success: false, error: validationError }
     }
 
+    // Budget pre-flight (agent mode is conversational and not estimated)
+    if (store.currentMode !== 'agent') {
+      const projected = estimateProjectedCost({
+        mode: store.currentMode,
+        options: store.getCurrentOptions,
+        prompt: store.prompt,
+        referenceImages: store.referenceImages,
+      })
+      const proceed = await preflightBudget({
+        mode: store.currentMode,
+        projectedCost: projected.cost,
+        calls: projected.calls,
+      })
+      if (!proceed) return { success: false, error: 'Budget limit' }
+    }
+
     // Call onStart callback (for UI updates like scrolling)
     if (callbacks.onStart) {
       callbacks.onStart()
@@ -258,15 +475,28 @@ export function useGeneration() {
     store.clearGeneratedImages()
     store.clearGeneratedVideo()
     store.clearGeneratedAudioUrls()
+    store.clearGeneratedMatrix()
     store.clearThinkingProcess()
 
     const options = store.getCurrentOptions
     const refImages = store.referenceImages
+    const characterName = getLockedCharacterName(refImages)
+    const parents = buildParentLinks({
+      mode: store.currentMode,
+      referenceImages: refImages,
+      inputVideo: options.inputVideo,
+    })
     let thinkingText = ''
 
+    if (store.currentMode === 'edit' && editSession.isActive.value) {
+      return runEditSessionTurn(options, callbacks)
+    }
+
+    const startedAt = Date.now()
     try {
       // Execute generation
-      const result = await executeGeneration(options, refImages)
+      const result = await executeGeneration(store.currentMode, store.prompt, options, refImages)
+      const generationTime = Date.now() - startedAt
 
       // Process result based on mode
       const isVideoMode = store.currentMode === 'video'
@@ -290,6 +520,19 @@ export function useGeneration() {
         } else {
           toast.error(t('toast.slidesAllFailed', { count: totalPages }))
         }
+      } else if (result?.matrix) {
+        // Prompt matrix result - grid of cells, possibly with failures
+        const { successCount = 0, failedCount = 0, totalCells = 0 } = result
+        store.setGeneratedImages(result.images)
+        store.setGeneratedMatrix(result.matrix)
+
+        if (successCount > 0 && failedCount === 0) {
+          toast.success(t('toast.matrixSuccess', { count: successCount }))
+        } else if (successCount > 0 && failedCount > 0) {
+          toast.warning(t('toast.matrixPartialSuccess', { success: successCount, failed: failedCount }))
+        } else {
+          toast.error(t('toast.matrixAllFailed', { count: totalCells }))
+        }
       } else if (store.currentMode === 'story' && result) {
         // Story mode result - handle partial success
         const { successCount = 0, failedCount = 0, totalSteps = 0 } = result
@@ -361,26 +604,19 @@ export function useGeneration() {
           pagesContent,
         }
       } else {
-        historyOptions = { ...options }
+        historyOptions = buildImageHistoryOptions(options, result)
       }
 
-      // Determine status for history record
-      // Slides/Story mode: check partial success; other modes: always 'success' in try block
-      let historyStatus = 'success'
-      if ((store.currentMode === 'slides' || store.currentMode === 'story') && result) {
-        const { successCount = 0, failedCount = 0 } = result
-        if (successCount === 0) {
-          historyStatus = 'failed'
-        } else if (failedCount > 0) {
-          historyStatus = 'partial'
-        }
-      }
+      const historyStatus = resolveHistoryStatus(store.currentMode, result)
 
       const historyId = await store.addToHistory({
         prompt: store.prompt,
         mode: store.currentMode,
         options: historyOptions,
         status: historyStatus,
+        generationTime,
+        characterName,
+        parents,
         thinkingText:
           thinkingText ||
           store.thinkingProcess
@@ -422,7 +658,8 @@ export function useGeneration() {
         }
         toast.success(t('toast.slidesSaved'))
       } else if (result?.images?.length > 0) {
-        await saveImagesToStorage(historyId, result.images)
+        // Masked edits must match the original outside the mask exactly
+        await saveImagesToStorage(historyId, result.images, { lossless: !!result.maskedRegion })
       }
 
       // Set current history ID for ImagePreview to use
@@ -446,6 +683,9 @@ export function useGeneration() {
           options: { ...options },
           status: 'failed',
           error: err.message,
+          generationTime: Date.now() - startedAt,
+          characterName,
+          parents,
           thinkingText: store.thinkingProcess
             .filter((c) => c.type === 'text')
             .map((c) => c.content)
@@ -467,6 +707,79 @@ export function useGeneration() {
     }
   }
 
+  /**
+   * Run a job from the persistent queue (see useJobQueue).
+   * Works from the job's own snapshot and writes straight to history/OPFS
+   * without touching the live preview, so it can run while the user keeps
+   * working in the foreground.
+   * @param {Object} job - Queue job { mode, prompt, options, referenceImages }
+   * @param {Object} control
+   * @param {Function} control.isCancelled - async () => boolean, checked before anything is persisted
+   * @returns {Promise<{historyId: number}|{cancelled: true}>}
+   * @throws {Error} If the budget check refuses the job or the generation produced no images
+   */
+  const runQueuedJob = async (job, { isCancelled = async () => false } = {}) => {
+    let streamedText = ''
+    const collectChunk = (chunk) => {
+      if (typeof chunk === 'string') streamedText += chunk
+    }
+
+    const options = job.options || {}
+
+    // Spending may have changed since the job was queued
+    const projected = estimateProjectedCost({
+      mode: job.mode,
+      options,
+      prompt: job.prompt,
+      referenceImages: job.referenceImages || [],
+    })
+    if (!(await preflightBudget({ mode: job.mode, projectedCost: projected.cost, calls: projected.calls }))) {
+      throw new Error(t('budget.queuedJobStopped'))
+    }
+
+    const startedAt = Date.now()
+    const result = await executeGeneration(
+      job.mode,
+      job.prompt,
+      options,
+      job.referenceImages || [],
+      collectChunk,
+    )
+    const generationTime = Date.now() - startedAt
+
+    if (await isCancelled()) return { cancelled: true }
+
+    const status = resolveHistoryStatus(job.mode, result)
+    if (!result?.images?.length || status === 'failed') {
+      throw new Error(result?.error || t('errors.noImageData'))
+    }
+
+    const historyId = await store.addToHistory({
+      prompt: job.prompt,
+      mode: job.mode,
+      options: buildImageHistoryOptions(options, result),
+      status,
+      generationTime,
+      characterName: getLockedCharacterName(job.referenceImages),
+      parents: buildParentLinks({ mode: job.mode, referenceImages: job.referenceImages }),
+      thinkingText: result.thinkingText || streamedText,
+    })
+
+    try {
+      const metadata = await imageStorage.saveGeneratedImages(historyId, result.images, {
+        lossless: !!result.maskedRegion,
+      })
+      await updateHistoryImages(historyId, metadata)
+      await store.updateStorageUsage()
+      await store.loadHistory()
+    } catch (err) {
+      console.error('Failed to save queued job images to OPFS:', err)
+      toast.warning(t('toast.imageSaveFailed'))
+    }
+
+    return { historyId }
+  }
+
   /**
    * Cancel ongoing generation (currently supports video mode)
    */
@@ -481,5 +794,6 @@ export function useGeneration() {
     handleGenerate,
     validateGeneration,
     cancelGeneration,
+    runQueuedJob,
   }
 }
@@ -0,0 +1,89 @@
+import { useGeneratorStore } from '@/stores/generator'
+import {
+  RESTORABLE_MODES,
+  embedGenerationMetadata,
+  readGenerationMetadata,
+  pickRestorableOptions,
+} from '@/utils/image-metadata'
+
+/**
+ * Embed metadata into an image blob. Falls back to the original blob for
+ * formats or files that can't carry it, so downloads never fail because of it.
+ * @param {Blob} blob - PNG, JPEG or WebP
+ * @param {Object|null} meta - From buildGenerationMetadata
+ * @returns {Promise<Blob>}
+ */
+export const embedMetadataInBlob = async (blob, meta) => {
+  if (!meta || !blob) return blob
+  try {
+    const bytes = embedGenerationMetadata(new Uint8Array(await blob.arrayBuffer()), meta)
+    return new Blob([bytes], { type: blob.type })
+  } catch (err) {
+    console.warn('Skipped embedding generation metadata:', err.message)
+    return blob
+  }
+}
+
+/**
+ * Generation metadata in image files (see utils/image-metadata.js):
+ * written on download, read back when a file is dropped on the uploader.
+ */
+export function useGenerationMetadata() {
+  const store = useGeneratorStore()
+
+  /**
+   * @param {Blob|File} file
+   * @returns {Promise<Object|null>} Metadata, or null if the file has none
+   */
+  const readFromFile = async (file) => {
+    try {
+      return readGenerationMetadata(new Uint8Array(await file.arrayBuffer()))
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Whether the metadata's mode can be restored into the generator
+   * @param {Object|null} meta
+   * @returns {boolean}
+   */
+  const canRestore = (meta) => !!meta && RESTORABLE_MODES.includes(meta.mode)
+
+  /**
+   * Apply prompt, mode, model, seed and mode options from a file to the store
+   * @param {Object} meta - From readFromFile
+   * @returns {boolean} false if the mode can't be restored
+   */
+  const restoreSettings = (meta) => {
+    if (!canRestore(meta)) return false
+
+    store.prompt = meta.prompt
+    store.setMode(meta.mode)
+    store.temperature = meta.options.temperature ?? store.temperature
+    store.seed = meta.seed ?? ''
+    if (meta.model) {
+      store.imageModel = meta.model
+    }
+
+    const current = store[`${meta.mode}Options`]
+    const restored = pickRestorableOptions(current, meta.options)
+    for (const [key, value] of Object.entries(restored)) {
+      if (Array.isArray(value) && Array.isArray(current[key])) {
+        // Use splice to maintain reactivity instead of direct assignment
+        current[key].splice(0, current[key].length, ...value)
+      } else if (value && typeof value === 'object' && current[key]) {
+        Object.assign(current[key], value)
+      } else {
+        current[key] = value
+      }
+    }
+    return true
+  }
+
+  return {
+    readFromFile,
+    canRestore,
+    restoreSettings,
+  }
+}
@@ -0,0 +1,137 @@
+import { ref } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useGeneratorStore } from '@/stores/generator'
+import {
+  normalizeTags,
+  normalizeAlbums,
+  normalizeAlbumName,
+  groupNameCounts,
+  mergeCollections,
+  collectionsDiffer,
+  renameInList,
+  removeFromList,
+} from '@/utils/history-collections'
+
+// Shared so the history list, the editor and the album manager see the same names
+const tagNames = ref([])
+const albumNames = ref([])
+
+/**
+ * Favorites, tags and albums for history records (see utils/history-collections.js).
+ * Every change goes through updateHistory, so the search index follows along.
+ */
+export function useHistoryCollections() {
+  const store = useGeneratorStore()
+  const {
+    updateHistory,
+    getHistoryIndexCounts,
+    getHistoryByIndexKeys,
+  } = useIndexedDB()
+
+  /** Reload the tag and album lists from the history indexes */
+  const loadNames = async () => {
+    try {
+      const [tags, albums] = await Promise.all([
+        getHistoryIndexCounts('tags'),
+        getHistoryIndexCounts('albums'),
+      ])
+      tagNames.value = groupNameCounts(tags)
+      albumNames.value = groupNameCounts(albums)
+    } catch (err) {
+      console.error('Failed to load history tags and albums:', err)
+    }
+  }
+
+  // Every spelling of a name stored in the index (falls back to the name itself)
+  const keysFor = (names, name) => names.value.find((n) => n.name.toLowerCase() === name.toLowerCase())?.keys || [name]
+
+  // Reuse the spelling already in use, so "Cat" typed later joins "cat"
+  const canonical = (names, values) =>
+    values.map((value) => names.value.find((n) => n.name.toLowerCase() === value.toLowerCase())?.name || value)
+
+  /**
+   * Every stored spelling of the filtered album / first tag, for the
+   * index lookup in queryHistory (names compare case-insensitively)
+   * @param {{ album?: string, tags?: string[] }} filter
+   * @returns {{ albumKeys: string[], tagKeys: string[] }}
+   */
+  const indexKeysFor = (filter) => ({
+    albumKeys: filter.album ? keysFor(albumNames, filter.album) : [],
+    tagKeys: filter.tags?.length ? keysFor(tagNames, filter.tags[0]) : [],
+  })
+
+  const save = async (id, updates) => {
+    await updateHistory(id, updates)
+    await store.loadHistory()
+    await loadNames()
+  }
+
+  /** @param {Object} record */
+  const toggleFavorite = (record) => save(record.id, { favorite: record.favorite !== true })
+
+  /**
+   * @param {Object} record
+   * @param {{ tags: string[], albums: string[] }} collections
+   */
+  const setCollections = (record, { tags, albums }) =>
+    save(record.id, {
+      tags: canonical(tagNames, normalizeTags(tags)),
+      albums: canonical(albumNames, normalizeAlbums(albums)),
+    })
+
+  // Apply a change to the albums of every record in an album
+  const updateAlbumRecords = async (name, change) => {
+    const records = await getHistoryByIndexKeys('albums', keysFor(albumNames, name))
+    for (const record of records) {
+      await updateHistory(record.id, { albums: change(record.albums) })
+    }
+    await store.loadHistory()
+    await loadNames()
+    return records.length
+  }
+
+  /**
+   * Rename an album on every record (renaming onto an existing album merges them)
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<number>} Records changed
+   */
+  const renameAlbum = (from, to) => {
+    const next = normalizeAlbumName(to)
+    if (!next) return Promise.resolve(0)
+    return updateAlbumRecords(from, (albums) => renameInList(albums, from, next))
+  }
+
+  /**
+   * Remove an album from every record (the records themselves are kept)
+   * @param {string} name
+   * @returns {Promise<number>} Records changed
+   */
+  const deleteAlbum = (name) => updateAlbumRecords(name, (albums) => removeFromList(albums, name))
+
+  return {
+    tagNames,
+    albumNames,
+    loadNames,
+    indexKeysFor,
+    toggleFavorite,
+    setCollections,
+    renameAlbum,
+    deleteAlbum,
+  }
+}
+
+/**
+ * Merge the favorite/tags/albums of an imported or received record into the
+ * local copy with the same UUID. Used where duplicates are otherwise skipped.
+ * @param {Object} existing - Local record
+ * @param {Object} incoming - Imported / received record
+ * @param {Function} updateHistory - From useIndexedDB
+ * @returns {Promise<boolean>} Whether the local record changed
+ */
+export const mergeIncomingCollections = async (existing, incoming, updateHistory) => {
+  const merged = mergeCollections(existing, incoming)
+  if (!collectionsDiffer(existing, merged)) return false
+  await updateHistory(existing.id, merged)
+  return true
+}
@@ -0,0 +1,57 @@
+import { useIndexedDB } from './useIndexedDB'
+import { useGeneratorStore } from '@/stores/generator'
+import { collectLineage, buildLineageTree, flattenLineageTree } from '@/utils/history-lineage'
+
+/**
+ * Parent/child links between history records (see utils/history-lineage.js).
+ * Generations record their parents from the inputs' `source`; this loads a
+ * record's derivation tree and hands history images to the generator with
+ * that `source` attached.
+ */
+export function useHistoryLineage() {
+  const store = useGeneratorStore()
+  const { getHistoryById, getHistoryByUUID, getHistoryChildren } = useIndexedDB()
+
+  /**
+   * The derivation tree around a record, as display rows
+   * @param {number} historyId
+   * @returns {Promise<{ rows: Array<{ key: string, depth: number, node: Object }>, truncated: boolean }|null>}
+   *   null when the record has no parents or children
+   */
+  const loadLineage = async (historyId) => {
+    const record = historyId != null ? await getHistoryById(historyId) : null
+    if (!record?.uuid) return null
+    const lineage = await collectLineage(record, { getRecord: getHistoryByUUID, getChildren: getHistoryChildren })
+    if (lineage.records.size === 1 && lineage.missing.size === 0) return null
+    return {
+      rows: flattenLineageTree(buildLineageTree(lineage, record.uuid)),
+      truncated: lineage.truncated,
+    }
+  }
+
+  /**
+   * Add an image of a history record to the reference images, linked to the
+   * record so the next generation lists it as a parent
+   * @param {number} historyId
+   * @param {{ data: string, mimeType: string }} image - Base64 data
+   * @param {Object} [options]
+   * @param {string} [options.relation] - e.g. 'sticker'; otherwise 'edit' or 'reference' by the mode used
+   * @param {string} [options.name]
+   * @returns {Promise<boolean>} false if the reference images are full
+   */
+  const addToReferences = async (historyId, image, { relation, name } = {}) => {
+    const record = historyId != null ? await getHistoryById(historyId) : null
+    return store.addReferenceImage({
+      data: image.data,
+      preview: `data:${image.mimeType};base64,${image.data}`,
+      mimeType: image.mimeType,
+      name,
+      ...(record?.uuid && { source: { uuid: record.uuid, ...(relation && { relation }) } }),
+    })
+  }
+
+  return {
+    loadLineage,
+    addToReferences,
+  }
+}
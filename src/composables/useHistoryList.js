@@ -0,0 +1,111 @@
+import { shallowRef, watch, onMounted, onBeforeUnmount } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useGeneratorStore } from '@/stores/generator'
+import { pagesForRange, pagesToEvict } from '@/utils/virtual-list'
+
+// Same size as the store's newest page, so page 0 is store.history
+const PAGE_SIZE = 50
+// Pages kept in memory around the viewport (records carry base64 thumbnails)
+const MAX_CACHED_PAGES = 8
+
+/**
+ * Rows of the unfiltered history list, read from IndexedDB a page at a time
+ * as the virtual list scrolls (see useVirtualList). Pages far from the
+ * viewport are dropped; the position where each page ends is kept so the
+ * next page can continue from a cursor instead of skipping rows.
+ */
+export function useHistoryList() {
+  const store = useGeneratorStore()
+  const { getHistoryPage } = useIndexedDB()
+
+  // page number -> records; replaced (not mutated) so the list re-renders
+  const pages = shallowRef(new Map())
+  // page number -> { timestamp, id } of its last record
+  const pageEnds = new Map()
+  const loading = new Set()
+  let visiblePages = []
+  // Bumped on reset so loads started before it are ignored
+  let generation = 0
+
+  const setPage = (page, records) => {
+    const next = new Map(pages.value)
+    if (records) next.set(page, records)
+    else next.delete(page)
+    pages.value = next
+    const last = records?.[records.length - 1]
+    if (last) pageEnds.set(page, { timestamp: last.timestamp, id: last.id })
+  }
+
+  /**
+   * @param {number} index - Row index, newest first
+   * @returns {Object|null} The record, or null while its page is loading
+   */
+  const getItem = (index) => pages.value.get(Math.floor(index / PAGE_SIZE))?.[index % PAGE_SIZE] || null
+
+  const loadPage = async (page) => {
+    if (loading.has(page) || pages.value.has(page)) return
+    const id = generation
+    loading.add(page)
+    try {
+      const after = pageEnds.get(page - 1)
+      const records = await getHistoryPage(
+        after ? { after, limit: PAGE_SIZE } : { offset: page * PAGE_SIZE, limit: PAGE_SIZE },
+      )
+      if (id === generation) setPage(page, records)
+    } catch (err) {
+      console.error('Failed to load history page:', err)
+    } finally {
+      loading.delete(page)
+    }
+  }
+
+  /**
+   * Load the pages for rows [start, end) and drop far-away ones
+   * @param {{ start: number, end: number }} range
+   */
+  const ensureRange = ({ start, end }) => {
+    visiblePages = pagesForRange(start, end, PAGE_SIZE)
+    for (const page of visiblePages) loadPage(page)
+    const evict = pagesToEvict([...pages.value.keys()], visiblePages, MAX_CACHED_PAGES)
+    if (evict.length > 0) {
+      const next = new Map(pages.value)
+      for (const page of evict) next.delete(page)
+      pages.value = next
+    }
+  }
+
+  // Adding or deleting records shifts every row, so start over from the newest page
+  const reset = () => {
+    generation++
+    pageEnds.clear()
+    pages.value = new Map()
+    setPage(0, store.history)
+    for (const page of visiblePages) loadPage(page)
+  }
+
+  watch(() => store.history, reset, { immediate: true })
+
+  // In-place edits (narration, collections...) don't move rows; patch the cached copy
+  const handleUpdated = (event) => {
+    const { id, record } = event.detail || {}
+    if (!record) return
+    for (const [page, records] of pages.value) {
+      const index = records.findIndex((r) => r.id === id)
+      if (index !== -1) {
+        const next = records.slice()
+        next[index] = { ...record }
+        setPage(page, next)
+        return
+      }
+    }
+  }
+
+  onMounted(() => window.addEventListener('nbp-history-updated', handleUpdated))
+  onBeforeUnmount(() => window.removeEventListener('nbp-history-updated', handleUpdated))
+
+  return {
+    pages,
+    getItem,
+    ensureRange,
+  }
+}
@@ -0,0 +1,123 @@
+import { ref, computed } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useHistoryCollections } from './useHistoryCollections'
+import { FACET_INDEXES, isHistoryFilterActive } from '@/utils/history-query'
+
+const PAGE_SIZE = 50
+
+/** @returns {Object} Filter with nothing selected */
+export const createEmptyHistoryFilter = () => ({
+  mode: 'all',
+  dateFrom: null,
+  dateTo: null,
+  model: '',
+  resolution: '',
+  ratio: '',
+  status: '',
+  hasAudio: false,
+  hasVideo: false,
+  character: '',
+  favoritesOnly: false,
+  album: '',
+  tags: [],
+})
+
+// Shared so the filter survives the history panel being re-mounted
+const filter = ref(createEmptyHistoryFilter())
+const sort = ref('newest')
+const results = ref([])
+const total = ref(0)
+const isQuerying = ref(false)
+// Values present in the history, for the filter dropdowns
+const facetOptions = ref({ models: [], resolutions: [], ratios: [], characters: [] })
+let queryId = 0
+
+/**
+ * Filtering and sorting across the whole history through IndexedDB indexes
+ * (see utils/history-query.js). The store keeps loading the newest page for
+ * the default view; this is only used while a filter or non-default sort is on.
+ */
+export function useHistoryQuery() {
+  const { queryHistory, getHistoryIndexCounts } = useIndexedDB()
+  const { indexKeysFor } = useHistoryCollections()
+
+  const isActive = computed(() => isHistoryFilterActive(filter.value) || sort.value !== 'newest')
+
+  const buildFilter = () => ({ ...filter.value, ...indexKeysFor(filter.value) })
+
+  /** Re-run the query from the first page */
+  const runQuery = async () => {
+    if (!isActive.value) {
+      results.value = []
+      total.value = 0
+      return
+    }
+    const id = ++queryId
+    isQuerying.value = true
+    try {
+      const page = await queryHistory(buildFilter(), { sort: sort.value, limit: PAGE_SIZE })
+      if (id !== queryId) return
+      results.value = page.records
+      total.value = page.total
+    } catch (err) {
+      console.error('Failed to query history:', err)
+    } finally {
+      if (id === queryId) isQuerying.value = false
+    }
+  }
+
+  /** Append the next page of matches */
+  const loadMore = async () => {
+    if (isQuerying.value || results.value.length >= total.value) return
+    const id = ++queryId
+    isQuerying.value = true
+    try {
+      const page = await queryHistory(buildFilter(), {
+        sort: sort.value,
+        limit: PAGE_SIZE,
+        offset: results.value.length,
+      })
+      if (id !== queryId) return
+      results.value = [...results.value, ...page.records]
+      total.value = page.total
+    } catch (err) {
+      console.error('Failed to load more history:', err)
+    } finally {
+      if (id === queryId) isQuerying.value = false
+    }
+  }
+
+  /** Reload the values offered in the model / resolution / ratio / character dropdowns */
+  const loadFacetOptions = async () => {
+    try {
+      const [models, resolutions, ratios, characters] = await Promise.all([
+        getHistoryIndexCounts(FACET_INDEXES.model),
+        getHistoryIndexCounts(FACET_INDEXES.resolution),
+        getHistoryIndexCounts(FACET_INDEXES.ratio),
+        getHistoryIndexCounts('characterName'),
+      ])
+      facetOptions.value = { models, resolutions, ratios, characters }
+    } catch (err) {
+      console.error('Failed to load history filter options:', err)
+    }
+  }
+
+  const resetFilter = () => {
+    filter.value = createEmptyHistoryFilter()
+    sort.value = 'newest'
+  }
+
+  return {
+    filter,
+    sort,
+    results,
+    total,
+    isQuerying,
+    isActive,
+    facetOptions,
+    runQuery,
+    loadMore,
+    loadFacetOptions,
+    resetFilter,
+  }
+}
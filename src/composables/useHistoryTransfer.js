@@ -6,11 +6,73 @@ import { useAudioStorage } from './useAudioStorage'
 import { useConversationStorage } from './useConversationStorage'
 import { useOPFS } from './useOPFS'
 import { generateUUID } from './useUUID'
-import { generateThumbnailFromBlob } from './useImageCompression'
+import { generateThumbnailFromBlob, blobToBase64 } from './useImageCompression'
+import { mergeIncomingCollections } from './useHistoryCollections'
 import { getAudioExtension } from '@/utils/audioEncoder'
-import { uint8ArrayToBinaryString } from '@/utils/binaryUtils'
+import { pickCollections } from '@/utils/history-collections'
+import { pickLineage } from '@/utils/history-lineage'
+import { HISTORY_FILE_DIRS } from '@/utils/storage-integrity'
+import { createZipWriter, isZipBlob, readZipEntries, openZipEntry } from '@/utils/zip-archive'
+import {
+  HISTORY_ARCHIVE_VERSION,
+  MANIFEST_PATH,
+  recordEntryPath,
+  fileEntryPath,
+  parseHistoryManifest,
+  hasExportedBinary,
+  importFingerprint,
+  resumeImport,
+} from '@/utils/history-archive'
+import { createEncryptedWriter, isEncryptedBlob, openEnvelope, ENVELOPE_EXTENSION } from '@/utils/export-envelope'
+
+const EXPORT_VERSION = HISTORY_ARCHIVE_VERSION // Bumped for the streamed ZIP archive
+
+// OPFS directory the archive is streamed into before it is downloaded
+const EXPORT_DIR = 'exports'
+// The browser keeps reading the OPFS file while it saves a download, so the
+// copy is removed a while after the download starts rather than right away
+const EXPORT_CLEANUP_DELAY_MS = 60_000
+// OPFS directory an encrypted export is decrypted into while it is imported
+const IMPORT_DIR = 'imports'
+
+// Progress of the last import, saved after every record so it can be resumed
+const IMPORT_CHECKPOINT_KEY = 'nbp-history-import-checkpoint'
+
+const loadCheckpoint = () => {
+  try {
+    return JSON.parse(localStorage.getItem(IMPORT_CHECKPOINT_KEY))
+  } catch {
+    return null
+  }
+}
+
+const saveCheckpoint = (checkpoint) => {
+  try {
+    localStorage.setItem(IMPORT_CHECKPOINT_KEY, JSON.stringify(checkpoint))
+  } catch (err) {
+    console.warn('[Import] Failed to save checkpoint:', err)
+  }
+}
 
-const EXPORT_VERSION = 4 // Bumped for agent mode conversation support
+const base64ToBytes = (data) => {
+  const binaryString = atob(data)
+  const bytes = new Uint8Array(binaryString.length)
+  for (let j = 0; j < binaryString.length; j++) {
+    bytes[j] = binaryString.charCodeAt(j)
+  }
+  return bytes
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
 
 export function useHistoryTransfer() {
   const indexedDB = useIndexedDB()
@@ -26,162 +88,285 @@ export function useHistoryTransfer() {
   const importResult = ref(null)
 
   /**
-   * Export history records to JSON file
-   * @param {Array<number>|null} selectedIds - Optional array of record IDs to export (null = all)
-   * @returns {Promise<{success: boolean, count: number}>}
+   * Where an archive is streamed: a temporary OPFS file (replaced by the next
+   * one in the same directory), or memory when the browser can't stream into OPFS
+   * @param {string} dir - EXPORT_DIR or IMPORT_DIR
+   * @param {string} filename
+   * @param {string} type - MIME type of the in-memory fallback
+   * @returns {Promise<{ write: function(Uint8Array): Promise<void>, close: function(): Promise<Blob>, abort: function(): Promise<void>, discard: function(): Promise<void> }>}
    */
-  const exportHistory = async (selectedIds = null) => {
-    isExporting.value = true
-    progress.value = { current: 0, total: 0, phase: 'preparing' }
+  const openTempTarget = async (dir, filename, type) => {
+    await opfs.deleteDirectory(dir)
+    const path = `/${dir}/${filename}`
+    const writable = await opfs.createFileWriter(path)
+    if (writable) {
+      return {
+        write: (bytes) => writable.write(bytes),
+        close: async () => {
+          await writable.close()
+          return opfs.readFile(path)
+        },
+        abort: async () => {
+          await writable.abort().catch(() => {})
+          await opfs.deleteDirectory(dir)
+        },
+        discard: () => opfs.deleteFile(path),
+      }
+    }
+    const chunks = []
+    return {
+      write: async (bytes) => {
+        chunks.push(bytes)
+      },
+      close: async () => new Blob(chunks, { type }),
+      abort: async () => {
+        chunks.length = 0
+      },
+      discard: async () => {},
+    }
+  }
 
+  /**
+   * Stream an export straight into a file the user picks, so no copy is kept
+   * in OPFS. `close` resolves with null: the file is already saved.
+   * @param {string} filename - Suggested name
+   * @returns {Promise<Object|null>} Same shape as openTempTarget; null without
+   *   a save picker, or when the click that started the export has expired
+   * @throws {DOMException} AbortError when the user cancels the picker
+   */
+  const openPickedTarget = async (filename) => {
+    if (typeof window.showSaveFilePicker !== 'function') return null
+    let handle
     try {
-      let records
-      if (selectedIds && selectedIds.length > 0) {
-        records = await indexedDB.getHistoryByIds(selectedIds)
-      } else {
-        records = await indexedDB.getAllHistory()
-      }
-      progress.value = { current: 0, total: records.length, phase: 'exporting' }
+      handle = await window.showSaveFilePicker({ suggestedName: filename })
+    } catch (err) {
+      if (err.name === 'AbortError') throw err
+      console.warn('[Export] Save picker unavailable, downloading instead:', err)
+      return null
+    }
+    const writable = await handle.createWritable()
+    return {
+      write: (bytes) => writable.write(bytes),
+      close: async () => {
+        await writable.close()
+        return null
+      },
+      abort: () => writable.abort().catch(() => {}),
+      discard: async () => {},
+    }
+  }
 
-      const exportRecords = []
+  /**
+   * Write a record's binaries as export files (into the archive, or a backup folder)
+   * @param {{ addFile: function(string, Blob|string): Promise<void> }} writer - From createZipWriter, or a backup folder
+   * @param {Object} record - History record
+   * @returns {Promise<Object>} The record as exported, pointing at its files
+   */
+  const writeExportRecord = async (writer, record) => {
+    const uuid = record.uuid || generateUUID()
+    const exportRecord = {
+      uuid,
+      timestamp: record.timestamp,
+      prompt: record.prompt,
+      mode: record.mode,
+      options: record.options,
+      status: record.status,
+      thinkingText: record.thinkingText,
+      error: record.error,
+      generationTime: record.generationTime,
+      characterName: record.characterName,
+      ...pickCollections(record),
+      ...pickLineage(record),
+    }
 
-      for (let i = 0; i < records.length; i++) {
-        const record = records[i]
-        progress.value.current = i + 1
+    // Skip for agent mode - images are referenced from the conversation
+    if (record.images && record.images.length > 0 && record.mode !== 'agent') {
+      exportRecord.images = []
+      for (let i = 0; i < record.images.length; i++) {
+        const img = record.images[i]
+        const blob = img.opfsPath ? await opfs.readFile(img.opfsPath) : null
+        if (!blob) continue
+        const file = fileEntryPath(uuid, `images/${i}`, 'image/webp')
+        await writer.addFile(file, blob)
+        exportRecord.images.push({
+          index: img.index,
+          // Preserve pageNumber for slides mode
+          ...(img.pageNumber !== undefined && { pageNumber: img.pageNumber }),
+          // Preserve matrix cell ID for prompt matrix runs
+          ...(img.matrixCell !== undefined && { matrixCell: img.matrixCell }),
+          width: img.width,
+          height: img.height,
+          file,
+        })
+      }
+    }
 
-        const exportRecord = {
-          uuid: record.uuid || generateUUID(),
-          timestamp: record.timestamp,
-          prompt: record.prompt,
-          mode: record.mode,
-          options: record.options,
-          status: record.status,
-          thinkingText: record.thinkingText,
-          error: record.error,
+    if (record.video && record.video.opfsPath) {
+      const videoBlob = await videoStorage.loadVideoBlob(record.video.opfsPath)
+      if (videoBlob) {
+        const mimeType = record.video.mimeType || 'video/mp4'
+        const file = fileEntryPath(uuid, 'video', mimeType)
+        await writer.addFile(file, videoBlob)
+        exportRecord.video = {
+          width: record.video.width,
+          height: record.video.height,
+          size: record.video.size,
+          mimeType,
+          file,
         }
+      }
+    }
 
-        // Load images and convert to base64
-        // Skip for agent mode - images are embedded in conversation
-        if (record.images && record.images.length > 0 && record.mode !== 'agent') {
-          exportRecord.images = []
-          for (const img of record.images) {
-            const base64 = await imageStorage.getImageBase64(img.opfsPath)
-            if (base64) {
-              exportRecord.images.push({
-                index: img.index,
-                // Preserve pageNumber for slides mode
-                ...(img.pageNumber !== undefined && { pageNumber: img.pageNumber }),
-                width: img.width,
-                height: img.height,
-                data: base64,
-              })
-            }
-          }
-        }
+    if (record.narration) {
+      exportRecord.narration = {
+        globalStyleDirective: record.narration.globalStyleDirective,
+        scripts: record.narration.scripts,
+        settings: record.narration.settings,
+        audio: [],
+      }
+
+      const audioList = record.narration.audio || []
+      for (let i = 0; i < audioList.length; i++) {
+        const audioMeta = audioList[i]
+        const blob = await audioStorage.loadAudioBlob(audioMeta.opfsPath)
+        if (!blob) continue
+        const file = fileEntryPath(uuid, `audio/${i}`, audioMeta.mimeType)
+        await writer.addFile(file, blob)
+        exportRecord.narration.audio.push({
+          pageIndex: audioMeta.pageIndex,
+          mimeType: audioMeta.mimeType,
+          size: audioMeta.size,
+          file,
+        })
+      }
+    }
 
-        // Load video and convert to base64
-        if (record.video && record.video.opfsPath) {
-          const videoBlob = await videoStorage.loadVideoBlob(record.video.opfsPath)
-          if (videoBlob) {
-            const arrayBuffer = await videoBlob.arrayBuffer()
-            const bytes = new Uint8Array(arrayBuffer)
-            const videoBase64 = btoa(uint8ArrayToBinaryString(bytes))
-
-            exportRecord.video = {
-              width: record.video.width,
-              height: record.video.height,
-              size: record.video.size,
-              mimeType: record.video.mimeType || 'video/mp4',
-              data: videoBase64,
+    if (record.mode === 'agent') {
+      exportRecord.messageCount = record.messageCount
+      exportRecord.userMessageCount = record.userMessageCount
+      exportRecord.imageCount = record.imageCount
+      exportRecord.thumbnail = record.thumbnail
+
+      const conversation = await conversationStorage.loadConversation(`/conversations/${record.id}/conversation.json`)
+      if (conversation) {
+        // Images stored next to the conversation go into the archive as files
+        let imageNumber = 0
+        for (const msg of conversation) {
+          if (!msg.parts) continue
+          for (const part of msg.parts) {
+            if (!part.dataStoredExternally || part.imageIndex === undefined) continue
+            try {
+              const blob = await opfs.readFile(`/images/${record.id}/${part.imageIndex}.webp`)
+              if (!blob) continue
+              const file = fileEntryPath(uuid, `conversation/${imageNumber++}`, 'image/webp')
+              await writer.addFile(file, blob)
+              part.file = file
+              part.mimeType = 'image/webp'
+              delete part.dataStoredExternally
+              delete part.imageIndex
+            } catch (err) {
+              console.warn('[Export] Failed to load image for conversation:', err)
             }
           }
         }
+        exportRecord.conversation = conversation
+      }
+    }
 
-        // Load narration data (scripts + audio)
-        if (record.narration) {
-          exportRecord.narration = {
-            globalStyleDirective: record.narration.globalStyleDirective,
-            scripts: record.narration.scripts,
-            settings: record.narration.settings,
-            audio: [],
-          }
+    return exportRecord
+  }
 
-          if (record.narration.audio?.length > 0) {
-            for (const audioMeta of record.narration.audio) {
-              const blob = await audioStorage.loadAudioBlob(audioMeta.opfsPath)
-              if (blob) {
-                const arrayBuffer = await blob.arrayBuffer()
-                const bytes = new Uint8Array(arrayBuffer)
-                exportRecord.narration.audio.push({
-                  pageIndex: audioMeta.pageIndex,
-                  mimeType: audioMeta.mimeType,
-                  size: audioMeta.size,
-                  data: btoa(uint8ArrayToBinaryString(bytes)),
-                })
-              }
-            }
-          }
+  /**
+   * Start a version 5 archive that is saved or downloaded when finished
+   * @param {Object} [options]
+   * @param {string|null} [options.passphrase] - Wrap the archive in an encrypted envelope
+   * @param {string} [options.prefix] - File name prefix
+   * @param {boolean} [options.pickLocation] - Ask where to save it (needs a user gesture);
+   *   otherwise, or without a save picker, it is streamed to OPFS and downloaded
+   * @returns {Promise<{ addFile: function(string, Blob|Uint8Array|string): Promise<void>, addRecord: function(Object): Promise<void>, finish: function(): Promise<number>, abort: function(): Promise<void> }>}
+   *   `finish` writes the manifest, saves or downloads the file and returns the record count
+   */
+  const openHistoryArchive = async ({ passphrase = null, prefix = 'nbp-history', pickLocation = false } = {}) => {
+    const filename = `${prefix}-${Date.now()}.zip${passphrase ? ENVELOPE_EXTENSION : ''}`
+    const target =
+      (pickLocation && (await openPickedTarget(filename))) ||
+      (await openTempTarget(EXPORT_DIR, filename, passphrase ? 'application/octet-stream' : 'application/zip'))
+    let envelope = null
+    try {
+      if (passphrase) envelope = await createEncryptedWriter(passphrase, target.write)
+    } catch (err) {
+      await target.abort()
+      throw err
+    }
+    const zip = createZipWriter(envelope ? envelope.write : target.write)
+    const recordPaths = []
+
+    return {
+      addFile: (path, data) => zip.addFile(path, data),
+      addRecord: async (exportRecord) => {
+        const path = recordEntryPath(recordPaths.length)
+        await zip.addFile(path, JSON.stringify(exportRecord))
+        recordPaths.push(path)
+      },
+      finish: async () => {
+        await zip.addFile(
+          MANIFEST_PATH,
+          JSON.stringify({
+            version: EXPORT_VERSION,
+            type: 'history',
+            exportedAt: Date.now(),
+            appVersion: typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'unknown',
+            records: recordPaths,
+          }),
+        )
+        await zip.finish()
+        await envelope?.finish()
+
+        const archive = await target.close()
+        if (archive !== null) {
+          if (!archive) throw new Error('Export archive could not be read back')
+          downloadBlob(archive, filename)
+          setTimeout(() => target.discard().catch(() => {}), EXPORT_CLEANUP_DELAY_MS)
         }
+        return recordPaths.length
+      },
+      abort: () => target.abort(),
+    }
+  }
 
-        // Load agent conversation from OPFS (agent mode only)
-        if (record.mode === 'agent') {
-          exportRecord.messageCount = record.messageCount
-          exportRecord.userMessageCount = record.userMessageCount
-          exportRecord.imageCount = record.imageCount
-          exportRecord.thumbnail = record.thumbnail
-
-          // Load conversation from OPFS
-          const opfsPath = `/conversations/${record.id}/conversation.json`
-          const conversation = await conversationStorage.loadConversation(opfsPath)
-          if (conversation) {
-            // Restore image data from OPFS into conversation for export
-            for (const msg of conversation) {
-              if (!msg.parts) continue
-              for (const part of msg.parts) {
-                if (part.dataStoredExternally && part.imageIndex !== undefined) {
-                  try {
-                    const imagePath = `/images/${record.id}/${part.imageIndex}.webp`
-                    const base64 = await imageStorage.getImageBase64(imagePath)
-                    if (base64) {
-                      part.data = base64
-                      part.mimeType = 'image/webp'
-                      delete part.dataStoredExternally
-                      delete part.imageIndex
-                    }
-                  } catch (err) {
-                    console.warn('[Export] Failed to load image for conversation:', err)
-                  }
-                }
-              }
-            }
-            exportRecord.conversation = conversation
-          }
-        }
+  /**
+   * Export history records as a streamed ZIP archive (format version 5)
+   * @param {Array<number>|null} selectedIds - Optional array of record IDs to export (null = all)
+   * @param {Object} [options]
+   * @param {string|null} [options.passphrase] - Encrypt the export with this passphrase
+   * @returns {Promise<{success: boolean, count: number, cancelled?: boolean}>}
+   */
+  const exportHistory = async (selectedIds = null, { passphrase = null } = {}) => {
+    isExporting.value = true
+    progress.value = { current: 0, total: 0, phase: 'preparing' }
+    let archive = null
 
-        exportRecords.push(exportRecord)
-      }
+    try {
+      // Open the save picker first, while the click still counts as a user gesture
+      archive = await openHistoryArchive({ passphrase, pickLocation: true })
+
+      const ids = selectedIds && selectedIds.length > 0 ? selectedIds : await indexedDB.getAllHistoryIds()
+      progress.value = { current: 0, total: ids.length, phase: 'exporting' }
 
-      const exportData = {
-        version: EXPORT_VERSION,
-        exportedAt: Date.now(),
-        appVersion: typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'unknown',
-        records: exportRecords,
+      // One record at a time, so only its files pass through memory
+      for (let i = 0; i < ids.length; i++) {
+        progress.value.current = i + 1
+        const record = await indexedDB.getHistoryById(ids[i])
+        if (!record) continue
+        await archive.addRecord(await writeExportRecord(archive, record))
       }
 
-      // Download JSON file
-      const blob = new Blob([JSON.stringify(exportData)], { type: 'application/json' })
-      const url = URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = `nbp-history-${Date.now()}.json`
-      document.body.appendChild(a)
-      a.click()
-      document.body.removeChild(a)
-      URL.revokeObjectURL(url)
-
-      return { success: true, count: exportRecords.length }
+      const count = await archive.finish()
+      return { success: true, count }
     } catch (err) {
+      if (err.name === 'AbortError' && !archive) return { success: false, count: 0, cancelled: true }
       console.error('Export failed:', err)
+      await archive?.abort()
       return { success: false, count: 0, error: err.message }
     } finally {
       isExporting.value = false
@@ -190,213 +375,280 @@ export function useHistoryTransfer() {
   }
 
   /**
-   * Import history records from JSON file
-   * @param {File} file - JSON file to import
-   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number}>}
+   * Version 1-4 export: one JSON document with base64 binaries
+   * @param {File} file
    */
-  const importHistory = async (file) => {
-    isImporting.value = true
-    importResult.value = null
-    progress.value = { current: 0, total: 0, phase: 'reading' }
+  const openJsonSource = async (file) => {
+    const data = JSON.parse(await file.text())
+    if (!data.version || !Array.isArray(data.records)) {
+      throw new Error('Invalid export file format')
+    }
+    return {
+      count: data.records.length,
+      readRecord: async (index) => data.records[index],
+      openFile: async () => {
+        throw new Error('JSON exports have no archive files')
+      },
+    }
+  }
 
-    try {
-      // Read JSON file
-      const text = await file.text()
-      const data = JSON.parse(text)
+  /**
+   * Version 5 export: entries are read from the ZIP one at a time
+   * @param {File} file
+   */
+  const openArchiveSource = async (file) => {
+    const entries = await readZipEntries(file)
+    const openFile = async (name, type) => {
+      const entry = entries.get(name)
+      if (!entry) throw new Error(`Missing archive entry: ${name}`)
+      return openZipEntry(file, entry, type)
+    }
+    const readJson = async (name) => JSON.parse(await (await openFile(name)).text())
 
-      // Validate format
-      if (!data.version || !Array.isArray(data.records)) {
-        throw new Error('Invalid export file format')
-      }
+    const recordPaths = parseHistoryManifest(await readJson(MANIFEST_PATH))
+    return {
+      count: recordPaths.length,
+      readRecord: (index) => readJson(recordPaths[index]),
+      openFile,
+    }
+  }
 
-      const records = data.records
-      progress.value = { current: 0, total: records.length, phase: 'importing' }
+  /**
+   * @param {Object} source - From openJsonSource / openArchiveSource
+   * @param {{ data?: string, file?: string }} ref - Exported binary
+   * @param {string} type - MIME type
+   * @returns {Promise<Blob>}
+   */
+  const loadBinary = (source, ref, type) =>
+    ref.file ? source.openFile(ref.file, type) : Promise.resolve(new Blob([base64ToBytes(ref.data)], { type }))
 
-      let imported = 0
-      let skipped = 0
-      let failed = 0
+  /**
+   * Remove a record an interrupted or failed import left half written
+   * @param {string} uuid
+   */
+  const discardPartialRecord = async (uuid) => {
+    const existing = await indexedDB.getHistoryByUUID(uuid)
+    if (!existing) return
+    await indexedDB.deleteHistory(existing.id)
+    for (const dir of HISTORY_FILE_DIRS) {
+      await opfs.deleteDirectory(`${dir}/${existing.id}`)
+    }
+  }
 
-      for (let i = 0; i < records.length; i++) {
-        const record = records[i]
-        progress.value.current = i + 1
+  /**
+   * Create one history record with its files
+   * @param {Object} record - Exported record
+   * @param {string} uuid - UUID the record is stored under
+   * @param {Object} source - Where its binaries come from
+   */
+  const importRecord = async (record, uuid, source) => {
+    const historyRecord = {
+      uuid,
+      timestamp: record.timestamp,
+      prompt: record.prompt,
+      mode: record.mode,
+      options: record.options,
+      status: record.status,
+      thinkingText: record.thinkingText,
+      error: record.error,
+      generationTime: record.generationTime,
+      characterName: record.characterName,
+      ...pickCollections(record),
+      ...pickLineage(record),
+      // Agent mode specific fields
+      ...(record.mode === 'agent' && {
+        messageCount: record.messageCount,
+        userMessageCount: record.userMessageCount,
+        imageCount: record.imageCount,
+        thumbnail: record.thumbnail,
+      }),
+    }
 
-        try {
-          // Check if UUID already exists
-          if (record.uuid && (await indexedDB.hasHistoryByUUID(record.uuid))) {
-            skipped++
-            continue
-          }
+    // Add to IndexedDB
+    const historyId = await indexedDB.addHistoryWithUUID(historyRecord)
+
+    // Save images to OPFS
+    // Skip for agent mode - images are restored from conversation below
+    if (record.images && record.images.length > 0 && record.mode !== 'agent') {
+      const imageMetadata = []
+
+      for (const img of record.images) {
+        if (!hasExportedBinary(img)) continue
+        const opfsPath = `/images/${historyId}/${img.index}.webp`
+        const blob = await loadBinary(source, img, 'image/webp')
+
+        await opfs.writeFile(opfsPath, blob)
+
+        // Generate thumbnail
+        const thumbnail = await generateThumbnailFromBlob(blob)
+
+        imageMetadata.push({
+          index: img.index,
+          // Restore pageNumber for slides mode
+          ...(img.pageNumber !== undefined && { pageNumber: img.pageNumber }),
+          // Restore matrix cell ID for prompt matrix runs
+          ...(img.matrixCell !== undefined && { matrixCell: img.matrixCell }),
+          width: img.width,
+          height: img.height,
+          opfsPath,
+          thumbnail,
+          originalSize: blob.size,
+          compressedSize: blob.size,
+          originalFormat: 'image/webp',
+          compressedFormat: 'image/webp',
+        })
+      }
 
-          // Create new history record
-          const historyRecord = {
-            uuid: record.uuid || generateUUID(),
-            timestamp: record.timestamp,
-            prompt: record.prompt,
-            mode: record.mode,
-            options: record.options,
-            status: record.status,
-            thinkingText: record.thinkingText,
-            error: record.error,
-            // Agent mode specific fields
-            ...(record.mode === 'agent' && {
-              messageCount: record.messageCount,
-              userMessageCount: record.userMessageCount,
-              imageCount: record.imageCount,
-              thumbnail: record.thumbnail,
-            }),
-          }
+      // Update history record with image metadata
+      await indexedDB.updateHistoryImages(historyId, imageMetadata)
+    }
 
-          // Add to IndexedDB
-          const historyId = await indexedDB.addHistoryWithUUID(historyRecord)
-
-          // Save images to OPFS
-          // Skip for agent mode - images are restored from conversation below
-          if (record.images && record.images.length > 0 && record.mode !== 'agent') {
-            const imageMetadata = []
-
-            for (const img of record.images) {
-              const opfsPath = `/images/${historyId}/${img.index}.webp`
-
-              // base64 to Blob
-              const binaryString = atob(img.data)
-              const bytes = new Uint8Array(binaryString.length)
-              for (let j = 0; j < binaryString.length; j++) {
-                bytes[j] = binaryString.charCodeAt(j)
-              }
-              const blob = new Blob([bytes], { type: 'image/webp' })
-
-              await opfs.writeFile(opfsPath, blob)
-
-              // Generate thumbnail
-              const thumbnail = await generateThumbnailFromBlob(blob)
-
-              imageMetadata.push({
-                index: img.index,
-                // Restore pageNumber for slides mode
-                ...(img.pageNumber !== undefined && { pageNumber: img.pageNumber }),
-                width: img.width,
-                height: img.height,
-                opfsPath,
-                thumbnail,
-                originalSize: blob.size,
-                compressedSize: blob.size,
-                originalFormat: 'image/webp',
-                compressedFormat: 'image/webp',
-              })
-            }
+    // Save video to OPFS
+    if (hasExportedBinary(record.video)) {
+      const videoDirPath = `videos/${historyId}`
+      const videoPath = `/${videoDirPath}/video.mp4`
+      const videoBlob = await loadBinary(source, record.video, record.video.mimeType || 'video/mp4')
+
+      // Create directory and save video
+      await opfs.getOrCreateDirectory(videoDirPath)
+      await opfs.writeFile(videoPath, videoBlob)
+
+      // Extract thumbnail
+      let thumbnailData = null
+      try {
+        const thumbResult = await videoStorage.extractThumbnail(videoBlob)
+        thumbnailData = thumbResult.thumbnail
+      } catch (thumbErr) {
+        console.warn('Failed to extract video thumbnail:', thumbErr)
+      }
 
-            // Update history record with image metadata
-            await indexedDB.updateHistoryImages(historyId, imageMetadata)
-          }
+      // Update history record with video metadata
+      await indexedDB.updateHistoryVideo(historyId, {
+        opfsPath: videoPath,
+        size: videoBlob.size,
+        mimeType: record.video.mimeType || 'video/mp4',
+        width: record.video.width,
+        height: record.video.height,
+        thumbnail: thumbnailData,
+      })
+    }
 
-          // Save video to OPFS
-          if (record.video && record.video.data) {
-            const videoDirPath = `videos/${historyId}`
-            const videoPath = `/${videoDirPath}/video.mp4`
+    // Save narration to IndexedDB/OPFS
+    if (record.narration) {
+      const narration = {
+        globalStyleDirective: record.narration.globalStyleDirective || '',
+        scripts: record.narration.scripts || [],
+        settings: record.narration.settings || {},
+        audio: [],
+      }
 
-            // base64 to Blob
-            const binaryString = atob(record.video.data)
-            const bytes = new Uint8Array(binaryString.length)
-            for (let j = 0; j < binaryString.length; j++) {
-              bytes[j] = binaryString.charCodeAt(j)
-            }
-            const videoBlob = new Blob([bytes], { type: record.video.mimeType || 'video/mp4' })
+      for (const audioEntry of record.narration.audio || []) {
+        if (!hasExportedBinary(audioEntry)) continue
+        const ext = getAudioExtension(audioEntry.mimeType)
+        const blob = await loadBinary(source, audioEntry, audioEntry.mimeType || 'audio/mpeg')
+        const opfsPath = `/audio/${historyId}/${audioEntry.pageIndex}.${ext}`
+
+        // writeFile internally creates directories, no need for separate getOrCreateDirectory
+        await opfs.writeFile(opfsPath, blob)
+
+        narration.audio.push({
+          pageIndex: audioEntry.pageIndex,
+          opfsPath,
+          size: blob.size,
+          mimeType: audioEntry.mimeType || 'audio/mpeg',
+        })
+      }
 
-            // Create directory and save video
-            await opfs.getOrCreateDirectory(videoDirPath)
-            await opfs.writeFile(videoPath, videoBlob)
+      await indexedDB.updateHistoryNarration(historyId, narration)
+    }
 
-            // Extract thumbnail
-            let thumbnailData = null
-            try {
-              const thumbResult = await videoStorage.extractThumbnail(videoBlob)
-              thumbnailData = thumbResult.thumbnail
-            } catch (thumbErr) {
-              console.warn('Failed to extract video thumbnail:', thumbErr)
+    // Save agent conversation to OPFS
+    if (record.mode === 'agent' && record.conversation) {
+      // Extract images from conversation and save to OPFS first
+      const agentImages = []
+      for (const msg of record.conversation) {
+        if (!msg.parts) continue
+        for (const part of msg.parts) {
+          if ((part.type === 'image' || part.type === 'generatedImage') && hasExportedBinary(part)) {
+            // Archive images come back inline, as saveConversation expects
+            if (part.file) {
+              part.data = await blobToBase64(await source.openFile(part.file, part.mimeType || 'image/webp'))
+              delete part.file
             }
-
-            // Update history record with video metadata
-            await indexedDB.updateHistoryVideo(historyId, {
-              opfsPath: videoPath,
-              size: videoBlob.size,
-              mimeType: record.video.mimeType || 'video/mp4',
-              width: record.video.width,
-              height: record.video.height,
-              thumbnail: thumbnailData,
+            agentImages.push({
+              data: part.data,
+              mimeType: part.mimeType || 'image/webp',
             })
           }
+        }
+      }
 
-          // Save narration to IndexedDB/OPFS
-          if (record.narration) {
-            const narration = {
-              globalStyleDirective: record.narration.globalStyleDirective || '',
-              scripts: record.narration.scripts || [],
-              settings: record.narration.settings || {},
-              audio: [],
-            }
+      // Save images to OPFS if any
+      // Use fast import path (skips re-compression, parallel processing)
+      if (agentImages.length > 0) {
+        const metadata = await imageStorage.saveImagesForImport(historyId, agentImages)
+        await indexedDB.updateHistoryImages(historyId, metadata)
+      }
 
-            if (record.narration.audio?.length > 0) {
-              for (const audioEntry of record.narration.audio) {
-                if (!audioEntry.data) continue
-                const binaryString = atob(audioEntry.data)
-                const bytes = new Uint8Array(binaryString.length)
-                for (let j = 0; j < binaryString.length; j++) {
-                  bytes[j] = binaryString.charCodeAt(j)
-                }
-                const ext = getAudioExtension(audioEntry.mimeType)
-                const blob = new Blob([bytes], { type: audioEntry.mimeType || 'audio/mpeg' })
-                const opfsPath = `/audio/${historyId}/${audioEntry.pageIndex}.${ext}`
-
-                // writeFile internally creates directories, no need for separate getOrCreateDirectory
-                await opfs.writeFile(opfsPath, blob)
-
-                narration.audio.push({
-                  pageIndex: audioEntry.pageIndex,
-                  opfsPath,
-                  size: blob.size,
-                  mimeType: audioEntry.mimeType || 'audio/mpeg',
-                })
-              }
-            }
+      // Save conversation (will strip image data and add imageIndex)
+      await conversationStorage.saveConversation(historyId, record.conversation)
+    }
+  }
 
-            await indexedDB.updateHistoryNarration(historyId, narration)
-          }
+  /**
+   * Import records one by one from a source; an interrupted import of the
+   * same source continues where it stopped
+   * @param {{ count: number, readRecord: function(number): Promise<Object>, openFile: function(string, string): Promise<Blob> }} source
+   * @param {string} fingerprint - Identifies the source for resuming
+   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number, resumedFrom: number}>}
+   */
+  const importFromSource = async (source, fingerprint) => {
+    isImporting.value = true
+    importResult.value = null
+    progress.value = { current: 0, total: 0, phase: 'reading' }
 
-          // Save agent conversation to OPFS
-          if (record.mode === 'agent' && record.conversation) {
-            // Extract images from conversation and save to OPFS first
-            const agentImages = []
-            for (const msg of record.conversation) {
-              if (!msg.parts) continue
-              for (const part of msg.parts) {
-                if ((part.type === 'image' || part.type === 'generatedImage') && part.data) {
-                  agentImages.push({
-                    data: part.data,
-                    mimeType: part.mimeType || 'image/webp',
-                  })
-                }
-              }
-            }
+    try {
+      const { start, pending, ...counts } = resumeImport(loadCheckpoint(), fingerprint, source.count)
+      if (pending) await discardPartialRecord(pending)
 
-            // Save images to OPFS if any
-            // Use fast import path (skips re-compression, parallel processing)
-            if (agentImages.length > 0) {
-              const metadata = await imageStorage.saveImagesForImport(historyId, agentImages)
-              await indexedDB.updateHistoryImages(historyId, metadata)
-            }
+      progress.value = { current: start, total: source.count, phase: 'importing' }
 
-            // Save conversation (will strip image data and add imageIndex)
-            await conversationStorage.saveConversation(historyId, record.conversation)
-          }
+      for (let i = start; i < source.count; i++) {
+        progress.value.current = i + 1
+        let writing = null
 
-          imported++
+        try {
+          const record = await source.readRecord(i)
+
+          // Check if UUID already exists (favorites, tags and albums are still merged in)
+          const existing = record.uuid ? await indexedDB.getHistoryByUUID(record.uuid) : null
+          if (existing) {
+            await mergeIncomingCollections(existing, record, indexedDB.updateHistory)
+            counts.skipped++
+          } else if (record.uuid && (await indexedDB.hasTrashByUUID(record.uuid))) {
+            // Records deleted here stay deleted (restore them from the trash instead)
+            counts.skipped++
+          } else {
+            writing = record.uuid || generateUUID()
+            saveCheckpoint({ fingerprint, next: i, pending: writing, ...counts })
+            await importRecord(record, writing, source)
+            counts.imported++
+          }
         } catch (err) {
           console.error('Failed to import record:', err)
-          failed++
+          if (writing) {
+            await discardPartialRecord(writing).catch((discardErr) =>
+              console.warn('[Import] Failed to discard partial record:', discardErr),
+            )
+          }
+          counts.failed++
         }
+
+        saveCheckpoint({ fingerprint, next: i + 1, pending: null, ...counts })
       }
 
-      importResult.value = { imported, skipped, failed, total: records.length }
+      localStorage.removeItem(IMPORT_CHECKPOINT_KEY)
+      importResult.value = { ...counts, total: source.count, resumedFrom: start }
       return importResult.value
     } catch (err) {
       console.error('Import failed:', err)
@@ -408,6 +660,72 @@ export function useHistoryTransfer() {
     }
   }
 
+  /**
+   * Decrypt an encrypted export into a temporary file, chunk by chunk
+   * @param {File} file
+   * @param {string} passphrase
+   * @returns {Promise<{ blob: Blob, discard: function(): Promise<void> }>}
+   * @throws {WrongPassphraseError}
+   */
+  const decryptExport = async (file, passphrase) => {
+    const envelope = await openEnvelope(file, passphrase)
+    const target = await openTempTarget(IMPORT_DIR, 'decrypted', envelope.contentType)
+    progress.value = { current: 0, total: envelope.chunkCount, phase: 'decrypting' }
+    try {
+      await envelope.decrypt(target.write, (done) => {
+        progress.value.current = done
+      })
+      const blob = await target.close()
+      if (!blob) throw new Error('Decrypted export could not be read back')
+      return { blob, discard: () => opfs.deleteDirectory(IMPORT_DIR) }
+    } catch (err) {
+      await target.abort()
+      throw err
+    }
+  }
+
+  /**
+   * @param {Blob} file
+   * @returns {Promise<boolean>} Whether the file needs a passphrase to import
+   */
+  const isEncryptedExport = (file) => isEncryptedBlob(file)
+
+  /**
+   * Import history records from a ZIP archive (version 5) or a JSON export
+   * (versions 1-4), either of them possibly encrypted
+   * @param {File} file - Export file
+   * @param {Object} [options]
+   * @param {string|null} [options.passphrase] - For encrypted exports
+   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number, resumedFrom: number}>}
+   * @throws {WrongPassphraseError} When the file is encrypted and the passphrase is wrong or missing
+   */
+  const importHistory = async (file, { passphrase = null } = {}) => {
+    let source
+    let decrypted = null
+    try {
+      let data = file
+      if (await isEncryptedBlob(file)) {
+        isImporting.value = true
+        decrypted = await decryptExport(file, passphrase)
+        data = decrypted.blob
+      }
+      source = (await isZipBlob(data)) ? await openArchiveSource(data) : await openJsonSource(data)
+    } catch (err) {
+      console.error('Import failed:', err)
+      await decrypted?.discard()
+      isImporting.value = false
+      progress.value = { current: 0, total: 0, phase: '' }
+      importResult.value = { imported: 0, skipped: 0, failed: 0, total: 0, error: err.message }
+      throw err
+    }
+    try {
+      // Resuming is keyed on the file as picked, not the decrypted copy
+      return await importFromSource(source, importFingerprint(file))
+    } finally {
+      await decrypted?.discard()
+    }
+  }
+
   return {
     isExporting,
     isImporting,
@@ -415,5 +733,9 @@ export function useHistoryTransfer() {
     importResult,
     exportHistory,
     importHistory,
+    isEncryptedExport,
+    openHistoryArchive,
+    writeExportRecord,
+    importFromSource,
   }
 }
@@ -0,0 +1,105 @@
+import { ref } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useGeneratorStore } from '@/stores/generator'
+import { normalizeRetentionDays, trashPurgeCutoff } from '@/utils/history-trash'
+
+const RETENTION_STORAGE_KEY = 'nbp-trash-retention-days'
+// Entries listed in the trash view; restore all / empty still cover the rest
+const TRASH_LIST_LIMIT = 200
+
+const loadRetentionDays = () => {
+  try {
+    return normalizeRetentionDays(localStorage.getItem(RETENTION_STORAGE_KEY))
+  } catch {
+    return normalizeRetentionDays(null)
+  }
+}
+
+// Shared so the history panel and the trash view agree
+const retentionDays = ref(loadRetentionDays())
+const trashItems = ref([])
+const isLoading = ref(false)
+let purgedThisSession = false
+
+/**
+ * Trash bin for deleted history records (see utils/history-trash.js).
+ * The moves and file deletion live in the generator store; this adds the
+ * retention setting, the trash listing and the automatic purge.
+ */
+export function useHistoryTrash() {
+  const store = useGeneratorStore()
+  const { getTrash, getTrashIds } = useIndexedDB()
+
+  const loadTrash = async () => {
+    isLoading.value = true
+    try {
+      trashItems.value = await getTrash(TRASH_LIST_LIMIT)
+    } catch (err) {
+      console.error('Failed to load trash:', err)
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  /**
+   * Purge records past the retention period
+   * @returns {Promise<number>} Records purged
+   */
+  const purgeExpired = async () => {
+    try {
+      return await store.purgeExpiredTrash(trashPurgeCutoff(retentionDays.value))
+    } catch (err) {
+      console.error('Failed to purge expired trash:', err)
+      return 0
+    }
+  }
+
+  /** Purge once per page load (called when the history panel mounts) */
+  const purgeExpiredOnce = () => {
+    if (purgedThisSession) return
+    purgedThisSession = true
+    purgeExpired()
+  }
+
+  /** @param {number} days - One of TRASH_RETENTION_OPTIONS; 0 keeps records until emptied */
+  const setRetentionDays = async (days) => {
+    retentionDays.value = normalizeRetentionDays(days)
+    localStorage.setItem(RETENTION_STORAGE_KEY, String(retentionDays.value))
+    if (await purgeExpired()) await loadTrash()
+  }
+
+  /** @param {Array<number>} ids */
+  const restore = async (ids) => {
+    const count = await store.restoreFromTrash(ids)
+    await loadTrash()
+    return count
+  }
+
+  /** @param {Array<number>} ids */
+  const deleteForever = async (ids) => {
+    await store.purgeFromTrash(ids)
+    await loadTrash()
+  }
+
+  /** Restore everything in the trash, including entries beyond the listed ones */
+  const restoreAll = async () => restore(await getTrashIds())
+
+  const emptyTrash = async () => {
+    await store.emptyTrash()
+    await loadTrash()
+  }
+
+  return {
+    retentionDays,
+    trashItems,
+    isLoading,
+    loadTrash,
+    purgeExpired,
+    purgeExpiredOnce,
+    setRetentionDays,
+    restore,
+    restoreAll,
+    deleteForever,
+    emptyTrash,
+  }
+}
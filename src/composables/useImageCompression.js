@@ -5,6 +5,8 @@
  * Uses browser-native APIs without external dependencies.
  */
 
+import { isLosslessWebP } from '@/utils/storage-report'
+
 // Default compression quality (0.85 provides good balance between size and quality)
 const DEFAULT_QUALITY = 0.85
 
@@ -123,6 +125,22 @@ export const compressToWebP = async (imageData, options = {}) => {
   }
 }
 
+/**
+ * Re-encode an image as lossless WebP, for images whose exact pixels matter
+ * (masked edits). Browsers that only encode lossy WebP keep the original bytes.
+ * @param {Object} imageData - { data: base64, mimeType: string }
+ * @returns {Promise<{blob: Blob, originalSize: number, compressedSize: number, width: number, height: number}>}
+ *   blob.type is 'image/webp', or the original MIME type when it was kept
+ */
+export const compressToLosslessWebP = async (imageData) => {
+  const compressed = await compressToWebP(imageData, { quality: 1 })
+  if (isLosslessWebP(new Uint8Array(await compressed.blob.arrayBuffer()))) {
+    return compressed
+  }
+  const blob = await base64ToBlob(imageData.data, imageData.mimeType)
+  return { ...compressed, blob, compressedSize: blob.size }
+}
+
 /**
  * Generate a thumbnail from image data
  * @param {Object} imageData - { data: base64, mimeType: string }
@@ -217,6 +235,43 @@ export const generateThumbnailFromBlob = async (blob, options = {}) => {
   })
 }
 
+/**
+ * Re-encode an image Blob as WebP at full size
+ * @param {Blob} blob - Image blob
+ * @param {number} quality - WebP quality (0-1); Chromium encodes lossless at 1
+ * @returns {Promise<Blob>} WebP blob
+ */
+export const convertBlobToWebP = (blob, quality = DEFAULT_QUALITY) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    const url = URL.createObjectURL(blob)
+
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+
+      const canvas = document.createElement('canvas')
+      canvas.width = img.naturalWidth
+      canvas.height = img.naturalHeight
+
+      const ctx = canvas.getContext('2d')
+      ctx.drawImage(img, 0, 0)
+
+      canvas.toBlob(
+        (webpBlob) => (webpBlob ? resolve(webpBlob) : reject(new Error('WebP encoding failed'))),
+        'image/webp',
+        quality,
+      )
+    }
+
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Failed to load image for conversion'))
+    }
+
+    img.src = url
+  })
+}
+
 /**
  * Calculate compression ratio as percentage saved
  * @param {number} originalSize - Original size in bytes
@@ -257,6 +312,7 @@ export function useImageCompression() {
     compressToWebP,
     generateThumbnail,
     generateThumbnailFromBlob,
+    convertBlobToWebP,
     calculateCompressionRatio,
     formatFileSize,
   }
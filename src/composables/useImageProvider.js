@@ -0,0 +1,159 @@
+import { ref, computed } from 'vue'
+import { useApiKeyPool } from './useApiKeyPool'
+import { createSecretStore, onVaultChange } from './useSecretVault'
+import { getImageProvider, PROVIDER_ONLY_MODES } from './imageProviders'
+import { DEFAULT_IMAGE_PROVIDER } from '@/constants'
+
+const IMAGE_PROVIDER_STORAGE_KEY = 'nbp-image-provider'
+// The OpenAI-compatible key is stored apart from the settings (in the vault when one is set)
+const OPENAI_API_KEY_STORAGE_KEY = 'nbp-openai-api-key'
+const secrets = createSecretStore('image-provider')
+
+const DEFAULT_OPENAI_CONFIG = {
+  baseUrl: '',
+  apiKey: '',
+  model: '',
+}
+
+const readOpenAiApiKey = () => secrets.getItem(OPENAI_API_KEY_STORAGE_KEY) || ''
+
+const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(IMAGE_PROVIDER_STORAGE_KEY)) || {}
+    const { apiKey: inlineApiKey = '', ...openAi } = saved.openai || {}
+    return {
+      providerId: typeof saved.provider === 'string' ? saved.provider : DEFAULT_IMAGE_PROVIDER,
+      openAi: { ...DEFAULT_OPENAI_CONFIG, ...openAi, apiKey: readOpenAiApiKey() || inlineApiKey },
+      inlineApiKey,
+    }
+  } catch {
+    return { providerId: DEFAULT_IMAGE_PROVIDER, openAi: { ...DEFAULT_OPENAI_CONFIG }, inlineApiKey: '' }
+  }
+}
+
+const writeSettings = () => {
+  const openai = { ...openAiConfig.value }
+  delete openai.apiKey
+  localStorage.setItem(IMAGE_PROVIDER_STORAGE_KEY, JSON.stringify({ provider: providerId.value, openai }))
+}
+
+// Module-level state: one provider selection shared by settings UI and useApi
+const initial = loadSettings()
+const providerId = ref(getImageProvider(initial.providerId).id)
+const openAiConfig = ref(initial.openAi)
+
+// Older settings kept the key inline; move it to its own entry
+if (initial.inlineApiKey) {
+  try {
+    secrets.setItem(OPENAI_API_KEY_STORAGE_KEY, initial.openAi.apiKey)
+    writeSettings()
+  } catch {
+    // Vault locked: keep the old layout until the next save
+  }
+}
+
+onVaultChange(() => {
+  openAiConfig.value = { ...openAiConfig.value, apiKey: readOpenAiApiKey() }
+})
+
+/**
+ * Image provider selection and credentials.
+ *
+ * Gemini uses the API key pool (usage 'image'); the OpenAI-compatible
+ * provider has its own base URL, optional key and model name.
+ */
+export function useImageProvider() {
+  const { selectKey, reportKeyResult, isUsageOverBudget } = useApiKeyPool()
+
+  const activeProvider = computed(() => getImageProvider(providerId.value))
+  const isGeminiProvider = computed(() => providerId.value === DEFAULT_IMAGE_PROVIDER)
+
+  /** @param {string} id */
+  const setProvider = (id) => {
+    providerId.value = getImageProvider(id).id
+    writeSettings()
+  }
+
+  /** @param {Partial<typeof DEFAULT_OPENAI_CONFIG>} updates */
+  const updateOpenAiConfig = (updates) => {
+    openAiConfig.value = { ...openAiConfig.value, ...updates }
+    if ('apiKey' in updates) {
+      if (updates.apiKey) {
+        secrets.setItem(OPENAI_API_KEY_STORAGE_KEY, updates.apiKey)
+      } else {
+        secrets.removeItem(OPENAI_API_KEY_STORAGE_KEY)
+      }
+    }
+    writeSettings()
+  }
+
+  /**
+   * Credentials for a provider, read at call time.
+   * Gemini credentials carry the pool `keyId` for reportCredentialResult, and
+   * `overBudget` when every key is skipped for its spending limit.
+   * @param {string} id
+   * @returns {Object}
+   */
+  const getCredentials = (id) => {
+    if (id === 'openai') return { ...openAiConfig.value }
+    const selected = selectKey('image')
+    if (!selected) return { apiKey: '', keyId: null, overBudget: isUsageOverBudget('image') }
+    return { apiKey: selected.key, keyId: selected.id }
+  }
+
+  // Gemini's key is not reactive here; store.hasApiKey covers it (see hasCredentialsFor)
+  const isProviderConfigured = computed(() =>
+    activeProvider.value.isConfigured(getCredentials(providerId.value)),
+  )
+
+  /**
+   * Provider and credentials for the next image request
+   * @returns {{ provider: import('./imageProviders').ImageProvider, credentials: Object }}
+   */
+  const resolveImageProvider = () => {
+    const provider = activeProvider.value
+    return { provider, credentials: getCredentials(provider.id) }
+  }
+
+  /**
+   * Credentials for the next attempt with the same provider (rotates pool keys)
+   * @param {string} id - Provider id
+   * @returns {Object}
+   */
+  const resolveCredentials = (id) => getCredentials(id)
+
+  /**
+   * Report an attempt's outcome for the pool key it used (no-op for other providers)
+   * @param {Object} credentials - From resolveImageProvider / resolveCredentials
+   * @param {{ ok: boolean, quota?: boolean, message?: string }} outcome
+   */
+  const reportCredentialResult = (credentials, outcome) => {
+    reportKeyResult(credentials?.keyId, outcome)
+  }
+
+  /**
+   * Whether a mode can start with the current credentials
+   * @param {string} mode
+   * @param {boolean} hasGeminiKey - store.hasApiKey
+   * @returns {boolean}
+   */
+  const hasCredentialsFor = (mode, hasGeminiKey) => {
+    if (!isGeminiProvider.value && PROVIDER_ONLY_MODES.includes(mode)) {
+      return isProviderConfigured.value
+    }
+    return hasGeminiKey
+  }
+
+  return {
+    providerId: computed(() => providerId.value),
+    openAiConfig: computed(() => openAiConfig.value),
+    activeProvider,
+    isGeminiProvider,
+    setProvider,
+    updateOpenAiConfig,
+    resolveImageProvider,
+    resolveCredentials,
+    reportCredentialResult,
+    hasCredentialsFor,
+  }
+}
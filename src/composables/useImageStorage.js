@@ -2,12 +2,19 @@ import { ref } from 'vue'
 import { useOPFS } from './useOPFS'
 import {
   compressToWebP,
+  compressToLosslessWebP,
   generateThumbnail,
   generateThumbnailFromBlob,
   blobToBase64,
   base64ToBlob,
   formatFileSize,
 } from './useImageCompression'
+import { createLruCache } from '@/utils/lru-cache'
+
+// Object URLs kept per instance; older ones are revoked as new ones load
+const DEFAULT_MAX_CACHED_URLS = 200
+// Longest side of thumbnails made from OPFS images (as stored in records)
+const LIST_THUMBNAIL_SIZE = 100
 
 /**
  * Get image dimensions from a Blob
@@ -41,14 +48,28 @@ const getImageDimensionsFromBlob = (blob) => {
  *
  * Integrates OPFS storage with WebP compression.
  * Handles saving, loading, and deleting images with metadata.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxCachedUrls=200] - Object URLs kept before the least recently used are revoked
  */
-export function useImageStorage() {
+export function useImageStorage({ maxCachedUrls = DEFAULT_MAX_CACHED_URLS } = {}) {
   const opfs = useOPFS()
   const isProcessing = ref(false)
   const error = ref(null)
 
-  // Cache for loaded image URLs (to avoid reloading)
-  const urlCache = new Map()
+  // URL -> number of holders (see retainUrls); these are never evicted
+  const retainedUrls = new Map()
+
+  // Cache for loaded image URLs (to avoid reloading), bounded so long
+  // browsing sessions don't keep every image they touched in memory
+  const urlCache = createLruCache({
+    maxEntries: maxCachedUrls,
+    onEvict: (url) => URL.revokeObjectURL(url),
+    canEvict: (url) => !retainedUrls.has(url),
+  })
+  // Downscaled images as data URLs: nothing to revoke, so a row can keep
+  // showing one after it leaves the cache
+  const thumbnailCache = createLruCache({ maxEntries: maxCachedUrls })
 
   /**
    * Save generated images to OPFS with compression
@@ -56,10 +77,12 @@ export function useImageStorage() {
    * @param {Array<{data: string, mimeType: string}>} images - Base64 images from API
    * @param {Object} options - Options
    * @param {number} options.quality - WebP quality (default 0.85)
+   * @param {number} options.startIndex - Index of the first image, to append to a record (default 0)
+   * @param {boolean} options.lossless - Keep exact pixels (masked edits); quality is ignored
    * @returns {Promise<Array<Object>>} Image metadata for IndexedDB
    */
   const saveGeneratedImages = async (historyId, images, options = {}) => {
-    const { quality = 0.85 } = options
+    const { quality = 0.85, startIndex = 0, lossless = false } = options
 
     if (!images || images.length === 0) {
       return []
@@ -80,6 +103,7 @@ export function useImageStorage() {
 
       for (let i = 0; i < images.length; i++) {
         const image = images[i]
+        const index = startIndex + i
 
         let blob, originalSize, compressedSize, width, height
 
@@ -99,7 +123,7 @@ export function useImageStorage() {
           }
         } else {
           // Compress non-WebP images
-          const compressed = await compressToWebP(image, { quality })
+          const compressed = lossless ? await compressToLosslessWebP(image) : await compressToWebP(image, { quality })
           blob = compressed.blob
           originalSize = compressed.originalSize
           compressedSize = compressed.compressedSize
@@ -111,18 +135,21 @@ export function useImageStorage() {
         const thumbnail = await generateThumbnail(image)
 
         // Save WebP to OPFS
-        const opfsPath = `/${dirPath}/${i}.webp`
+        const opfsPath = `/${dirPath}/${index}.webp`
         await opfs.writeFile(opfsPath, blob)
 
         // Build metadata
         savedImages.push({
-          index: i,
+          index,
           // Preserve pageNumber for slides mode (if present)
           ...(image.pageNumber !== undefined && { pageNumber: image.pageNumber }),
+          // Preserve matrix cell ID for prompt matrix runs (if present)
+          ...(image.matrixCell !== undefined && { matrixCell: image.matrixCell }),
           originalSize,
           compressedSize,
           originalFormat: image.mimeType,
-          compressedFormat: 'image/webp',
+          // Lossless saves keep the original bytes where the browser can't encode lossless WebP
+          compressedFormat: blob.type || 'image/webp',
           width,
           height,
           opfsPath,
@@ -158,6 +185,42 @@ export function useImageStorage() {
     return url
   }
 
+  /**
+   * Keep object URLs from being evicted (and revoked) while they are shown
+   * @param {Array<string>} urls - From loadImage / loadHistoryImages
+   * @returns {() => void} Releases them; safe to call more than once
+   */
+  const retainUrls = (urls) => {
+    const held = urls.filter(Boolean)
+    for (const url of held) retainedUrls.set(url, (retainedUrls.get(url) || 0) + 1)
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      for (const url of held) {
+        const count = retainedUrls.get(url) - 1
+        if (count > 0) retainedUrls.set(url, count)
+        else retainedUrls.delete(url)
+      }
+      urlCache.trim()
+    }
+  }
+
+  /**
+   * Small thumbnail of an OPFS image, for records saved without one
+   * @param {string} opfsPath - OPFS file path
+   * @returns {Promise<string|null>} data: URL, or null when the file is missing
+   */
+  const loadThumbnail = async (opfsPath) => {
+    if (thumbnailCache.has(opfsPath)) return thumbnailCache.get(opfsPath)
+
+    const blob = await opfs.readFile(opfsPath)
+    if (!blob) return null
+    const url = `data:image/webp;base64,${await generateThumbnailFromBlob(blob, { maxSize: LIST_THUMBNAIL_SIZE })}`
+    thumbnailCache.set(opfsPath, url)
+    return url
+  }
+
   /**
    * Load a single image from OPFS as Blob
    * @param {string} opfsPath - OPFS file path
@@ -209,6 +272,9 @@ export function useImageStorage() {
           urlCache.delete(path)
         }
       }
+      for (const path of [...thumbnailCache.entries()].map(([key]) => key)) {
+        if (path.startsWith(`/${dirPath}/`)) thumbnailCache.delete(path)
+      }
 
       // Delete directory
       await opfs.deleteDirectory(dirPath, true)
@@ -230,6 +296,7 @@ export function useImageStorage() {
         URL.revokeObjectURL(url)
       }
       urlCache.clear()
+      thumbnailCache.clear()
 
       // Delete entire images directory
       await opfs.deleteDirectory('images', true)
@@ -358,6 +425,7 @@ export function useImageStorage() {
             return {
               index,
               ...(image.pageNumber !== undefined && { pageNumber: image.pageNumber }),
+              ...(image.matrixCell !== undefined && { matrixCell: image.matrixCell }),
               originalSize,
               compressedSize,
               originalFormat: mimeType,
@@ -391,6 +459,8 @@ export function useImageStorage() {
     // Methods
     saveGeneratedImages,
     loadImage,
+    loadThumbnail,
+    retainUrls,
     loadImageBlob,
     loadHistoryImages,
     deleteHistoryImages,
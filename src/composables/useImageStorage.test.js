@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { inflateSync } from 'node:zlib'
+
+// In-memory OPFS
+const files = vi.hoisted(() => new Map())
+
+vi.mock('./useOPFS', () => ({
+  useOPFS: () => ({
+    initOPFS: async () => {},
+    getOrCreateDirectory: async () => {},
+    writeFile: async (path, blob) => {
+      files.set(path, blob)
+    },
+    readFile: async (path) => files.get(path) || null,
+  }),
+}))
+
+import { useImageStorage } from './useImageStorage'
+import { compositeMasked } from '@/utils/mask-composite'
+import { encodePng } from '@/utils/mock-genai'
+
+const WIDTH = 2
+const HEIGHT = 1
+
+// Smallest WebP containers with a lossy (VP8) or lossless (VP8L) bitstream
+const webpBytes = (chunk) => {
+  const bytes = new Uint8Array(32)
+  bytes.set([...'RIFF'].map((c) => c.charCodeAt(0)), 0)
+  bytes.set([...'WEBP'].map((c) => c.charCodeAt(0)), 8)
+  bytes.set([...chunk].map((c) => c.charCodeAt(0)), 12)
+  bytes[16] = 12
+  return bytes
+}
+
+// Decoder for the stored (filter 0, RGB) PNGs encodePng writes
+const readPngPixel = (bytes, x, y) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const width = view.getUint32(16)
+  let offset = 8
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    if (type === 'IDAT') {
+      const raw = inflateSync(bytes.subarray(offset + 8, offset + 8 + length))
+      const start = y * (width * 3 + 1) + 1 + x * 3
+      return [...raw.subarray(start, start + 3)]
+    }
+    offset += 12 + length
+  }
+  return null
+}
+
+const toRgb = (rgba) => {
+  const rgb = new Uint8Array((rgba.length / 4) * 3)
+  for (let i = 0; i < rgba.length / 4; i++) rgb.set(rgba.subarray(i * 4, i * 4 + 3), i * 3)
+  return rgb
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+
+// Canvas encoding as a browser would do it: `encoder` picks the WebP bitstream
+const stubCanvas = (encoder) => {
+  vi.stubGlobal(
+    'Image',
+    class {
+      naturalWidth = WIDTH
+      naturalHeight = HEIGHT
+      set src(value) {
+        setTimeout(() => this.onload?.(), 0)
+      }
+    },
+  )
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage: () => {} })
+  vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation((callback, type, quality) => {
+    callback(new Blob([webpBytes(encoder(quality))], { type }))
+  })
+}
+
+// Masked composite: the left pixel is outside the mask, the right one inside
+const buildComposite = () => {
+  const original = new Uint8ClampedArray([10, 20, 30, 255, 40, 50, 60, 255])
+  const edited = new Uint8ClampedArray([200, 200, 200, 255, 90, 80, 70, 255])
+  const pixels = compositeMasked(original, edited, new Uint8Array([0, 1]))
+  return { data: toBase64(encodePng(WIDTH, HEIGHT, toRgb(pixels))), mimeType: 'image/png' }
+}
+
+beforeEach(() => {
+  files.clear()
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+  vi.unstubAllGlobals()
+})
+
+// ============================================================================
+// saveGeneratedImages
+// ============================================================================
+
+describe('saveGeneratedImages', () => {
+  it('keeps pixels outside the mask when the browser only encodes lossy WebP', async () => {
+    stubCanvas(() => 'VP8 ')
+    const { saveGeneratedImages } = useImageStorage()
+
+    const [saved] = await saveGeneratedImages(1, [buildComposite()], { lossless: true })
+
+    expect(saved.compressedFormat).toBe('image/png')
+    const stored = new Uint8Array(await files.get(saved.opfsPath).arrayBuffer())
+    expect(readPngPixel(stored, 0, 0)).toEqual([10, 20, 30])
+    expect(readPngPixel(stored, 1, 0)).toEqual([90, 80, 70])
+  })
+
+  it('stores lossless WebP when the browser encodes it at quality 1', async () => {
+    stubCanvas((quality) => (quality === 1 ? 'VP8L' : 'VP8 '))
+    const { saveGeneratedImages } = useImageStorage()
+
+    const [saved] = await saveGeneratedImages(1, [buildComposite()], { lossless: true })
+
+    expect(saved.compressedFormat).toBe('image/webp')
+    expect(HTMLCanvasElement.prototype.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/webp', 1)
+    const stored = new Uint8Array(await files.get(saved.opfsPath).arrayBuffer())
+    expect(String.fromCharCode(...stored.subarray(12, 16))).toBe('VP8L')
+  })
+
+  it('compresses other images at the default lossy quality', async () => {
+    stubCanvas(() => 'VP8 ')
+    const { saveGeneratedImages } = useImageStorage()
+
+    const [saved] = await saveGeneratedImages(1, [buildComposite()])
+
+    expect(saved.compressedFormat).toBe('image/webp')
+    expect(HTMLCanvasElement.prototype.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/webp', 0.85)
+  })
+})
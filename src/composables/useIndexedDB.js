@@ -1,13 +1,39 @@
 import { ref } from 'vue'
 import { generateUUID } from './useUUID'
+import {
+  FACET_INDEXES,
+  withHistoryFacets,
+  matchesHistoryFilter,
+  pickHistoryIndex,
+  sortHistoryEntries,
+} from '@/utils/history-query'
+import { toTrashEntry, fromTrashEntry } from '@/utils/history-trash'
+import { LINEAGE_INDEX } from '@/utils/history-lineage'
 
 const DB_NAME = 'nanobanana-generator'
-const DB_VERSION = 4
+const DB_VERSION = 14
 const STORE_HISTORY = 'history'
 const STORE_CHARACTERS = 'characters'
+const STORE_TEMPLATES = 'promptTemplates'
+const STORE_JOBS = 'jobQueue'
+const STORE_USAGE = 'usageLedger'
+const STORE_PROFILES = 'optionProfiles'
+const STORE_TRASH = 'trash'
+const STORE_APP_STATE = 'appState'
 
 let db = null
 
+/**
+ * Every history write goes through here: refreshes the filter facets and
+ * stamps `updatedAt` (indexed, so backups can find what changed)
+ * @param {Object} record
+ * @returns {Object} The same record
+ */
+const toStoredHistory = (record) => {
+  record.updatedAt = Date.now()
+  return withHistoryFacets(record)
+}
+
 export function useIndexedDB() {
   const isReady = ref(false)
   const error = ref(null)
@@ -71,6 +97,116 @@ export function useIndexedDB() {
             characterStore.createIndex('createdAt', 'createdAt', { unique: false })
           }
         }
+
+        // Version 4 -> 5: Add prompt templates store
+        if (oldVersion < 5) {
+          if (!database.objectStoreNames.contains(STORE_TEMPLATES)) {
+            const templateStore = database.createObjectStore(STORE_TEMPLATES, {
+              keyPath: 'id',
+              autoIncrement: true,
+            })
+            templateStore.createIndex('mode', 'mode', { unique: false })
+            templateStore.createIndex('uuid', 'uuid', { unique: true })
+            templateStore.createIndex('updatedAt', 'updatedAt', { unique: false })
+          }
+        }
+
+        // Version 5 -> 6: Add persistent generation job queue
+        if (oldVersion < 6) {
+          if (!database.objectStoreNames.contains(STORE_JOBS)) {
+            const jobStore = database.createObjectStore(STORE_JOBS, {
+              keyPath: 'id',
+              autoIncrement: true,
+            })
+            jobStore.createIndex('status', 'status', { unique: false })
+            jobStore.createIndex('order', 'order', { unique: false })
+          }
+        }
+
+        // Version 6 -> 7: Add token usage / cost ledger
+        if (oldVersion < 7) {
+          if (!database.objectStoreNames.contains(STORE_USAGE)) {
+            const usageStore = database.createObjectStore(STORE_USAGE, {
+              keyPath: 'id',
+              autoIncrement: true,
+            })
+            usageStore.createIndex('timestamp', 'timestamp', { unique: false })
+          }
+        }
+
+        // Version 7 -> 8: Add per-mode option profiles
+        if (oldVersion < 8) {
+          if (!database.objectStoreNames.contains(STORE_PROFILES)) {
+            const profileStore = database.createObjectStore(STORE_PROFILES, {
+              keyPath: 'id',
+              autoIncrement: true,
+            })
+            profileStore.createIndex('mode', 'mode', { unique: false })
+            profileStore.createIndex('uuid', 'uuid', { unique: true })
+          }
+        }
+
+        // Version 8 -> 9: Index history tags and albums (one entry per name)
+        if (oldVersion < 9) {
+          const historyStore = event.target.transaction.objectStore(STORE_HISTORY)
+          if (!historyStore.indexNames.contains('tags')) {
+            historyStore.createIndex('tags', 'tags', { unique: false, multiEntry: true })
+          }
+          if (!historyStore.indexNames.contains('albums')) {
+            historyStore.createIndex('albums', 'albums', { unique: false, multiEntry: true })
+          }
+        }
+
+        // Version 9 -> 10: Index status, character and facets for history filters
+        if (oldVersion < 10) {
+          const historyStore = event.target.transaction.objectStore(STORE_HISTORY)
+          const indexes = ['status', 'characterName', ...Object.values(FACET_INDEXES)]
+          for (const name of indexes) {
+            if (!historyStore.indexNames.contains(name)) {
+              historyStore.createIndex(name, name, { unique: false })
+            }
+          }
+          // Backfill facets on existing records
+          historyStore.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result
+            if (!cursor) return
+            cursor.update(withHistoryFacets(cursor.value))
+            cursor.continue()
+          }
+        }
+
+        // Version 10 -> 11: Add trash store for soft-deleted history
+        if (oldVersion < 11) {
+          if (!database.objectStoreNames.contains(STORE_TRASH)) {
+            // Keeps the history id (no autoIncrement) so OPFS paths still match
+            const trashStore = database.createObjectStore(STORE_TRASH, { keyPath: 'id' })
+            trashStore.createIndex('deletedAt', 'deletedAt', { unique: false })
+            trashStore.createIndex('uuid', 'uuid', { unique: false })
+          }
+        }
+
+        // Version 11 -> 12: Key-value store for values localStorage can't hold (file handles)
+        if (oldVersion < 12) {
+          if (!database.objectStoreNames.contains(STORE_APP_STATE)) {
+            database.createObjectStore(STORE_APP_STATE, { keyPath: 'key' })
+          }
+        }
+
+        // Version 12 -> 13: Index parent uuids to find derived records (no record has them yet)
+        if (oldVersion < 13) {
+          const historyStore = event.target.transaction.objectStore(STORE_HISTORY)
+          if (!historyStore.indexNames.contains(LINEAGE_INDEX)) {
+            historyStore.createIndex(LINEAGE_INDEX, LINEAGE_INDEX, { unique: false, multiEntry: true })
+          }
+        }
+
+        // Version 13 -> 14: Index the last write, for incremental backups (older records have none)
+        if (oldVersion < 14) {
+          const historyStore = event.target.transaction.objectStore(STORE_HISTORY)
+          if (!historyStore.indexNames.contains('updatedAt')) {
+            historyStore.createIndex('updatedAt', 'updatedAt', { unique: false })
+          }
+        }
       }
     })
   }
@@ -87,7 +223,7 @@ export function useIndexedDB() {
         timestamp: Date.now(),
         uuid: record.uuid || generateUUID(),
       }))
-      const request = store.add(historyRecord)
+      const request = store.add(toStoredHistory(historyRecord))
 
       request.onsuccess = () => resolve(request.result)
       request.onerror = () => reject(request.error)
@@ -123,6 +259,50 @@ export function useIndexedDB() {
     })
   }
 
+  /**
+   * One page of history, newest first, for lists that page through everything.
+   * Pass `after` (the last record of the previous page) to continue from a
+   * cursor position; otherwise `offset` rows are skipped with cursor.advance,
+   * which doesn't read the skipped records.
+   * @param {Object} [options]
+   * @param {{ timestamp: number, id: number }} [options.after] - Last record of the previous page
+   * @param {number} [options.offset=0] - Rows to skip when `after` is not known
+   * @param {number} [options.limit=50]
+   * @returns {Promise<Array<Object>>}
+   */
+  const getHistoryPage = async ({ after = null, offset = 0, limit = 50 } = {}) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const index = transaction.objectStore(STORE_HISTORY).index('timestamp')
+      const range = after ? IDBKeyRange.upperBound(after.timestamp) : null
+      const request = index.openCursor(range, 'prev')
+
+      const results = []
+      let advanced = after || offset <= 0
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor || results.length >= limit) {
+          resolve(results)
+          return
+        }
+        if (!advanced) {
+          advanced = true
+          cursor.advance(offset)
+          return
+        }
+        // Same-timestamp records come in descending id order; skip the ones already shown
+        if (after && cursor.key === after.timestamp && cursor.primaryKey >= after.id) {
+          cursor.continue()
+          return
+        }
+        results.push({ ...cursor.value })
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
   const getHistoryById = async (id) => {
     await initDB()
     return new Promise((resolve, reject) => {
@@ -189,7 +369,7 @@ export function useIndexedDB() {
         if (record) {
           // Deep clone images to ensure plain objects
           record.images = JSON.parse(JSON.stringify(images))
-          const putRequest = store.put(record)
+          const putRequest = store.put(toStoredHistory(record))
           putRequest.onsuccess = () => resolve(true)
           putRequest.onerror = () => reject(putRequest.error)
         } else {
@@ -218,7 +398,7 @@ export function useIndexedDB() {
         if (record) {
           // Deep clone video to ensure plain object
           record.video = JSON.parse(JSON.stringify(video))
-          const putRequest = store.put(record)
+          const putRequest = store.put(toStoredHistory(record))
           putRequest.onsuccess = () => resolve(true)
           putRequest.onerror = () => reject(putRequest.error)
         } else {
@@ -321,6 +501,165 @@ export function useIndexedDB() {
     })
   }
 
+  /**
+   * Get a history record by UUID
+   * @param {string} uuid
+   * @returns {Promise<Object|null>}
+   */
+  const getHistoryByUUID = async (uuid) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const store = transaction.objectStore(STORE_HISTORY)
+      const index = store.index('uuid')
+      const request = index.get(uuid)
+
+      request.onsuccess = () => resolve(request.result || null)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Records derived from a record (listing it in `parents`), oldest first
+   * @param {string} uuid - Parent record uuid
+   * @returns {Promise<Array<Object>>}
+   */
+  const getHistoryChildren = async (uuid) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const request = transaction.objectStore(STORE_HISTORY).index(LINEAGE_INDEX).getAll(uuid)
+
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp))
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * IDs of history records written at or after a time (records from before
+   * DB version 14 have no `updatedAt` and are never listed)
+   * @param {number} since - Timestamp
+   * @returns {Promise<Array<number>>}
+   */
+  const getHistoryIdsUpdatedSince = async (since) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const request = transaction.objectStore(STORE_HISTORY).index('updatedAt').getAllKeys(IDBKeyRange.lowerBound(since))
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Every key in a history index with its record count
+   * @param {string} indexName - e.g. 'tags', 'albums', 'facets.model'
+   * @returns {Promise<Array<{ name: string|number, count: number }>>} Exact keys
+   */
+  const getHistoryIndexCounts = async (indexName) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const index = transaction.objectStore(STORE_HISTORY).index(indexName)
+      const request = index.openKeyCursor()
+
+      const counts = []
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor) {
+          resolve(counts)
+          return
+        }
+        const last = counts[counts.length - 1]
+        if (last && last.name === cursor.key) last.count++
+        else counts.push({ name: cursor.key, count: 1 })
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * History records listing any of the given names in a multiEntry index, newest first
+   * @param {'tags'|'albums'} indexName
+   * @param {string[]} keys - Exact spellings to look up
+   * @returns {Promise<Array<Object>>}
+   */
+  const getHistoryByIndexKeys = async (indexName, keys) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const index = transaction.objectStore(STORE_HISTORY).index(indexName)
+      const byId = new Map()
+
+      for (const key of keys) {
+        const request = index.getAll(key)
+        request.onsuccess = () => {
+          for (const record of request.result) byId.set(record.id, record)
+        }
+      }
+      transaction.oncomplete = () => resolve([...byId.values()].sort((a, b) => b.timestamp - a.timestamp))
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Filter and sort the whole history (see utils/history-query.js).
+   * Walks one index, checks the rest of the filter per record, and returns
+   * one page of full records plus the total number of matches.
+   * @param {Object} filter - See matchesHistoryFilter (plus albumKeys / tagKeys)
+   * @param {Object} [options]
+   * @param {string} [options.sort='newest'] - One of HISTORY_SORTS
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{ records: Array<Object>, total: number }>}
+   */
+  const queryHistory = async (filter, { sort = 'newest', limit = 50, offset = 0 } = {}) => {
+    await initDB()
+    const plan = pickHistoryIndex(filter)
+
+    const matches = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readonly')
+      const index = transaction.objectStore(STORE_HISTORY).index(plan.index)
+      // Only id, time and duration are kept while scanning; the page is read afterwards
+      const byId = new Map()
+
+      const walk = (range) => {
+        index.openCursor(range).onsuccess = (event) => {
+          const cursor = event.target.result
+          if (!cursor) return
+          const record = cursor.value
+          if (matchesHistoryFilter(record, filter)) {
+            byId.set(record.id, { id: record.id, timestamp: record.timestamp, generationTime: record.generationTime })
+          }
+          cursor.continue()
+        }
+      }
+
+      if (plan.keys) {
+        for (const key of plan.keys) walk(IDBKeyRange.only(key))
+      } else {
+        const { lower, upper } = plan.range
+        if (lower != null && upper != null) walk(IDBKeyRange.bound(lower, upper))
+        else if (lower != null) walk(IDBKeyRange.lowerBound(lower))
+        else if (upper != null) walk(IDBKeyRange.upperBound(upper))
+        else walk(null)
+      }
+
+      transaction.oncomplete = () => resolve([...byId.values()])
+      transaction.onerror = () => reject(transaction.error)
+    })
+
+    const page = sortHistoryEntries(matches, sort).slice(offset, offset + limit)
+    const records = await getHistoryByIds(page.map((entry) => entry.id))
+    const byId = new Map(records.map((record) => [record.id, record]))
+    return {
+      records: page.map((entry) => byId.get(entry.id)).filter(Boolean),
+      total: matches.length,
+    }
+  }
+
   /**
    * Add a history record with existing UUID (for import)
    * @param {Object} record - Record with uuid field
@@ -338,7 +677,7 @@ export function useIndexedDB() {
       }))
       // Remove original id to let autoIncrement generate new one
       delete historyRecord.id
-      const request = store.add(historyRecord)
+      const request = store.add(toStoredHistory(historyRecord))
 
       request.onsuccess = () => resolve(request.result)
       request.onerror = () => reject(request.error)
@@ -362,7 +701,7 @@ export function useIndexedDB() {
           const record = cursor.value
           if (!record.uuid) {
             record.uuid = generateUUID()
-            cursor.update(record)
+            cursor.update(toStoredHistory(record))
           }
           cursor.continue()
         } else {
@@ -373,6 +712,183 @@ export function useIndexedDB() {
     })
   }
 
+  // ==========================================================================
+  // Trash operations (see utils/history-trash.js)
+  // ==========================================================================
+
+  /**
+   * Move history records to the trash in one transaction
+   * @param {Array<number>} ids - History record IDs
+   * @param {number} [deletedAt=Date.now()]
+   * @returns {Promise<Array<number>>} IDs actually moved
+   */
+  const moveHistoryToTrash = async (ids, deletedAt = Date.now()) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY, STORE_TRASH], 'readwrite')
+      const historyStore = transaction.objectStore(STORE_HISTORY)
+      const trashStore = transaction.objectStore(STORE_TRASH)
+      const moved = []
+
+      for (const id of ids) {
+        const request = historyStore.get(id)
+        request.onsuccess = () => {
+          if (!request.result) return
+          trashStore.put(toTrashEntry(request.result, deletedAt))
+          historyStore.delete(id)
+          moved.push(id)
+        }
+      }
+
+      transaction.oncomplete = () => resolve(moved)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Move every history record to the trash
+   * @param {number} [deletedAt=Date.now()]
+   * @returns {Promise<Array<number>>} IDs moved
+   */
+  const moveAllHistoryToTrash = async (deletedAt = Date.now()) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY, STORE_TRASH], 'readwrite')
+      const trashStore = transaction.objectStore(STORE_TRASH)
+      const request = transaction.objectStore(STORE_HISTORY).openCursor()
+      const moved = []
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor) return
+        trashStore.put(toTrashEntry(cursor.value, deletedAt))
+        cursor.delete()
+        moved.push(cursor.primaryKey)
+        cursor.continue()
+      }
+
+      transaction.oncomplete = () => resolve(moved)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Move trashed records back into the history under their old IDs
+   * @param {Array<number>} ids - Trash entry IDs
+   * @returns {Promise<Array<Object>>} Restored history records
+   */
+  const restoreHistoryFromTrash = async (ids) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY, STORE_TRASH], 'readwrite')
+      const historyStore = transaction.objectStore(STORE_HISTORY)
+      const trashStore = transaction.objectStore(STORE_TRASH)
+      const restored = []
+
+      for (const id of ids) {
+        const request = trashStore.get(id)
+        request.onsuccess = () => {
+          if (!request.result) return
+          const record = toStoredHistory(fromTrashEntry(request.result))
+          historyStore.put(record)
+          trashStore.delete(id)
+          restored.push(record)
+        }
+      }
+
+      transaction.oncomplete = () => resolve(restored)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Trash entries, most recently deleted first
+   * @param {number} [limit=200]
+   * @returns {Promise<Array<Object>>}
+   */
+  const getTrash = async (limit = 200) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TRASH], 'readonly')
+      const request = transaction.objectStore(STORE_TRASH).index('deletedAt').openCursor(null, 'prev')
+
+      const results = []
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor || results.length >= limit) {
+          resolve(results)
+          return
+        }
+        results.push(cursor.value)
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  const getTrashCount = async () => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TRASH], 'readonly')
+      const request = transaction.objectStore(STORE_TRASH).count()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * IDs of trash entries, optionally only those deleted before a time
+   * @param {number|null} [deletedBefore] - Exclusive cutoff; all entries when omitted
+   * @returns {Promise<Array<number>>}
+   */
+  const getTrashIds = async (deletedBefore = null) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TRASH], 'readonly')
+      const index = transaction.objectStore(STORE_TRASH).index('deletedAt')
+      const range = deletedBefore != null ? IDBKeyRange.upperBound(deletedBefore, true) : null
+      const request = index.getAllKeys(range)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Remove trash entries (their OPFS files are deleted by the caller)
+   * @param {Array<number>} ids
+   * @returns {Promise<boolean>}
+   */
+  const deleteTrashEntries = async (ids) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TRASH], 'readwrite')
+      const store = transaction.objectStore(STORE_TRASH)
+      for (const id of ids) store.delete(id)
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Whether a record with this UUID is in the trash (imports and peer sync
+   * skip it, so a deleted record doesn't come back)
+   * @param {string} uuid
+   * @returns {Promise<boolean>}
+   */
+  const hasTrashByUUID = async (uuid) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TRASH], 'readonly')
+      const request = transaction.objectStore(STORE_TRASH).index('uuid').count(uuid)
+
+      request.onsuccess = () => resolve(request.result > 0)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
   // ============================================================================
   // Character operations
   // ============================================================================
@@ -551,24 +1067,418 @@ export function useIndexedDB() {
     })
   }
 
+  // ==========================================================================
+  // Prompt template operations
+  // ==========================================================================
+
   /**
-   * Update history record with narration metadata
-   * @param {number} id - History record ID
-   * @param {Object} narration - Narration metadata (scripts, audio, settings)
-   * @returns {Promise<boolean>}
+   * Add a new prompt template
+   * @param {Object} template - { uuid, name, mode, content }
+   * @returns {Promise<number>} - New template ID
    */
-  const updateHistoryNarration = async (id, narration) => {
+  const addTemplate = async (template) => {
     await initDB()
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_HISTORY], 'readwrite')
-      const store = transaction.objectStore(STORE_HISTORY)
-      const getRequest = store.get(id)
+      const transaction = db.transaction([STORE_TEMPLATES], 'readwrite')
+      const store = transaction.objectStore(STORE_TEMPLATES)
+      const now = Date.now()
+      const templateRecord = JSON.parse(JSON.stringify({
+        ...template,
+        uuid: template.uuid || generateUUID(),
+        createdAt: template.createdAt || now,
+        updatedAt: now,
+      }))
+      const request = store.add(templateRecord)
 
-      getRequest.onsuccess = () => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get all prompt templates, most recently updated first
+   * @param {string|null} mode - Only return templates for this mode (null = all modes)
+   * @returns {Promise<Array>}
+   */
+  const getTemplates = async (mode = null) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TEMPLATES], 'readonly')
+      const store = transaction.objectStore(STORE_TEMPLATES)
+      const request = mode ? store.index('mode').getAll(mode) : store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)))
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get a prompt template by UUID (for duplicate check during import)
+   * @param {string} uuid
+   * @returns {Promise<Object|null>}
+   */
+  const getTemplateByUUID = async (uuid) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TEMPLATES], 'readonly')
+      const store = transaction.objectStore(STORE_TEMPLATES)
+      const request = store.index('uuid').get(uuid)
+
+      request.onsuccess = () => resolve(request.result || null)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Update a prompt template
+   * @param {number} id - Template ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<boolean>}
+   */
+  const updateTemplate = async (id, updates) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TEMPLATES], 'readwrite')
+      const store = transaction.objectStore(STORE_TEMPLATES)
+      const getRequest = store.get(id)
+
+      getRequest.onsuccess = () => {
+        const record = getRequest.result
+        if (record) {
+          const updatedRecord = JSON.parse(JSON.stringify({
+            ...record,
+            ...updates,
+            id,
+            updatedAt: Date.now(),
+          }))
+          const putRequest = store.put(updatedRecord)
+          putRequest.onsuccess = () => resolve(true)
+          putRequest.onerror = () => reject(putRequest.error)
+        } else {
+          reject(new Error(`Template with id ${id} not found`))
+        }
+      }
+      getRequest.onerror = () => reject(getRequest.error)
+    })
+  }
+
+  /**
+   * Delete a prompt template
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  const deleteTemplate = async (id) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_TEMPLATES], 'readwrite')
+      const store = transaction.objectStore(STORE_TEMPLATES)
+      const request = store.delete(id)
+
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // ==========================================================================
+  // Option profile operations
+  // ==========================================================================
+
+  /**
+   * Add a new option profile
+   * @param {Object} profile - { uuid, name, mode, options, temperature, seed, model }
+   * @returns {Promise<number>} - New profile ID
+   */
+  const addProfile = async (profile) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_PROFILES], 'readwrite')
+      const store = transaction.objectStore(STORE_PROFILES)
+      const now = Date.now()
+      const profileRecord = JSON.parse(JSON.stringify({
+        ...profile,
+        uuid: profile.uuid || generateUUID(),
+        createdAt: profile.createdAt || now,
+        updatedAt: now,
+      }))
+      const request = store.add(profileRecord)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get option profiles sorted by name
+   * @param {string|null} mode - Only return profiles for this mode (null = all modes)
+   * @returns {Promise<Array>}
+   */
+  const getProfiles = async (mode = null) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_PROFILES], 'readonly')
+      const store = transaction.objectStore(STORE_PROFILES)
+      const request = mode ? store.index('mode').getAll(mode) : store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)))
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get an option profile by UUID (for duplicate check during import)
+   * @param {string} uuid
+   * @returns {Promise<Object|null>}
+   */
+  const getProfileByUUID = async (uuid) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_PROFILES], 'readonly')
+      const store = transaction.objectStore(STORE_PROFILES)
+      const request = store.index('uuid').get(uuid)
+
+      request.onsuccess = () => resolve(request.result || null)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Update an option profile
+   * @param {number} id - Profile ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<boolean>}
+   */
+  const updateProfile = async (id, updates) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_PROFILES], 'readwrite')
+      const store = transaction.objectStore(STORE_PROFILES)
+      const getRequest = store.get(id)
+
+      getRequest.onsuccess = () => {
+        const record = getRequest.result
+        if (record) {
+          const updatedRecord = JSON.parse(JSON.stringify({
+            ...record,
+            ...updates,
+            id,
+            updatedAt: Date.now(),
+          }))
+          const putRequest = store.put(updatedRecord)
+          putRequest.onsuccess = () => resolve(true)
+          putRequest.onerror = () => reject(putRequest.error)
+        } else {
+          reject(new Error(`Profile with id ${id} not found`))
+        }
+      }
+      getRequest.onerror = () => reject(getRequest.error)
+    })
+  }
+
+  /**
+   * Delete an option profile
+   * @param {number} id
+   * @returns {Promise<boolean>}
+   */
+  const deleteProfile = async (id) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_PROFILES], 'readwrite')
+      const store = transaction.objectStore(STORE_PROFILES)
+      const request = store.delete(id)
+
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // ==========================================================================
+  // Job queue operations
+  // ==========================================================================
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - Job record (mode, prompt, options, referenceImages, status, order)
+   * @returns {Promise<number>} - New job ID
+   */
+  const addJob = async (job) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_JOBS], 'readwrite')
+      const store = transaction.objectStore(STORE_JOBS)
+      const now = Date.now()
+      const jobRecord = JSON.parse(JSON.stringify({
+        ...job,
+        createdAt: now,
+        updatedAt: now,
+      }))
+      const request = store.add(jobRecord)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get all queued jobs in queue order
+   * @returns {Promise<Array>}
+   */
+  const getAllJobs = async () => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_JOBS], 'readonly')
+      const store = transaction.objectStore(STORE_JOBS)
+      const request = store.index('order').getAll()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get one queued job
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|undefined>} Undefined once the job was removed
+   */
+  const getJob = async (id) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_JOBS], 'readonly')
+      const store = transaction.objectStore(STORE_JOBS)
+      const request = store.get(id)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Update a queued job
+   * @param {number} id - Job ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<boolean>}
+   */
+  const updateJob = async (id, updates) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_JOBS], 'readwrite')
+      const store = transaction.objectStore(STORE_JOBS)
+      const getRequest = store.get(id)
+
+      getRequest.onsuccess = () => {
+        const record = getRequest.result
+        if (record) {
+          const updatedRecord = JSON.parse(JSON.stringify({
+            ...record,
+            ...updates,
+            id,
+            updatedAt: Date.now(),
+          }))
+          const putRequest = store.put(updatedRecord)
+          putRequest.onsuccess = () => resolve(true)
+          putRequest.onerror = () => reject(putRequest.error)
+        } else {
+          reject(new Error(`Job with id ${id} not found`))
+        }
+      }
+      getRequest.onerror = () => reject(getRequest.error)
+    })
+  }
+
+  /**
+   * Delete queued jobs
+   * @param {Array<number>} ids - Job IDs
+   * @returns {Promise<boolean>}
+   */
+  const deleteJobs = async (ids) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_JOBS], 'readwrite')
+      const store = transaction.objectStore(STORE_JOBS)
+      for (const id of ids) {
+        store.delete(id)
+      }
+
+      transaction.oncomplete = () => resolve(true)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  // ==========================================================================
+  // Usage ledger operations
+  // ==========================================================================
+
+  /**
+   * Append an entry to the usage ledger
+   * @param {Object} entry - Ledger entry (see utils/usage-ledger.js buildLedgerEntry)
+   * @returns {Promise<number>} - New entry ID
+   */
+  const addUsageEntry = async (entry) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_USAGE], 'readwrite')
+      const store = transaction.objectStore(STORE_USAGE)
+      const request = store.add(entry)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Get ledger entries recorded at or after a timestamp
+   * @param {number} since - Timestamp (ms)
+   * @returns {Promise<Array>} - Oldest first
+   */
+  const getUsageEntriesSince = async (since = 0) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_USAGE], 'readonly')
+      const store = transaction.objectStore(STORE_USAGE)
+      const request = store.index('timestamp').getAll(IDBKeyRange.lowerBound(since))
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Delete all ledger entries
+   * @returns {Promise<boolean>}
+   */
+  const clearUsageEntries = async () => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_USAGE], 'readwrite')
+      const store = transaction.objectStore(STORE_USAGE)
+      const request = store.clear()
+
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Update history record with narration metadata
+   * @param {number} id - History record ID
+   * @param {Object} narration - Narration metadata (scripts, audio, settings)
+   * @returns {Promise<boolean>}
+   */
+  const updateHistoryNarration = async (id, narration) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_HISTORY], 'readwrite')
+      const store = transaction.objectStore(STORE_HISTORY)
+      const getRequest = store.get(id)
+
+      getRequest.onsuccess = () => {
         const record = getRequest.result
         if (record) {
           record.narration = JSON.parse(JSON.stringify(narration))
-          const putRequest = store.put(record)
+          const putRequest = store.put(toStoredHistory(record))
           putRequest.onsuccess = () => {
             window.dispatchEvent(new CustomEvent('nbp-history-updated', { detail: { id, record } }))
             resolve(true)
@@ -599,7 +1509,7 @@ export function useIndexedDB() {
         const record = getRequest.result
         if (record) {
           record.status = status
-          const putRequest = store.put(record)
+          const putRequest = store.put(toStoredHistory(record))
           putRequest.onsuccess = () => resolve(true)
           putRequest.onerror = () => reject(putRequest.error)
         } else {
@@ -632,7 +1542,7 @@ export function useIndexedDB() {
               record[key] = value
             }
           }
-          const putRequest = store.put(record)
+          const putRequest = store.put(toStoredHistory(record))
           putRequest.onsuccess = () => {
             window.dispatchEvent(new CustomEvent('nbp-history-updated', { detail: { id, record } }))
             resolve(true)
@@ -646,6 +1556,57 @@ export function useIndexedDB() {
     })
   }
 
+  // ==========================================================================
+  // App state operations
+  // ==========================================================================
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} Stored value, or undefined
+   */
+  const getAppState = async (key) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_APP_STATE], 'readonly')
+      const request = transaction.objectStore(STORE_APP_STATE).get(key)
+
+      request.onsuccess = () => resolve(request.result?.value)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Store a structured-cloneable value (unlike localStorage, handles survive)
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  const setAppState = async (key, value) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_APP_STATE], 'readwrite')
+      transaction.objectStore(STORE_APP_STATE).put({ key, value })
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  const deleteAppState = async (key) => {
+    await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_APP_STATE], 'readwrite')
+      transaction.objectStore(STORE_APP_STATE).delete(key)
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
   return {
     isReady,
     error,
@@ -653,6 +1614,7 @@ export function useIndexedDB() {
     // History operations
     addHistory,
     getHistory,
+    getHistoryPage,
     getHistoryById,
     getHistoryByIds,
     deleteHistory,
@@ -666,8 +1628,23 @@ export function useIndexedDB() {
     getAllHistoryIds,
     getAllHistory,
     hasHistoryByUUID,
+    getHistoryByUUID,
+    getHistoryChildren,
+    getHistoryIdsUpdatedSince,
+    getHistoryIndexCounts,
+    getHistoryByIndexKeys,
+    queryHistory,
     addHistoryWithUUID,
     migrateAddUUIDs,
+    // Trash operations
+    moveHistoryToTrash,
+    moveAllHistoryToTrash,
+    restoreHistoryFromTrash,
+    getTrash,
+    getTrashCount,
+    getTrashIds,
+    deleteTrashEntries,
+    hasTrashByUUID,
     // Character operations
     addCharacter,
     getCharacters,
@@ -677,5 +1654,31 @@ export function useIndexedDB() {
     updateCharacter,
     deleteCharacter,
     getCharacterCount,
+    // Prompt template operations
+    addTemplate,
+    getTemplates,
+    getTemplateByUUID,
+    updateTemplate,
+    deleteTemplate,
+    // Option profile operations
+    addProfile,
+    getProfiles,
+    getProfileByUUID,
+    updateProfile,
+    deleteProfile,
+    // Job queue operations
+    addJob,
+    getAllJobs,
+    getJob,
+    updateJob,
+    deleteJobs,
+    // Usage ledger operations
+    addUsageEntry,
+    getUsageEntriesSince,
+    clearUsageEntries,
+    // App state operations
+    getAppState,
+    setAppState,
+    deleteAppState,
   }
 }
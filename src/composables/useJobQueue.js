@@ -0,0 +1,354 @@
+import { ref, computed } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import {
+  JOB_STATUS,
+  QUEUEABLE_MODES,
+  canPauseJob,
+  canResumeJob,
+  canCancelJob,
+  canRetryJob,
+  isJobFinished,
+  sortJobs,
+  nextJobOrder,
+  findNextRunnableJob,
+  recoverInterruptedJobs,
+  moveJob as computeMove,
+  countJobsByStatus,
+} from './jobQueueUtils'
+
+const QUEUE_PAUSED_KEY = 'nbp-queue-paused'
+// Web Lock held by the tab that is processing the shared queue
+const QUEUE_LOCK_NAME = 'nbp-job-queue'
+// Tabs announce queue changes here so every panel reloads from IndexedDB
+const QUEUE_CHANNEL_NAME = 'nbp-job-queue'
+
+// The pause flag is shared by every tab through localStorage
+const readPausedFlag = () => localStorage.getItem(QUEUE_PAUSED_KEY) === 'true'
+
+// Module-level state: one queue per tab, shared by every component
+const jobs = ref([])
+const isPaused = ref(readPausedFlag())
+const isProcessing = ref(false)
+const runningJobId = ref(null)
+let runner = null
+let initPromise = null
+let queueChannel = null
+
+/**
+ * Run callback while holding the queue lock, waiting for another tab to
+ * release it. Browsers without Web Locks run it straight away.
+ * @param {Function} callback
+ * @returns {Promise<*>}
+ */
+const withQueueLock = (callback) =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(QUEUE_LOCK_NAME, () => callback())
+    : callback()
+
+/**
+ * Open the queue channel once per tab
+ * @param {Function} onRemoteChange - Called when another tab changed the queue
+ */
+const connectQueueChannel = (onRemoteChange) => {
+  if (queueChannel || typeof BroadcastChannel === 'undefined') return
+  queueChannel = new BroadcastChannel(QUEUE_CHANNEL_NAME)
+  queueChannel.onmessage = ({ data }) => {
+    if (data?.type === 'changed') onRemoteChange()
+  }
+}
+
+const notifyQueueChanged = () => {
+  try {
+    queueChannel?.postMessage({ type: 'changed' })
+  } catch {
+    // Channel closed (page unloading)
+  }
+}
+
+/**
+ * Persistent generation queue backed by IndexedDB.
+ *
+ * Jobs are processed one at a time by the runner passed to initQueue()
+ * (useGeneration.runQueuedJob), which goes through the normal useApi retry
+ * and imageStartLimiter path. The queue itself only tracks state.
+ *
+ * The job store is shared by every tab, so only the tab holding the
+ * QUEUE_LOCK_NAME Web Lock processes it; the others wait for the lock.
+ * Changes are announced on QUEUE_CHANNEL_NAME so every tab reloads its list,
+ * and the running tab reads cancel, removal and pause back from storage.
+ */
+export function useJobQueue() {
+  const { addJob, getAllJobs, getJob, updateJob, deleteJobs } = useIndexedDB()
+
+  const counts = computed(() => countJobsByStatus(jobs.value))
+  const activeCount = computed(
+    () => counts.value[JOB_STATUS.PENDING] + counts.value[JOB_STATUS.RUNNING],
+  )
+
+  const reloadJobs = async () => {
+    jobs.value = sortJobs(await getAllJobs())
+  }
+
+  const findJob = (id) => jobs.value.find((job) => job.id === id)
+
+  connectQueueChannel(() => {
+    isPaused.value = readPausedFlag()
+    reloadJobs().catch((err) => console.error('Failed to reload job queue:', err))
+  })
+
+  // Another tab may have cancelled or removed the job since it was loaded
+  const isJobCancelled = async (id) => {
+    const job = await getJob(id)
+    return !job || job.status === JOB_STATUS.CANCELLED
+  }
+
+  /**
+   * Write the outcome of a finished run, unless the job was cancelled or
+   * removed meanwhile (the cancel or removal wins)
+   */
+  const finishJob = async (id, updates) => {
+    if (await isJobCancelled(id)) return
+    await updateJob(id, { ...updates, finishedAt: Date.now() })
+  }
+
+  /**
+   * Jobs still marked running while we hold the lock were left by a tab that
+   * closed mid-job (the lock is released with the tab): run them again
+   */
+  const recoverJobs = async () => {
+    await reloadJobs()
+    const interrupted = recoverInterruptedJobs(jobs.value)
+    for (const id of interrupted) {
+      await updateJob(id, { status: JOB_STATUS.PENDING })
+    }
+    if (interrupted.length > 0) {
+      await reloadJobs()
+      notifyQueueChanged()
+    }
+  }
+
+  /**
+   * Load the queue and start processing (which recovers interrupted jobs).
+   * Safe to call more than once; only the first call does the work.
+   * @param {Object} config
+   * @param {Function} config.runJob - async (job, { isCancelled }) => { historyId } | { cancelled: true }
+   */
+  const initQueue = ({ runJob }) => {
+    runner = runJob
+    if (!initPromise) {
+      initPromise = (async () => {
+        try {
+          await reloadJobs()
+        } catch (err) {
+          console.error('Failed to load job queue:', err)
+        }
+        processQueue()
+      })()
+    }
+    return initPromise
+  }
+
+  /**
+   * Add a job snapshot to the end of the queue
+   * @param {Object} job
+   * @param {string} job.mode - One of QUEUEABLE_MODES
+   * @param {string} job.prompt
+   * @param {Object} job.options - Full mode options (store.getCurrentOptions)
+   * @param {Array} job.referenceImages
+   * @returns {Promise<number>} - New job ID
+   */
+  const enqueueJob = async ({ mode, prompt, options, referenceImages = [] }) => {
+    if (!QUEUEABLE_MODES.includes(mode)) {
+      throw new Error(`Mode "${mode}" cannot be queued`)
+    }
+    const id = await addJob({
+      mode,
+      prompt,
+      options,
+      referenceImages,
+      status: JOB_STATUS.PENDING,
+      order: nextJobOrder(jobs.value),
+      attempts: 0,
+      error: null,
+      historyId: null,
+    })
+    await reloadJobs()
+    notifyQueueChanged()
+    processQueue()
+    return id
+  }
+
+  /**
+   * Run pending jobs one by one until none are left or the queue is paused.
+   * Waits for the queue lock if another tab is processing; by then that tab
+   * has run the jobs it could see, and the rest are read back from IndexedDB.
+   */
+  const processQueue = async () => {
+    if (isProcessing.value || isPaused.value || !runner) return
+    isProcessing.value = true
+
+    try {
+      await withQueueLock(runPendingJobs)
+    } catch (err) {
+      console.error('Job queue processing stopped:', err)
+    } finally {
+      isProcessing.value = false
+    }
+  }
+
+  /**
+   * Queue loop; only runs while holding the queue lock
+   */
+  const runPendingJobs = async () => {
+    // Another tab may have paused the queue while this one waited for the lock
+    isPaused.value = readPausedFlag()
+    if (isPaused.value) return
+    await recoverJobs()
+
+    let job = findNextRunnableJob(jobs.value)
+    while (job) {
+      const attempts = (job.attempts || 0) + 1
+      await updateJob(job.id, {
+        status: JOB_STATUS.RUNNING,
+        attempts,
+        error: null,
+        startedAt: Date.now(),
+      })
+      runningJobId.value = job.id
+      await reloadJobs()
+      notifyQueueChanged()
+
+      const jobId = job.id
+      const isCancelled = () => isJobCancelled(jobId)
+
+      try {
+        const result = await runner(job, { isCancelled })
+        if (!result?.cancelled) {
+          await finishJob(jobId, { status: JOB_STATUS.DONE, historyId: result?.historyId ?? null })
+        }
+      } catch (err) {
+        console.error(`Queued job ${jobId} failed:`, err)
+        try {
+          await finishJob(jobId, { status: JOB_STATUS.FAILED, error: err.message || String(err) })
+        } catch (writeErr) {
+          console.error(`Failed to record queued job ${jobId} failure:`, writeErr)
+        }
+      } finally {
+        runningJobId.value = null
+      }
+
+      await reloadJobs()
+      notifyQueueChanged()
+      isPaused.value = readPausedFlag()
+      job = isPaused.value ? null : findNextRunnableJob(jobs.value)
+    }
+  }
+
+  const setJobStatus = async (id, status, extra = {}) => {
+    await updateJob(id, { status, ...extra })
+    await reloadJobs()
+    notifyQueueChanged()
+  }
+
+  // ============================================================================
+  // Queue controls
+  // ============================================================================
+
+  const pauseQueue = () => {
+    isPaused.value = true
+    localStorage.setItem(QUEUE_PAUSED_KEY, 'true')
+    notifyQueueChanged()
+  }
+
+  const resumeQueue = () => {
+    isPaused.value = false
+    localStorage.removeItem(QUEUE_PAUSED_KEY)
+    notifyQueueChanged()
+    processQueue()
+  }
+
+  const pauseJob = async (id) => {
+    const job = findJob(id)
+    if (job && canPauseJob(job)) await setJobStatus(id, JOB_STATUS.PAUSED)
+  }
+
+  const resumeJob = async (id) => {
+    const job = findJob(id)
+    if (job && canResumeJob(job)) {
+      await setJobStatus(id, JOB_STATUS.PENDING)
+      processQueue()
+    }
+  }
+
+  /**
+   * Cancel a job. A running request cannot be aborted mid-flight; its result
+   * is discarded instead of being saved to history.
+   */
+  const cancelJob = async (id) => {
+    const job = findJob(id)
+    if (job && canCancelJob(job)) {
+      await setJobStatus(id, JOB_STATUS.CANCELLED, { finishedAt: Date.now() })
+    }
+  }
+
+  const retryJob = async (id) => {
+    const job = findJob(id)
+    if (job && canRetryJob(job)) {
+      await setJobStatus(id, JOB_STATUS.PENDING, {
+        order: nextJobOrder(jobs.value),
+        attempts: 0,
+        error: null,
+        finishedAt: null,
+      })
+      processQueue()
+    }
+  }
+
+  const moveJob = async (id, direction) => {
+    const updates = computeMove(jobs.value, id, direction)
+    for (const { id: jobId, order } of updates) {
+      await updateJob(jobId, { order })
+    }
+    if (updates.length > 0) {
+      await reloadJobs()
+      notifyQueueChanged()
+    }
+  }
+
+  const removeJob = async (id) => {
+    // Check the stored status: this tab's list may predate another tab starting the job
+    const job = await getJob(id)
+    if (!job || job.status === JOB_STATUS.RUNNING) return
+    await deleteJobs([id])
+    await reloadJobs()
+    notifyQueueChanged()
+  }
+
+  const clearFinishedJobs = async () => {
+    const ids = jobs.value.filter(isJobFinished).map((job) => job.id)
+    if (ids.length === 0) return
+    await deleteJobs(ids)
+    await reloadJobs()
+    notifyQueueChanged()
+  }
+
+  return {
+    jobs,
+    counts,
+    activeCount,
+    isPaused,
+    isProcessing,
+    runningJobId,
+    initQueue,
+    enqueueJob,
+    pauseQueue,
+    resumeQueue,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    retryJob,
+    moveJob,
+    removeJob,
+    clearFinishedJobs,
+  }
+}
@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// IndexedDB job store shared by every "tab" (module instance)
+const store = vi.hoisted(() => ({ jobs: new Map(), nextId: 1 }))
+
+vi.mock('./useIndexedDB', () => ({
+  useIndexedDB: () => ({
+    addJob: async (job) => {
+      const id = store.nextId++
+      store.jobs.set(id, { ...job, id })
+      return id
+    },
+    getAllJobs: async () => [...store.jobs.values()].map((job) => ({ ...job })),
+    getJob: async (id) => (store.jobs.has(id) ? { ...store.jobs.get(id) } : undefined),
+    updateJob: async (id, patch) => {
+      if (!store.jobs.has(id)) throw new Error(`Job with id ${id} not found`)
+      store.jobs.set(id, { ...store.jobs.get(id), ...patch })
+    },
+    deleteJobs: async (ids) => ids.forEach((id) => store.jobs.delete(id)),
+  }),
+}))
+
+// Minimal exclusive Web Lock: requests run one after another
+const createLockManager = () => {
+  let tail = Promise.resolve()
+  return {
+    request: vi.fn((name, callback) => {
+      const run = tail.then(() => callback())
+      tail = run.catch(() => {})
+      return run
+    }),
+  }
+}
+
+// In-memory BroadcastChannel: messages reach the other channels of the same name
+const createBroadcastChannelClass = () => {
+  const open = new Set()
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name
+      this.onmessage = null
+      open.add(this)
+    }
+
+    postMessage(data) {
+      for (const channel of open) {
+        if (channel !== this && channel.name === this.name) {
+          setTimeout(() => channel.onmessage?.({ data }), 0)
+        }
+      }
+    }
+
+    close() {
+      open.delete(this)
+    }
+  }
+}
+
+// Each import after resetModules gets its own module state, like a new tab
+const openTab = async () => {
+  vi.resetModules()
+  const { useJobQueue } = await import('./useJobQueue')
+  return useJobQueue()
+}
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise((r) => {
+    resolve = r
+  })
+  return { promise, resolve }
+}
+
+const jobInput = { mode: 'generate', prompt: 'a cat', options: {} }
+
+beforeEach(() => {
+  store.jobs.clear()
+  store.nextId = 1
+  localStorage.clear()
+  vi.stubGlobal('navigator', { ...navigator, locks: createLockManager() })
+  vi.stubGlobal('BroadcastChannel', createBroadcastChannelClass())
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ============================================================================
+// Cross-tab processing
+// ============================================================================
+
+describe('useJobQueue across tabs', () => {
+  it('does not reset or re-run a job another tab is running', async () => {
+    const firstResult = deferred()
+    const firstRunner = vi.fn(() => firstResult.promise)
+    const tabA = await openTab()
+    await tabA.initQueue({ runJob: firstRunner })
+    const jobId = await tabA.enqueueJob(jobInput)
+    await vi.waitFor(() => expect(firstRunner).toHaveBeenCalledTimes(1))
+
+    const secondRunner = vi.fn(async () => ({ historyId: 2 }))
+    const tabB = await openTab()
+    await tabB.initQueue({ runJob: secondRunner })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(store.jobs.get(jobId).status).toBe('running')
+    expect(secondRunner).not.toHaveBeenCalled()
+
+    firstResult.resolve({ historyId: 1 })
+    await vi.waitFor(() => expect(store.jobs.get(jobId).status).toBe('done'))
+    await vi.waitFor(() => expect(tabB.isProcessing.value).toBe(false))
+
+    expect(store.jobs.get(jobId).historyId).toBe(1)
+    expect(firstRunner).toHaveBeenCalledTimes(1)
+    expect(secondRunner).not.toHaveBeenCalled()
+  })
+
+  it('runs each job once when both tabs enqueue', async () => {
+    const runner = vi.fn(async (job) => ({ historyId: job.id }))
+    const tabA = await openTab()
+    const tabB = await openTab()
+    await tabA.initQueue({ runJob: runner })
+    await tabB.initQueue({ runJob: runner })
+
+    await tabA.enqueueJob(jobInput)
+    await tabB.enqueueJob(jobInput)
+    await tabA.enqueueJob(jobInput)
+
+    await vi.waitFor(() => {
+      expect([...store.jobs.values()].every((job) => job.status === 'done')).toBe(true)
+    })
+    await vi.waitFor(() => {
+      expect(tabA.isProcessing.value || tabB.isProcessing.value).toBe(false)
+    })
+    expect(runner.mock.calls.map(([job]) => job.id).sort()).toEqual([1, 2, 3])
+  })
+
+  it('re-runs a job left running by a closed tab once it holds the lock', async () => {
+    store.jobs.set(1, { id: 1, ...jobInput, status: 'running', order: 1, attempts: 1 })
+    store.nextId = 2
+
+    const runner = vi.fn(async () => ({ historyId: 5 }))
+    const tab = await openTab()
+    await tab.initQueue({ runJob: runner })
+
+    await vi.waitFor(() => expect(store.jobs.get(1).status).toBe('done'))
+    expect(runner).toHaveBeenCalledTimes(1)
+    expect(store.jobs.get(1).attempts).toBe(2)
+    expect(navigator.locks.request).toHaveBeenCalledWith('nbp-job-queue', expect.any(Function))
+  })
+
+  it('keeps a cancel made in another tab while the job runs', async () => {
+    const result = deferred()
+    const saved = vi.fn()
+    const runner = vi.fn(async (job, { isCancelled }) => {
+      await result.promise
+      if (await isCancelled()) return { cancelled: true }
+      saved(job.id)
+      return { historyId: 1 }
+    })
+    const tabA = await openTab()
+    await tabA.initQueue({ runJob: runner })
+    const jobId = await tabA.enqueueJob(jobInput)
+    await vi.waitFor(() => expect(runner).toHaveBeenCalledTimes(1))
+
+    const tabB = await openTab()
+    await tabB.initQueue({ runJob: vi.fn() })
+    await tabB.cancelJob(jobId)
+    // The holder's list follows the broadcast
+    await vi.waitFor(() => expect(tabA.jobs.value[0].status).toBe('cancelled'))
+
+    result.resolve()
+    await vi.waitFor(() => expect(tabA.isProcessing.value).toBe(false))
+
+    expect(saved).not.toHaveBeenCalled()
+    expect(store.jobs.get(jobId).status).toBe('cancelled')
+  })
+
+  it('does not overwrite a cancel when the runner ignores it', async () => {
+    const result = deferred()
+    const runner = vi.fn(() => result.promise)
+    const tabA = await openTab()
+    await tabA.initQueue({ runJob: runner })
+    const jobId = await tabA.enqueueJob(jobInput)
+    await vi.waitFor(() => expect(runner).toHaveBeenCalledTimes(1))
+
+    const tabB = await openTab()
+    await tabB.initQueue({ runJob: vi.fn() })
+    await tabB.cancelJob(jobId)
+
+    result.resolve({ historyId: 1 })
+    await vi.waitFor(() => expect(tabA.isProcessing.value).toBe(false))
+    expect(store.jobs.get(jobId).status).toBe('cancelled')
+    expect(store.jobs.get(jobId).historyId).toBeNull()
+  })
+
+  it('stops after the current job when another tab pauses the queue', async () => {
+    const first = deferred()
+    const runner = vi.fn((job) => (job.id === 1 ? first.promise : Promise.resolve({ historyId: job.id })))
+    const tabA = await openTab()
+    await tabA.initQueue({ runJob: runner })
+    await tabA.enqueueJob(jobInput)
+    await tabA.enqueueJob(jobInput)
+    await vi.waitFor(() => expect(runner).toHaveBeenCalledTimes(1))
+
+    const tabB = await openTab()
+    await tabB.initQueue({ runJob: vi.fn() })
+    tabB.pauseQueue()
+    await vi.waitFor(() => expect(tabA.isPaused.value).toBe(true))
+
+    first.resolve({ historyId: 1 })
+    await vi.waitFor(() => expect(tabA.isProcessing.value).toBe(false))
+
+    expect(runner).toHaveBeenCalledTimes(1)
+    expect(store.jobs.get(1).status).toBe('done')
+    expect(store.jobs.get(2).status).toBe('pending')
+  })
+
+  it('does not remove a job another tab started after this tab loaded it', async () => {
+    const tabB = await openTab()
+    await tabB.initQueue({ runJob: vi.fn(() => new Promise(() => {})) })
+    tabB.pauseQueue()
+    const jobId = await tabB.enqueueJob(jobInput)
+
+    // Tab A runs the job; tab B has not reloaded yet
+    store.jobs.set(jobId, { ...store.jobs.get(jobId), status: 'running' })
+    await tabB.removeJob(jobId)
+
+    expect(store.jobs.has(jobId)).toBe(true)
+  })
+})
@@ -1,4 +1,5 @@
 import { ref, computed } from 'vue'
+import { embedMetadataInBlob } from './useGenerationMetadata'
 // JSZip is dynamically imported when needed to reduce initial bundle size
 
 const DOWNLOAD_PREF_KEY = 'nbp-download-format'
@@ -102,6 +103,22 @@ export function useLightboxDownload(deps) {
     await downloadFn()
   }
 
+  /**
+   * Save a blob through a temporary link
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
   /**
    * Download current image
    * @param {Object} params - Download parameters
@@ -109,39 +126,31 @@ export function useLightboxDownload(deps) {
    * @param {Object} params.currentMetadata - Current image metadata
    * @param {number} params.currentIndex - Current image index
    * @param {boolean} params.isHistorical - Whether image is from history
+   * @param {Object|null} [params.generationMetadata] - Prompt/mode/options to embed in the file
    */
-  const downloadCurrentImage = async ({ currentImage, currentMetadata, currentIndex, isHistorical }) => {
+  const downloadCurrentImage = async ({ currentImage, currentMetadata, currentIndex, isHistorical, generationMetadata }) => {
     if (!currentImage || isDownloading.value) return
 
     isDownloading.value = true
     showDownloadMenu.value = false
 
-    const link = document.createElement('a')
     const timestamp = Date.now()
     const imageNum = currentIndex + 1
+    let blob = null
+    let filename = ''
 
     try {
-      if (isHistorical) {
-        // Historical images: always download WebP from OPFS
+      if (isHistorical || downloadFormat.value === 'webp') {
+        filename = `generated-image-${timestamp}-${imageNum}.webp`
         if (currentMetadata?.opfsPath) {
+          // Historical images are always WebP from OPFS; fresh ones may already be saved there
           const base64 = await imageStorage.getImageBase64(currentMetadata.opfsPath)
           if (base64) {
-            link.href = `data:image/webp;base64,${base64}`
-            link.download = `generated-image-${timestamp}-${imageNum}.webp`
+            blob = await imageToBlob({ data: base64, mimeType: 'image/webp' })
           }
-        }
-      } else if (downloadFormat.value === 'webp') {
-        // Fresh image, download WebP
-        if (currentMetadata?.opfsPath) {
-          // WebP already saved in OPFS
-          const base64 = await imageStorage.getImageBase64(currentMetadata.opfsPath)
-          if (base64) {
-            link.href = `data:image/webp;base64,${base64}`
-            link.download = `generated-image-${timestamp}-${imageNum}.webp`
-          }
-        } else {
+        } else if (!isHistorical) {
           // WebP not ready yet, compress on-the-fly
-          const { compressToWebP, blobToBase64 } = await import('@/composables/useImageCompression')
+          const { compressToWebP } = await import('@/composables/useImageCompression')
 
           // Normalize image format for compressToWebP
           // It expects { data: base64, mimeType: string }, but we might have { url: dataUrl }
@@ -155,21 +164,17 @@ export function useLightboxDownload(deps) {
           }
 
           const compressed = await compressToWebP(imageForCompress, { quality: 0.85 })
-          const base64 = await blobToBase64(compressed.blob)
-          link.href = `data:image/webp;base64,${base64}`
-          link.download = `generated-image-${timestamp}-${imageNum}.webp`
+          blob = compressed.blob
         }
       } else {
         // Fresh image, download original
-        link.href = getImageSrc(currentImage)
+        blob = await imageToBlob(currentImage)
         const ext = currentImage.mimeType?.split('/')[1] || 'png'
-        link.download = `generated-image-${timestamp}-${imageNum}.${ext}`
+        filename = `generated-image-${timestamp}-${imageNum}.${ext}`
       }
 
-      if (link.href) {
-        document.body.appendChild(link)
-        link.click()
-        document.body.removeChild(link)
+      if (blob) {
+        saveBlob(await embedMetadataInBlob(blob, generationMetadata), filename)
       }
     } finally {
       isDownloading.value = false
@@ -182,8 +187,9 @@ export function useLightboxDownload(deps) {
    * @param {Array} params.images - Array of image objects
    * @param {number|null} params.historyId - History ID for naming
    * @param {Array} [params.audioUrls] - Optional array of audio Object URLs (per-page)
+   * @param {Object|null} [params.generationMetadata] - Prompt/mode/options to embed in each image
    */
-  const downloadAllAsZip = async ({ images, historyId, audioUrls }) => {
+  const downloadAllAsZip = async ({ images, historyId, audioUrls, generationMetadata }) => {
     if (images.length === 0 || isBatchDownloading.value) return
 
     isBatchDownloading.value = true
@@ -199,7 +205,7 @@ export function useLightboxDownload(deps) {
         const blob = await imageToBlob(image)
         if (blob) {
           const ext = image.mimeType?.split('/')[1] || 'png'
-          zip.file(`image-${prefix}${i + 1}.${ext}`, blob)
+          zip.file(`image-${prefix}${i + 1}.${ext}`, await embedMetadataInBlob(blob, generationMetadata))
         }
       }
 
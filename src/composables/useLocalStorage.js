@@ -1,12 +1,19 @@
+import { isMockBackendEnabled, MOCK_API_KEY } from './mockBackend'
+import { createSecretStore } from './useSecretVault'
+
 const API_KEY_STORAGE_KEY = 'nanobanana-api-key'
 const FREE_TIER_API_KEY_STORAGE_KEY = 'nanobanana-free-tier-api-key'
 const SETTINGS_STORAGE_KEY = 'nanobanana-settings'
 
+// Keys go through the vault (encrypted when a passphrase is set)
+const secrets = createSecretStore('gemini')
+
 export function useLocalStorage() {
-  // API Key management (stored in localStorage for quick access)
+  // API Key management (localStorage, or the vault when a passphrase is set)
   const getApiKey = () => {
     try {
-      return localStorage.getItem(API_KEY_STORAGE_KEY) || ''
+      // The mock backend works without a key
+      return secrets.getItem(API_KEY_STORAGE_KEY) || (isMockBackendEnabled() ? MOCK_API_KEY : '')
     } catch {
       return ''
     }
@@ -15,9 +22,9 @@ export function useLocalStorage() {
   const setApiKey = (key) => {
     try {
       if (key) {
-        localStorage.setItem(API_KEY_STORAGE_KEY, key)
+        secrets.setItem(API_KEY_STORAGE_KEY, key)
       } else {
-        localStorage.removeItem(API_KEY_STORAGE_KEY)
+        secrets.removeItem(API_KEY_STORAGE_KEY)
       }
       return true
     } catch {
@@ -32,7 +39,7 @@ export function useLocalStorage() {
   // Free Tier API Key management
   const getFreeTierApiKey = () => {
     try {
-      return localStorage.getItem(FREE_TIER_API_KEY_STORAGE_KEY) || ''
+      return secrets.getItem(FREE_TIER_API_KEY_STORAGE_KEY) || ''
     } catch {
       return ''
     }
@@ -41,9 +48,9 @@ export function useLocalStorage() {
   const setFreeTierApiKey = (key) => {
     try {
       if (key) {
-        localStorage.setItem(FREE_TIER_API_KEY_STORAGE_KEY, key)
+        secrets.setItem(FREE_TIER_API_KEY_STORAGE_KEY, key)
       } else {
-        localStorage.removeItem(FREE_TIER_API_KEY_STORAGE_KEY)
+        secrets.removeItem(FREE_TIER_API_KEY_STORAGE_KEY)
       }
       return true
     } catch {
@@ -1,16 +1,18 @@
-import { GoogleGenAI } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
 import { useApiKeyManager } from './useApiKeyManager'
 import { DEFAULT_TEXT_MODEL } from '@/constants/modelOptions'
+import { recordUsage } from './useUsageLedger'
 import { useGeneratorStore } from '@/stores/generator'
 import { convertTtsResponseToAudio } from '@/utils/audioEncoder'
 import { getLanguageDirectives } from '@/constants/voiceOptions'
 import { t } from '@/i18n'
-import { createMinIntervalLimiter } from './requestScheduler'
+import { createSharedMinIntervalLimiter } from './requestScheduler'
 import { TTS_MIN_START_INTERVAL_MS } from '@/constants'
 
-// Module-level singleton for TTS rate limiting
+// Module-level singleton for TTS rate limiting, shared by all tabs
 // TTS API limit is 10 RPM, so minimum 6 seconds between request starts
-const ttsStartLimiter = createMinIntervalLimiter({
+const ttsStartLimiter = createSharedMinIntervalLimiter({
+  name: 'nbp-tts-start',
   minIntervalMs: TTS_MIN_START_INTERVAL_MS,
 })
 
@@ -161,7 +163,7 @@ ${
    */
   const callScriptGeneration = async (pages, settings, model, temperature, onThinkingChunk) => {
     return callWithFallback(async (apiKey) => {
-      const ai = new GoogleGenAI({ apiKey })
+      const ai = createGenAIClient(apiKey)
       const prompt = buildNarrationPrompt(pages, settings)
 
       const response = await ai.models.generateContentStream({
@@ -178,7 +180,9 @@ ${
       })
 
       let textResponse = ''
+      let usageMetadata = null
       for await (const chunk of response) {
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata
         if (chunk.candidates?.[0]?.content?.parts) {
           for (const part of chunk.candidates[0].content.parts) {
             if (part.text) {
@@ -192,6 +196,10 @@ ${
         }
       }
 
+      if (usageMetadata) {
+        recordUsage({ source: 'narration', mode: 'slides', model, apiKey, usageMetadata })
+      }
+
       return JSON.parse(textResponse.trim())
     }, 'text')
   }
@@ -306,7 +314,7 @@ ${
           }
 
     const result = await callWithFallback(async (apiKey) => {
-      const ai = new GoogleGenAI({ apiKey })
+      const ai = createGenAIClient(apiKey)
 
       const response = await ai.models.generateContent({
         model: ttsModel,
@@ -317,6 +325,16 @@ ${
         },
       })
 
+      if (response.usageMetadata) {
+        recordUsage({
+          source: 'narration',
+          mode: 'slides',
+          model: ttsModel,
+          apiKey,
+          usageMetadata: response.usageMetadata,
+        })
+      }
+
       // Extract audio data from response
       const audioPart = response.candidates?.[0]?.content?.parts?.find(
         (p) => p.inlineData?.mimeType?.startsWith('audio/'),
@@ -330,7 +348,7 @@ ${
 
       // Convert PCM to compressed audio (Opus → MP3 → WAV fallback)
       return await convertTtsResponseToAudio(data, mimeType)
-    }, 'text')
+    }, 'tts')
 
     return result
   }
@@ -122,6 +122,26 @@ export function useOPFS() {
     }
   }
 
+  /**
+   * Open a file for writing in pieces (large outputs that shouldn't be built in memory)
+   * @param {string} path - Full file path; an existing file is replaced
+   * @returns {Promise<FileSystemWritableFileStream|null>} null when streams aren't supported
+   */
+  const createFileWriter = async (path) => {
+    try {
+      const parts = path.replace(/^\//, '').split('/')
+      const filename = parts.pop()
+      const dirHandle = await getOrCreateDirectory(parts.join('/'))
+      const fileHandle = await dirHandle.getFileHandle(filename, { create: true })
+      if (typeof fileHandle.createWritable !== 'function') return null
+      return await fileHandle.createWritable()
+    } catch (err) {
+      error.value = err
+      console.error('OPFS createFileWriter error:', err)
+      return null
+    }
+  }
+
   /**
    * Read a file from OPFS
    * @param {string} path - Full file path
@@ -241,6 +261,38 @@ export function useOPFS() {
     }
   }
 
+  /**
+   * List the files under a directory (recursive)
+   * @param {string} path - Directory path
+   * @returns {Promise<Array<{path: string, size: number}>>} Paths with a leading slash
+   */
+  const listFiles = async (path) => {
+    const files = []
+    try {
+      const dirHandle = await getDirectory(path)
+      if (!dirHandle) return files
+
+      const walk = async (handle, prefix) => {
+        for await (const [name, entry] of handle.entries()) {
+          if (entry.kind === 'file') {
+            const file = await entry.getFile()
+            files.push({ path: `${prefix}/${name}`, size: file.size })
+          } else if (entry.kind === 'directory') {
+            await walk(entry, `${prefix}/${name}`)
+          }
+        }
+      }
+
+      await walk(dirHandle, `/${path.replace(/^\/|\/$/g, '')}`)
+    } catch (err) {
+      if (err.name !== 'NotFoundError') {
+        error.value = err
+        console.error('OPFS listFiles error:', err)
+      }
+    }
+    return files
+  }
+
   /**
    * Check if a file exists
    * @param {string} path - Full file path
@@ -287,10 +339,12 @@ export function useOPFS() {
     getOrCreateDirectory,
     getDirectory,
     writeFile,
+    createFileWriter,
     readFile,
     deleteFile,
     deleteDirectory,
     getStorageUsage,
+    listFiles,
     fileExists,
     getFileURL,
   }
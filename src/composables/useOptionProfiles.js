@@ -0,0 +1,204 @@
+import { ref, computed } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useLocalStorage } from './useLocalStorage'
+import { useGeneratorStore } from '@/stores/generator'
+import {
+  buildProfileExport,
+  parseProfileImport,
+  captureProfileOptions,
+  isProfileModified,
+} from './optionProfiles'
+
+const ACTIVE_PROFILES_SETTING = 'activeOptionProfiles'
+
+// Shared across components so ModeSelector and the manage modal see the same list
+const profiles = ref([])
+const isLoading = ref(false)
+let loadPromise = null
+// Mode → UUID of the profile last applied in that mode
+const activeProfiles = ref(useLocalStorage().getQuickSetting(ACTIVE_PROFILES_SETTING, {}))
+
+/**
+ * Named option profiles per mode (see optionProfiles.js), switchable from
+ * ModeSelector and shareable as JSON.
+ */
+export function useOptionProfiles() {
+  const store = useGeneratorStore()
+  const { updateQuickSetting } = useLocalStorage()
+  const { addProfile, getProfiles, getProfileByUUID, updateProfile, deleteProfile } = useIndexedDB()
+
+  const loadProfiles = async () => {
+    isLoading.value = true
+    try {
+      profiles.value = await getProfiles()
+    } catch (err) {
+      console.error('Failed to load option profiles:', err)
+      profiles.value = []
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  /** Load once; later calls reuse the shared list */
+  const ensureLoaded = () => {
+    loadPromise ||= loadProfiles()
+    return loadPromise
+  }
+
+  const setActiveProfile = (mode, uuid) => {
+    const next = { ...activeProfiles.value }
+    if (uuid) next[mode] = uuid
+    else delete next[mode]
+    activeProfiles.value = next
+    updateQuickSetting(ACTIVE_PROFILES_SETTING, next)
+  }
+
+  const modeProfiles = computed(() => profiles.value.filter((p) => p.mode === store.currentMode))
+
+  const activeProfile = computed(
+    () => modeProfiles.value.find((p) => p.uuid === activeProfiles.value[store.currentMode]) || null,
+  )
+
+  /** The current settings of a mode, in profile shape */
+  const snapshotMode = (mode) => ({
+    options: captureProfileOptions(mode, store[`${mode}Options`]),
+    temperature: store.temperature,
+    seed: store.seed,
+    model: store.imageModel,
+  })
+
+  // True when the options were changed after applying the active profile
+  const isActiveModified = computed(() => {
+    const profile = activeProfile.value
+    if (!profile) return false
+    const mode = store.currentMode
+    return isProfileModified(mode, profile, {
+      options: store[`${mode}Options`],
+      temperature: store.temperature,
+      seed: store.seed,
+      model: store.imageModel,
+    })
+  })
+
+  /**
+   * Switch the current mode to a profile
+   * @param {Object|null} profile - null resets the mode to its defaults
+   */
+  const applyProfile = (profile) => {
+    store.applyOptionProfile(store.currentMode, profile)
+    setActiveProfile(store.currentMode, profile?.uuid || null)
+  }
+
+  /**
+   * Save the current mode's settings as a new profile and make it active
+   * @param {string} name
+   * @returns {Promise<number>} - New profile ID
+   */
+  const saveProfile = async (name) => {
+    const mode = store.currentMode
+    const id = await addProfile({ name: name.trim(), mode, ...snapshotMode(mode) })
+    await loadProfiles()
+    setActiveProfile(mode, profiles.value.find((p) => p.id === id)?.uuid)
+    return id
+  }
+
+  /**
+   * Overwrite a profile with the current settings of its mode
+   * @param {Object} profile
+   */
+  const overwriteProfile = async (profile) => {
+    await updateProfile(profile.id, snapshotMode(profile.mode))
+    await loadProfiles()
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} name
+   */
+  const renameProfile = async (id, name) => {
+    await updateProfile(id, { name: name.trim() })
+    await loadProfiles()
+  }
+
+  /** @param {Object} profile */
+  const removeProfile = async (profile) => {
+    await deleteProfile(profile.id)
+    if (activeProfiles.value[profile.mode] === profile.uuid) setActiveProfile(profile.mode, null)
+    await loadProfiles()
+  }
+
+  /**
+   * Export profiles to a JSON file
+   * @param {string|null} mode - Only export this mode (null = all modes)
+   * @returns {Promise<{success: boolean, count: number, error?: string}>}
+   */
+  const exportProfiles = async (mode = null) => {
+    try {
+      const exportData = buildProfileExport(await getProfiles(mode))
+
+      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `nbp-profiles-${Date.now()}.json`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      return { success: true, count: exportData.profiles.length }
+    } catch (err) {
+      console.error('Export option profiles failed:', err)
+      return { success: false, count: 0, error: err.message }
+    }
+  }
+
+  /**
+   * Import profiles from a JSON file. Profiles whose UUID already exists
+   * are skipped, so re-importing the same file is harmless.
+   * @param {File} file - JSON file to import
+   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number}>}
+   */
+  const importProfiles = async (file) => {
+    const data = JSON.parse(await file.text())
+    const { profiles: entries, invalid } = parseProfileImport(data)
+
+    let imported = 0
+    let skipped = 0
+    let failed = invalid
+
+    for (const entry of entries) {
+      try {
+        if (entry.uuid && (await getProfileByUUID(entry.uuid))) {
+          skipped++
+          continue
+        }
+        await addProfile(entry)
+        imported++
+      } catch (err) {
+        console.error('Failed to import option profile:', err)
+        failed++
+      }
+    }
+
+    await loadProfiles()
+    return { imported, skipped, failed, total: data.profiles.length }
+  }
+
+  return {
+    profiles,
+    modeProfiles,
+    activeProfile,
+    isActiveModified,
+    isLoading,
+    ensureLoaded,
+    loadProfiles,
+    applyProfile,
+    saveProfile,
+    overwriteProfile,
+    renameProfile,
+    removeProfile,
+    exportProfiles,
+    importProfiles,
+  }
+}
@@ -10,7 +10,11 @@ import {
   blobToBase64,
   MSG_TYPE_CHUNK,
 } from './peerSyncUtils'
+import { mergeIncomingCollections } from './useHistoryCollections'
 import { getAudioExtension } from '@/utils/audioEncoder'
+import { pickCollections } from '@/utils/history-collections'
+import { pickLineage } from '@/utils/history-lineage'
+import { fileEntryPath } from '@/utils/history-archive'
 
 /**
  * Composable for peer-to-peer data receiving (receiver side)
@@ -38,6 +42,8 @@ import { getAudioExtension } from '@/utils/audioEncoder'
  * @param {Object} deps.opfs - OPFS composable
  * @param {Object} deps.characterStorage - Character storage composable for OPFS
  * @param {Object} deps.videoStorage - Video storage composable for thumbnail extraction
+ * @param {import('vue').Ref<string|null>} deps.archivePassphrase - When set, received history goes into an encrypted archive instead of the library
+ * @param {Function} deps.openHistoryArchive - From useHistoryTransfer
  */
 export function usePeerDataReceiver(deps) {
   const {
@@ -63,6 +69,8 @@ export function usePeerDataReceiver(deps) {
     characterStorage,
     videoStorage,
     conversationStorage,
+    archivePassphrase,
+    openHistoryArchive,
   } = deps
 
   // Receiver-side: pending record being assembled
@@ -79,6 +87,9 @@ export function usePeerDataReceiver(deps) {
   // Receiver-side counters for imported/skipped/failed
   const receiverCounts = ref({ imported: 0, skipped: 0, failed: 0 })
 
+  // Encrypted archive the history is written to (a promise: records may arrive while the key is derived)
+  let archivePromise = null
+
   /**
    * Handle incoming data - supports both binary (Uint8Array/ArrayBuffer) and msgpack-decoded data
    */
@@ -204,9 +215,18 @@ export function usePeerDataReceiver(deps) {
     } else if (data.type === 'history_meta') {
       transferProgress.value = { current: 0, total: data.count, phase: 'receiving' }
       status.value = 'transferring'
+      if (archivePassphrase?.value && !archivePromise) {
+        archivePromise = openHistoryArchive({ passphrase: archivePassphrase.value, prefix: 'nbp-sync' })
+        archivePromise.catch((err) => addDebug(`Archive error: ${err.message}`))
+        addDebug('Writing received history to an encrypted archive')
+      }
     } else if (data.type === 'history_record') {
-      // Legacy: old-style record with embedded base64 images
-      await processIncomingRecord(data.record)
+      // Legacy: old-style record with embedded base64 images (already in export format)
+      if (archivePromise) {
+        await archiveRecord((archive) => archive.addRecord(data.record))
+      } else {
+        await processIncomingRecord(data.record)
+      }
       transferProgress.value.current++
     } else if (data.type === 'record_start') {
       pendingRecord.value = data.meta
@@ -298,7 +318,10 @@ export function usePeerDataReceiver(deps) {
         }
 
         const finalImageCount = pendingImages.value.length
-        const result = await saveReceivedRecord(pendingRecord.value, pendingImages.value, pendingVideo.value, pendingAudioFiles.value, pendingConversation.value)
+        const receivedArgs = [pendingRecord.value, pendingImages.value, pendingVideo.value, pendingAudioFiles.value, pendingConversation.value]
+        const result = archivePromise
+          ? await archiveRecord((archive) => writeArchiveRecord(archive, ...receivedArgs))
+          : await saveReceivedRecord(...receivedArgs)
         transferProgress.value.current++
 
         if (result.skipped) {
@@ -373,6 +396,8 @@ export function usePeerDataReceiver(deps) {
         pendingRecordAckResolve.value = null
       }
     } else if (data.type === 'transfer_complete') {
+      const archived = !!archivePromise
+      if (archivePromise) await finishArchive()
       addDebug(`Received transfer_complete, sender reports ${data.total}, we processed: imported=${receiverCounts.value.imported}, skipped=${receiverCounts.value.skipped}, failed=${receiverCounts.value.failed}`)
 
       connection.value.send(encodeJsonMessage({
@@ -391,6 +416,7 @@ export function usePeerDataReceiver(deps) {
         skipped: receiverCounts.value.skipped,
         failed: receiverCounts.value.failed,
         total: data.total,
+        archived,
       }
       closeConnection()
     } else if (data.type === 'transfer_ack') {
@@ -481,8 +507,19 @@ export function usePeerDataReceiver(deps) {
   const saveReceivedRecord = async (meta, images, video = null, audioFiles = [], conversation = null) => {
     try {
       // Check if UUID already exists
-      if (meta.uuid && (await indexedDB.hasHistoryByUUID(meta.uuid))) {
-        addDebug(`Skipped duplicate: ${meta.uuid}`)
+      const existing = meta.uuid ? await indexedDB.getHistoryByUUID(meta.uuid) : null
+      if (existing) {
+        // Favorites, tags and albums changed on the other device are still merged in
+        if (await mergeIncomingCollections(existing, meta, indexedDB.updateHistory)) {
+          addDebug(`Merged tags/albums into duplicate: ${meta.uuid}`)
+        } else {
+          addDebug(`Skipped duplicate: ${meta.uuid}`)
+        }
+        return { skipped: true }
+      }
+      // Don't bring back records deleted on this device
+      if (meta.uuid && (await indexedDB.hasTrashByUUID(meta.uuid))) {
+        addDebug(`Skipped trashed: ${meta.uuid}`)
         return { skipped: true }
       }
 
@@ -495,6 +532,10 @@ export function usePeerDataReceiver(deps) {
         status: meta.status,
         thinkingText: meta.thinkingText,
         error: meta.error,
+        generationTime: meta.generationTime,
+        characterName: meta.characterName,
+        ...pickCollections(meta),
+        ...pickLineage(meta),
         // Agent mode specific fields
         ...(meta.mode === 'agent' && {
           messageCount: meta.messageCount,
@@ -654,6 +695,106 @@ export function usePeerDataReceiver(deps) {
     }
   }
 
+  /**
+   * Run a write into the encrypted archive
+   * @param {function(Object): Promise<void>} write - Receives the archive
+   */
+  const archiveRecord = async (write) => {
+    try {
+      await write(await archivePromise)
+      return { imported: true }
+    } catch (err) {
+      console.error('Failed to archive record:', err)
+      addDebug(`Archive error: ${err.message}`)
+      return { failed: true }
+    }
+  }
+
+  /**
+   * Write a received record (new binary protocol) into the archive in export
+   * format; nothing is added to this device's history
+   */
+  const writeArchiveRecord = async (archive, meta, images, video = null, audioFiles = [], conversation = null) => {
+    const uuid = meta.uuid || generateUUID()
+    const record = {
+      uuid,
+      timestamp: meta.timestamp,
+      prompt: meta.prompt,
+      mode: meta.mode,
+      options: meta.options,
+      status: meta.status,
+      thinkingText: meta.thinkingText,
+      error: meta.error,
+      generationTime: meta.generationTime,
+      characterName: meta.characterName,
+      ...pickCollections(meta),
+      ...pickLineage(meta),
+      ...(meta.mode === 'agent' && {
+        messageCount: meta.messageCount,
+        userMessageCount: meta.userMessageCount,
+        imageCount: meta.imageCount,
+        thumbnail: meta.thumbnail,
+      }),
+    }
+
+    const sortedImages = images.filter((img) => img.uuid === meta.uuid).sort((a, b) => a.index - b.index)
+    if (sortedImages.length > 0) {
+      record.images = []
+      for (const img of sortedImages) {
+        const file = fileEntryPath(uuid, `images/${img.index}`, img.mimeType)
+        await archive.addFile(file, img.data)
+        record.images.push({ index: img.index, width: img.width, height: img.height, file })
+      }
+    }
+
+    if (video && video.data) {
+      const mimeType = video.mimeType || 'video/mp4'
+      const file = fileEntryPath(uuid, 'video', mimeType)
+      await archive.addFile(file, video.data)
+      record.video = { width: video.width, height: video.height, size: video.data.length, mimeType, file }
+    }
+
+    if (meta.narrationMeta) {
+      record.narration = {
+        globalStyleDirective: meta.narrationMeta.globalStyleDirective || '',
+        scripts: meta.narrationMeta.scripts || [],
+        settings: meta.narrationMeta.settings || {},
+        audio: [],
+      }
+      for (const audioFile of audioFiles) {
+        const mimeType = audioFile.mimeType || 'audio/mpeg'
+        const file = fileEntryPath(uuid, `audio/${audioFile.pageIndex}`, mimeType)
+        await archive.addFile(file, audioFile.data)
+        record.narration.audio.push({ pageIndex: audioFile.pageIndex, mimeType, size: audioFile.data.length, file })
+      }
+    }
+
+    // Agent conversation images stay inline (base64), as sent; imports accept both
+    if (meta.mode === 'agent' && conversation) {
+      record.conversation = conversation
+    }
+
+    await archive.addRecord(record)
+    addDebug(`Archived record: ${uuid}`)
+  }
+
+  /**
+   * Finish the encrypted archive and download it
+   */
+  const finishArchive = async () => {
+    const pending = archivePromise
+    archivePromise = null
+    try {
+      await (await pending).finish()
+    } catch (err) {
+      console.error('Failed to finish encrypted archive:', err)
+      addDebug(`Archive error: ${err.message}`)
+      // Nothing was kept
+      receiverCounts.value.failed += receiverCounts.value.imported
+      receiverCounts.value.imported = 0
+    }
+  }
+
   /**
    * Save received character to IndexedDB (metadata) and OPFS (imageData)
    */
@@ -711,7 +852,12 @@ export function usePeerDataReceiver(deps) {
    */
   const processIncomingRecord = async (record) => {
     try {
-      if (record.uuid && (await indexedDB.hasHistoryByUUID(record.uuid))) {
+      const existing = record.uuid ? await indexedDB.getHistoryByUUID(record.uuid) : null
+      if (existing) {
+        await mergeIncomingCollections(existing, record, indexedDB.updateHistory)
+        return { skipped: true }
+      }
+      if (record.uuid && (await indexedDB.hasTrashByUUID(record.uuid))) {
         return { skipped: true }
       }
 
@@ -724,6 +870,10 @@ export function usePeerDataReceiver(deps) {
         status: record.status,
         thinkingText: record.thinkingText,
         error: record.error,
+        generationTime: record.generationTime,
+        characterName: record.characterName,
+        ...pickCollections(record),
+        ...pickLineage(record),
       }
 
       const historyId = await indexedDB.addHistoryWithUUID(historyRecord)
@@ -779,6 +929,10 @@ export function usePeerDataReceiver(deps) {
     pendingConversation.value = null
     pendingChunks.value = new Map()
     receiverCounts.value = { imported: 0, skipped: 0, failed: 0 }
+    if (archivePromise) {
+      archivePromise.then((archive) => archive.abort()).catch(() => {})
+      archivePromise = null
+    }
   }
 
   return {
@@ -7,6 +7,8 @@ import {
   MSG_TYPE_BINARY,
   CHUNK_SIZE,
 } from './peerSyncUtils'
+import { pickCollections } from '@/utils/history-collections'
+import { pickLineage } from '@/utils/history-lineage'
 
 /**
  * Composable for peer-to-peer data transfer (sender side)
@@ -209,6 +211,10 @@ export function usePeerDataTransfer(deps) {
           status: record.status,
           thinkingText: record.thinkingText,
           error: record.error,
+          generationTime: record.generationTime,
+          characterName: record.characterName,
+          ...pickCollections(record),
+          ...pickLineage(record),
           // Agent mode: images are sent via conversation, not as separate packets
           imageCount: record.mode === 'agent' ? 0 : (record.images?.length || 0),
           hasVideo: !!(record.video && record.video.opfsPath),
@@ -10,6 +10,7 @@ import { useOPFS } from './useOPFS'
 import { buildIceServers } from './useCloudflareTurn'
 import { usePeerDataTransfer } from './usePeerDataTransfer'
 import { usePeerDataReceiver } from './usePeerDataReceiver'
+import { useHistoryTransfer } from './useHistoryTransfer'
 import {
   generateConnectionCode,
   generatePairingEmojis,
@@ -26,6 +27,7 @@ export function usePeerSync() {
   const characterStorage = useCharacterStorage()
   const conversationStorage = useConversationStorage()
   const opfs = useOPFS()
+  const historyTransfer = useHistoryTransfer()
 
   // ============================================================================
   // Connection State
@@ -47,6 +49,8 @@ export function usePeerSync() {
   const selectedRecordIds = ref(null)
   const selectedCharacterIds = ref(null)
   const syncType = ref('history') // 'history' | 'characters' | 'all'
+  // Receiver: keep received history in an encrypted archive instead of importing it
+  const archivePassphrase = ref(null)
 
   // ============================================================================
   // Pairing State
@@ -279,6 +283,8 @@ export function usePeerSync() {
     characterStorage,
     videoStorage,
     conversationStorage,
+    archivePassphrase,
+    openHistoryArchive: historyTransfer.openHistoryArchive,
   })
 
   // ============================================================================
@@ -498,8 +504,14 @@ export function usePeerSync() {
   // ============================================================================
   // Connect to Sender (Receiver)
   // ============================================================================
-  const connectToSender = async (code) => {
+  /**
+   * @param {string} code - Connection code shown on the sender
+   * @param {Object} [options]
+   * @param {string|null} [options.passphrase] - Save received history as an encrypted export file instead of importing it
+   */
+  const connectToSender = async (code, { passphrase = null } = {}) => {
     cleanup()
+    archivePassphrase.value = passphrase
 
     const normalizedCode = code.toUpperCase().replace(/[^A-Z0-9]/g, '')
     if (normalizedCode.length !== 6) {
@@ -613,6 +625,7 @@ export function usePeerSync() {
     selectedRecordIds.value = null
     selectedCharacterIds.value = null
     syncType.value = 'history'
+    archivePassphrase.value = null
     debugLog.value = []
     pendingAckResolve.value = null
     pendingRecordAckResolve.value = null
@@ -0,0 +1,136 @@
+import { ref } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { buildTemplateExport, parseTemplateImport } from './promptTemplates'
+
+// Shared across components so the picker and any other consumer see the same list
+const templates = ref([])
+const isLoading = ref(false)
+
+export function usePromptTemplates() {
+  const {
+    addTemplate,
+    getTemplates,
+    getTemplateByUUID,
+    updateTemplate,
+    deleteTemplate,
+  } = useIndexedDB()
+
+  /**
+   * Load templates for a mode into the shared list
+   * @param {string|null} mode - Mode to filter by (null = all modes)
+   */
+  const loadTemplates = async (mode = null) => {
+    isLoading.value = true
+    try {
+      templates.value = await getTemplates(mode)
+    } catch (err) {
+      console.error('Failed to load prompt templates:', err)
+      templates.value = []
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  /**
+   * Save a new template
+   * @param {{ name: string, mode: string, content: string }} template
+   * @returns {Promise<number>} - New template ID
+   */
+  const saveTemplate = async ({ name, mode, content }) => {
+    const id = await addTemplate({ name: name.trim(), mode, content })
+    await loadTemplates(mode)
+    return id
+  }
+
+  /**
+   * Rename or edit an existing template
+   * @param {number} id - Template ID
+   * @param {Object} updates - { name?, content? }
+   * @param {string} mode - Mode to reload afterwards
+   */
+  const editTemplate = async (id, updates, mode) => {
+    await updateTemplate(id, updates)
+    await loadTemplates(mode)
+  }
+
+  /**
+   * Delete a template
+   * @param {number} id - Template ID
+   * @param {string} mode - Mode to reload afterwards
+   */
+  const removeTemplate = async (id, mode) => {
+    await deleteTemplate(id)
+    await loadTemplates(mode)
+  }
+
+  /**
+   * Export templates to a JSON file
+   * @param {string|null} mode - Only export this mode (null = all modes)
+   * @returns {Promise<{success: boolean, count: number, error?: string}>}
+   */
+  const exportTemplates = async (mode = null) => {
+    try {
+      const records = await getTemplates(mode)
+      const exportData = buildTemplateExport(records)
+
+      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `nbp-templates-${Date.now()}.json`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      return { success: true, count: exportData.templates.length }
+    } catch (err) {
+      console.error('Export templates failed:', err)
+      return { success: false, count: 0, error: err.message }
+    }
+  }
+
+  /**
+   * Import templates from a JSON file. Templates whose UUID already exists
+   * are skipped, so re-importing the same file is harmless.
+   * @param {File} file - JSON file to import
+   * @param {string|null} mode - Mode to reload afterwards
+   * @returns {Promise<{imported: number, skipped: number, failed: number, total: number}>}
+   */
+  const importTemplates = async (file, mode = null) => {
+    const data = JSON.parse(await file.text())
+    const { templates: entries, invalid } = parseTemplateImport(data)
+
+    let imported = 0
+    let skipped = 0
+    let failed = invalid
+
+    for (const entry of entries) {
+      try {
+        if (entry.uuid && (await getTemplateByUUID(entry.uuid))) {
+          skipped++
+          continue
+        }
+        await addTemplate(entry)
+        imported++
+      } catch (err) {
+        console.error('Failed to import template:', err)
+        failed++
+      }
+    }
+
+    await loadTemplates(mode)
+    return { imported, skipped, failed, total: data.templates.length }
+  }
+
+  return {
+    templates,
+    isLoading,
+    loadTemplates,
+    saveTemplate,
+    editTemplate,
+    removeTemplate,
+    exportTemplates,
+    importTemplates,
+  }
+}
@@ -7,6 +7,11 @@
  */
 import { ref } from 'vue'
 import { stripRecordForIndexing } from '@/utils/search-core'
+import { recordUsage } from './useUsageLedger'
+import { isMockBackendEnabled, MOCK_API_KEY } from './mockBackend'
+import { useApiKeyPool } from './useApiKeyPool'
+import { useLocalStorage } from './useLocalStorage'
+import { onVaultChange } from './useSecretVault'
 
 // ============================================================================
 // Module-level Singleton State (shared across all useSearchWorker() calls)
@@ -34,6 +39,20 @@ const pendingRequests = new Map() // requestId → { resolve, reject }
 // Worker Lifecycle
 // ============================================================================
 
+/**
+ * Pool keys allowed for embeddings, in priority order.
+ * Plain strings: the worker keeps its own 429 backoff.
+ * @returns {string[]}
+ */
+function getPoolEmbeddingKeys() {
+  return useApiKeyPool()
+    .poolKeys.value.filter((entry) => entry.usages.includes('embedding'))
+    .map((entry) => entry.key)
+}
+
+// Keys become readable (or not) when the vault unlocks or locks
+onVaultChange(() => useSearchWorker().updateApiKeys())
+
 function nextRequestId() {
   return `req_${++requestCounter}_${Date.now()}`
 }
@@ -149,6 +168,11 @@ function handleWorkerMessage(event) {
       break
     }
 
+    case 'usage':
+      // Embedding token usage reported by the worker (no requestId)
+      recordUsage(msg.entry)
+      break
+
     case 'progress': {
       // Progress updates for indexing
       modelStatus.value = msg.message || ''
@@ -332,15 +356,18 @@ export function useSearchWorker() {
         }
 
         // Read API keys from localStorage (worker can't access it directly)
-        const apiKey = localStorage.getItem('nanobanana-api-key') || ''
-        const freeApiKey = localStorage.getItem('nanobanana-free-tier-api-key') || ''
+        const mockBackend = isMockBackendEnabled()
+        const { getApiKey, getFreeTierApiKey } = useLocalStorage()
+        const apiKey = getApiKey() || (mockBackend ? MOCK_API_KEY : '')
+        const freeApiKey = getFreeTierApiKey()
+        const poolApiKeys = getPoolEmbeddingKeys()
 
         // Read embedding provider preference from localStorage
         const provider = localStorage.getItem('nbp-search-embedding-provider') || null
         embeddingProvider.value = provider
 
         // Send init command with API keys and provider
-        worker.postMessage({ type: 'init', apiKey, freeApiKey, provider })
+        worker.postMessage({ type: 'init', apiKey, freeApiKey, poolApiKeys, provider, mockBackend })
       } catch (err) {
         error.value = err.message
         isModelLoading.value = false
@@ -434,9 +461,10 @@ export function useSearchWorker() {
    */
   function updateApiKeys() {
     if (!worker) return
-    const apiKey = localStorage.getItem('nanobanana-api-key') || ''
-    const freeApiKey = localStorage.getItem('nanobanana-free-tier-api-key') || ''
-    worker.postMessage({ type: 'updateApiKeys', apiKey, freeApiKey })
+    const { getApiKey, getFreeTierApiKey } = useLocalStorage()
+    const apiKey = getApiKey() || (isMockBackendEnabled() ? MOCK_API_KEY : '')
+    const freeApiKey = getFreeTierApiKey()
+    worker.postMessage({ type: 'updateApiKeys', apiKey, freeApiKey, poolApiKeys: getPoolEmbeddingKeys() })
   }
 
   /**
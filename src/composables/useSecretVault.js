@@ -0,0 +1,323 @@
+import { ref, computed } from 'vue'
+import {
+  SECRET_STORAGE_KEYS,
+  isSecretInScope,
+  isValidVaultRecord,
+  createVault,
+  openVault,
+  decryptVaultSecrets,
+  encryptVaultSecrets,
+} from '@/utils/secret-vault'
+
+const VAULT_STORAGE_KEY = 'nbp-vault'
+const VAULT_IDLE_STORAGE_KEY = 'nbp-vault-idle-minutes'
+const DEFAULT_IDLE_MINUTES = 15
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart']
+
+const loadRecord = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY))
+    return isValidVaultRecord(raw) ? raw : null
+  } catch {
+    return null
+  }
+}
+
+const loadIdleMinutes = () => {
+  try {
+    const stored = localStorage.getItem(VAULT_IDLE_STORAGE_KEY)
+    const n = Number(stored)
+    return stored !== null && Number.isFinite(n) && n >= 0 ? n : DEFAULT_IDLE_MINUTES
+  } catch {
+    return DEFAULT_IDLE_MINUTES
+  }
+}
+
+// Module-level state: one vault per tab. Decrypted secrets live only in this
+// closure while unlocked; the CryptoKey is non-extractable.
+let record = loadRecord()
+let cryptoKey = null
+let secrets = new Map()
+let generation = 0 // Bumped when the vault is created, removed or re-keyed
+let persistChain = Promise.resolve()
+let idleTimer = null
+let lastActivityAt = 0
+const isEnabled = ref(!!record)
+const isLocked = ref(!!record)
+const idleMinutes = ref(loadIdleMinutes())
+const listeners = new Set()
+
+const notify = () => {
+  for (const listener of listeners) {
+    try {
+      listener({ isEnabled: isEnabled.value, isLocked: isLocked.value })
+    } catch (err) {
+      console.error('Vault listener failed:', err)
+    }
+  }
+}
+
+/**
+ * Run a callback whenever the vault locks, unlocks, or is turned on or off
+ * (secrets read before may have changed)
+ * @param {(state: { isEnabled: boolean, isLocked: boolean }) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onVaultChange = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const writeRecord = () => {
+  localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(record))
+}
+
+// Encrypt the current secrets in the background, in order
+const schedulePersist = () => {
+  const key = cryptoKey
+  const snapshot = new Map(secrets)
+  const scheduledGeneration = generation
+  persistChain = persistChain
+    .then(async () => {
+      const encrypted = await encryptVaultSecrets(key, snapshot)
+      if (scheduledGeneration !== generation || !record) return
+      record = { ...record, secrets: encrypted }
+      writeRecord()
+    })
+    .catch((err) => console.error('Failed to save vault:', err))
+}
+
+// ============================================================================
+// Idle lock
+// ============================================================================
+
+const armIdleTimer = () => {
+  clearTimeout(idleTimer)
+  idleTimer = idleMinutes.value > 0 ? setTimeout(lockVault, idleMinutes.value * 60_000) : null
+}
+
+const handleActivity = () => {
+  // Re-arming on every pointer move would be wasteful; once a second is enough
+  const now = Date.now()
+  if (now - lastActivityAt < 1000) return
+  lastActivityAt = now
+  armIdleTimer()
+}
+
+const startIdleWatch = () => {
+  for (const type of ACTIVITY_EVENTS) window.addEventListener(type, handleActivity, { passive: true })
+  armIdleTimer()
+}
+
+const stopIdleWatch = () => {
+  for (const type of ACTIVITY_EVENTS) window.removeEventListener(type, handleActivity)
+  clearTimeout(idleTimer)
+  idleTimer = null
+}
+
+// ============================================================================
+// Lock / unlock
+// ============================================================================
+
+function lockVault() {
+  if (!isEnabled.value || isLocked.value) return
+  cryptoKey = null
+  secrets = new Map()
+  isLocked.value = true
+  stopIdleWatch()
+  notify()
+}
+
+/**
+ * Unlock with the passphrase (once per page session, or after an idle lock)
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} false if the passphrase is wrong
+ */
+const unlockVault = async (passphrase) => {
+  if (!record || !isLocked.value) return !isLocked.value
+  const key = await openVault(record, passphrase)
+  if (!key) return false
+  secrets = await decryptVaultSecrets(key, record)
+  cryptoKey = key
+  isLocked.value = false
+  startIdleWatch()
+  notify()
+  return true
+}
+
+// Another tab created, changed or removed the vault
+window.addEventListener('storage', async (event) => {
+  if (event.key !== VAULT_STORAGE_KEY) return
+  const next = loadRecord()
+  if (!next) {
+    // Turned off elsewhere: the secrets are plain in localStorage again
+    record = null
+    cryptoKey = null
+    secrets = new Map()
+    generation++
+    isEnabled.value = false
+    isLocked.value = false
+    stopIdleWatch()
+    notify()
+    return
+  }
+
+  const rekeyed = !record || next.kdf.salt !== record.kdf.salt
+  record = next
+  if (rekeyed) {
+    generation++
+    cryptoKey = null
+    secrets = new Map()
+    isEnabled.value = true
+    isLocked.value = true
+    stopIdleWatch()
+  } else if (cryptoKey) {
+    secrets = await decryptVaultSecrets(cryptoKey, record)
+  }
+  notify()
+})
+
+// ============================================================================
+// Scoped access
+// ============================================================================
+
+/**
+ * Storage for the secrets of one part of the app (see SECRET_SCOPES).
+ * Same shape as localStorage; passes through to it while the vault is off.
+ * While the vault is locked, reads return null and writes throw.
+ *
+ * @param {string} scope - e.g. 'gemini', 'image-provider', 'peer-sync'
+ * @returns {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void }}
+ */
+export const createSecretStore = (scope) => {
+  const assertScope = (key) => {
+    if (!isSecretInScope(key, scope)) {
+      throw new Error(`Secret "${key}" is not available to ${scope}`)
+    }
+  }
+
+  const assertUnlocked = () => {
+    if (isLocked.value) throw new Error('Vault is locked')
+  }
+
+  return {
+    getItem(key) {
+      assertScope(key)
+      if (!isEnabled.value) return localStorage.getItem(key)
+      return secrets.get(key) ?? null
+    },
+    setItem(key, value) {
+      assertScope(key)
+      if (!isEnabled.value) {
+        localStorage.setItem(key, value)
+        return
+      }
+      assertUnlocked()
+      secrets.set(key, String(value))
+      schedulePersist()
+    },
+    removeItem(key) {
+      assertScope(key)
+      if (!isEnabled.value) {
+        localStorage.removeItem(key)
+        return
+      }
+      assertUnlocked()
+      secrets.delete(key)
+      schedulePersist()
+    },
+  }
+}
+
+/**
+ * Optional passphrase vault for API keys and TURN credentials (PBKDF2 +
+ * AES-GCM, see utils/secret-vault.js). Meant for shared machines: secrets are
+ * encrypted at rest, unlocked once per session, and locked again after idle.
+ */
+export function useSecretVault() {
+  /**
+   * Turn the vault on: encrypt every stored secret and remove the plain copies
+   * @param {string} passphrase
+   */
+  const enableVault = async (passphrase) => {
+    if (record) return
+    const created = await createVault(passphrase)
+
+    const plain = new Map()
+    for (const key of SECRET_STORAGE_KEYS) {
+      const value = localStorage.getItem(key)
+      if (value !== null) plain.set(key, value)
+    }
+    created.record.secrets = await encryptVaultSecrets(created.key, plain)
+
+    record = created.record
+    writeRecord()
+    for (const key of SECRET_STORAGE_KEYS) localStorage.removeItem(key)
+
+    generation++
+    cryptoKey = created.key
+    secrets = plain
+    isEnabled.value = true
+    isLocked.value = false
+    startIdleWatch()
+    notify()
+  }
+
+  /**
+   * Turn the vault off and store the secrets in plain localStorage again.
+   * Requires the vault to be unlocked.
+   */
+  const disableVault = async () => {
+    if (!record || isLocked.value) return
+    await persistChain
+    for (const [key, value] of secrets) localStorage.setItem(key, value)
+    localStorage.removeItem(VAULT_STORAGE_KEY)
+
+    generation++
+    record = null
+    cryptoKey = null
+    secrets = new Map()
+    isEnabled.value = false
+    isLocked.value = false
+    stopIdleWatch()
+    notify()
+  }
+
+  /**
+   * @param {string} currentPassphrase
+   * @param {string} nextPassphrase
+   * @returns {Promise<boolean>} false if the current passphrase is wrong
+   */
+  const changePassphrase = async (currentPassphrase, nextPassphrase) => {
+    if (!record || isLocked.value) return false
+    if (!(await openVault(record, currentPassphrase))) return false
+
+    await persistChain
+    const created = await createVault(nextPassphrase)
+    created.record.secrets = await encryptVaultSecrets(created.key, secrets)
+    generation++
+    record = created.record
+    cryptoKey = created.key
+    writeRecord()
+    return true
+  }
+
+  /** @param {number} minutes - 0 disables the idle lock */
+  const setIdleMinutes = (minutes) => {
+    idleMinutes.value = Math.max(0, Math.round(Number(minutes) || 0))
+    localStorage.setItem(VAULT_IDLE_STORAGE_KEY, String(idleMinutes.value))
+    if (isEnabled.value && !isLocked.value) armIdleTimer()
+  }
+
+  return {
+    isEnabled: computed(() => isEnabled.value),
+    isLocked: computed(() => isLocked.value),
+    idleMinutes: computed(() => idleMinutes.value),
+    enableVault,
+    disableVault,
+    unlockVault,
+    lockVault,
+    changePassphrase,
+    setIdleMinutes,
+  }
+}
@@ -46,6 +46,16 @@ const saveAspectRatio = (ratio) => {
   }
 }
 
+// Mask tool stroke (semi-transparent so the image stays visible); paths with
+// this stroke are the mask, everything else is a regular drawing
+export const MASK_STROKE_COLOR = 'rgba(236, 72, 153, 0.5)'
+
+/**
+ * @param {Object} obj - Fabric object
+ * @returns {boolean}
+ */
+export const isMaskObject = (obj) => obj?.stroke === MASK_STROKE_COLOR
+
 // Default color palette
 export const SKETCH_COLORS = [
   '#000000', // Black
@@ -67,7 +77,7 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
   // ============================================================================
   // State
   // ============================================================================
-  const currentTool = ref('brush') // 'brush' | 'eraser' | 'pan'
+  const currentTool = ref('brush') // 'brush' | 'eraser' | 'mask' | 'pan'
   const strokeColor = ref('#000000')
   const lineWidth = ref(5)
   const aspectRatio = ref(getSavedAspectRatio())
@@ -82,6 +92,9 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
   // Store custom canvas size (for background image editing)
   const customCanvasSize = ref(null)
 
+  // Whether an image is loaded under the drawing (mask tool needs one)
+  const hasBackgroundImage = ref(false)
+
   // Zoom state
   const zoomLevel = ref(1)
   const MIN_ZOOM = 0.25
@@ -172,6 +185,64 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
     })
   }
 
+  /**
+   * Run fn with some objects hidden, then restore them
+   * @param {(obj: Object) => boolean} predicate - Objects to hide
+   * @param {Function} fn
+   */
+  const withObjectsHidden = (predicate, fn) => {
+    const hidden = fabricCanvas.value.getObjects().filter((obj) => obj.visible && predicate(obj))
+    hidden.forEach((obj) => (obj.visible = false))
+    try {
+      return fn()
+    } finally {
+      hidden.forEach((obj) => (obj.visible = true))
+      fabricCanvas.value.renderAll()
+    }
+  }
+
+  /**
+   * Export the painted mask as a white-on-black PNG at canvas size
+   * @returns {{data: string, width: number, height: number}|null} null if nothing is masked
+   */
+  const getMaskData = () => {
+    const canvas = fabricCanvas.value
+    if (!canvas) return null
+    const maskObjects = canvas.getObjects().filter(isMaskObject)
+    if (maskObjects.length === 0) return null
+
+    const { backgroundImage, backgroundColor } = canvas
+    canvas.backgroundImage = null
+    canvas.backgroundColor = '#000000'
+    maskObjects.forEach((obj) => obj.set('stroke', '#FFFFFF'))
+
+    try {
+      const dataUrl = withObjectsHidden((obj) => !maskObjects.includes(obj), toDataURL)
+      return {
+        data: dataUrl.split(',')[1],
+        width: canvasSize.value.width,
+        height: canvasSize.value.height,
+      }
+    } finally {
+      maskObjects.forEach((obj) => obj.set('stroke', MASK_STROKE_COLOR))
+      canvas.backgroundImage = backgroundImage
+      canvas.backgroundColor = backgroundColor
+      canvas.renderAll()
+    }
+  }
+
+  /**
+   * Remove all mask strokes
+   */
+  const clearMask = () => {
+    if (!fabricCanvas.value) return
+    const maskObjects = fabricCanvas.value.getObjects().filter(isMaskObject)
+    if (maskObjects.length === 0) return
+    fabricCanvas.value.remove(...maskObjects)
+    fabricCanvas.value.renderAll()
+    historyManager?.saveSnapshot()
+  }
+
   /**
    * Get image data for output (matches referenceImages format)
    */
@@ -209,6 +280,28 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
     }
   }
 
+  /**
+   * Image data for a masked edit: `data` is the image without the mask,
+   * `preview` shows the mask overlay, and `mask` is the exported mask.
+   * When only the mask was painted, the source bytes are reused so the
+   * composite can keep everything outside the mask exactly as it was.
+   * @param {{data: string, mimeType?: string}|null} sourceImage - Image being edited
+   * @returns {Object|null} Same as getImageDataWithJson() when nothing is masked
+   */
+  const getMaskedImageData = (sourceImage = null) => {
+    const imageData = getImageDataWithJson()
+    const mask = getMaskData()
+    if (!imageData || !mask) return imageData
+
+    const onlyMask = fabricCanvas.value.getObjects().every(isMaskObject)
+    const base =
+      onlyMask && sourceImage?.data
+        ? { data: sourceImage.data, mimeType: sourceImage.mimeType || 'image/png' }
+        : { data: withObjectsHidden(isMaskObject, toDataURL).split(',')[1], mimeType: 'image/png' }
+
+    return { ...imageData, data: base.data, mimeType: base.mimeType, mask }
+  }
+
   /**
    * Load canvas from Fabric.js JSON (for continuing sketch editing)
    * @param {string} json - Fabric.js JSON string
@@ -257,6 +350,7 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
       // Load the JSON
       await fabricCanvas.value.loadFromJSON(JSON.parse(json))
       fabricCanvas.value.renderAll()
+      hasBackgroundImage.value = !!fabricCanvas.value.backgroundImage
 
       // Save initial state for history (skip if history already exists)
       if (!options.skipSnapshot) {
@@ -328,6 +422,7 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
       fabricCanvas.value.backgroundImage = fabricImg
       fabricCanvas.value.backgroundColor = '#FFFFFF'
       fabricCanvas.value.renderAll()
+      hasBackgroundImage.value = true
 
       // Save initial state for history (skip if history already exists)
       if (!options.skipSnapshot) {
@@ -411,6 +506,11 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
       // Save current color and switch to white (simulated eraser)
       savedBrushColor = strokeColor.value
       fabricCanvas.value.freeDrawingBrush.color = '#FFFFFF'
+    } else if (tool === 'mask') {
+      currentTool.value = 'mask'
+      fabricCanvas.value.isDrawingMode = true
+      savedBrushColor = strokeColor.value
+      fabricCanvas.value.freeDrawingBrush.color = MASK_STROKE_COLOR
     } else if (tool === 'pan') {
       currentTool.value = 'pan'
       // Disable drawing mode
@@ -504,6 +604,7 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
     aspectRatio,
     isDrawing,
     zoomLevel,
+    hasBackgroundImage,
 
     // Computed
     canvasSize,
@@ -514,6 +615,9 @@ export function useSketchCanvas({ canvasRef, historyManager = null }) {
     toDataURL,
     getImageData,
     getImageDataWithJson,
+    getMaskData,
+    getMaskedImageData,
+    clearMask,
     loadFromJson,
     loadImageAsBackground,
     getFabricCanvas,
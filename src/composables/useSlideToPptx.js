@@ -10,7 +10,8 @@
  */
 
 import { ref, reactive, computed, onUnmounted, watch } from 'vue'
-import { GoogleGenAI, Modality, ThinkingLevel } from '@google/genai'
+import { Modality, ThinkingLevel } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
 import { useOcr } from './useOcr'
 import { useInpaintingWorker } from './useInpaintingWorker'
 import { usePptxExport } from './usePptxExport'
@@ -341,7 +342,7 @@ Output: A single clean image with all text removed.`
       prompt += `\n\nADDITIONAL USER INSTRUCTIONS:\n${customPrompt.trim()}`
     }
 
-    const ai = new GoogleGenAI({ apiKey })
+    const ai = createGenAIClient(apiKey)
 
     // Build config - adjust based on model capabilities
     const is31Flash = effectiveSettings.geminiModel === '3.1'
@@ -417,7 +418,7 @@ Output: A single clean image with all text removed.`
           throw new Error(t('errors.paidApiKeyRequired'))
         }
 
-        const paidAi = new GoogleGenAI({ apiKey: paidKey })
+        const paidAi = createGenAIClient(paidKey)
         const retryResponse = await paidAi.models.generateContent({
           model: modelId,
           contents: [
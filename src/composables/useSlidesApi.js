@@ -1,6 +1,7 @@
-import { GoogleGenAI } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
 import { useApiKeyManager } from './useApiKeyManager'
 import { DEFAULT_TEXT_MODEL } from '@/constants/modelOptions'
+import { recordUsage } from './useUsageLedger'
 import { t } from '@/i18n'
 
 /**
@@ -197,7 +198,7 @@ Write all descriptions in English.`
     try {
       // Use callWithFallback: Free Tier first, then paid key on quota error
       return await callWithFallback(async (apiKey) => {
-        const ai = new GoogleGenAI({ apiKey })
+        const ai = createGenAIClient(apiKey)
 
         // Use streaming to capture thinking process
         const response = await ai.models.generateContentStream({
@@ -215,8 +216,10 @@ Write all descriptions in English.`
 
         // Process stream
         let textResponse = ''
+        let usageMetadata = null
 
         for await (const chunk of response) {
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata
           if (chunk.candidates?.[0]?.content?.parts) {
             for (const part of chunk.candidates[0].content.parts) {
               if (part.text) {
@@ -234,6 +237,10 @@ Write all descriptions in English.`
           }
         }
 
+        if (usageMetadata) {
+          recordUsage({ source: 'slides', mode: 'slides', model, apiKey, usageMetadata })
+        }
+
         // Parse JSON response
         try {
           const parsed = JSON.parse(textResponse.trim())
@@ -326,7 +333,7 @@ Write all content in the same language as the input material.`
     try {
       // Use callWithFallback: Free Tier first, then paid key on quota error
       return await callWithFallback(async (apiKey) => {
-        const ai = new GoogleGenAI({ apiKey })
+        const ai = createGenAIClient(apiKey)
 
         const response = await ai.models.generateContentStream({
           model,
@@ -343,8 +350,10 @@ Write all content in the same language as the input material.`
 
         // Process stream
         let textResponse = ''
+        let usageMetadata = null
 
         for await (const chunk of response) {
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata
           if (chunk.candidates?.[0]?.content?.parts) {
             for (const part of chunk.candidates[0].content.parts) {
               if (part.text) {
@@ -362,6 +371,10 @@ Write all content in the same language as the input material.`
           }
         }
 
+        if (usageMetadata) {
+          recordUsage({ source: 'slides', mode: 'slides', model, apiKey, usageMetadata })
+        }
+
         // Parse JSON response
         try {
           const parsed = JSON.parse(textResponse.trim())
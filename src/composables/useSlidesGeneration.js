@@ -9,8 +9,8 @@ import { generateShortId } from './useUUID'
 import { useImageStorage } from './useImageStorage'
 import { useAudioStorage } from './useAudioStorage'
 import { useIndexedDB } from './useIndexedDB'
-import { mapConcurrent } from './requestScheduler'
-import { TTS_CONCURRENCY_LIMITS } from '@/constants'
+import { mapConcurrent, createAdaptiveConcurrency } from './requestScheduler'
+import { TTS_CONCURRENCY_LIMITS, CONCURRENCY_LIMITS, DEFAULT_REQUEST_TIMEOUT_MS } from '@/constants'
 
 /**
  * Composable for handling slides generation logic
@@ -154,6 +154,20 @@ export function useSlidesGeneration() {
     try {
       const totalPages = options.pages.length
       const concurrency = Math.min(10, Math.max(1, options.concurrency || 3))
+      // Adaptive mode starts at the chosen concurrency and tunes it from 429s/timeouts.
+      // Pages slower than half the request timeout count as a latency warning (no ramp-up).
+      const adaptive =
+        options.adaptiveConcurrency !== false
+          ? createAdaptiveConcurrency({
+              initial: concurrency,
+              min: CONCURRENCY_LIMITS.min,
+              max: CONCURRENCY_LIMITS.max,
+              slowLatencyMs: DEFAULT_REQUEST_TIMEOUT_MS / 2,
+              onChange: (snapshot) => {
+                store.slidesOptions.effectiveRate = snapshot
+              },
+            })
+          : null
       const pageIndexById = new Map(options.pages.map((p, idx) => [p.id, idx]))
 
       const makeThinkingWrapper = (page) => {
@@ -189,6 +203,7 @@ export function useSlidesGeneration() {
 
       await generateImagesBatch(jobs, {
         concurrency,
+        adaptive,
         onJobUpdate: ({ id, status, startedAt, finishedAt, result, error }) => {
           const pageIndex = pageIndexById.get(id)
           if (pageIndex === undefined) return
@@ -270,6 +285,7 @@ export function useSlidesGeneration() {
       store.slidesOptions.currentPageIndex = -1
       store.slidesOptions.progressStartTime = null
       store.slidesOptions.pageGenerationTimes = []
+      store.slidesOptions.effectiveRate = null
     }
   }
 
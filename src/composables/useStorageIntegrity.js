@@ -0,0 +1,280 @@
+import { ref, shallowRef } from 'vue'
+import { useOPFS } from './useOPFS'
+import { useIndexedDB } from './useIndexedDB'
+import { useCharacterStorage } from './useCharacterStorage'
+import { useGeneratorStore } from '@/stores/generator'
+import {
+  HISTORY_FILE_DIRS,
+  ISSUE_TYPES,
+  SIGNATURE_BYTES,
+  expectedHistoryFiles,
+  findRelinkCandidate,
+  detectFileProblem,
+  resolveCharacterFile,
+  historyRepairFor,
+  findOrphans,
+  summarizeIssues,
+} from '@/utils/storage-integrity'
+
+// History records read per cursor page while checking
+const PAGE_SIZE = 100
+
+// Shared so reopening the checker shows the last report
+const report = shallowRef(null)
+const progress = ref({ done: 0, total: 0 })
+const isChecking = ref(false)
+const isRepairing = ref(false)
+
+/**
+ * Storage integrity checker (see utils/storage-integrity.js).
+ * check() only reads and builds a report (the dry run); repair() applies the
+ * repairs proposed in it.
+ */
+export function useStorageIntegrity() {
+  const store = useGeneratorStore()
+  const opfs = useOPFS()
+  const { getHistoryPage, getHistoryById, updateHistory, getTrashIds, getAllCharacters, getCharacterById, updateCharacter } =
+    useIndexedDB()
+  const { saveCharacterImage } = useCharacterStorage()
+
+  /** @returns {Promise<Map<string, number>>} Every file in the checked directories, path -> size */
+  const listAllFiles = async () => {
+    const files = new Map()
+    for (const dir of [...HISTORY_FILE_DIRS, 'characters']) {
+      for (const { path, size } of await opfs.listFiles(dir)) files.set(path, size)
+    }
+    return files
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<'empty'|'signature'|'json'|'unreadable'|null>}
+   */
+  const inspectFile = async (path) => {
+    const file = await opfs.readFile(path)
+    if (!file) return 'unreadable'
+    if (file.size === 0) return 'empty'
+    if (path.endsWith('.json')) {
+      try {
+        JSON.parse(await file.text())
+        return null
+      } catch {
+        return 'json'
+      }
+    }
+    const head = new Uint8Array(await file.slice(0, SIGNATURE_BYTES).arrayBuffer())
+    return detectFileProblem(path, head, file.size)
+  }
+
+  /**
+   * Walk every record and file and build the report; changes nothing
+   * @returns {Promise<Object>} The report
+   */
+  const check = async () => {
+    isChecking.value = true
+    progress.value = { done: 0, total: 0 }
+    try {
+      const files = await listAllFiles()
+      const referenced = new Set()
+      // Trashed records keep their files until purged
+      const ownedDirs = new Set()
+      for (const id of await getTrashIds()) {
+        for (const dir of HISTORY_FILE_DIRS) ownedDirs.add(`${dir}/${id}`)
+      }
+
+      const issues = []
+      const missing = []
+      // Existing files to read, with the repair to propose if they turn out broken
+      const toInspect = []
+
+      let recordCount = 0
+      let after = null
+      for (;;) {
+        const page = await getHistoryPage(after ? { after, limit: PAGE_SIZE } : { limit: PAGE_SIZE })
+        if (page.length === 0) break
+        for (const record of page) {
+          recordCount++
+          if (record.mode === 'agent') ownedDirs.add(`images/${record.id}`)
+          for (const ref of expectedHistoryFiles(record)) {
+            const issue = { owner: 'history', id: record.id, mode: record.mode, ...ref }
+            const repair = historyRepairFor(record, ref)
+            if (files.has(ref.path)) {
+              referenced.add(ref.path)
+              toInspect.push({ issue, repair })
+            } else {
+              missing.push({ issue, repair })
+            }
+          }
+        }
+        const last = page[page.length - 1]
+        after = { timestamp: last.timestamp, id: last.id }
+      }
+
+      const characters = await getAllCharacters()
+      for (const character of characters) {
+        const issue = { owner: 'character', id: character.id, name: character.name, field: 'character' }
+        // Restored from the legacy IndexedDB copy, else from the thumbnail
+        const repair = character.imageData || character.thumbnail ? 'restore' : null
+        const path = resolveCharacterFile(character.id, files)
+        if (!path) {
+          issues.push({ ...issue, type: 'missing', path: `/characters/${character.id}/image`, repair })
+          continue
+        }
+        referenced.add(path)
+        toInspect.push({ issue: { ...issue, path }, repair })
+        if (character.imageData) issues.push({ ...issue, type: 'legacy', path, repair: 'dropLegacy' })
+      }
+
+      // Candidates are picked once every existing reference has been claimed
+      for (const { issue, repair } of missing) {
+        const candidate = findRelinkCandidate(issue.path, files, referenced)
+        if (candidate) referenced.add(candidate)
+        issues.push({ ...issue, type: 'missing', candidate, repair: candidate ? 'relink' : repair })
+      }
+
+      progress.value = { done: 0, total: toInspect.length }
+      for (const { issue, repair } of toInspect) {
+        const problem = await inspectFile(issue.path)
+        if (problem) issues.push({ ...issue, type: 'corrupt', problem, repair })
+        progress.value = { done: progress.value.done + 1, total: toInspect.length }
+      }
+
+      for (const { path, size } of findOrphans(files, referenced, ownedDirs)) {
+        issues.push({ type: 'orphan', owner: null, id: null, path, size, repair: 'deleteOrphan' })
+      }
+
+      issues.sort((a, b) => ISSUE_TYPES.indexOf(a.type) - ISSUE_TYPES.indexOf(b.type))
+      report.value = {
+        checkedAt: Date.now(),
+        records: recordCount,
+        characters: characters.length,
+        files: files.size,
+        issues,
+        summary: summarizeIssues(issues),
+      }
+      return report.value
+    } finally {
+      isChecking.value = false
+    }
+  }
+
+  /**
+   * Re-link or drop a record's broken references in one write. Entries are
+   * matched by path too, so a record edited since the check is left alone.
+   * @param {number} id
+   * @param {Array<Object>} recordIssues
+   */
+  const repairHistoryRecord = async (id, recordIssues) => {
+    const record = await getHistoryById(id)
+    if (!record) return
+    const images = record.images?.map((image) => ({ ...image }))
+    const audio = record.narration?.audio?.map((entry) => ({ ...entry }))
+    const dropImages = new Set()
+    const dropAudio = new Set()
+    const updates = {}
+
+    for (const issue of recordIssues) {
+      const relink = issue.repair === 'relink'
+      if (issue.field === 'image' && images?.[issue.index]?.opfsPath === issue.path) {
+        if (relink) images[issue.index].opfsPath = issue.candidate
+        else dropImages.add(issue.index)
+        updates.images = images
+      } else if (issue.field === 'video' && record.video?.opfsPath === issue.path) {
+        updates.video = relink ? { ...record.video, opfsPath: issue.candidate } : null
+      } else if (issue.field === 'audio' && audio?.[issue.index]?.opfsPath === issue.path) {
+        if (relink) audio[issue.index].opfsPath = issue.candidate
+        else dropAudio.add(issue.index)
+        updates.narration = { ...record.narration, audio }
+      } else {
+        continue
+      }
+      // A corrupt file is dropped with its reference
+      if (issue.type === 'corrupt') await opfs.deleteFile(issue.path)
+    }
+
+    if (updates.images) updates.images = updates.images.filter((_, index) => !dropImages.has(index))
+    if (updates.narration) {
+      updates.narration.audio = updates.narration.audio.filter((_, index) => !dropAudio.has(index))
+    }
+    if (Object.keys(updates).length > 0) await updateHistory(id, updates)
+  }
+
+  /** @param {number} id - Character whose OPFS image is missing or broken */
+  const restoreCharacterImage = async (id) => {
+    const character = await getCharacterById(id)
+    const data = character?.imageData || character?.thumbnail
+    if (!data) return
+    await saveCharacterImage(id, data)
+    if (character.imageData) await updateCharacter(id, { imageData: undefined })
+  }
+
+  /**
+   * Apply the proposed repairs; repaired issues are dropped from the report
+   * @param {Array<Object>} issues - Issues from the report (those without a repair are skipped)
+   * @returns {Promise<{ repaired: number, failed: number }>}
+   */
+  const repair = async (issues) => {
+    isRepairing.value = true
+    const result = { repaired: 0, failed: 0 }
+    const repaired = new Set()
+    const byRecord = new Map()
+    const removeRecords = []
+
+    const attempt = async (done, action) => {
+      try {
+        await action()
+        for (const issue of done) repaired.add(issue)
+        result.repaired += done.length
+      } catch (err) {
+        console.error('Storage repair failed:', err)
+        result.failed += done.length
+      }
+    }
+
+    try {
+      for (const issue of issues) {
+        if (!issue.repair) continue
+        if (issue.repair === 'deleteOrphan') {
+          await attempt([issue], async () => {
+            if (!(await opfs.deleteFile(issue.path))) throw new Error(`Failed to delete ${issue.path}`)
+          })
+        } else if (issue.repair === 'dropLegacy') {
+          await attempt([issue], () => updateCharacter(issue.id, { imageData: undefined }))
+        } else if (issue.repair === 'restore') {
+          await attempt([issue], () => restoreCharacterImage(issue.id))
+        } else if (issue.repair === 'removeRecord') {
+          removeRecords.push(issue)
+        } else {
+          if (!byRecord.has(issue.id)) byRecord.set(issue.id, [])
+          byRecord.get(issue.id).push(issue)
+        }
+      }
+
+      for (const [id, recordIssues] of byRecord) {
+        await attempt(recordIssues, () => repairHistoryRecord(id, recordIssues))
+      }
+      if (removeRecords.length > 0) {
+        await attempt(removeRecords, () => store.removeManyFromHistory(removeRecords.map((issue) => issue.id)))
+      }
+
+      if (report.value) {
+        const remaining = report.value.issues.filter((issue) => !repaired.has(issue))
+        report.value = { ...report.value, issues: remaining, summary: summarizeIssues(remaining) }
+      }
+      await store.loadHistory()
+      await store.updateStorageUsage()
+      return result
+    } finally {
+      isRepairing.value = false
+    }
+  }
+
+  return {
+    report,
+    progress,
+    isChecking,
+    isRepairing,
+    check,
+    repair,
+  }
+}
@@ -0,0 +1,260 @@
+import { ref, shallowRef, computed } from 'vue'
+import { useOPFS } from './useOPFS'
+import { useIndexedDB } from './useIndexedDB'
+import { useCharacterStorage } from './useCharacterStorage'
+import { useImageCompression } from './useImageCompression'
+import { useGeneratorStore } from '@/stores/generator'
+import { getModelCacheSize } from '@/utils/ocrUtils'
+import {
+  buildStorageReport,
+  quotaLevel,
+  selectOriginalsToPrune,
+  isPngPath,
+  isLosslessWebP,
+  estimateStoredSize,
+} from '@/utils/storage-report'
+
+const DAY_MS = 86_400_000
+// Owned by workers/search.worker.js; only read here
+const SEARCH_DB_NAME = 'nanobanana-search'
+const SEARCH_DB_STORE = 'orama-snapshot'
+// History records read per query while a cleanup walks the history
+const SCAN_BATCH_SIZE = 50
+
+// Shared so the history panel banner and the dashboard agree
+const estimate = ref({ usage: null, quota: null })
+const report = shallowRef(null)
+const isScanning = ref(false)
+
+/**
+ * Size of the search snapshots. The database is opened without a version so
+ * the worker's upgrades are not disturbed, and only when it already exists
+ * (opening a missing one would create it).
+ * @returns {Promise<number>} Bytes (estimated from the stored values)
+ */
+const getSearchSnapshotSize = async () => {
+  if (typeof indexedDB === 'undefined') return 0
+  if (indexedDB.databases) {
+    const databases = await indexedDB.databases()
+    if (!databases.some((info) => info.name === SEARCH_DB_NAME)) return 0
+  }
+
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(SEARCH_DB_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+  try {
+    if (!db.objectStoreNames.contains(SEARCH_DB_STORE)) return 0
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SEARCH_DB_STORE], 'readonly')
+      let size = 0
+      transaction.objectStore(SEARCH_DB_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor) return
+        size += estimateStoredSize(cursor.value)
+        cursor.continue()
+      }
+      transaction.oncomplete = () => resolve(size)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Storage dashboard and cleanup assistant (see utils/storage-report.js).
+ *
+ * Cleanups:
+ * - pruneOriginals: history images older than N days have their OPFS file
+ *   replaced by the thumbnail (marked `originalRemoved`), so every reader of
+ *   `opfsPath` keeps working with a smaller image
+ * - convertPngs: character images stored as PNG are re-encoded as lossless
+ *   WebP, when the browser can encode it and the result is smaller
+ * - dropFailed: failed generations are moved to the trash
+ */
+export function useStorageManager() {
+  const store = useGeneratorStore()
+  const opfs = useOPFS()
+  const { queryHistory, updateHistoryImages } = useIndexedDB()
+  const { saveCharacterImage } = useCharacterStorage()
+  const { base64ToBlob, blobToBase64, convertBlobToWebP, generateThumbnailFromBlob, THUMBNAIL_MAX_SIZE } =
+    useImageCompression()
+
+  const quotaState = computed(() => quotaLevel(estimate.value.usage, estimate.value.quota))
+
+  const refreshEstimate = async () => {
+    if (!navigator.storage?.estimate) return
+    try {
+      const { usage, quota } = await navigator.storage.estimate()
+      estimate.value = { usage: usage ?? null, quota: quota ?? null }
+    } catch (err) {
+      console.error('Failed to read storage estimate:', err)
+    }
+  }
+
+  /** Measure every category and rebuild the report */
+  const scan = async () => {
+    isScanning.value = true
+    try {
+      const sizes = {
+        images: await opfs.getStorageUsage('images'),
+        videos: await opfs.getStorageUsage('videos'),
+        audio: await opfs.getStorageUsage('audio'),
+        characters: await opfs.getStorageUsage('characters'),
+        conversations: await opfs.getStorageUsage('conversations'),
+        ocrModels: await getModelCacheSize(),
+        searchIndex: await getSearchSnapshotSize().catch((err) => {
+          console.error('Failed to measure search snapshots:', err)
+          return 0
+        }),
+        // Archives written by useHistoryTransfer before download / while importing
+        transferFiles: (await opfs.getStorageUsage('exports')) + (await opfs.getStorageUsage('imports')),
+      }
+      await refreshEstimate()
+      report.value = buildStorageReport({ sizes, ...estimate.value })
+    } finally {
+      isScanning.value = false
+    }
+  }
+
+  /**
+   * Walk history records older than the cutoff, a batch at a time
+   * @param {number} cutoff - Timestamp
+   * @param {(records: Array<Object>) => Promise<void>} visit
+   */
+  const forEachOlderBatch = async (cutoff, visit) => {
+    for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+      const { records } = await queryHistory({ dateTo: cutoff }, { sort: 'oldest', limit: SCAN_BATCH_SIZE, offset })
+      if (records.length === 0) return
+      await visit(records)
+    }
+  }
+
+  /**
+   * @param {Object} options - See selectOriginalsToPrune
+   * @returns {Promise<{ records: number, images: number }>} What pruneOriginals would touch
+   */
+  const countOriginalsToPrune = async ({ olderThanDays, keepFavorites = true }) => {
+    const now = Date.now()
+    const counts = { records: 0, images: 0 }
+    await forEachOlderBatch(now - olderThanDays * DAY_MS, async (records) => {
+      for (const { indexes } of selectOriginalsToPrune(records, { olderThanDays, now, keepFavorites })) {
+        counts.records++
+        counts.images += indexes.length
+      }
+    })
+    return counts
+  }
+
+  /**
+   * Overwrite an image's OPFS file with its thumbnail
+   * @param {Object} image - Image metadata (updated in place)
+   * @returns {Promise<number>} Bytes freed
+   */
+  const replaceWithThumbnail = async (image) => {
+    const original = await opfs.readFile(image.opfsPath)
+    if (!original) {
+      image.originalRemoved = true
+      return 0
+    }
+    if (!image.thumbnail) {
+      image.thumbnail = await generateThumbnailFromBlob(original, { maxSize: THUMBNAIL_MAX_SIZE })
+    }
+    const thumbnail = await base64ToBlob(image.thumbnail, 'image/webp')
+    if (thumbnail.size >= original.size) return 0
+    if (!(await opfs.writeFile(image.opfsPath, thumbnail))) throw new Error(`Failed to write ${image.opfsPath}`)
+    image.originalRemoved = true
+    return original.size - thumbnail.size
+  }
+
+  /**
+   * @param {Object} options - See selectOriginalsToPrune
+   * @returns {Promise<{ images: number, freed: number }>}
+   */
+  const pruneOriginals = async ({ olderThanDays, keepFavorites = true }) => {
+    const now = Date.now()
+    const result = { images: 0, freed: 0 }
+    await forEachOlderBatch(now - olderThanDays * DAY_MS, async (records) => {
+      const byId = new Map(records.map((record) => [record.id, record]))
+      for (const { id, indexes } of selectOriginalsToPrune(records, { olderThanDays, now, keepFavorites })) {
+        const images = byId.get(id).images.map((image) => ({ ...image }))
+        for (const index of indexes) {
+          result.freed += await replaceWithThumbnail(images[index])
+          if (images[index].originalRemoved) result.images++
+        }
+        // Not updateHistory: the images' content is unchanged for search, so no re-index
+        await updateHistoryImages(id, images)
+      }
+    })
+    await store.loadHistory()
+    await store.updateStorageUsage()
+    return result
+  }
+
+  /** @returns {Promise<Array<{ path: string, size: number }>>} Character images stored as PNG */
+  const listPngs = async () => (await opfs.listFiles('characters')).filter((file) => isPngPath(file.path))
+
+  /**
+   * @returns {Promise<{ converted: number, freed: number, unsupported: boolean }>}
+   * `unsupported` when the browser only encodes lossy WebP; nothing is replaced then
+   */
+  const convertPngs = async () => {
+    const result = { converted: 0, freed: 0, unsupported: false }
+    for (const file of await listPngs()) {
+      // /characters/{id}/image.png
+      const characterId = Number(file.path.split('/')[2])
+      const png = await opfs.readFile(file.path)
+      if (!png || !Number.isInteger(characterId)) continue
+
+      const webp = await convertBlobToWebP(png, 1)
+      if (!isLosslessWebP(new Uint8Array(await webp.arrayBuffer()))) {
+        result.unsupported = true
+        break
+      }
+      if (webp.size >= png.size) continue
+
+      // Also removes the PNG, so the character resolves to the WebP file
+      await saveCharacterImage(characterId, await blobToBase64(webp), 'image/webp')
+      result.converted++
+      result.freed += png.size - webp.size
+    }
+    await store.updateStorageUsage()
+    return result
+  }
+
+  /** @returns {Promise<Array<number>>} Ids of failed generations */
+  const getFailedIds = async () => {
+    const ids = []
+    for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+      const { records } = await queryHistory({ status: 'failed' }, { limit: SCAN_BATCH_SIZE, offset })
+      if (records.length === 0) return ids
+      ids.push(...records.map((record) => record.id))
+    }
+  }
+
+  /** @returns {Promise<number>} Failed records moved to the trash */
+  const dropFailed = async () => {
+    const ids = await getFailedIds()
+    if (ids.length === 0) return 0
+    const moved = await store.removeManyFromHistory(ids)
+    return moved.length
+  }
+
+  return {
+    estimate,
+    quotaState,
+    report,
+    isScanning,
+    refreshEstimate,
+    scan,
+    countOriginalsToPrune,
+    pruneOriginals,
+    listPngs,
+    convertPngs,
+    getFailedIds,
+    dropFailed,
+  }
+}
@@ -0,0 +1,85 @@
+import { ref, computed } from 'vue'
+import { useIndexedDB } from './useIndexedDB'
+import { useLocalStorage } from './useLocalStorage'
+import { buildLedgerEntry, maskApiKey, summarizeLedger } from '@/utils/usage-ledger'
+
+// Dashboard shows this much history; older entries stay in IndexedDB
+const DASHBOARD_WINDOW_DAYS = 400
+
+/**
+ * Record one API call in the usage ledger (fire-and-forget).
+ * Never throws — a ledger failure must not break generation.
+ *
+ * @param {Object} params
+ * @param {string} params.source - Calling module ('image', 'slides', 'narration', 'agent', 'character', 'search', 'video')
+ * @param {string} params.mode - App mode the call belongs to
+ * @param {string} params.model - Model ID
+ * @param {string} [params.apiKey] - Key used for the call; only a masked hint is stored
+ * @param {'paid'|'freeTier'} [params.keyType] - Inferred from apiKey when omitted
+ * @param {string} [params.keyHint] - Pre-masked key (e.g. from the search worker)
+ * @param {Object} [params.usageMetadata] - Raw Gemini usageMetadata
+ * @param {Object} [params.usage] - Already-normalized token counts
+ * @param {number} [params.cost] - Explicit cost in USD (overrides token estimate)
+ * @returns {Promise<void>}
+ */
+export async function recordUsage({ apiKey, keyType, keyHint, ...params }) {
+  try {
+    const { getFreeTierApiKey } = useLocalStorage()
+    const resolvedKeyType =
+      keyType || (apiKey && apiKey === getFreeTierApiKey() ? 'freeTier' : 'paid')
+
+    const entry = buildLedgerEntry({
+      ...params,
+      keyType: resolvedKeyType,
+      keyHint: keyHint ?? maskApiKey(apiKey),
+    })
+
+    const { addUsageEntry } = useIndexedDB()
+    const id = await addUsageEntry(entry)
+    window.dispatchEvent(new CustomEvent('nbp-usage-recorded', { detail: { ...entry, id } }))
+  } catch (err) {
+    console.warn('[usage] Failed to record usage:', err)
+  }
+}
+
+/**
+ * Usage dashboard state: loads recent ledger entries and aggregates them
+ */
+export function useUsageLedger() {
+  const { getUsageEntriesSince, clearUsageEntries } = useIndexedDB()
+
+  const entries = ref([])
+  const isLoading = ref(false)
+
+  const daily = computed(() => summarizeLedger(entries.value, 'day'))
+  const monthly = computed(() => summarizeLedger(entries.value, 'month'))
+  const totalCost = computed(() => entries.value.reduce((sum, e) => sum + (e.cost || 0), 0))
+
+  const loadEntries = async () => {
+    isLoading.value = true
+    try {
+      const since = Date.now() - DASHBOARD_WINDOW_DAYS * 24 * 60 * 60 * 1000
+      entries.value = await getUsageEntriesSince(since)
+    } catch (err) {
+      console.error('Failed to load usage ledger:', err)
+      entries.value = []
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const clearLedger = async () => {
+    await clearUsageEntries()
+    entries.value = []
+  }
+
+  return {
+    entries,
+    isLoading,
+    daily,
+    monthly,
+    totalCost,
+    loadEntries,
+    clearLedger,
+  }
+}
@@ -1,6 +1,9 @@
 import { ref } from 'vue'
-import { GoogleGenAI, VideoGenerationReferenceType } from '@google/genai'
-import { useLocalStorage } from './useLocalStorage'
+import { VideoGenerationReferenceType } from '@google/genai'
+import { createGenAIClient } from './genaiClient'
+import { useApiKeyPool } from './useApiKeyPool'
+import { isQuotaError } from './useApiKeyManager'
+import { recordUsage } from './useUsageLedger'
 import {
   VEO_MODELS,
   VIDEO_SUB_MODES,
@@ -104,7 +107,7 @@ export function useVideoApi() {
   const error = ref(null)
   const pollingProgress = ref(0) // 0-100
   const pollingStatus = ref('idle') // idle | initiating | polling | downloading | done | error
-  const { getApiKey } = useLocalStorage()
+  const { selectKey, reportKeyResult, isUsageOverBudget } = useApiKeyPool()
 
   /**
    * Get the model ID based on options and constraints
@@ -275,9 +278,10 @@ export function useVideoApi() {
    * Main video generation function using SDK
    */
   const generateVideo = async (prompt, options = {}, onProgress = null, abortSignal = null) => {
-    const apiKey = getApiKey()
+    const selectedKey = selectKey('video')
+    const apiKey = selectedKey?.key
     if (!apiKey) {
-      throw new Error(t('errors.apiKeyNotSet'))
+      throw new Error(isUsageOverBudget('video') ? t('budget.keysSpent') : t('errors.apiKeyNotSet'))
     }
 
     // Validate options
@@ -290,7 +294,7 @@ export function useVideoApi() {
 
     try {
       // Initialize SDK
-      const ai = new GoogleGenAI({ apiKey })
+      const ai = createGenAIClient(apiKey)
 
       // Build payload
       const payload = buildVideoPayload(prompt, options)
@@ -379,17 +383,32 @@ export function useVideoApi() {
       }
 
       const firstVideo = generatedVideos[0]
-      if (!firstVideo?.video?.uri) {
+      if (!firstVideo?.video?.uri && !firstVideo?.video?.videoBytes) {
         throw new Error(t('video.errors.noVideoGenerated'))
       }
 
       const videoObject = firstVideo.video
 
+      // Veo is billed per second of output, not per token
+      const billedOptions = getEffectiveOptions(options)
+      recordUsage({
+        source: 'video',
+        mode: 'video',
+        model: getModelId(billedOptions),
+        apiKey,
+        cost: calculateVideoCost(
+          billedOptions.model,
+          billedOptions.resolution,
+          billedOptions.duration || VIDEO_DEFAULT_DURATION,
+          true,
+        ),
+      })
+
       // Step 4: Download video blob - show URL for manual access if download fails
       pollingStatus.value = 'downloading'
       pollingProgress.value = 98
 
-      const videoUrl = decodeURIComponent(videoObject.uri)
+      const videoUrl = videoObject.uri ? decodeURIComponent(videoObject.uri) : ''
 
       if (onProgress) {
         onProgress({
@@ -398,15 +417,24 @@ export function useVideoApi() {
         })
       }
 
-      const separator = videoUrl.includes('?') ? '&' : '?'
-      const response = await fetch(`${videoUrl}${separator}key=${apiKey}`)
+      let videoBlob
+      if (videoObject.videoBytes) {
+        // Inline bytes (mock backend) need no download
+        const binary = atob(videoObject.videoBytes)
+        const bytes = new Uint8Array(binary.length)
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+        videoBlob = new Blob([bytes], { type: videoObject.mimeType || 'video/mp4' })
+      } else {
+        const separator = videoUrl.includes('?') ? '&' : '?'
+        const response = await fetch(`${videoUrl}${separator}key=${apiKey}`)
+
+        if (!response.ok) {
+          throw new Error(t('video.errors.downloadFailed'))
+        }
 
-      if (!response.ok) {
-        throw new Error(t('video.errors.downloadFailed'))
+        videoBlob = await response.blob()
       }
 
-      const videoBlob = await response.blob()
-
       pollingProgress.value = 100
       pollingStatus.value = 'done'
 
@@ -418,6 +446,7 @@ export function useVideoApi() {
         })
       }
 
+      reportKeyResult(selectedKey.id, { ok: true })
       const effectiveOptions = getEffectiveOptions(options)
       const duration = effectiveOptions.duration || VIDEO_DEFAULT_DURATION
 
@@ -426,7 +455,7 @@ export function useVideoApi() {
         video: {
           blob: videoBlob,
           uri: videoObject.uri,
-          mimeType: 'video/mp4',
+          mimeType: videoObject.mimeType || 'video/mp4',
           videoObject, // Keep SDK video object for extend-video
         },
         prompt,
@@ -444,6 +473,10 @@ export function useVideoApi() {
       error.value = err.message
       pollingStatus.value = 'error'
 
+      if (err.name !== 'AbortError') {
+        reportKeyResult(selectedKey.id, { ok: false, quota: isQuotaError(err), message: err.message })
+      }
+
       // Handle specific error cases
       if (err.message?.includes('API_KEY_INVALID') || err.message?.includes('API key not valid')) {
         throw new Error(t('errors.apiKeyInvalid'))
@@ -0,0 +1,123 @@
+import { ref, shallowRef, computed, watch, onBeforeUnmount } from 'vue'
+import { buildOffsets, findVisibleRange } from '@/utils/virtual-list'
+
+/**
+ * Virtual scrolling for a list whose rows differ in height (see utils/virtual-list.js).
+ * Only rows near the viewport are rendered; each rendered row is measured with a
+ * ResizeObserver and its height remembered by key, so rows keep their measured
+ * height when indexes shift (e.g. a new record added at the top).
+ *
+ * @param {Object} options
+ * @param {import('vue').Ref<number>} options.count - Number of rows
+ * @param {(index: number) => (string|number|null)} options.getKey - Row key, or null if not loaded yet
+ * @param {number} options.estimatedHeight - Height used for rows not measured yet
+ * @param {number} [options.overscan=4] - Rows rendered beyond the viewport on each side
+ * @returns {Object} containerRef, range, offsetTop, totalHeight, onScroll, measureRow, scrollToTop
+ */
+export function useVirtualList({ count, getKey, estimatedHeight, overscan = 4 }) {
+  const containerRef = ref(null)
+  const scrollTop = ref(0)
+  const viewportHeight = ref(0)
+  const heights = new Map()
+  // Bumped when measurements change, to rebuild the offsets
+  const layoutVersion = ref(0)
+
+  const offsets = computed(() => {
+    void layoutVersion.value
+    return buildOffsets(count.value, (index) => {
+      const key = getKey(index)
+      return (key != null && heights.get(String(key))) || estimatedHeight
+    })
+  })
+
+  const range = shallowRef({ start: 0, end: 0 })
+  watch(
+    [offsets, scrollTop, viewportHeight],
+    () => {
+      const next = findVisibleRange(offsets.value, scrollTop.value, viewportHeight.value || estimatedHeight, overscan)
+      if (next.start !== range.value.start || next.end !== range.value.end) range.value = next
+    },
+    { immediate: true },
+  )
+
+  const offsetTop = computed(() => offsets.value[range.value.start] || 0)
+  const totalHeight = computed(() => offsets.value[offsets.value.length - 1])
+
+  // Scroll and resize updates are batched to one per frame
+  let frame = null
+  const schedule = (fn) => {
+    if (frame !== null) return
+    frame = requestAnimationFrame(() => {
+      frame = null
+      fn()
+    })
+  }
+
+  const readViewport = () => {
+    const el = containerRef.value
+    if (!el) return
+    scrollTop.value = el.scrollTop
+    viewportHeight.value = el.clientHeight
+  }
+
+  const onScroll = () => schedule(readViewport)
+
+  const rowObserver =
+    typeof ResizeObserver !== 'undefined'
+      ? new ResizeObserver((entries) => {
+          let changed = false
+          for (const entry of entries) {
+            // Rows scrolled out of the range are removed from the DOM (which
+            // reports a resize to 0), stop watching them
+            if (!entry.target.isConnected) {
+              rowObserver.unobserve(entry.target)
+              continue
+            }
+            const key = entry.target.dataset.virtualKey
+            const height = entry.target.offsetHeight
+            if (key && height > 0 && heights.get(key) !== height) {
+              heights.set(key, height)
+              changed = true
+            }
+          }
+          if (changed) layoutVersion.value++
+          readViewport()
+        })
+      : null
+
+  /**
+   * Template ref callback for rendered rows; the element needs `data-virtual-key`
+   * @param {HTMLElement|null} el
+   */
+  const measureRow = (el) => {
+    if (el && rowObserver) rowObserver.observe(el)
+  }
+
+  // The container is watched too (for its height) and re-attached whenever
+  // the list reappears (v-if)
+  watch(containerRef, (el, prev) => {
+    if (prev && rowObserver) rowObserver.unobserve(prev)
+    if (el && rowObserver) rowObserver.observe(el)
+    readViewport()
+  })
+
+  const scrollToTop = () => {
+    if (containerRef.value) containerRef.value.scrollTop = 0
+    scrollTop.value = 0
+  }
+
+  onBeforeUnmount(() => {
+    rowObserver?.disconnect()
+    if (frame !== null) cancelAnimationFrame(frame)
+  })
+
+  return {
+    containerRef,
+    range,
+    offsetTop,
+    totalHeight,
+    onScroll,
+    measureRow,
+    scrollToTop,
+  }
+}
@@ -88,6 +88,12 @@ export const CONCURRENCY_LIMITS = {
   default: 3,
 }
 
+/**
+ * Maximum image generation requests in flight across all open tabs.
+ * Each tab's own concurrency setting still applies within this.
+ */
+export const IMAGE_MAX_IN_FLIGHT = CONCURRENCY_LIMITS.max
+
 // =============================================================================
 // TTS Rate Limiting
 // =============================================================================
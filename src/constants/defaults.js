@@ -16,6 +16,15 @@ export const DEFAULT_GENERATE_OPTIONS = {
   ratio: '1:1',
   styles: [],
   variations: [],
+  // Prompt matrix (X/Y sweep); see composables/promptMatrix.js
+  matrix: {
+    enabled: false,
+    xAxis: 'styles', // styles | variations | temperature | seed
+    yAxis: 'variations', // same as xAxis, or 'none'
+    xInput: '', // comma-separated values for temperature/seed axes
+    yInput: '',
+    concurrency: 3, // 1-10, passed to generateImagesBatch
+  },
 }
 
 export const DEFAULT_EDIT_OPTIONS = {
@@ -95,6 +104,9 @@ export const DEFAULT_SLIDES_OPTIONS = {
   // Concurrent generation (1-10)
   concurrency: 3,
 
+  // Adapt concurrency to 429s/timeouts (concurrency is the starting point)
+  adaptiveConcurrency: true,
+
   // Audio concurrent generation (1-5, TTS API limit is 10 RPM)
   audioConcurrency: 2,
 
@@ -126,6 +138,7 @@ export const DEFAULT_SLIDES_OPTIONS = {
   // Progress timing (for ETA calculation)
   progressStartTime: null, // Timestamp when generation started
   pageGenerationTimes: [], // Array of ms taken for each completed page
+  effectiveRate: null, // Adaptive run: { limit, intervalMs, startsPerMinute }
 
   // Style analysis state
   isAnalyzing: false,
@@ -24,6 +24,20 @@ export const RESOLUTION_API_MAP = {
   '4k': '4K',
 }
 
+// Image generation backends (see composables/imageProviders.js)
+export const IMAGE_PROVIDER_OPTIONS = [
+  { value: 'gemini', label: 'Gemini' },
+  { value: 'openai', label: 'OpenAI-compatible' },
+]
+export const DEFAULT_IMAGE_PROVIDER = IMAGE_PROVIDER_OPTIONS[0].value
+
+// Long edge in pixels for OpenAI-compatible `size` (short edge follows the ratio)
+export const OPENAI_IMAGE_LONG_EDGE = {
+  '1k': 1024,
+  '2k': 2048,
+  '4k': 4096,
+}
+
 // Aspect ratio options for Generate mode (includes 21:9)
 export const RATIO_OPTIONS_FULL = [
   { value: '1:1', label: '1:1' },
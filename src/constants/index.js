@@ -6,6 +6,7 @@ export * from './imageOptions'
 export * from './defaults'
 export * from './modeStyles'
 export * from './videoPricing'
+export * from './modelPricing'
 export * from './videoPromptOptions'
 export * from './apiConfig'
 export * from './modelOptions'
@@ -0,0 +1,99 @@
+/**
+ * Gemini token pricing constants
+ * Used by the usage ledger to estimate the cost of each API call.
+ *
+ * Video (Veo) is priced per second, see videoPricing.js.
+ */
+
+// Pricing per 1M tokens (USD), paid tier, prompts ≤ 200K tokens
+// Source: Google AI for Developers pricing page (2026). Estimates only —
+// the billing console is the source of truth.
+//   input       - text/image/audio prompt tokens
+//   output      - text output, including thinking tokens
+//   imageOutput - IMAGE modality output tokens
+//   audioOutput - AUDIO modality output tokens
+export const GEMINI_PRICING = {
+  // Image models
+  'gemini-3-pro-image-preview': { input: 2.0, output: 12.0, imageOutput: 120.0 },
+  'gemini-3.1-flash-image-preview': { input: 0.5, output: 3.0, imageOutput: 60.0 },
+  // Text models
+  'gemini-3-flash-preview': { input: 0.5, output: 3.0 },
+  'gemini-3.1-pro-preview': { input: 2.0, output: 12.0 },
+  // TTS models
+  'gemini-2.5-flash-preview-tts': { input: 0.5, output: 10.0, audioOutput: 10.0 },
+  'gemini-2.5-pro-preview-tts': { input: 1.0, output: 20.0, audioOutput: 20.0 },
+  // Embedding models
+  'gemini-embedding-2-preview': { input: 0.15, output: 0 },
+}
+
+// Used for models missing from the table (e.g. a newly added preview model)
+export const FALLBACK_PRICING = { input: 0.5, output: 3.0, imageOutput: 60.0, audioOutput: 10.0 }
+
+/**
+ * Get per-1M-token pricing for a model
+ * @param {string} model - Model ID
+ * @returns {{ input: number, output: number, imageOutput?: number, audioOutput?: number }}
+ */
+export const getModelPricing = (model) => GEMINI_PRICING[model] || FALLBACK_PRICING
+
+/**
+ * Estimate the cost of one call from normalized token counts
+ * @param {string} model - Model ID
+ * @param {Object} usage - Normalized usage (see normalizeUsageMetadata in utils/usage-ledger.js)
+ * @param {number} usage.inputTokens
+ * @param {number} usage.outputTokens - Text output tokens (excluding image/audio)
+ * @param {number} usage.thoughtsTokens
+ * @param {number} usage.imageOutputTokens
+ * @param {number} usage.audioOutputTokens
+ * @returns {number} Cost in USD
+ */
+export const estimateTokenCost = (model, usage = {}) => {
+  const pricing = getModelPricing(model)
+  const {
+    inputTokens = 0,
+    outputTokens = 0,
+    thoughtsTokens = 0,
+    imageOutputTokens = 0,
+    audioOutputTokens = 0,
+  } = usage
+
+  const cost =
+    inputTokens * pricing.input +
+    (outputTokens + thoughtsTokens) * pricing.output +
+    imageOutputTokens * (pricing.imageOutput ?? pricing.output) +
+    audioOutputTokens * (pricing.audioOutput ?? pricing.output)
+
+  return cost / 1_000_000
+}
+
+// Output tokens per generated image (Gemini image models bill images as tokens)
+export const IMAGE_OUTPUT_TOKENS = {
+  '1k': 1120,
+  '2k': 1120,
+  '4k': 2000,
+}
+
+// Rough input cost of one reference image and of the prompt text, used only
+// for pre-flight estimates (actual counts come back in usageMetadata)
+export const REFERENCE_IMAGE_INPUT_TOKENS = 560
+export const PROMPT_CHARS_PER_TOKEN = 4
+
+/**
+ * Estimate the cost of one image generation call before it is made
+ * @param {string} model - Image model ID
+ * @param {Object} params
+ * @param {string} [params.resolution] - '1k' | '2k' | '4k'
+ * @param {number} [params.promptLength] - Prompt length in characters
+ * @param {number} [params.referenceImageCount]
+ * @returns {number} Cost in USD
+ */
+export const estimateImageCallCost = (
+  model,
+  { resolution = '1k', promptLength = 0, referenceImageCount = 0 } = {},
+) =>
+  estimateTokenCost(model, {
+    inputTokens:
+      Math.ceil(promptLength / PROMPT_CHARS_PER_TOKEN) +
+      referenceImageCount * REFERENCE_IMAGE_INPUT_TOKENS,
+    imageOutputTokens: IMAGE_OUTPUT_TOKENS[resolution] || IMAGE_OUTPUT_TOKENS['1k'],
+  })
@@ -5,6 +5,7 @@ import App from './App.vue'
 import router from './router'
 import i18n from './i18n'
 import { initTheme } from './theme'
+import { setMockBackendEnabled } from './composables/mockBackend'
 import './style.css'
 
 // Eruda mobile console — lazy load only when ?debug=1
@@ -14,6 +15,12 @@ if (new URLSearchParams(window.location.search).has('debug')) {
   })
 }
 
+// Offline mock backend — ?mock=1 turns it on for this browser, ?mock=0 turns it off
+const mockParam = new URLSearchParams(window.location.search).get('mock')
+if (mockParam !== null) {
+  setMockBackendEnabled(mockParam !== '0')
+}
+
 // Initialize theme system before mounting (prevents flash)
 initTheme()
 
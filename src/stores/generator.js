@@ -2,6 +2,7 @@ import { ref, computed, watch } from 'vue'
 import { defineStore } from 'pinia'
 import { useIndexedDB } from '@/composables/useIndexedDB'
 import { useLocalStorage } from '@/composables/useLocalStorage'
+import { onVaultChange } from '@/composables/useSecretVault'
 import { useImageStorage } from '@/composables/useImageStorage'
 import { useVideoStorage } from '@/composables/useVideoStorage'
 import { useAudioStorage } from '@/composables/useAudioStorage'
@@ -9,15 +10,24 @@ import { useCharacterStorage } from '@/composables/useCharacterStorage'
 import { useConversationStorage } from '@/composables/useConversationStorage'
 import { DEFAULT_TEMPERATURE, DEFAULT_SEED, getDefaultOptions, DEFAULT_VIDEO_PROMPT_OPTIONS } from '@/constants'
 import { DEFAULT_MODEL as DEFAULT_IMAGE_MODEL } from '@/constants/imageOptions'
+import { mergeProfileOptions } from '@/composables/optionProfiles'
 import { useThemeName, toggleTheme as themeToggle, setTheme as themeSet } from '@/theme'
+import { detectMimeFromBase64 } from '@/utils/binaryUtils'
+
+// Restores up to this size are indexed for search right away
+const MAX_RESTORE_EVENTS = 50
 
 export const useGeneratorStore = defineStore('generator', () => {
   const {
     addHistory,
     getHistory,
-    deleteHistory,
-    clearAllHistory,
     getHistoryCount,
+    moveHistoryToTrash,
+    moveAllHistoryToTrash,
+    restoreHistoryFromTrash,
+    getTrashIds,
+    getTrashCount,
+    deleteTrashEntries,
     migrateAddUUIDs,
     getAllCharacters,
     updateCharacter,
@@ -42,6 +52,11 @@ export const useGeneratorStore = defineStore('generator', () => {
   const apiKey = ref('')
   const hasApiKey = computed(() => !!apiKey.value)
 
+  // The key is unreadable while the passphrase vault is locked
+  onVaultChange(() => {
+    apiKey.value = getApiKey()
+  })
+
   // Theme state - delegated to theme module for backward compatibility
   const theme = useThemeName()
 
@@ -91,6 +106,7 @@ export const useGeneratorStore = defineStore('generator', () => {
   const generationError = ref(null)
   const generatedImages = ref([])
   const generatedVideo = ref(null) // For video mode preview
+  const generatedMatrix = ref(null) // Prompt matrix layout for the current images (generate mode)
 
   // Generation timing
   const generationStartTime = ref(null)
@@ -103,6 +119,7 @@ export const useGeneratorStore = defineStore('generator', () => {
   // History
   const history = ref([])
   const historyCount = ref(0)
+  const trashCount = ref(0)
 
   // Image metadata (for current generation)
   const generatedImagesMetadata = ref([])
@@ -232,6 +249,7 @@ export const useGeneratorStore = defineStore('generator', () => {
 
     // Load history from IndexedDB
     await loadHistory()
+    await refreshTrashCount()
 
     // Load storage usage
     await updateStorageUsage()
@@ -490,70 +508,144 @@ export const useGeneratorStore = defineStore('generator', () => {
     }
   }
 
-  const removeFromHistory = async (id) => {
-    // Delete OPFS images first
+  const refreshTrashCount = async () => {
+    try {
+      trashCount.value = await getTrashCount()
+    } catch (err) {
+      console.error('Failed to count trash:', err)
+    }
+  }
+
+  // Deleting moves records to the trash; their OPFS files stay until purged
+  const removeFromHistory = async (id) => removeManyFromHistory([id])
+
+  /**
+   * Move several history records to the trash at once
+   * @param {Array<number>} ids
+   * @returns {Promise<Array<number>>} Ids moved
+   */
+  const removeManyFromHistory = async (ids) => {
+    const moved = await moveHistoryToTrash(ids)
+    await loadHistory()
+    await refreshTrashCount()
+    if (moved.length > 0) {
+      window.dispatchEvent(new CustomEvent('nbp-history-deleted', { detail: { ids: moved } }))
+    }
+    return moved
+  }
+
+  const clearHistory = async () => {
+    await moveAllHistoryToTrash()
+    await loadHistory()
+    await refreshTrashCount()
+    window.dispatchEvent(new CustomEvent('nbp-history-cleared'))
+  }
+
+  /**
+   * Move trashed records back into the history
+   * @param {Array<number>} ids
+   * @returns {Promise<number>} Records restored
+   */
+  const restoreFromTrash = async (ids) => {
+    const restored = await restoreHistoryFromTrash(ids)
+    await loadHistory()
+    await refreshTrashCount()
+    // Large restores are left to search self-heal, like imports
+    if (restored.length <= MAX_RESTORE_EVENTS) {
+      for (const record of restored) {
+        window.dispatchEvent(new CustomEvent('nbp-history-added', { detail: { id: record.id, record } }))
+      }
+    }
+    return restored.length
+  }
+
+  // Delete the OPFS files of one record
+  const deleteRecordFiles = async (id) => {
     try {
       await imageStorage.deleteHistoryImages(id)
     } catch (err) {
       console.error('Failed to delete OPFS images:', err)
     }
-    // Delete OPFS videos
     try {
       await videoStorage.deleteHistoryVideo(id)
     } catch (err) {
       console.error('Failed to delete OPFS video:', err)
     }
-    // Delete OPFS audio
     try {
       await audioStorage.deleteHistoryAudio(id)
     } catch (err) {
       console.error('Failed to delete OPFS audio:', err)
     }
-    // Delete OPFS conversation (for agent mode)
+    // Conversation (for agent mode)
     try {
       await conversationStorage.deleteConversation(id)
     } catch (err) {
       console.error('Failed to delete OPFS conversation:', err)
     }
-    // Delete IndexedDB record
-    await deleteHistory(id)
-    await loadHistory()
-    // Update storage usage
-    await updateStorageUsage()
-    window.dispatchEvent(new CustomEvent('nbp-history-deleted', { detail: { ids: [id] } }))
   }
 
-  const clearHistory = async () => {
-    // Delete all OPFS images first
+  // Delete every history file at once (only when nothing outside the trash remains)
+  const deleteAllRecordFiles = async () => {
     try {
       await imageStorage.deleteAllImages()
     } catch (err) {
       console.error('Failed to delete all OPFS images:', err)
     }
-    // Delete all OPFS videos
     try {
       await videoStorage.deleteAllVideos()
     } catch (err) {
       console.error('Failed to delete all OPFS videos:', err)
     }
-    // Delete all OPFS audio
     try {
       await audioStorage.deleteAllAudio()
     } catch (err) {
       console.error('Failed to delete all OPFS audio:', err)
     }
-    // Delete all OPFS conversations (for agent mode)
     try {
       await conversationStorage.deleteAllConversations()
     } catch (err) {
       console.error('Failed to delete all OPFS conversations:', err)
     }
-    // Clear IndexedDB history
-    await clearAllHistory()
-    await loadHistory()
-    // Update storage usage
+  }
+
+  /**
+   * Permanently delete trashed records and their files
+   * @param {Array<number>} ids
+   */
+  const purgeFromTrash = async (ids) => {
+    if (ids.length === 0) return
+    for (const id of ids) {
+      await deleteRecordFiles(id)
+    }
+    await deleteTrashEntries(ids)
+    await refreshTrashCount()
     await updateStorageUsage()
-    window.dispatchEvent(new CustomEvent('nbp-history-cleared'))
+  }
+
+  /** Permanently delete everything in the trash */
+  const emptyTrash = async () => {
+    const ids = await getTrashIds()
+    if (ids.length === 0) return
+    if ((await getHistoryCount()) === 0) {
+      await deleteAllRecordFiles()
+      await deleteTrashEntries(ids)
+      await refreshTrashCount()
+      await updateStorageUsage()
+      return
+    }
+    await purgeFromTrash(ids)
+  }
+
+  /**
+   * Purge records trashed longer than the retention period
+   * @param {number|null} cutoff - From trashPurgeCutoff; null keeps everything
+   * @returns {Promise<number>} Records purged
+   */
+  const purgeExpiredTrash = async (cutoff) => {
+    if (cutoff == null) return 0
+    const ids = await getTrashIds(cutoff)
+    await purgeFromTrash(ids)
+    return ids.length
   }
 
   // ============================================================================
@@ -576,6 +668,14 @@ export const useGeneratorStore = defineStore('generator', () => {
     generatedVideo.value = null
   }
 
+  const setGeneratedMatrix = (matrix) => {
+    generatedMatrix.value = matrix
+  }
+
+  const clearGeneratedMatrix = () => {
+    generatedMatrix.value = null
+  }
+
   const setGeneratedImagesMetadata = (metadata) => {
     generatedImagesMetadata.value = metadata
   }
@@ -792,7 +892,7 @@ export const useGeneratorStore = defineStore('generator', () => {
     addReferenceImage({
       data: imageData,
       preview: `data:image/webp;base64,${character.thumbnail}`,
-      mimeType: 'image/png',
+      mimeType: detectMimeFromBase64(imageData),
       name: character.name,
       isCharacterLocked: true,
     })
@@ -1363,6 +1463,22 @@ export const useGeneratorStore = defineStore('generator', () => {
     }
   }
 
+  /**
+   * Apply an option profile to a mode, or reset the mode to its defaults.
+   * Work content (slide pages, input images, frames) is kept either way.
+   * @param {string} mode
+   * @param {Object|null} profile - { options, temperature?, seed?, model? }
+   */
+  const applyOptionProfile = (mode, profile) => {
+    const targetRef = optionsMap[mode]
+    if (!targetRef) return
+    targetRef.value = mergeProfileOptions(mode, targetRef.value, profile?.options || null)
+    if (!profile) return
+    if (profile.temperature !== undefined) temperature.value = profile.temperature
+    if (profile.seed !== undefined) seed.value = profile.seed
+    if (profile.model) imageModel.value = profile.model
+  }
+
   // ============================================================================
   // Exports
   // ============================================================================
@@ -1400,12 +1516,14 @@ export const useGeneratorStore = defineStore('generator', () => {
     generationError,
     generatedImages,
     generatedVideo,
+    generatedMatrix,
     generationStartTime,
     generationEndTime,
     thinkingProcess,
     isStreaming,
     history,
     historyCount,
+    trashCount,
     generatedImagesMetadata,
     generatedAudioUrls,
     currentHistoryId,
@@ -1423,11 +1541,19 @@ export const useGeneratorStore = defineStore('generator', () => {
     addToHistory,
     loadHistory,
     removeFromHistory,
+    removeManyFromHistory,
     clearHistory,
+    restoreFromTrash,
+    purgeFromTrash,
+    emptyTrash,
+    purgeExpiredTrash,
+    refreshTrashCount,
     setGeneratedImages,
     clearGeneratedImages,
     setGeneratedVideo,
     clearGeneratedVideo,
+    setGeneratedMatrix,
+    clearGeneratedMatrix,
     setGeneratedImagesMetadata,
     clearGeneratedImagesMetadata,
     setGeneratedAudioUrls,
@@ -1441,6 +1567,7 @@ export const useGeneratorStore = defineStore('generator', () => {
     clearThinkingProcess,
     setStreaming,
     resetCurrentOptions,
+    applyOptionProfile,
     addReferenceImage,
     removeReferenceImage,
     updateReferenceImage,
@@ -0,0 +1,152 @@
+/**
+ * API key pool helpers (pure)
+ *
+ * Any number of Gemini keys, each limited to some usages, rotated by priority
+ * or round-robin. Keys that hit quota errors cool down for a while before
+ * they are picked again. State and UI live in composables/useApiKeyPool.js.
+ */
+
+export const KEY_USAGES = ['image', 'text', 'tts', 'video', 'embedding']
+
+export const ROTATION_STRATEGIES = {
+  PRIORITY: 'priority', // Always the first ready key in list order
+  ROUND_ROBIN: 'round-robin', // Spread requests over all ready keys
+}
+
+// Built-in entries for the keys set in ApiKeyInput (kept in their own storage keys)
+export const PAID_KEY_ID = 'paid'
+export const FREE_TIER_KEY_ID = 'freeTier'
+const FREE_TIER_USAGES = ['text', 'tts', 'embedding']
+
+// Quota cooldown doubles with each consecutive quota error
+export const BASE_COOLDOWN_MS = 60_000
+export const MAX_COOLDOWN_MS = 60 * 60_000
+
+/**
+ * Sanitize a stored pool entry
+ * @param {Object} raw
+ * @returns {{ id: string, label: string, key: string, usages: string[] }|null} null if unusable
+ */
+export const normalizePoolEntry = (raw) => {
+  const key = typeof raw?.key === 'string' ? raw.key.trim() : ''
+  const id = typeof raw?.id === 'string' ? raw.id : ''
+  if (!key || !id || id === PAID_KEY_ID || id === FREE_TIER_KEY_ID) return null
+
+  const usages = Array.isArray(raw.usages) ? KEY_USAGES.filter((u) => raw.usages.includes(u)) : [...KEY_USAGES]
+  return {
+    id,
+    label: typeof raw.label === 'string' ? raw.label.trim() : '',
+    key,
+    usages,
+  }
+}
+
+/**
+ * Sanitize stored pool settings
+ * @param {Object} raw - Parsed localStorage value
+ * @returns {{ strategy: string, keys: Array }}
+ */
+export const normalizePoolSettings = (raw) => {
+  const strategy = Object.values(ROTATION_STRATEGIES).includes(raw?.strategy)
+    ? raw.strategy
+    : ROTATION_STRATEGIES.PRIORITY
+
+  const seen = new Set()
+  const keys = []
+  for (const entry of Array.isArray(raw?.keys) ? raw.keys : []) {
+    const normalized = normalizePoolEntry(entry)
+    if (normalized && !seen.has(normalized.id)) {
+      seen.add(normalized.id)
+      keys.push(normalized)
+    }
+  }
+  return { strategy, keys }
+}
+
+/**
+ * All keys in priority order: the free tier key first (text-like usages only),
+ * then pool keys in list order, then the paid key for everything.
+ * @param {Object} params
+ * @param {string} [params.paidKey]
+ * @param {string} [params.freeTierKey]
+ * @param {Array} [params.poolKeys] - Normalized pool entries
+ * @returns {Array<{ id: string, label: string, key: string, usages: string[], builtIn: boolean }>}
+ */
+export const buildKeyCandidates = ({ paidKey = '', freeTierKey = '', poolKeys = [] }) => {
+  const candidates = []
+  if (freeTierKey) {
+    candidates.push({ id: FREE_TIER_KEY_ID, label: '', key: freeTierKey, usages: FREE_TIER_USAGES, builtIn: true })
+  }
+  for (const entry of poolKeys) {
+    candidates.push({ ...entry, builtIn: false })
+  }
+  if (paidKey) {
+    candidates.push({ id: PAID_KEY_ID, label: '', key: paidKey, usages: KEY_USAGES, builtIn: true })
+  }
+  return candidates
+}
+
+/**
+ * @param {Object} [health] - Health entry of one key
+ * @param {number} now
+ * @returns {boolean}
+ */
+export const isCoolingDown = (health, now) => (health?.cooldownUntil || 0) > now
+
+/**
+ * Order in which to try keys for a usage.
+ * Ready keys come first (rotated for round-robin); keys in cooldown follow,
+ * soonest-ready first, so a request still goes out when every key is cooling.
+ *
+ * @param {Array} candidates - From buildKeyCandidates
+ * @param {string} usage - One of KEY_USAGES
+ * @param {Object} params
+ * @param {string} [params.strategy]
+ * @param {Object<string, Object>} [params.health] - Health entries by key id
+ * @param {number} [params.cursor=0] - Round-robin position for this usage
+ * @param {number} params.now
+ * @param {Array<string>} [params.excluded] - Key ids never to use (e.g. over their budget)
+ * @returns {Array} Candidates to try, in order
+ */
+export const orderKeysForUsage = (candidates, usage, { strategy, health = {}, cursor = 0, now, excluded = [] }) => {
+  const eligible = candidates.filter((c) => c.usages.includes(usage) && !excluded.includes(c.id))
+  const ready = eligible.filter((c) => !isCoolingDown(health[c.id], now))
+  const cooling = eligible
+    .filter((c) => isCoolingDown(health[c.id], now))
+    .sort((a, b) => health[a.id].cooldownUntil - health[b.id].cooldownUntil)
+
+  if (strategy === ROTATION_STRATEGIES.ROUND_ROBIN && ready.length > 1) {
+    const start = cursor % ready.length
+    return [...ready.slice(start), ...ready.slice(0, start), ...cooling]
+  }
+  return [...ready, ...cooling]
+}
+
+/**
+ * Health entry after a request made with the key
+ * @param {Object} [health] - Previous entry
+ * @param {{ ok: boolean, quota?: boolean, message?: string }} outcome
+ * @param {number} now
+ * @returns {{ lastSuccessAt: number|null, lastErrorAt: number|null, lastError: string, cooldownUntil: number, quotaStrikes: number }}
+ */
+export const applyKeyOutcome = (health, outcome, now) => {
+  const prev = {
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: '',
+    cooldownUntil: 0,
+    quotaStrikes: 0,
+    ...health,
+  }
+
+  if (outcome.ok) {
+    return { ...prev, lastSuccessAt: now, cooldownUntil: 0, quotaStrikes: 0 }
+  }
+
+  const next = { ...prev, lastErrorAt: now, lastError: outcome.message || '' }
+  if (outcome.quota) {
+    next.quotaStrikes = prev.quotaStrikes + 1
+    next.cooldownUntil = now + Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** (next.quotaStrikes - 1))
+  }
+  return next
+}
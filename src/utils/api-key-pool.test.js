@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+  KEY_USAGES,
+  ROTATION_STRATEGIES,
+  PAID_KEY_ID,
+  FREE_TIER_KEY_ID,
+  BASE_COOLDOWN_MS,
+  MAX_COOLDOWN_MS,
+  normalizePoolEntry,
+  normalizePoolSettings,
+  buildKeyCandidates,
+  orderKeysForUsage,
+  applyKeyOutcome,
+  isCoolingDown,
+} from './api-key-pool'
+
+const NOW = 1_760_000_000_000
+
+const pool = [
+  { id: 'a', label: 'A', key: 'key-a', usages: ['image', 'text'] },
+  { id: 'b', label: 'B', key: 'key-b', usages: ['image'] },
+]
+
+const candidates = buildKeyCandidates({ paidKey: 'key-paid', freeTierKey: 'key-free', poolKeys: pool })
+const idsOf = (list) => list.map((c) => c.id)
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+describe('normalizePoolEntry', () => {
+  it('trims the key and drops unknown usages', () => {
+    expect(normalizePoolEntry({ id: 'x', label: ' L ', key: ' k ', usages: ['image', 'bogus'] })).toEqual({
+      id: 'x',
+      label: 'L',
+      key: 'k',
+      usages: ['image'],
+    })
+  })
+
+  it('defaults to every usage', () => {
+    expect(normalizePoolEntry({ id: 'x', key: 'k' }).usages).toEqual(KEY_USAGES)
+  })
+
+  it('rejects empty keys and reserved ids', () => {
+    expect(normalizePoolEntry({ id: 'x', key: '  ' })).toBeNull()
+    expect(normalizePoolEntry({ id: PAID_KEY_ID, key: 'k' })).toBeNull()
+    expect(normalizePoolEntry(null)).toBeNull()
+  })
+})
+
+describe('normalizePoolSettings', () => {
+  it('defaults to priority and no keys', () => {
+    expect(normalizePoolSettings(null)).toEqual({ strategy: ROTATION_STRATEGIES.PRIORITY, keys: [] })
+  })
+
+  it('drops invalid and duplicate entries', () => {
+    const settings = normalizePoolSettings({
+      strategy: 'round-robin',
+      keys: [{ id: 'a', key: 'k1' }, { id: 'a', key: 'k2' }, { id: 'b' }],
+    })
+    expect(settings.strategy).toBe(ROTATION_STRATEGIES.ROUND_ROBIN)
+    expect(settings.keys.map((k) => k.key)).toEqual(['k1'])
+  })
+})
+
+// ============================================================================
+// Selection
+// ============================================================================
+
+describe('buildKeyCandidates', () => {
+  it('puts the free tier key first and the paid key last', () => {
+    expect(idsOf(candidates)).toEqual([FREE_TIER_KEY_ID, 'a', 'b', PAID_KEY_ID])
+  })
+
+  it('skips built-in keys that are not set', () => {
+    expect(idsOf(buildKeyCandidates({ poolKeys: pool }))).toEqual(['a', 'b'])
+  })
+})
+
+describe('orderKeysForUsage', () => {
+  it('keeps the legacy order by priority', () => {
+    const opts = { strategy: ROTATION_STRATEGIES.PRIORITY, now: NOW }
+    expect(idsOf(orderKeysForUsage(candidates, 'text', opts))).toEqual([FREE_TIER_KEY_ID, 'a', PAID_KEY_ID])
+    expect(idsOf(orderKeysForUsage(candidates, 'image', opts))).toEqual(['a', 'b', PAID_KEY_ID])
+    expect(idsOf(orderKeysForUsage(candidates, 'video', opts))).toEqual([PAID_KEY_ID])
+  })
+
+  it('rotates ready keys for round-robin', () => {
+    const order = (cursor) =>
+      idsOf(orderKeysForUsage(candidates, 'image', { strategy: ROTATION_STRATEGIES.ROUND_ROBIN, cursor, now: NOW }))
+    expect(order(0)).toEqual(['a', 'b', PAID_KEY_ID])
+    expect(order(1)).toEqual(['b', PAID_KEY_ID, 'a'])
+    expect(order(5)).toEqual([PAID_KEY_ID, 'a', 'b'])
+  })
+
+  it('moves cooling keys to the end, soonest ready first', () => {
+    const health = {
+      a: { cooldownUntil: NOW + 5000 },
+      b: { cooldownUntil: NOW + 1000 },
+    }
+    const order = orderKeysForUsage(candidates, 'image', { strategy: ROTATION_STRATEGIES.PRIORITY, health, now: NOW })
+    expect(idsOf(order)).toEqual([PAID_KEY_ID, 'b', 'a'])
+  })
+
+  it('returns nothing when no key allows the usage', () => {
+    expect(orderKeysForUsage(pool, 'tts', { now: NOW })).toEqual([])
+  })
+
+  it('leaves out excluded keys even when nothing else is ready', () => {
+    const opts = { strategy: ROTATION_STRATEGIES.PRIORITY, now: NOW, excluded: ['a', PAID_KEY_ID] }
+    expect(idsOf(orderKeysForUsage(candidates, 'image', opts))).toEqual(['b'])
+    expect(idsOf(orderKeysForUsage(candidates, 'video', opts))).toEqual([])
+  })
+})
+
+// ============================================================================
+// Health
+// ============================================================================
+
+describe('applyKeyOutcome', () => {
+  it('records success and clears the cooldown', () => {
+    const cooling = { cooldownUntil: NOW + 1000, quotaStrikes: 2, lastError: 'quota', lastErrorAt: NOW - 1 }
+    const next = applyKeyOutcome(cooling, { ok: true }, NOW)
+    expect(next).toMatchObject({ lastSuccessAt: NOW, cooldownUntil: 0, quotaStrikes: 0, lastError: 'quota' })
+    expect(isCoolingDown(next, NOW)).toBe(false)
+  })
+
+  it('records other errors without a cooldown', () => {
+    const next = applyKeyOutcome(undefined, { ok: false, message: 'HTTP 500' }, NOW)
+    expect(next).toMatchObject({ lastErrorAt: NOW, lastError: 'HTTP 500', cooldownUntil: 0 })
+  })
+
+  it('doubles the cooldown on consecutive quota errors, up to the max', () => {
+    let health = applyKeyOutcome(undefined, { ok: false, quota: true }, NOW)
+    expect(health.cooldownUntil).toBe(NOW + BASE_COOLDOWN_MS)
+    health = applyKeyOutcome(health, { ok: false, quota: true }, NOW)
+    expect(health.cooldownUntil).toBe(NOW + BASE_COOLDOWN_MS * 2)
+    for (let i = 0; i < 10; i++) health = applyKeyOutcome(health, { ok: false, quota: true }, NOW)
+    expect(health.cooldownUntil).toBe(NOW + MAX_COOLDOWN_MS)
+    expect(isCoolingDown(health, NOW + MAX_COOLDOWN_MS - 1)).toBe(true)
+  })
+})
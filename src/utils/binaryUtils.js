@@ -30,6 +30,7 @@ export function uint8ArrayToBinaryString(bytes) {
  * @returns {string} MIME type string (defaults to 'image/png')
  */
 export function detectMimeFromBase64(base64String) {
+  if (!base64String) return 'image/png'
   if (base64String.startsWith('/9j/')) return 'image/jpeg'
   if (base64String.startsWith('iVBOR')) return 'image/png'
   if (base64String.startsWith('UklGR')) return 'image/webp'
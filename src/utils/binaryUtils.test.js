@@ -110,6 +110,10 @@ describe('detectMimeFromBase64', () => {
     expect(detectMimeFromBase64('')).toBe('image/png')
   })
 
+  it('defaults to image/png for missing data', () => {
+    expect(detectMimeFromBase64(null)).toBe('image/png')
+  })
+
   // Real-world base64 prefixes from actual encoded files
   it('handles real JPEG base64 (starts with /9j/)', () => {
     // First bytes of a JPEG: FF D8 FF E0 → base64: /9j/4
@@ -0,0 +1,180 @@
+/**
+ * Budget guard helpers (pure)
+ *
+ * Daily / monthly spending limits per API key, checked against the usage
+ * ledger before a batch starts and again whenever a key is picked for a call.
+ * State and UI live in composables/useBudgetGuard.js.
+ */
+import { toDayKey, toMonthKey } from './usage-ledger.js'
+
+export const BUDGET_ACTIONS = {
+  CONFIRM: 'confirm', // Ask before going over the limit
+  BLOCK: 'block', // Refuse to start
+}
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  action: BUDGET_ACTIONS.CONFIRM,
+  keys: {},
+}
+
+/**
+ * Parse a limit value; empty, zero or invalid means "no limit"
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const parseLimit = (value) => {
+  const n = Number(value)
+  return value !== null && value !== '' && Number.isFinite(n) && n > 0 ? n : null
+}
+
+/**
+ * Sanitize stored budget settings
+ * @param {Object} raw - Parsed localStorage value
+ * @returns {{ action: string, keys: Object<string, { daily: number|null, monthly: number|null }> }}
+ */
+export const normalizeBudgetSettings = (raw) => {
+  const action = Object.values(BUDGET_ACTIONS).includes(raw?.action)
+    ? raw.action
+    : DEFAULT_BUDGET_SETTINGS.action
+
+  const keys = {}
+  for (const [keyHint, limits] of Object.entries(raw?.keys || {})) {
+    const daily = parseLimit(limits?.daily)
+    const monthly = parseLimit(limits?.monthly)
+    if (daily !== null || monthly !== null) keys[keyHint] = { daily, monthly }
+  }
+
+  return { action, keys }
+}
+
+/**
+ * Limits configured for one key
+ * @param {Object} settings - Normalized settings
+ * @param {string} keyHint - Masked key (see maskApiKey)
+ * @returns {{ daily: number|null, monthly: number|null }}
+ */
+export const getKeyLimits = (settings, keyHint) =>
+  settings?.keys?.[keyHint] || { daily: null, monthly: null }
+
+/**
+ * Local midnight on the first of the month, as a timestamp
+ * @param {number} now
+ * @returns {number}
+ */
+export const startOfMonth = (now) => {
+  const d = new Date(now)
+  return new Date(d.getFullYear(), d.getMonth(), 1).getTime()
+}
+
+/**
+ * Spending so far today and this month for one key
+ * @param {Array<Object>} entries - Ledger entries (at least this month's)
+ * @param {string} keyHint
+ * @param {number} [now]
+ * @returns {{ day: number, month: number }} USD
+ */
+export const sumSpentForKey = (entries, keyHint, now = Date.now()) => {
+  const today = toDayKey(now)
+  const month = toMonthKey(now)
+  const spent = { day: 0, month: 0 }
+
+  for (const entry of entries) {
+    if (entry.keyHint !== keyHint) continue
+    const cost = entry.cost || 0
+    if ((entry.month || toMonthKey(entry.timestamp)) === month) spent.month += cost
+    if ((entry.day || toDayKey(entry.timestamp)) === today) spent.day += cost
+  }
+
+  return spent
+}
+
+/**
+ * Check whether a projected cost fits in the remaining budget
+ * @param {Object} params
+ * @param {number} params.projectedCost - Estimated cost of the batch (USD)
+ * @param {{ day: number, month: number }} params.spent
+ * @param {{ daily: number|null, monthly: number|null }} params.limits
+ * @returns {{ hasLimits: boolean, exceeded: boolean, overDaily: boolean, overMonthly: boolean, projectedDay: number, projectedMonth: number }}
+ */
+export const evaluateBudget = ({ projectedCost, spent, limits }) => {
+  const projectedDay = spent.day + projectedCost
+  const projectedMonth = spent.month + projectedCost
+  const overDaily = limits.daily !== null && projectedDay > limits.daily
+  const overMonthly = limits.monthly !== null && projectedMonth > limits.monthly
+
+  return {
+    hasLimits: limits.daily !== null || limits.monthly !== null,
+    exceeded: overDaily || overMonthly,
+    overDaily,
+    overMonthly,
+    projectedDay,
+    projectedMonth,
+  }
+}
+
+/**
+ * Evaluate a run against every key that could pay for it
+ * @param {Object} params
+ * @param {number} params.projectedCost - Estimated cost of the batch (USD)
+ * @param {Array<{ id: string, keyHint: string }>} params.keys - Keys the run may use, best first
+ * @param {Object} params.settings - Normalized settings
+ * @param {Array<Object>} params.entries - Ledger entries (at least this month's)
+ * @param {number} [params.now]
+ * @returns {Array<{ id: string, keyHint: string, limits: Object, spent: Object, evaluation: Object }>}
+ */
+export const evaluateKeyBudgets = ({ projectedCost, keys, settings, entries, now = Date.now() }) =>
+  keys.map(({ id, keyHint }) => {
+    const limits = getKeyLimits(settings, keyHint)
+    const spent = sumSpentForKey(entries, keyHint, now)
+    return { id, keyHint, limits, spent, evaluation: evaluateBudget({ projectedCost, spent, limits }) }
+  })
+
+/**
+ * Budget left on a key before its first limit is reached
+ * @param {{ day: number, month: number }} spent
+ * @param {{ daily: number|null, monthly: number|null }} limits
+ * @returns {number} USD, never below 0; Infinity without limits
+ */
+export const getRemainingBudget = (spent, limits) => {
+  const leftToday = limits.daily === null ? Infinity : limits.daily - spent.day
+  const leftThisMonth = limits.monthly === null ? Infinity : limits.monthly - spent.month
+  return Math.max(0, Math.min(leftToday, leftThisMonth))
+}
+
+/**
+ * Whether the keys a run may use can pay for it together. The pool moves on
+ * to the next key once one reaches its limit, so their budgets add up.
+ * @param {Object} params
+ * @param {number} params.projectedCost - Estimated cost of the run (USD)
+ * @param {Array<{ id: string, keyHint: string }>} params.keys
+ * @param {Object} params.settings - Normalized settings
+ * @param {Array<Object>} params.entries - Ledger entries (at least this month's)
+ * @param {number} [params.now]
+ * @returns {boolean}
+ */
+export const canCoverCost = ({ projectedCost, keys, settings, entries, now = Date.now() }) => {
+  let remaining = 0
+  for (const { keyHint } of keys) {
+    remaining += getRemainingBudget(sumSpentForKey(entries, keyHint, now), getKeyLimits(settings, keyHint))
+  }
+  return remaining >= projectedCost
+}
+
+/**
+ * Keys to skip when picking one for the next call: those that reached a
+ * limit. When all of them have, CONFIRM skips none (the user was asked before
+ * the run) and BLOCK skips every one.
+ * @param {Object} params
+ * @param {Array<{ id: string, keyHint: string }>} params.keys
+ * @param {Object} params.settings - Normalized settings
+ * @param {Array<Object>} params.entries - Ledger entries (at least this month's)
+ * @param {number} [params.now]
+ * @returns {Array<string>} Key ids
+ */
+export const getBudgetExclusions = ({ keys, settings, entries, now = Date.now() }) => {
+  const spentUp = keys.filter(
+    ({ keyHint }) => getRemainingBudget(sumSpentForKey(entries, keyHint, now), getKeyLimits(settings, keyHint)) <= 0,
+  )
+  if (spentUp.length === keys.length && settings.action !== BUDGET_ACTIONS.BLOCK) return []
+  return spentUp.map(({ id }) => id)
+}
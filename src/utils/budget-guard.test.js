@@ -0,0 +1,246 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BUDGET_ACTIONS,
+  parseLimit,
+  normalizeBudgetSettings,
+  getKeyLimits,
+  startOfMonth,
+  sumSpentForKey,
+  evaluateBudget,
+  evaluateKeyBudgets,
+  getRemainingBudget,
+  canCoverCost,
+  getBudgetExclusions,
+} from './budget-guard'
+import { estimateImageCallCost, IMAGE_OUTPUT_TOKENS, getModelPricing } from '../constants/modelPricing'
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+describe('parseLimit', () => {
+  it('accepts positive numbers and numeric strings', () => {
+    expect(parseLimit(5)).toBe(5)
+    expect(parseLimit('12.5')).toBe(12.5)
+  })
+
+  it('treats empty, zero, negative and invalid values as no limit', () => {
+    for (const value of ['', null, undefined, 0, -1, 'abc']) {
+      expect(parseLimit(value)).toBeNull()
+    }
+  })
+})
+
+describe('normalizeBudgetSettings', () => {
+  it('returns defaults for missing settings', () => {
+    expect(normalizeBudgetSettings(null)).toEqual({ action: BUDGET_ACTIONS.CONFIRM, keys: {} })
+  })
+
+  it('keeps valid limits and drops keys without any limit', () => {
+    const settings = normalizeBudgetSettings({
+      action: 'block',
+      keys: {
+        '…aaaa': { daily: '5', monthly: '' },
+        '…bbbb': { daily: 0, monthly: null },
+      },
+    })
+    expect(settings).toEqual({
+      action: BUDGET_ACTIONS.BLOCK,
+      keys: { '…aaaa': { daily: 5, monthly: null } },
+    })
+  })
+
+  it('falls back to confirm for an unknown action', () => {
+    expect(normalizeBudgetSettings({ action: 'explode' }).action).toBe(BUDGET_ACTIONS.CONFIRM)
+  })
+})
+
+describe('getKeyLimits', () => {
+  it('returns no limits for an unknown key', () => {
+    expect(getKeyLimits({ keys: {} }, '…zzzz')).toEqual({ daily: null, monthly: null })
+  })
+})
+
+// ============================================================================
+// Spending
+// ============================================================================
+
+describe('startOfMonth', () => {
+  it('returns local midnight on the first day', () => {
+    const ts = startOfMonth(new Date(2026, 6, 19, 15, 30).getTime())
+    expect(ts).toBe(new Date(2026, 6, 1).getTime())
+  })
+})
+
+describe('sumSpentForKey', () => {
+  const now = new Date(2026, 6, 19, 12).getTime()
+  const entries = [
+    { keyHint: '…aaaa', day: '2026-07-19', month: '2026-07', cost: 1.5 },
+    { keyHint: '…aaaa', day: '2026-07-02', month: '2026-07', cost: 2 },
+    { keyHint: '…aaaa', day: '2026-06-30', month: '2026-06', cost: 10 },
+    { keyHint: '…bbbb', day: '2026-07-19', month: '2026-07', cost: 7 },
+    { keyHint: '…aaaa', timestamp: new Date(2026, 6, 19, 9).getTime(), cost: 0.5 },
+  ]
+
+  it('sums today and this month for the given key only', () => {
+    const spent = sumSpentForKey(entries, '…aaaa', now)
+    expect(spent.day).toBeCloseTo(2)
+    expect(spent.month).toBeCloseTo(4)
+  })
+
+  it('returns zeros when the key has no entries', () => {
+    expect(sumSpentForKey(entries, '…cccc', now)).toEqual({ day: 0, month: 0 })
+  })
+})
+
+// ============================================================================
+// evaluateBudget
+// ============================================================================
+
+describe('evaluateBudget', () => {
+  const spent = { day: 3, month: 40 }
+
+  it('passes when the run fits in both limits', () => {
+    const result = evaluateBudget({ projectedCost: 1, spent, limits: { daily: 5, monthly: 50 } })
+    expect(result).toMatchObject({ hasLimits: true, exceeded: false, projectedDay: 4, projectedMonth: 41 })
+  })
+
+  it('flags the daily limit', () => {
+    const result = evaluateBudget({ projectedCost: 3, spent, limits: { daily: 5, monthly: 50 } })
+    expect(result.overDaily).toBe(true)
+    expect(result.overMonthly).toBe(false)
+    expect(result.exceeded).toBe(true)
+  })
+
+  it('flags the monthly limit', () => {
+    const result = evaluateBudget({ projectedCost: 11, spent, limits: { daily: null, monthly: 50 } })
+    expect(result.overMonthly).toBe(true)
+    expect(result.exceeded).toBe(true)
+  })
+
+  it('never exceeds without limits', () => {
+    const result = evaluateBudget({ projectedCost: 1000, spent, limits: { daily: null, monthly: null } })
+    expect(result.hasLimits).toBe(false)
+    expect(result.exceeded).toBe(false)
+  })
+})
+
+describe('evaluateKeyBudgets', () => {
+  const now = new Date(2026, 2, 15, 12).getTime()
+  const settings = normalizeBudgetSettings({ keys: { '…aaaa': { daily: 1 }, '…bbbb': { monthly: 10 } } })
+  const entries = [
+    { keyHint: '…aaaa', cost: 0.9, timestamp: now },
+    { keyHint: '…bbbb', cost: 9.5, timestamp: new Date(2026, 2, 2).getTime() },
+  ]
+  const keys = [
+    { id: 'pool-a', keyHint: '…aaaa' },
+    { id: 'pool-b', keyHint: '…bbbb' },
+    { id: 'paid', keyHint: '…cccc' },
+  ]
+
+  it('checks each key against its own limits and spending', () => {
+    const result = evaluateKeyBudgets({ projectedCost: 0.2, keys, settings, entries, now })
+    expect(result.map((r) => r.evaluation.exceeded)).toEqual([true, false, false])
+    expect(result[0].evaluation.overDaily).toBe(true)
+    expect(result[1].spent.month).toBe(9.5)
+    expect(result[2].evaluation.hasLimits).toBe(false)
+  })
+
+  it('keeps the order of the keys given', () => {
+    const result = evaluateKeyBudgets({ projectedCost: 1, keys, settings, entries, now })
+    expect(result.map((r) => r.id)).toEqual(['pool-a', 'pool-b', 'paid'])
+    expect(result.map((r) => r.evaluation.exceeded)).toEqual([true, true, false])
+  })
+})
+
+describe('getRemainingBudget', () => {
+  it('returns what is left before the first limit', () => {
+    expect(getRemainingBudget({ day: 1, month: 8 }, { daily: 5, monthly: 10 })).toBe(2)
+    expect(getRemainingBudget({ day: 1, month: 8 }, { daily: 2, monthly: null })).toBe(1)
+  })
+
+  it('is never negative and unlimited without limits', () => {
+    expect(getRemainingBudget({ day: 6, month: 6 }, { daily: 5, monthly: null })).toBe(0)
+    expect(getRemainingBudget({ day: 6, month: 6 }, { daily: null, monthly: null })).toBe(Infinity)
+  })
+})
+
+describe('canCoverCost', () => {
+  const now = new Date(2026, 2, 15, 12).getTime()
+  const settings = normalizeBudgetSettings({ keys: { '…aaaa': { daily: 1 }, '…bbbb': { daily: 2 } } })
+  const entries = [{ keyHint: '…aaaa', cost: 0.5, timestamp: now }]
+  const limited = [
+    { id: 'pool-a', keyHint: '…aaaa' },
+    { id: 'pool-b', keyHint: '…bbbb' },
+  ]
+
+  it('adds up the budget left on every key', () => {
+    expect(canCoverCost({ projectedCost: 2.5, keys: limited, settings, entries, now })).toBe(true)
+    expect(canCoverCost({ projectedCost: 2.6, keys: limited, settings, entries, now })).toBe(false)
+  })
+
+  it('always fits when a key has no limit', () => {
+    const keys = [...limited, { id: 'paid', keyHint: '…cccc' }]
+    expect(canCoverCost({ projectedCost: 100, keys, settings, entries, now })).toBe(true)
+  })
+})
+
+describe('getBudgetExclusions', () => {
+  const now = new Date(2026, 2, 15, 12).getTime()
+  const keys = [
+    { id: 'pool-a', keyHint: '…aaaa' },
+    { id: 'pool-b', keyHint: '…bbbb' },
+  ]
+  const limits = { '…aaaa': { daily: 1 }, '…bbbb': { daily: 1 } }
+
+  it('skips keys that reached a limit', () => {
+    const settings = normalizeBudgetSettings({ keys: limits })
+    const entries = [{ keyHint: '…aaaa', cost: 1, timestamp: now }]
+    expect(getBudgetExclusions({ keys, settings, entries, now })).toEqual(['pool-a'])
+  })
+
+  it('follows new ledger entries', () => {
+    const settings = normalizeBudgetSettings({ keys: limits })
+    const entries = [{ keyHint: '…aaaa', cost: 0.4, timestamp: now }]
+    expect(getBudgetExclusions({ keys, settings, entries, now })).toEqual([])
+    entries.push({ keyHint: '…aaaa', cost: 0.6, timestamp: now })
+    expect(getBudgetExclusions({ keys, settings, entries, now })).toEqual(['pool-a'])
+  })
+
+  it('skips none under confirm and all under block once every key is spent', () => {
+    const entries = [
+      { keyHint: '…aaaa', cost: 1, timestamp: now },
+      { keyHint: '…bbbb', cost: 1.2, timestamp: now },
+    ]
+    const confirm = normalizeBudgetSettings({ action: 'confirm', keys: limits })
+    const block = normalizeBudgetSettings({ action: 'block', keys: limits })
+    expect(getBudgetExclusions({ keys, settings: confirm, entries, now })).toEqual([])
+    expect(getBudgetExclusions({ keys, settings: block, entries, now })).toEqual(['pool-a', 'pool-b'])
+  })
+})
+
+// ============================================================================
+// estimateImageCallCost
+// ============================================================================
+
+describe('estimateImageCallCost', () => {
+  const model = 'gemini-3-pro-image-preview'
+
+  it('prices 4k output higher than 1k', () => {
+    expect(estimateImageCallCost(model, { resolution: '4k' })).toBeGreaterThan(
+      estimateImageCallCost(model, { resolution: '1k' }),
+    )
+  })
+
+  it('uses image output tokens for the resolution', () => {
+    const pricing = getModelPricing(model)
+    expect(estimateImageCallCost(model, { resolution: '2k' })).toBeCloseTo(
+      (IMAGE_OUTPUT_TOKENS['2k'] * pricing.imageOutput) / 1_000_000,
+    )
+  })
+
+  it('adds prompt and reference image input', () => {
+    const base = estimateImageCallCost(model)
+    expect(estimateImageCallCost(model, { promptLength: 400, referenceImageCount: 2 })).toBeGreaterThan(base)
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * Passphrase-encrypted export envelope (pure, WebCrypto)
+ *
+ * Wraps an export (the version 5 ZIP) so it can be written and read in
+ * chunks, like the archive itself. Key derivation and AES-GCM come from
+ * utils/secret-vault.js.
+ *
+ *   magic        8 bytes  'NBPENC01'
+ *   headerSize   uint32 little-endian
+ *   header       JSON { version, kdf, cipher, chunkSize, nonce, check, contentType }
+ *   chunks       AES-GCM of chunkSize plaintext bytes each (+16 byte tag), last one shorter
+ *
+ * Chunk i uses the IV nonce (8 bytes) + i (uint32 big-endian). The header
+ * bytes and a final-chunk flag are bound as additional data, so the header
+ * can't be edited and a truncated file doesn't decrypt.
+ */
+import {
+  PBKDF2_ITERATIONS,
+  bytesToBase64,
+  base64ToBytes,
+  randomBytes,
+  derivePassphraseKey,
+  encryptSecret,
+  decryptSecret,
+} from './secret-vault'
+
+export const ENVELOPE_VERSION = 1
+export const ENVELOPE_CHUNK_SIZE = 1024 * 1024
+// Appended to the export file name
+export const ENVELOPE_EXTENSION = '.enc'
+
+const MAGIC = new TextEncoder().encode('NBPENC01')
+const PREFIX_BYTES = MAGIC.length + 4
+const SALT_BYTES = 16
+const NONCE_BYTES = 8
+const TAG_BYTES = 16
+// Header JSON larger than this is not an envelope
+const MAX_HEADER_BYTES = 64 * 1024
+
+// Known plaintext; decrypting it verifies the passphrase before any chunk
+const CHECK_NAME = 'nbp-export-check'
+const CHECK_VALUE = 'nbp-export'
+
+/** Thrown when an envelope is opened with the wrong (or no) passphrase */
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('Wrong passphrase')
+    this.name = 'WrongPassphraseError'
+  }
+}
+
+const chunkIv = (nonce, index) => {
+  const iv = new Uint8Array(NONCE_BYTES + 4)
+  iv.set(nonce)
+  new DataView(iv.buffer).setUint32(NONCE_BYTES, index)
+  return iv
+}
+
+const chunkAad = (headerBytes, final) => {
+  const aad = new Uint8Array(headerBytes.length + 1)
+  aad.set(headerBytes)
+  aad[headerBytes.length] = final ? 1 : 0
+  return aad
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<boolean>} Whether the file starts like an envelope
+ */
+export const isEncryptedBlob = async (blob) => {
+  if (blob.size < PREFIX_BYTES) return false
+  const head = new Uint8Array(await blob.slice(0, MAGIC.length).arrayBuffer())
+  return MAGIC.every((byte, i) => head[i] === byte)
+}
+
+/**
+ * Encrypt a byte stream into an envelope
+ * @param {string} passphrase
+ * @param {function(Uint8Array): (Promise<void>|void)} write - Receives the envelope bytes in order
+ * @param {Object} [options]
+ * @param {number} [options.iterations]
+ * @param {number} [options.chunkSize]
+ * @param {string} [options.contentType] - Type of the wrapped data
+ * @returns {Promise<{ write: function(Uint8Array): Promise<void>, finish: function(): Promise<void> }>}
+ *   `write` takes the plaintext (it can be handed to createZipWriter)
+ */
+export const createEncryptedWriter = async (
+  passphrase,
+  write,
+  { iterations = PBKDF2_ITERATIONS, chunkSize = ENVELOPE_CHUNK_SIZE, contentType = 'application/zip' } = {},
+) => {
+  const salt = randomBytes(SALT_BYTES)
+  const nonce = randomBytes(NONCE_BYTES)
+  const key = await derivePassphraseKey(passphrase, salt, iterations)
+  const headerBytes = new TextEncoder().encode(
+    JSON.stringify({
+      version: ENVELOPE_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+      cipher: 'AES-GCM',
+      chunkSize,
+      nonce: bytesToBase64(nonce),
+      check: await encryptSecret(key, CHECK_NAME, CHECK_VALUE),
+      contentType,
+    }),
+  )
+
+  const prefix = new Uint8Array(PREFIX_BYTES)
+  prefix.set(MAGIC)
+  new DataView(prefix.buffer).setUint32(MAGIC.length, headerBytes.length, true)
+  await write(prefix)
+  await write(headerBytes)
+
+  const buffer = new Uint8Array(chunkSize)
+  let buffered = 0
+  let index = 0
+  let finished = false
+
+  const flush = async (final) => {
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkIv(nonce, index), additionalData: chunkAad(headerBytes, final) },
+      key,
+      buffer.subarray(0, buffered),
+    )
+    index++
+    buffered = 0
+    await write(new Uint8Array(data))
+  }
+
+  return {
+    write: async (bytes) => {
+      if (finished) throw new Error('Envelope already finished')
+      let offset = 0
+      while (offset < bytes.length) {
+        // A full chunk is held until more data arrives: only the last one is final
+        if (buffered === chunkSize) await flush(false)
+        const take = Math.min(chunkSize - buffered, bytes.length - offset)
+        buffer.set(bytes.subarray(offset, offset + take), buffered)
+        buffered += take
+        offset += take
+      }
+    },
+    finish: async () => {
+      if (finished) return
+      finished = true
+      await flush(true)
+    },
+  }
+}
+
+/**
+ * Read an envelope's header
+ * @param {Blob} blob
+ * @returns {Promise<{ header: Object, headerBytes: Uint8Array, dataStart: number }>}
+ */
+export const readEnvelopeHeader = async (blob) => {
+  if (!(await isEncryptedBlob(blob))) throw new Error('Not an encrypted export')
+  const prefix = new DataView(await blob.slice(0, PREFIX_BYTES).arrayBuffer())
+  const headerSize = prefix.getUint32(MAGIC.length, true)
+  if (headerSize === 0 || headerSize > MAX_HEADER_BYTES) throw new Error('Invalid encrypted export header')
+
+  const headerBytes = new Uint8Array(await blob.slice(PREFIX_BYTES, PREFIX_BYTES + headerSize).arrayBuffer())
+  let header
+  try {
+    header = JSON.parse(new TextDecoder().decode(headerBytes))
+  } catch {
+    throw new Error('Invalid encrypted export header')
+  }
+  if (!Number.isInteger(header.version) || header.version > ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted export version ${header.version}`)
+  }
+  if (header.kdf?.name !== 'PBKDF2' || header.cipher !== 'AES-GCM' || !(header.chunkSize > 0)) {
+    throw new Error('Invalid encrypted export header')
+  }
+  return { header, headerBytes, dataStart: PREFIX_BYTES + headerSize }
+}
+
+/**
+ * Open an envelope for decryption
+ * @param {Blob} blob
+ * @param {string} passphrase
+ * @returns {Promise<{ contentType: string, chunkCount: number, decrypt: function(function(Uint8Array): (Promise<void>|void), function(number)=): Promise<void> }>}
+ *   `decrypt(write, onChunk)` passes the plaintext to `write` chunk by chunk
+ * @throws {WrongPassphraseError}
+ */
+export const openEnvelope = async (blob, passphrase) => {
+  const { header, headerBytes, dataStart } = await readEnvelopeHeader(blob)
+  if (!passphrase) throw new WrongPassphraseError()
+  const key = await derivePassphraseKey(passphrase, base64ToBytes(header.kdf.salt), header.kdf.iterations)
+  const check = await decryptSecret(key, CHECK_NAME, header.check).catch(() => null)
+  if (check !== CHECK_VALUE) throw new WrongPassphraseError()
+
+  const nonce = base64ToBytes(header.nonce)
+  const stride = header.chunkSize + TAG_BYTES
+  const chunkCount = Math.ceil((blob.size - dataStart) / stride)
+
+  const decrypt = async (write, onChunk) => {
+    if (chunkCount === 0) throw new Error('Encrypted export is incomplete')
+    for (let i = 0; i < chunkCount; i++) {
+      const start = dataStart + i * stride
+      const data = await blob.slice(start, start + stride).arrayBuffer()
+      let plain
+      try {
+        plain = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: chunkIv(nonce, i), additionalData: chunkAad(headerBytes, i === chunkCount - 1) },
+          key,
+          data,
+        )
+      } catch {
+        throw new Error('Encrypted export is damaged or incomplete')
+      }
+      await write(new Uint8Array(plain))
+      onChunk?.(i + 1)
+    }
+  }
+
+  return { contentType: header.contentType || 'application/octet-stream', chunkCount, decrypt }
+}
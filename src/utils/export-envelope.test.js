@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createEncryptedWriter,
+  isEncryptedBlob,
+  readEnvelopeHeader,
+  openEnvelope,
+  WrongPassphraseError,
+} from './export-envelope'
+
+// Low iteration count and small chunks keep the tests fast; the format is the same
+const FAST = { iterations: 1000, chunkSize: 16 }
+
+const encrypt = async (plaintext, passphrase = 'correct horse', options = FAST) => {
+  const parts = []
+  const writer = await createEncryptedWriter(passphrase, (bytes) => {
+    parts.push(bytes.slice())
+  }, options)
+  for (const piece of plaintext) await writer.write(piece)
+  await writer.finish()
+  return new Blob(parts)
+}
+
+const decrypt = async (blob, passphrase = 'correct horse') => {
+  const envelope = await openEnvelope(blob, passphrase)
+  const parts = []
+  await envelope.decrypt((bytes) => {
+    parts.push(bytes)
+  })
+  return new Uint8Array(await new Blob(parts).arrayBuffer())
+}
+
+const bytes = (length, seed = 0) => Uint8Array.from({ length }, (_, i) => (i + seed) % 256)
+
+// ============================================================================
+// createEncryptedWriter / openEnvelope
+// ============================================================================
+
+describe('createEncryptedWriter', () => {
+  it('round-trips data written in uneven pieces', async () => {
+    const data = bytes(100)
+    const blob = await encrypt([data.subarray(0, 7), data.subarray(7, 48), data.subarray(48)])
+    expect(await isEncryptedBlob(blob)).toBe(true)
+    expect(Array.from(await decrypt(blob))).toEqual(Array.from(data))
+  })
+
+  it('handles data that fills the last chunk exactly, and empty data', async () => {
+    expect(Array.from(await decrypt(await encrypt([bytes(16), bytes(16, 3)])))).toEqual([
+      ...bytes(16),
+      ...bytes(16, 3),
+    ])
+    expect((await decrypt(await encrypt([]))).length).toBe(0)
+  })
+
+  it('does not leave the plaintext readable', async () => {
+    const secret = new TextEncoder().encode('a very private prompt')
+    const raw = new Uint8Array(await (await encrypt([secret])).arrayBuffer())
+    expect(new TextDecoder().decode(raw)).not.toContain('private')
+  })
+
+  it('writes a header describing the envelope', async () => {
+    const { header } = await readEnvelopeHeader(await encrypt([bytes(10)]))
+    expect(header).toMatchObject({
+      version: 1,
+      cipher: 'AES-GCM',
+      chunkSize: 16,
+      contentType: 'application/zip',
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 },
+    })
+  })
+})
+
+describe('openEnvelope', () => {
+  it('rejects a wrong or missing passphrase before decrypting', async () => {
+    const blob = await encrypt([bytes(40)])
+    await expect(openEnvelope(blob, 'wrong')).rejects.toBeInstanceOf(WrongPassphraseError)
+    await expect(openEnvelope(blob, '')).rejects.toBeInstanceOf(WrongPassphraseError)
+  })
+
+  it('detects truncated files', async () => {
+    const blob = await encrypt([bytes(40)])
+    // Drop the last chunk: the one before it isn't marked final
+    const truncated = blob.slice(0, blob.size - (40 % 16) - 16)
+    await expect(decrypt(truncated)).rejects.toThrow('damaged or incomplete')
+  })
+
+  it('detects modified data', async () => {
+    const raw = new Uint8Array(await (await encrypt([bytes(40)])).arrayBuffer())
+    raw[raw.length - 20] ^= 1
+    await expect(decrypt(new Blob([raw]))).rejects.toThrow('damaged or incomplete')
+  })
+
+  it('rejects files that are not envelopes', async () => {
+    const blob = new Blob(['PK\x03\x04 not encrypted'])
+    expect(await isEncryptedBlob(blob)).toBe(false)
+    await expect(openEnvelope(blob, 'x')).rejects.toThrow('Not an encrypted export')
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * Folder backup bookkeeping (pure)
+ *
+ * A backup folder holds one file per history record and character, keyed by
+ * UUID, in the same shape as a version 5 export (see utils/history-archive.js):
+ *
+ *   nbp-backup.json              Index: UUID -> fingerprint of what was written
+ *   records/{uuid}.json          History record, binaries referenced by `file`
+ *   files/{uuid}/...             Images, video, narration audio, conversation images
+ *   characters/{uuid}.json       Character, image inline (as in character exports)
+ *
+ * A backup only writes items whose fingerprint differs from the index, so
+ * each run is differential. Items deleted locally stay in the folder.
+ *
+ * The index also keeps, per browser (device id), when its last complete run
+ * started. The next run only fingerprints history records written since then
+ * (IndexedDB `updatedAt`); a browser with no entry scans everything once.
+ */
+
+export const BACKUP_INDEX_FILE = 'nbp-backup.json'
+export const BACKUP_INDEX_VERSION = 1
+
+/**
+ * 53-bit string hash (cyrb53), enough to tell versions of one item apart
+ * @param {string} str
+ * @returns {string} Hex digest
+ */
+export const hashString = (str) => {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16)
+}
+
+/**
+ * @param {string} path
+ * @param {{ size: number, lastModified: number }|null} file - OPFS file, null when missing
+ * @returns {string}
+ */
+export const fileStamp = (path, file) => (file ? `${path}:${file.size}:${file.lastModified}` : `${path}:-`)
+
+// Local ids differ per browser; updatedAt moves without content changes
+const withoutLocalFields = (item) => {
+  const rest = { ...item }
+  delete rest.id
+  delete rest.updatedAt
+  return rest
+}
+
+/**
+ * @param {Object} item - History record or character
+ * @param {Array<string>} stamps - fileStamp() of every file it owns
+ * @returns {string}
+ */
+export const itemFingerprint = (item, stamps) => hashString(`${JSON.stringify(withoutLocalFields(item))}|${stamps.join('|')}`)
+
+/** @returns {{ version: number, updatedAt: number|null, history: Object<string, string>, characters: Object<string, string>, scans: Object<string, number> }} */
+export const createBackupIndex = () => ({
+  version: BACKUP_INDEX_VERSION,
+  updatedAt: null,
+  history: {},
+  characters: {},
+  scans: {},
+})
+
+/**
+ * @param {Object|null} data - Parsed nbp-backup.json
+ * @returns {Object} The index, or a new one when missing or unreadable
+ */
+export const parseBackupIndex = (data) => {
+  if (!data || typeof data !== 'object' || data.version !== BACKUP_INDEX_VERSION) return createBackupIndex()
+  const map = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {})
+  return {
+    version: BACKUP_INDEX_VERSION,
+    updatedAt: Number.isFinite(data.updatedAt) ? data.updatedAt : null,
+    history: map(data.history),
+    characters: map(data.characters),
+    scans: Object.fromEntries(Object.entries(map(data.scans)).filter(([, at]) => Number.isFinite(at))),
+  }
+}
+
+/** @param {string} uuid */
+export const recordBackupPath = (uuid) => `records/${uuid}.json`
+
+/** @param {string} uuid */
+export const recordFilesDir = (uuid) => `files/${uuid}`
+
+/** @param {string} uuid */
+export const characterBackupPath = (uuid) => `characters/${uuid}.json`
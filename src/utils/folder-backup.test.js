@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  hashString,
+  fileStamp,
+  itemFingerprint,
+  createBackupIndex,
+  parseBackupIndex,
+  recordBackupPath,
+  recordFilesDir,
+  characterBackupPath,
+} from './folder-backup'
+
+// ============================================================================
+// hashString / fileStamp
+// ============================================================================
+
+describe('hashString', () => {
+  it('is stable and tells strings apart', () => {
+    expect(hashString('hello')).toBe(hashString('hello'))
+    expect(hashString('hello')).not.toBe(hashString('hellp'))
+    expect(hashString('')).toMatch(/^[0-9a-f]+$/)
+  })
+})
+
+describe('fileStamp', () => {
+  it('records size and modification time, or a missing file', () => {
+    expect(fileStamp('/images/1/0.webp', { size: 10, lastModified: 5 })).toBe('/images/1/0.webp:10:5')
+    expect(fileStamp('/images/1/0.webp', null)).toBe('/images/1/0.webp:-')
+  })
+})
+
+// ============================================================================
+// itemFingerprint
+// ============================================================================
+
+describe('itemFingerprint', () => {
+  const record = { id: 1, uuid: 'u', prompt: 'cat', favorite: false }
+  const stamps = ['/images/1/0.webp:10:5']
+
+  it('ignores the local id and updatedAt', () => {
+    expect(itemFingerprint({ ...record, id: 99, updatedAt: 3 }, stamps)).toBe(itemFingerprint(record, stamps))
+  })
+
+  it('changes with the content or the files', () => {
+    const base = itemFingerprint(record, stamps)
+    expect(itemFingerprint({ ...record, favorite: true }, stamps)).not.toBe(base)
+    expect(itemFingerprint(record, ['/images/1/0.webp:12:9'])).not.toBe(base)
+  })
+})
+
+// ============================================================================
+// Backup index
+// ============================================================================
+
+describe('parseBackupIndex', () => {
+  it('keeps a valid index', () => {
+    const data = { version: 1, updatedAt: 10, history: { u: 'abc' }, characters: {}, scans: { d1: 5 } }
+    expect(parseBackupIndex(data)).toEqual(data)
+  })
+
+  it('reads indexes written before per-device scans and drops bad entries', () => {
+    expect(parseBackupIndex({ version: 1, history: {}, characters: {} }).scans).toEqual({})
+    expect(parseBackupIndex({ version: 1, scans: { d1: 5, d2: 'x' } }).scans).toEqual({ d1: 5 })
+  })
+
+  it('starts fresh for missing or foreign data', () => {
+    expect(parseBackupIndex(null)).toEqual(createBackupIndex())
+    expect(parseBackupIndex({ version: 2 })).toEqual(createBackupIndex())
+    expect(parseBackupIndex({ version: 1, history: [] }).history).toEqual({})
+  })
+})
+
+describe('backup paths', () => {
+  it('keys every item by UUID', () => {
+    expect(recordBackupPath('u1')).toBe('records/u1.json')
+    expect(recordFilesDir('u1')).toBe('files/u1')
+    expect(characterBackupPath('c1')).toBe('characters/c1.json')
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * History export archive layout (format version 5, pure)
+ *
+ * A version 5 export is a ZIP (see utils/zip-archive.js):
+ *
+ *   manifest.json                      { version, type, exportedAt, appVersion, records: [entry paths] }
+ *   records/000000.json                One history record each, same fields as version 4
+ *   files/{uuid}/images/{index}.webp   Binaries as raw files; records point at them
+ *   files/{uuid}/video.mp4             with `file` where version 4 had base64 `data`
+ *   files/{uuid}/audio/{page}.{ext}
+ *   files/{uuid}/conversation/{n}.webp Agent conversation images
+ *
+ * Versions 1-4 are a single JSON file with base64 data and are still imported.
+ */
+
+export const HISTORY_ARCHIVE_VERSION = 5
+
+export const MANIFEST_PATH = 'manifest.json'
+
+const FILE_EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+}
+
+/**
+ * @param {number} index - Position of the record in the export
+ * @returns {string}
+ */
+export const recordEntryPath = (index) => `records/${String(index).padStart(6, '0')}.json`
+
+/**
+ * @param {string} uuid - Record UUID
+ * @param {string} name - e.g. 'images/0', 'video', 'audio/2'
+ * @param {string} [mimeType]
+ * @returns {string}
+ */
+export const fileEntryPath = (uuid, name, mimeType) => `files/${uuid}/${name}.${FILE_EXTENSIONS[mimeType] || 'bin'}`
+
+/**
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Array<string>} Record entry paths
+ */
+export const parseHistoryManifest = (manifest) => {
+  if (manifest?.type !== 'history' || !Number.isInteger(manifest.version) || !Array.isArray(manifest.records)) {
+    throw new Error('Invalid export file format')
+  }
+  if (manifest.version > HISTORY_ARCHIVE_VERSION) {
+    throw new Error(`Unsupported export version ${manifest.version}`)
+  }
+  return manifest.records
+}
+
+/**
+ * @param {Object} ref - Image, video, audio entry or conversation part from an export
+ * @returns {boolean} Whether it carries a binary (inline base64 or archive file)
+ */
+export const hasExportedBinary = (ref) => Boolean(ref?.data || ref?.file)
+
+/**
+ * Identifies an import file across page reloads (the same file picked again)
+ * @param {{ name: string, size: number, lastModified: number }} file
+ * @returns {string}
+ */
+export const importFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`
+
+/**
+ * Where an import of this file should continue from
+ * @param {Object|null} checkpoint - Saved after every record
+ * @param {string} fingerprint - importFingerprint of the file being imported
+ * @param {number} total - Records in the file
+ * @returns {{ start: number, pending: string|null, imported: number, skipped: number, failed: number }}
+ *   `pending` is the UUID of a record that was being written when the import stopped
+ */
+export const resumeImport = (checkpoint, fingerprint, total) => {
+  const fresh = { start: 0, pending: null, imported: 0, skipped: 0, failed: 0 }
+  if (checkpoint?.fingerprint !== fingerprint) return fresh
+  const start = Number(checkpoint.next)
+  if (!Number.isInteger(start) || start < 0 || start >= total) return fresh
+  return {
+    start,
+    pending: checkpoint.pending || null,
+    imported: checkpoint.imported || 0,
+    skipped: checkpoint.skipped || 0,
+    failed: checkpoint.failed || 0,
+  }
+}
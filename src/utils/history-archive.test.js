@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import {
+  recordEntryPath,
+  fileEntryPath,
+  parseHistoryManifest,
+  hasExportedBinary,
+  importFingerprint,
+  resumeImport,
+} from './history-archive'
+
+// ============================================================================
+// Entry paths
+// ============================================================================
+
+describe('recordEntryPath / fileEntryPath', () => {
+  it('keeps records in export order', () => {
+    expect(recordEntryPath(0)).toBe('records/000000.json')
+    expect(recordEntryPath(1234)).toBe('records/001234.json')
+  })
+
+  it('names binaries after the record and MIME type', () => {
+    expect(fileEntryPath('abc', 'images/0', 'image/webp')).toBe('files/abc/images/0.webp')
+    expect(fileEntryPath('abc', 'video', 'video/mp4')).toBe('files/abc/video.mp4')
+    expect(fileEntryPath('abc', 'audio/2', 'audio/wav')).toBe('files/abc/audio/2.wav')
+    expect(fileEntryPath('abc', 'audio/3', 'audio/x-unknown')).toBe('files/abc/audio/3.bin')
+  })
+})
+
+// ============================================================================
+// parseHistoryManifest / hasExportedBinary
+// ============================================================================
+
+describe('parseHistoryManifest', () => {
+  it('returns the record entries', () => {
+    const records = ['records/000000.json']
+    expect(parseHistoryManifest({ version: 5, type: 'history', records })).toBe(records)
+  })
+
+  it('rejects other files and newer versions', () => {
+    expect(() => parseHistoryManifest({ version: 1, type: 'characters', characters: [] })).toThrow('Invalid')
+    expect(() => parseHistoryManifest(null)).toThrow('Invalid')
+    expect(() => parseHistoryManifest({ version: 6, type: 'history', records: [] })).toThrow('Unsupported')
+  })
+})
+
+describe('hasExportedBinary', () => {
+  it('accepts inline data and archive files', () => {
+    expect(hasExportedBinary({ data: 'AAAA' })).toBe(true)
+    expect(hasExportedBinary({ file: 'files/a/video.mp4' })).toBe(true)
+    expect(hasExportedBinary({ width: 10 })).toBe(false)
+    expect(hasExportedBinary(null)).toBe(false)
+  })
+})
+
+// ============================================================================
+// importFingerprint / resumeImport
+// ============================================================================
+
+describe('resumeImport', () => {
+  const file = { name: 'nbp-history.zip', size: 2048, lastModified: 1700000000000 }
+  const fingerprint = importFingerprint(file)
+
+  it('continues the same file after the last finished record', () => {
+    const checkpoint = { fingerprint, next: 3, pending: 'u-3', imported: 2, skipped: 1, failed: 0 }
+    expect(resumeImport(checkpoint, fingerprint, 10)).toEqual({
+      start: 3,
+      pending: 'u-3',
+      imported: 2,
+      skipped: 1,
+      failed: 0,
+    })
+  })
+
+  it('keeps a record interrupted before anything finished', () => {
+    expect(resumeImport({ fingerprint, next: 0, pending: 'u-0' }, fingerprint, 10)).toMatchObject({
+      start: 0,
+      pending: 'u-0',
+    })
+  })
+
+  it('starts over for another file or a finished checkpoint', () => {
+    const fresh = { start: 0, pending: null, imported: 0, skipped: 0, failed: 0 }
+    expect(resumeImport({ fingerprint: 'other', next: 3 }, fingerprint, 10)).toEqual(fresh)
+    expect(resumeImport({ fingerprint, next: 10 }, fingerprint, 10)).toEqual(fresh)
+    expect(resumeImport(null, fingerprint, 10)).toEqual(fresh)
+  })
+})
@@ -0,0 +1,182 @@
+/**
+ * History collections helpers (pure)
+ *
+ * A history record can be starred (`favorite`), carry free-form `tags` and
+ * belong to any number of named `albums`. Albums have no store of their own:
+ * an album exists while at least one record lists it. Tags and album names
+ * compare case-insensitively; the first spelling seen is kept.
+ * State and UI live in composables/useHistoryCollections.js.
+ */
+
+export const MAX_TAG_LENGTH = 40
+export const MAX_ALBUM_NAME_LENGTH = 60
+export const MAX_TAGS_PER_RECORD = 30
+
+const collapse = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '')
+
+/**
+ * Clean one tag: trimmed, inner whitespace collapsed, leading '#' dropped
+ * @param {string} tag
+ * @returns {string} '' if unusable
+ */
+export const normalizeTag = (tag) => collapse(tag).replace(/^#+/, '').trim().slice(0, MAX_TAG_LENGTH)
+
+/**
+ * @param {string} name
+ * @returns {string} '' if unusable
+ */
+export const normalizeAlbumName = (name) => collapse(name).slice(0, MAX_ALBUM_NAME_LENGTH)
+
+const dedupe = (values, normalize, limit = Infinity) => {
+  const seen = new Set()
+  const result = []
+  for (const raw of Array.isArray(values) ? values : []) {
+    const value = normalize(raw)
+    const key = value.toLowerCase()
+    if (!value || seen.has(key)) continue
+    seen.add(key)
+    result.push(value)
+    if (result.length >= limit) break
+  }
+  return result
+}
+
+/** @param {Array<string>} tags @returns {string[]} */
+export const normalizeTags = (tags) => dedupe(tags, normalizeTag, MAX_TAGS_PER_RECORD)
+
+/** @param {Array<string>} albums @returns {string[]} */
+export const normalizeAlbums = (albums) => dedupe(albums, normalizeAlbumName)
+
+/**
+ * Split free text typed into a tag field ("cat, #sunset  night") into tags
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseTagInput = (text) => normalizeTags(String(text || '').split(/[,，\n]/))
+
+/**
+ * The collection fields of a record, normalized (for export, sync and updates)
+ * @param {Object} record
+ * @returns {{ favorite: boolean, tags: string[], albums: string[] }}
+ */
+export const pickCollections = (record) => ({
+  favorite: record?.favorite === true,
+  tags: normalizeTags(record?.tags),
+  albums: normalizeAlbums(record?.albums),
+})
+
+/**
+ * Combine the collections of the same record from two sources (an import or a
+ * peer sending a record we already have): tags and albums are unioned, a star
+ * on either side wins.
+ * @param {Object} existing - Local record
+ * @param {Object} incoming - Imported / received record
+ * @returns {{ favorite: boolean, tags: string[], albums: string[] }}
+ */
+export const mergeCollections = (existing, incoming) => {
+  const a = pickCollections(existing)
+  const b = pickCollections(incoming)
+  return {
+    favorite: a.favorite || b.favorite,
+    tags: normalizeTags([...a.tags, ...b.tags]),
+    albums: normalizeAlbums([...a.albums, ...b.albums]),
+  }
+}
+
+/**
+ * Whether merging would change the local record
+ * @param {Object} existing
+ * @param {{ favorite: boolean, tags: string[], albums: string[] }} merged
+ * @returns {boolean}
+ */
+export const collectionsDiffer = (existing, merged) =>
+  JSON.stringify(pickCollections(existing)) !== JSON.stringify(pickCollections(merged))
+
+/**
+ * Merge name counts that differ only in case (e.g. keys read from an
+ * IndexedDB index), sorted by count then name
+ * @param {Array<{ name: string, count: number }>} entries - Exact spellings
+ * @returns {Array<{ name: string, count: number, keys: string[] }>} keys lists every spelling
+ */
+export const groupNameCounts = (entries) => {
+  const groups = new Map()
+  for (const { name, count } of entries || []) {
+    if (typeof name !== 'string' || !name) continue
+    const key = name.toLowerCase()
+    const group = groups.get(key)
+    if (group) {
+      group.count += count
+      group.keys.push(name)
+    } else {
+      groups.set(key, { name, count, keys: [name] })
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+/**
+ * Every tag (or album) used in a history list with its record count
+ * @param {Array<Object>} history
+ * @param {'tags'|'albums'} field
+ * @returns {Array<{ name: string, count: number, keys: string[] }>}
+ */
+export const collectNames = (history, field) => {
+  const counts = new Map()
+  for (const record of history || []) {
+    const names = field === 'albums' ? normalizeAlbums(record?.albums) : normalizeTags(record?.tags)
+    for (const name of names) counts.set(name, (counts.get(name) || 0) + 1)
+  }
+  return groupNameCounts([...counts].map(([name, count]) => ({ name, count })))
+}
+
+const includesName = (names, name) => {
+  const key = name.toLowerCase()
+  return (names || []).some((n) => typeof n === 'string' && n.toLowerCase() === key)
+}
+
+/**
+ * @param {Object} record
+ * @param {{ favoritesOnly?: boolean, album?: string, tags?: string[] }} filter
+ *   Records must carry every selected tag
+ * @returns {boolean}
+ */
+export const matchesCollectionFilter = (record, filter = {}) => {
+  if (filter.favoritesOnly && record?.favorite !== true) return false
+  if (filter.album && !includesName(record?.albums, filter.album)) return false
+  for (const tag of filter.tags || []) {
+    if (!includesName(record?.tags, tag)) return false
+  }
+  return true
+}
+
+/**
+ * Album list of a record after renaming an album
+ * @param {Array<string>} albums
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export const renameInList = (albums, from, to) => {
+  const key = from.toLowerCase()
+  return normalizeAlbums((albums || []).map((a) => (typeof a === 'string' && a.toLowerCase() === key ? to : a)))
+}
+
+/**
+ * @param {Array<string>} names
+ * @param {string} name
+ * @returns {string[]}
+ */
+export const removeFromList = (names, name) => {
+  const key = name.toLowerCase()
+  return (names || []).filter((n) => typeof n === 'string' && n.toLowerCase() !== key)
+}
+
+/**
+ * Searchable line for the search index, e.g. "#cat #sunset Trip 2026"
+ * @param {Object} record
+ * @returns {string} '' when the record has no tags or albums
+ */
+export const collectionsSearchText = (record) => {
+  const { tags, albums } = pickCollections(record)
+  return [...tags.map((t) => `#${t}`), ...albums].join(' ')
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_RECORD,
+  normalizeTag,
+  normalizeTags,
+  normalizeAlbums,
+  parseTagInput,
+  pickCollections,
+  mergeCollections,
+  collectionsDiffer,
+  groupNameCounts,
+  collectNames,
+  matchesCollectionFilter,
+  renameInList,
+  removeFromList,
+  collectionsSearchText,
+} from './history-collections'
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+describe('normalizeTag', () => {
+  it('trims, collapses whitespace and drops leading #', () => {
+    expect(normalizeTag('  ##night   sky ')).toBe('night sky')
+  })
+
+  it('returns empty string for non-strings and blanks', () => {
+    expect(normalizeTag(null)).toBe('')
+    expect(normalizeTag(42)).toBe('')
+    expect(normalizeTag(' # ')).toBe('')
+  })
+
+  it('caps the length', () => {
+    expect(normalizeTag('x'.repeat(100))).toHaveLength(MAX_TAG_LENGTH)
+  })
+})
+
+describe('normalizeTags / normalizeAlbums', () => {
+  it('dedupes case-insensitively keeping the first spelling', () => {
+    expect(normalizeTags(['Cat', 'cat', ' CAT ', 'dog'])).toEqual(['Cat', 'dog'])
+    expect(normalizeAlbums(['Trip', 'trip', 'Work'])).toEqual(['Trip', 'Work'])
+  })
+
+  it('treats non-arrays as empty', () => {
+    expect(normalizeTags(undefined)).toEqual([])
+    expect(normalizeAlbums('Trip')).toEqual([])
+  })
+
+  it('limits the number of tags per record', () => {
+    const many = Array.from({ length: 50 }, (_, i) => `t${i}`)
+    expect(normalizeTags(many)).toHaveLength(MAX_TAGS_PER_RECORD)
+  })
+})
+
+describe('parseTagInput', () => {
+  it('splits on commas (including full-width) and newlines', () => {
+    expect(parseTagInput('cat, #sunset，夜景\nnight sky')).toEqual(['cat', 'sunset', '夜景', 'night sky'])
+  })
+
+  it('handles empty input', () => {
+    expect(parseTagInput('')).toEqual([])
+    expect(parseTagInput(null)).toEqual([])
+  })
+})
+
+// ============================================================================
+// Merge
+// ============================================================================
+
+describe('pickCollections', () => {
+  it('defaults missing fields', () => {
+    expect(pickCollections({ prompt: 'x' })).toEqual({ favorite: false, tags: [], albums: [] })
+    expect(pickCollections(null)).toEqual({ favorite: false, tags: [], albums: [] })
+  })
+
+  it('only accepts a boolean true star', () => {
+    expect(pickCollections({ favorite: 'yes' }).favorite).toBe(false)
+    expect(pickCollections({ favorite: true }).favorite).toBe(true)
+  })
+})
+
+describe('mergeCollections', () => {
+  it('unions tags and albums and ORs the star', () => {
+    const merged = mergeCollections(
+      { favorite: false, tags: ['cat', 'Night'], albums: ['Trip'] },
+      { favorite: true, tags: ['night', 'sky'], albums: ['trip', 'Work'] },
+    )
+    expect(merged).toEqual({ favorite: true, tags: ['cat', 'Night', 'sky'], albums: ['Trip', 'Work'] })
+  })
+
+  it('keeps local data when the incoming record has none (older export)', () => {
+    const local = { favorite: true, tags: ['cat'], albums: ['Trip'] }
+    expect(mergeCollections(local, {})).toEqual(local)
+  })
+})
+
+describe('collectionsDiffer', () => {
+  it('detects whether a merge changes the record', () => {
+    const local = { favorite: true, tags: ['cat'] }
+    expect(collectionsDiffer(local, mergeCollections(local, { tags: ['CAT'] }))).toBe(false)
+    expect(collectionsDiffer(local, mergeCollections(local, { tags: ['dog'] }))).toBe(true)
+  })
+})
+
+// ============================================================================
+// Listing and filtering
+// ============================================================================
+
+const history = [
+  { id: 1, favorite: true, tags: ['cat', 'night'], albums: ['Trip'] },
+  { id: 2, tags: ['Cat'], albums: ['trip', 'Work'] },
+  { id: 3, tags: ['dog'] },
+  { id: 4 },
+]
+
+describe('groupNameCounts', () => {
+  it('merges spellings that differ only in case', () => {
+    expect(groupNameCounts([
+      { name: 'cat', count: 2 },
+      { name: 'Cat', count: 1 },
+      { name: 'dog', count: 4 },
+    ])).toEqual([
+      { name: 'dog', count: 4, keys: ['dog'] },
+      { name: 'cat', count: 3, keys: ['cat', 'Cat'] },
+    ])
+  })
+})
+
+describe('collectNames', () => {
+  it('counts tags case-insensitively, most used first', () => {
+    expect(collectNames(history, 'tags')).toEqual([
+      { name: 'cat', count: 2, keys: ['cat', 'Cat'] },
+      { name: 'dog', count: 1, keys: ['dog'] },
+      { name: 'night', count: 1, keys: ['night'] },
+    ])
+  })
+
+  it('lists albums', () => {
+    expect(collectNames(history, 'albums').map(({ name, count }) => ({ name, count }))).toEqual([
+      { name: 'Trip', count: 2 },
+      { name: 'Work', count: 1 },
+    ])
+  })
+})
+
+describe('matchesCollectionFilter', () => {
+  const ids = (filter) => history.filter((r) => matchesCollectionFilter(r, filter)).map((r) => r.id)
+
+  it('passes everything without a filter', () => {
+    expect(ids({})).toEqual([1, 2, 3, 4])
+  })
+
+  it('filters by star, album and all selected tags', () => {
+    expect(ids({ favoritesOnly: true })).toEqual([1])
+    expect(ids({ album: 'TRIP' })).toEqual([1, 2])
+    expect(ids({ tags: ['cat'] })).toEqual([1, 2])
+    expect(ids({ tags: ['cat', 'night'] })).toEqual([1])
+    expect(ids({ album: 'Work', tags: ['night'] })).toEqual([])
+  })
+})
+
+describe('renameInList / removeFromList', () => {
+  it('renames case-insensitively and merges into an existing name', () => {
+    expect(renameInList(['Trip', 'Work'], 'trip', 'Holiday')).toEqual(['Holiday', 'Work'])
+    expect(renameInList(['Trip', 'Work'], 'Trip', 'work')).toEqual(['work'])
+  })
+
+  it('removes case-insensitively', () => {
+    expect(removeFromList(['Trip', 'Work'], 'TRIP')).toEqual(['Work'])
+    expect(removeFromList(undefined, 'Trip')).toEqual([])
+  })
+})
+
+describe('collectionsSearchText', () => {
+  it('prefixes tags with # and appends albums', () => {
+    expect(collectionsSearchText(history[0])).toBe('#cat #night Trip')
+  })
+
+  it('is empty for records without collections', () => {
+    expect(collectionsSearchText(history[3])).toBe('')
+  })
+})
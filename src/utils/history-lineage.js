@@ -0,0 +1,188 @@
+/**
+ * History lineage helpers (pure)
+ *
+ * A history record lists the records it was derived from in `parents`:
+ * [{ uuid, relation }]. Links use the record uuid, so they survive export,
+ * import and peer sync (ids are local). The uuids are also indexed through
+ * `facets.parents` to find a record's children.
+ * Loading lives in composables/useHistoryLineage.js.
+ */
+
+// How a record was derived from its parent
+export const LINEAGE_RELATIONS = ['edit', 'reference', 'extend-video', 'sticker']
+
+// Multi-entry index over the parent uuids (see computeHistoryFacets)
+export const LINEAGE_INDEX = 'facets.parents'
+
+// Records loaded for one lineage view
+export const LINEAGE_MAX_RECORDS = 100
+
+// Modes that send store.referenceImages to the model (see useGeneration.executeGeneration)
+const REFERENCE_IMAGE_MODES = ['generate', 'sticker', 'edit', 'story', 'diagram']
+
+/**
+ * Valid parent links, one per parent uuid (the first relation wins)
+ * @param {Array<{ uuid: string, relation: string }>} parents
+ * @returns {Array<{ uuid: string, relation: string }>}
+ */
+export const normalizeParents = (parents) => {
+  const seen = new Set()
+  const result = []
+  for (const link of Array.isArray(parents) ? parents : []) {
+    const uuid = typeof link?.uuid === 'string' ? link.uuid : ''
+    if (!uuid || seen.has(uuid) || !LINEAGE_RELATIONS.includes(link.relation)) continue
+    seen.add(uuid)
+    result.push({ uuid, relation: link.relation })
+  }
+  return result
+}
+
+/**
+ * The lineage fields of a record, normalized (for export and sync)
+ * @param {Object} record
+ * @returns {{ parents: Array<{ uuid: string, relation: string }> }}
+ */
+export const pickLineage = (record) => ({ parents: normalizeParents(record?.parents) })
+
+/**
+ * @param {Object} record
+ * @returns {string[]} Parent uuids (indexed as facets.parents)
+ */
+export const getParentUuids = (record) => normalizeParents(record?.parents).map((link) => link.uuid)
+
+/**
+ * Where a generation's inputs came from. Reference images taken from history
+ * carry `source: { uuid, relation? }`; they count as 'edit' in edit mode and
+ * 'reference' elsewhere unless the source says otherwise (stickers).
+ * @param {Object} inputs
+ * @param {string} inputs.mode
+ * @param {Array<Object>} [inputs.referenceImages]
+ * @param {{ uuid?: string }|null} [inputs.inputVideo] - Video being extended
+ * @returns {Array<{ uuid: string, relation: string }>}
+ */
+export const buildParentLinks = ({ mode, referenceImages = [], inputVideo = null }) => {
+  const links = []
+  if (mode === 'video' && inputVideo?.uuid) {
+    links.push({ uuid: inputVideo.uuid, relation: 'extend-video' })
+  }
+  if (REFERENCE_IMAGE_MODES.includes(mode)) {
+    for (const image of referenceImages || []) {
+      const source = image?.source
+      if (!source?.uuid) continue
+      links.push({ uuid: source.uuid, relation: source.relation || (mode === 'edit' ? 'edit' : 'reference') })
+    }
+  }
+  return normalizeParents(links)
+}
+
+/**
+ * Load every record in a record's lineage: all its ancestors, then
+ * everything descended from them (siblings and cousins included)
+ * @param {Object} record - Record to start from (with uuid)
+ * @param {Object} lookups
+ * @param {function(string): Promise<Object|null>} lookups.getRecord - By uuid
+ * @param {function(string): Promise<Array<Object>>} lookups.getChildren - Records listing the uuid as a parent
+ * @param {number} [limit]
+ * @returns {Promise<{ records: Map<string, Object>, missing: Set<string>, truncated: boolean }>}
+ *   `missing` holds parent uuids that aren't in history (deleted, or never imported)
+ */
+export const collectLineage = async (record, { getRecord, getChildren }, limit = LINEAGE_MAX_RECORDS) => {
+  const records = new Map([[record.uuid, record]])
+  const missing = new Set()
+
+  const up = [record]
+  while (up.length > 0) {
+    for (const uuid of getParentUuids(up.pop())) {
+      if (records.has(uuid) || missing.has(uuid)) continue
+      const parent = await getRecord(uuid)
+      if (!parent) {
+        missing.add(uuid)
+        continue
+      }
+      records.set(uuid, parent)
+      up.push(parent)
+    }
+  }
+
+  let truncated = false
+  const down = [...records.values()]
+  while (down.length > 0 && !truncated) {
+    for (const child of await getChildren(down.shift().uuid)) {
+      if (records.has(child.uuid)) continue
+      if (records.size >= limit) {
+        truncated = true
+        break
+      }
+      records.set(child.uuid, child)
+      down.push(child)
+    }
+  }
+
+  return { records, missing, truncated }
+}
+
+const byTimestamp = (a, b) => (a.record?.timestamp ?? 0) - (b.record?.timestamp ?? 0)
+
+/**
+ * Arrange a lineage as a tree. A record with several parents in the lineage
+ * appears under each of them, expanded only the first time (`repeated`).
+ * Missing parents become placeholder roots (`missing`).
+ * @param {{ records: Map<string, Object>, missing: Set<string> }} lineage - From collectLineage
+ * @param {string} currentUuid - Record the view was opened on
+ * @returns {Array<Object>} Root nodes { uuid, record, relation, isCurrent, missing, repeated, children }
+ */
+export const buildLineageTree = ({ records, missing = new Set() }, currentUuid) => {
+  const childLinks = new Map()
+  const rootUuids = []
+  for (const record of records.values()) {
+    const links = normalizeParents(record.parents).filter((link) => records.has(link.uuid) || missing.has(link.uuid))
+    if (links.length === 0) rootUuids.push(record.uuid)
+    for (const link of links) {
+      if (!childLinks.has(link.uuid)) childLinks.set(link.uuid, [])
+      childLinks.get(link.uuid).push({ uuid: record.uuid, relation: link.relation })
+    }
+  }
+  for (const uuid of missing) {
+    if (childLinks.has(uuid)) rootUuids.push(uuid)
+  }
+  // Only a parent loop (e.g. from hand-edited imports) leaves no root
+  if (rootUuids.length === 0 && records.has(currentUuid)) rootUuids.push(currentUuid)
+
+  const expanded = new Set()
+  const buildNode = (uuid, relation) => {
+    const node = {
+      uuid,
+      record: records.get(uuid) || null,
+      relation,
+      isCurrent: uuid === currentUuid,
+      missing: !records.has(uuid),
+      repeated: expanded.has(uuid),
+      children: [],
+    }
+    if (node.repeated) return node
+    expanded.add(uuid)
+    node.children = (childLinks.get(uuid) || [])
+      .map((link) => buildNode(link.uuid, link.relation))
+      .sort(byTimestamp)
+    return node
+  }
+
+  // Missing placeholders first, then the oldest originals
+  return rootUuids.map((uuid) => buildNode(uuid, null)).sort((a, b) => b.missing - a.missing || byTimestamp(a, b))
+}
+
+/**
+ * Flatten a tree into rows for display, depth first
+ * @param {Array<Object>} roots - From buildLineageTree
+ * @returns {Array<{ key: string, depth: number, node: Object }>}
+ */
+export const flattenLineageTree = (roots) => {
+  const rows = []
+  const visit = (node, depth, path) => {
+    const key = `${path}/${node.uuid}`
+    rows.push({ key, depth, node })
+    for (const child of node.children) visit(child, depth + 1, key)
+  }
+  for (const root of roots) visit(root, 0, '')
+  return rows
+}
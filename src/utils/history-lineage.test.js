@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeParents,
+  pickLineage,
+  getParentUuids,
+  buildParentLinks,
+  collectLineage,
+  buildLineageTree,
+  flattenLineageTree,
+} from './history-lineage'
+
+const record = (uuid, timestamp, parents = []) => ({ uuid, timestamp, parents })
+
+// In-memory lookups for collectLineage
+const lookupsFor = (records) => ({
+  getRecord: async (uuid) => records.find((r) => r.uuid === uuid) || null,
+  getChildren: async (uuid) => records.filter((r) => getParentUuids(r).includes(uuid)),
+})
+
+// ============================================================================
+// Parent links
+// ============================================================================
+
+describe('normalizeParents', () => {
+  it('keeps valid links, one per parent', () => {
+    expect(
+      normalizeParents([
+        { uuid: 'a', relation: 'edit' },
+        { uuid: 'a', relation: 'reference' },
+        { uuid: 'b', relation: 'unknown' },
+        { uuid: '', relation: 'edit' },
+        null,
+        { uuid: 'c', relation: 'sticker', extra: true },
+      ]),
+    ).toEqual([
+      { uuid: 'a', relation: 'edit' },
+      { uuid: 'c', relation: 'sticker' },
+    ])
+  })
+
+  it('returns an empty list for records without parents', () => {
+    expect(normalizeParents(undefined)).toEqual([])
+    expect(pickLineage({})).toEqual({ parents: [] })
+    expect(getParentUuids(null)).toEqual([])
+  })
+})
+
+describe('buildParentLinks', () => {
+  const fromHistory = { data: 'x', source: { uuid: 'p1' } }
+  const sticker = { data: 'y', source: { uuid: 'p2', relation: 'sticker' } }
+  const upload = { data: 'z' }
+
+  it('links history references as edits in edit mode and references elsewhere', () => {
+    expect(buildParentLinks({ mode: 'edit', referenceImages: [fromHistory, upload] })).toEqual([
+      { uuid: 'p1', relation: 'edit' },
+    ])
+    expect(buildParentLinks({ mode: 'generate', referenceImages: [fromHistory] })).toEqual([
+      { uuid: 'p1', relation: 'reference' },
+    ])
+  })
+
+  it('keeps the relation a source names', () => {
+    expect(buildParentLinks({ mode: 'edit', referenceImages: [sticker] })).toEqual([
+      { uuid: 'p2', relation: 'sticker' },
+    ])
+  })
+
+  it('links the extended video only in video mode', () => {
+    const inputVideo = { historyId: 3, uuid: 'v1' }
+    expect(buildParentLinks({ mode: 'video', referenceImages: [fromHistory], inputVideo })).toEqual([
+      { uuid: 'v1', relation: 'extend-video' },
+    ])
+    expect(buildParentLinks({ mode: 'generate', inputVideo })).toEqual([])
+  })
+
+  it('ignores references in modes that do not use them', () => {
+    expect(buildParentLinks({ mode: 'slides', referenceImages: [fromHistory] })).toEqual([])
+  })
+})
+
+// ============================================================================
+// collectLineage
+// ============================================================================
+
+describe('collectLineage', () => {
+  // root -> a -> b, root -> c (sibling branch), unrelated u
+  const root = record('root', 1)
+  const a = record('a', 2, [{ uuid: 'root', relation: 'edit' }])
+  const b = record('b', 3, [{ uuid: 'a', relation: 'reference' }])
+  const c = record('c', 4, [{ uuid: 'root', relation: 'sticker' }])
+  const u = record('u', 5)
+  const all = [root, a, b, c, u]
+
+  it('loads ancestors and everything descended from them', async () => {
+    const { records, missing, truncated } = await collectLineage(a, lookupsFor(all))
+    expect([...records.keys()].sort()).toEqual(['a', 'b', 'c', 'root'])
+    expect(missing.size).toBe(0)
+    expect(truncated).toBe(false)
+  })
+
+  it('reports parents that are not in history', async () => {
+    const orphan = record('o', 6, [{ uuid: 'gone', relation: 'edit' }])
+    const { records, missing } = await collectLineage(orphan, lookupsFor([...all, orphan]))
+    expect([...records.keys()]).toEqual(['o'])
+    expect([...missing]).toEqual(['gone'])
+  })
+
+  it('stops at the record limit', async () => {
+    const { records, truncated } = await collectLineage(root, lookupsFor(all), 2)
+    expect(records.size).toBe(2)
+    expect(truncated).toBe(true)
+  })
+})
+
+// ============================================================================
+// buildLineageTree / flattenLineageTree
+// ============================================================================
+
+describe('buildLineageTree', () => {
+  it('nests children under their parents, oldest first', async () => {
+    const root = record('root', 1)
+    const later = record('later', 5, [{ uuid: 'root', relation: 'reference' }])
+    const earlier = record('earlier', 2, [{ uuid: 'root', relation: 'edit' }])
+    const lineage = await collectLineage(root, lookupsFor([root, later, earlier]))
+    const [tree] = buildLineageTree(lineage, 'earlier')
+
+    expect(tree).toMatchObject({ uuid: 'root', relation: null, isCurrent: false, missing: false })
+    expect(tree.children.map((n) => [n.uuid, n.relation, n.isCurrent])).toEqual([
+      ['earlier', 'edit', true],
+      ['later', 'reference', false],
+    ])
+  })
+
+  it('shows a record with two parents under both, expanded once', async () => {
+    const p1 = record('p1', 1)
+    const p2 = record('p2', 2)
+    const mix = record('mix', 3, [
+      { uuid: 'p1', relation: 'reference' },
+      { uuid: 'p2', relation: 'reference' },
+    ])
+    const child = record('child', 4, [{ uuid: 'mix', relation: 'edit' }])
+    const lineage = await collectLineage(child, lookupsFor([p1, p2, mix, child]))
+    const rows = flattenLineageTree(buildLineageTree(lineage, 'child'))
+
+    expect(rows.map((r) => [r.node.uuid, r.depth, r.node.repeated])).toEqual([
+      ['p1', 0, false],
+      ['mix', 1, false],
+      ['child', 2, false],
+      ['p2', 0, false],
+      ['mix', 1, true],
+    ])
+    expect(new Set(rows.map((r) => r.key)).size).toBe(rows.length)
+  })
+
+  it('adds a placeholder root for a missing parent', async () => {
+    const orphan = record('o', 6, [{ uuid: 'gone', relation: 'extend-video' }])
+    const tree = buildLineageTree(await collectLineage(orphan, lookupsFor([orphan])), 'o')
+    expect(tree).toHaveLength(1)
+    expect(tree[0]).toMatchObject({ uuid: 'gone', record: null, missing: true })
+    expect(tree[0].children[0]).toMatchObject({ uuid: 'o', relation: 'extend-video', isCurrent: true })
+  })
+
+  it('still shows the current record when parents form a loop', async () => {
+    const x = record('x', 1, [{ uuid: 'y', relation: 'edit' }])
+    const y = record('y', 2, [{ uuid: 'x', relation: 'edit' }])
+    const rows = flattenLineageTree(buildLineageTree(await collectLineage(x, lookupsFor([x, y])), 'x'))
+    expect(rows.map((r) => [r.node.uuid, r.node.repeated])).toEqual([
+      ['x', false],
+      ['y', false],
+      ['x', true],
+    ])
+  })
+})
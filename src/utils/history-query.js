@@ -0,0 +1,171 @@
+/**
+ * History query helpers (pure)
+ *
+ * Filters and sorts for the history list that run over the whole history
+ * store instead of the loaded page. Values that live deep in a record (model,
+ * resolution, ratio) or are derived (has audio / video) are copied into a flat
+ * `facets` object on every write, so IndexedDB can index them. The query picks
+ * one index to walk and checks the rest of the filter per record.
+ * Persistence lives in composables/useIndexedDB.js.
+ */
+
+import { getHistoryModelCode } from './model-display-name'
+import { matchesCollectionFilter } from './history-collections'
+import { getParentUuids } from './history-lineage'
+
+export const HISTORY_SORTS = ['newest', 'oldest', 'duration']
+export const HISTORY_STATUSES = ['success', 'partial', 'failed']
+
+// Index name per facet field (keyPaths into the record)
+export const FACET_INDEXES = {
+  model: 'facets.model',
+  resolution: 'facets.resolution',
+  ratio: 'facets.ratio',
+  hasAudio: 'facets.hasAudio',
+  hasVideo: 'facets.hasVideo',
+}
+
+const validKey = (value) => (typeof value === 'string' && value ? value : undefined)
+
+/**
+ * Indexable summary of a record. Booleans are stored as 0/1 because
+ * IndexedDB can't index booleans; missing values stay out of the index.
+ * @param {Object} record - History record
+ * @returns {{ model?: string, resolution?: string, ratio?: string, hasAudio: number, hasVideo: number, parents?: string[] }}
+ */
+export const computeHistoryFacets = (record) => {
+  const options = record?.options || {}
+  const facets = {
+    hasAudio: record?.narration?.audio?.length > 0 ? 1 : 0,
+    hasVideo: record?.video?.opfsPath ? 1 : 0,
+  }
+  const model = validKey(getHistoryModelCode(record?.mode, options))
+  const resolution = validKey(options.resolution)
+  const ratio = validKey(options.ratio)
+  const parents = getParentUuids(record)
+  if (model) facets.model = model
+  if (resolution) facets.resolution = resolution
+  if (ratio) facets.ratio = ratio
+  // Indexed multi-entry as LINEAGE_INDEX to find a record's children
+  if (parents.length > 0) facets.parents = parents
+  return facets
+}
+
+/**
+ * Record with up-to-date facets (call before every history write)
+ * @param {Object} record
+ * @returns {Object} Same record, mutated
+ */
+export const withHistoryFacets = (record) => {
+  record.facets = computeHistoryFacets(record)
+  return record
+}
+
+/**
+ * Local-day bounds for a date range picked with <input type="date">
+ * @param {string} from - 'YYYY-MM-DD' or ''
+ * @param {string} to - 'YYYY-MM-DD' or ''
+ * @returns {{ dateFrom: number|null, dateTo: number|null }} Inclusive timestamps
+ */
+export const dateRangeToTimestamps = (from, to) => {
+  const parse = (value, endOfDay) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '')
+    if (!match) return null
+    const [, y, m, d] = match.map(Number)
+    return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime()
+  }
+  return { dateFrom: parse(from, false), dateTo: parse(to, true) }
+}
+
+/**
+ * Whether any filter beyond the default "all" view is set
+ * @param {Object} filter - See matchesHistoryFilter
+ * @returns {boolean}
+ */
+export const isHistoryFilterActive = (filter = {}) =>
+  (!!filter.mode && filter.mode !== 'all') ||
+  filter.dateFrom != null ||
+  filter.dateTo != null ||
+  !!filter.model ||
+  !!filter.resolution ||
+  !!filter.ratio ||
+  !!filter.status ||
+  !!filter.hasAudio ||
+  !!filter.hasVideo ||
+  !!filter.character ||
+  !!filter.favoritesOnly ||
+  !!filter.album ||
+  filter.tags?.length > 0
+
+/**
+ * @param {Object} record - History record
+ * @param {Object} filter
+ * @param {string} [filter.mode] - 'all' or a generation mode
+ * @param {number|null} [filter.dateFrom] - Inclusive timestamp
+ * @param {number|null} [filter.dateTo] - Inclusive timestamp
+ * @param {string} [filter.model] - Model code name
+ * @param {string} [filter.resolution]
+ * @param {string} [filter.ratio]
+ * @param {string} [filter.status] - One of HISTORY_STATUSES
+ * @param {boolean} [filter.hasAudio]
+ * @param {boolean} [filter.hasVideo]
+ * @param {string} [filter.character] - Character name
+ * @param {boolean} [filter.favoritesOnly] - See history-collections.js
+ * @param {string} [filter.album]
+ * @param {string[]} [filter.tags]
+ * @returns {boolean}
+ */
+export const matchesHistoryFilter = (record, filter = {}) => {
+  if (!record) return false
+  if (filter.mode && filter.mode !== 'all' && record.mode !== filter.mode) return false
+  if (filter.dateFrom != null && !(record.timestamp >= filter.dateFrom)) return false
+  if (filter.dateTo != null && !(record.timestamp <= filter.dateTo)) return false
+  if (filter.status && (record.status || 'success') !== filter.status) return false
+  if (filter.character && record.characterName !== filter.character) return false
+
+  const facets = computeHistoryFacets(record)
+  if (filter.model && facets.model !== filter.model) return false
+  if (filter.resolution && facets.resolution !== filter.resolution) return false
+  if (filter.ratio && facets.ratio !== filter.ratio) return false
+  if (filter.hasAudio && !facets.hasAudio) return false
+  if (filter.hasVideo && !facets.hasVideo) return false
+
+  return matchesCollectionFilter(record, filter)
+}
+
+/**
+ * The index to walk for a filter: the first set field in a rough order of
+ * selectivity, falling back to the timestamp index (with the date range).
+ * Case variants of album/tag names are passed in as albumKeys/tagKeys.
+ * @param {Object} filter - See matchesHistoryFilter, plus albumKeys / tagKeys
+ * @returns {{ index: string, keys?: Array<string|number>, range?: { lower: number|null, upper: number|null } }}
+ */
+export const pickHistoryIndex = (filter = {}) => {
+  if (filter.album) return { index: 'albums', keys: filter.albumKeys?.length ? filter.albumKeys : [filter.album] }
+  if (filter.tags?.length) return { index: 'tags', keys: filter.tagKeys?.length ? filter.tagKeys : [filter.tags[0]] }
+  if (filter.character) return { index: 'characterName', keys: [filter.character] }
+  if (filter.hasVideo) return { index: FACET_INDEXES.hasVideo, keys: [1] }
+  if (filter.hasAudio) return { index: FACET_INDEXES.hasAudio, keys: [1] }
+  if (filter.status && filter.status !== 'success') return { index: 'status', keys: [filter.status] }
+  if (filter.model) return { index: FACET_INDEXES.model, keys: [filter.model] }
+  if (filter.resolution) return { index: FACET_INDEXES.resolution, keys: [filter.resolution] }
+  if (filter.ratio) return { index: FACET_INDEXES.ratio, keys: [filter.ratio] }
+  if (filter.mode && filter.mode !== 'all') return { index: 'mode', keys: [filter.mode] }
+  return { index: 'timestamp', range: { lower: filter.dateFrom ?? null, upper: filter.dateTo ?? null } }
+}
+
+/**
+ * Sort query matches in place
+ * @param {Array<{ id: number, timestamp: number, generationTime?: number }>} entries
+ * @param {string} sort - One of HISTORY_SORTS
+ * @returns {Array} The same array
+ */
+export const sortHistoryEntries = (entries, sort = 'newest') => {
+  const byNewest = (a, b) => b.timestamp - a.timestamp || b.id - a.id
+  if (sort === 'oldest') return entries.sort((a, b) => -byNewest(a, b))
+  if (sort === 'duration') {
+    // Longest first; records without a duration go last
+    return entries.sort((a, b) => (b.generationTime ?? -1) - (a.generationTime ?? -1) || byNewest(a, b))
+  }
+  return entries.sort(byNewest)
+}
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest'
+import {
+  FACET_INDEXES,
+  computeHistoryFacets,
+  withHistoryFacets,
+  dateRangeToTimestamps,
+  isHistoryFilterActive,
+  matchesHistoryFilter,
+  pickHistoryIndex,
+  sortHistoryEntries,
+} from './history-query'
+
+const DAY = 86_400_000
+
+const history = [
+  {
+    id: 1,
+    mode: 'generate',
+    timestamp: 1000 * DAY,
+    status: 'success',
+    options: { model: 'gemini-3.1-flash-image-preview', resolution: '2k', ratio: '16:9' },
+    characterName: 'Mochi',
+    generationTime: 12_000,
+    tags: ['cat'],
+  },
+  {
+    id: 2,
+    mode: 'slides',
+    timestamp: 1001 * DAY,
+    status: 'partial',
+    options: { resolution: '1k', ratio: '16:9' },
+    narration: { audio: [{ opfsPath: '/audio/2/0.mp3' }] },
+    generationTime: 90_000,
+    favorite: true,
+  },
+  {
+    id: 3,
+    mode: 'video',
+    timestamp: 1002 * DAY,
+    status: 'failed',
+    options: { model: 'fast', resolution: '720p', ratio: '9:16' },
+    video: { opfsPath: '/videos/3.mp4' },
+  },
+  { id: 4, mode: 'generate', timestamp: 1003 * DAY, options: {} },
+]
+
+const ids = (filter) => history.filter((r) => matchesHistoryFilter(r, filter)).map((r) => r.id)
+
+// ============================================================================
+// Facets
+// ============================================================================
+
+describe('computeHistoryFacets', () => {
+  it('flattens model, resolution and ratio', () => {
+    expect(computeHistoryFacets(history[0])).toEqual({
+      model: 'gemini-3.1-flash-image-preview',
+      resolution: '2k',
+      ratio: '16:9',
+      hasAudio: 0,
+      hasVideo: 0,
+    })
+  })
+
+  it('defaults the model of image modes and flags audio / video as 0/1', () => {
+    expect(computeHistoryFacets(history[1])).toMatchObject({ model: 'gemini-3-pro-image-preview', hasAudio: 1, hasVideo: 0 })
+    expect(computeHistoryFacets(history[2])).toMatchObject({ model: 'fast', hasAudio: 0, hasVideo: 1 })
+  })
+
+  it('leaves out missing values so they stay out of the index', () => {
+    const facets = computeHistoryFacets({ mode: 'video', options: {} })
+    expect(facets).toEqual({ hasAudio: 0, hasVideo: 0 })
+  })
+
+  it('lists parent uuids only for derived records', () => {
+    const derived = { mode: 'edit', options: {}, parents: [{ uuid: 'p1', relation: 'edit' }, { uuid: 'p2', relation: 'reference' }] }
+    expect(computeHistoryFacets(derived).parents).toEqual(['p1', 'p2'])
+    expect(computeHistoryFacets({ mode: 'edit', options: {}, parents: [] })).not.toHaveProperty('parents')
+  })
+
+  it('withHistoryFacets writes facets onto the record', () => {
+    const record = { mode: 'generate', options: { ratio: '1:1' } }
+    expect(withHistoryFacets(record)).toBe(record)
+    expect(record.facets.ratio).toBe('1:1')
+  })
+})
+
+// ============================================================================
+// Filtering
+// ============================================================================
+
+describe('dateRangeToTimestamps', () => {
+  it('returns inclusive local-day bounds', () => {
+    const { dateFrom, dateTo } = dateRangeToTimestamps('2026-03-01', '2026-03-02')
+    expect(dateFrom).toBe(new Date(2026, 2, 1).getTime())
+    expect(dateTo).toBe(new Date(2026, 2, 3).getTime() - 1)
+  })
+
+  it('returns null for empty or invalid input', () => {
+    expect(dateRangeToTimestamps('', 'nope')).toEqual({ dateFrom: null, dateTo: null })
+  })
+})
+
+describe('isHistoryFilterActive', () => {
+  it('is false for the default view', () => {
+    expect(isHistoryFilterActive({})).toBe(false)
+    expect(isHistoryFilterActive({ mode: 'all', tags: [], dateFrom: null })).toBe(false)
+  })
+
+  it('is true once any filter is set', () => {
+    expect(isHistoryFilterActive({ mode: 'video' })).toBe(true)
+    expect(isHistoryFilterActive({ dateFrom: 0 })).toBe(true)
+    expect(isHistoryFilterActive({ hasAudio: true })).toBe(true)
+    expect(isHistoryFilterActive({ tags: ['cat'] })).toBe(true)
+  })
+})
+
+describe('matchesHistoryFilter', () => {
+  it('passes everything without a filter', () => {
+    expect(ids({})).toEqual([1, 2, 3, 4])
+  })
+
+  it('filters by mode and date range', () => {
+    expect(ids({ mode: 'generate' })).toEqual([1, 4])
+    expect(ids({ dateFrom: 1001 * DAY, dateTo: 1002 * DAY })).toEqual([2, 3])
+  })
+
+  it('filters by model, resolution and ratio', () => {
+    expect(ids({ model: 'gemini-3-pro-image-preview' })).toEqual([2, 4])
+    expect(ids({ resolution: '720p' })).toEqual([3])
+    expect(ids({ ratio: '16:9' })).toEqual([1, 2])
+  })
+
+  it('treats a missing status as success', () => {
+    expect(ids({ status: 'success' })).toEqual([1, 4])
+    expect(ids({ status: 'failed' })).toEqual([3])
+  })
+
+  it('filters by audio, video and character', () => {
+    expect(ids({ hasAudio: true })).toEqual([2])
+    expect(ids({ hasVideo: true })).toEqual([3])
+    expect(ids({ character: 'Mochi' })).toEqual([1])
+  })
+
+  it('combines with the collection filters', () => {
+    expect(ids({ favoritesOnly: true })).toEqual([2])
+    expect(ids({ tags: ['CAT'], ratio: '16:9' })).toEqual([1])
+    expect(ids({ tags: ['cat'], mode: 'slides' })).toEqual([])
+  })
+})
+
+describe('pickHistoryIndex', () => {
+  it('walks the timestamp index with the date range by default', () => {
+    expect(pickHistoryIndex({})).toEqual({ index: 'timestamp', range: { lower: null, upper: null } })
+    expect(pickHistoryIndex({ dateFrom: 5, mode: 'all' })).toEqual({ index: 'timestamp', range: { lower: 5, upper: null } })
+  })
+
+  it('prefers album and tag indexes with every spelling', () => {
+    expect(pickHistoryIndex({ album: 'Trip', albumKeys: ['Trip', 'trip'], ratio: '1:1' }))
+      .toEqual({ index: 'albums', keys: ['Trip', 'trip'] })
+    expect(pickHistoryIndex({ tags: ['cat', 'night'] })).toEqual({ index: 'tags', keys: ['cat'] })
+  })
+
+  it('uses facet indexes with 0/1 keys for flags', () => {
+    expect(pickHistoryIndex({ hasVideo: true, model: 'fast' })).toEqual({ index: FACET_INDEXES.hasVideo, keys: [1] })
+    expect(pickHistoryIndex({ model: 'fast', mode: 'video' })).toEqual({ index: FACET_INDEXES.model, keys: ['fast'] })
+  })
+
+  it('does not walk the status index for success (most records)', () => {
+    expect(pickHistoryIndex({ status: 'success', mode: 'edit' })).toEqual({ index: 'mode', keys: ['edit'] })
+    expect(pickHistoryIndex({ status: 'partial' })).toEqual({ index: 'status', keys: ['partial'] })
+  })
+})
+
+// ============================================================================
+// Sorting
+// ============================================================================
+
+describe('sortHistoryEntries', () => {
+  const entries = () => history.map(({ id, timestamp, generationTime }) => ({ id, timestamp, generationTime }))
+
+  it('sorts newest and oldest first', () => {
+    expect(sortHistoryEntries(entries(), 'newest').map((e) => e.id)).toEqual([4, 3, 2, 1])
+    expect(sortHistoryEntries(entries(), 'oldest').map((e) => e.id)).toEqual([1, 2, 3, 4])
+  })
+
+  it('sorts by duration, longest first, unknown durations last', () => {
+    expect(sortHistoryEntries(entries(), 'duration').map((e) => e.id)).toEqual([2, 1, 4, 3])
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * History trash helpers (pure)
+ *
+ * Deleting a history record moves it to the `trash` object store with a
+ * `deletedAt` timestamp; its OPFS files stay in place until it is purged,
+ * either by hand or once the retention period has passed. Trashed records
+ * are out of the history store, so lists, search and peer sync skip them.
+ * Persistence lives in composables/useIndexedDB.js and stores/generator.js.
+ */
+
+const DAY_MS = 86_400_000
+
+// Retention choices in days; 0 keeps trashed records until the trash is emptied
+export const TRASH_RETENTION_OPTIONS = [1, 7, 30, 90, 0]
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+/**
+ * @param {*} value - Stored or user-picked retention
+ * @returns {number} One of TRASH_RETENTION_OPTIONS (default when unknown)
+ */
+export const normalizeRetentionDays = (value) => {
+  const days = Number(value)
+  return value !== null && value !== '' && TRASH_RETENTION_OPTIONS.includes(days) ? days : DEFAULT_TRASH_RETENTION_DAYS
+}
+
+/**
+ * Trashed records deleted before this time are due for purging
+ * @param {number} retentionDays - 0 never purges
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Cutoff timestamp, or null when nothing expires
+ */
+export const trashPurgeCutoff = (retentionDays, now = Date.now()) =>
+  retentionDays > 0 ? now - retentionDays * DAY_MS : null
+
+/**
+ * Whole days left before a trashed record is purged
+ * @param {number} deletedAt
+ * @param {number} retentionDays - 0 never purges
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} 0 when due, null when it never expires
+ */
+export const daysUntilPurge = (deletedAt, retentionDays, now = Date.now()) => {
+  if (!(retentionDays > 0)) return null
+  const remaining = deletedAt + retentionDays * DAY_MS - now
+  return Math.max(0, Math.ceil(remaining / DAY_MS))
+}
+
+/**
+ * @param {Object} record - History record
+ * @param {number} deletedAt
+ * @returns {Object} Trash entry (same id, so OPFS paths still match)
+ */
+export const toTrashEntry = (record, deletedAt) => ({ ...record, deletedAt })
+
+/**
+ * @param {Object} entry - Trash entry
+ * @returns {Object} History record without the trash fields
+ */
+export const fromTrashEntry = (entry) => {
+  const record = { ...entry }
+  delete record.deletedAt
+  return record
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  normalizeRetentionDays,
+  trashPurgeCutoff,
+  daysUntilPurge,
+  toTrashEntry,
+  fromTrashEntry,
+} from './history-trash'
+
+const DAY = 86_400_000
+const NOW = 1000 * DAY
+
+describe('normalizeRetentionDays', () => {
+  it('accepts the offered choices, including 0 (never)', () => {
+    expect(normalizeRetentionDays('7')).toBe(7)
+    expect(normalizeRetentionDays(0)).toBe(0)
+    expect(normalizeRetentionDays('0')).toBe(0)
+  })
+
+  it('falls back to the default for anything else', () => {
+    expect(normalizeRetentionDays(null)).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+    expect(normalizeRetentionDays('')).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+    expect(normalizeRetentionDays('abc')).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+    expect(normalizeRetentionDays(13)).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+  })
+})
+
+describe('trashPurgeCutoff', () => {
+  it('returns the deletion time before which records expire', () => {
+    expect(trashPurgeCutoff(30, NOW)).toBe(NOW - 30 * DAY)
+  })
+
+  it('returns null when retention is unlimited', () => {
+    expect(trashPurgeCutoff(0, NOW)).toBeNull()
+  })
+})
+
+describe('daysUntilPurge', () => {
+  it('rounds partial days up', () => {
+    expect(daysUntilPurge(NOW - 0.5 * DAY, 7, NOW)).toBe(7)
+    expect(daysUntilPurge(NOW - 6.5 * DAY, 7, NOW)).toBe(1)
+  })
+
+  it('is 0 once due and null when never purged', () => {
+    expect(daysUntilPurge(NOW - 10 * DAY, 7, NOW)).toBe(0)
+    expect(daysUntilPurge(NOW, 0, NOW)).toBeNull()
+  })
+})
+
+describe('toTrashEntry / fromTrashEntry', () => {
+  it('round-trips a record, keeping its id', () => {
+    const record = { id: 5, uuid: 'u', prompt: 'cat', images: [] }
+    const entry = toTrashEntry(record, NOW)
+    expect(entry).toEqual({ ...record, deletedAt: NOW })
+    expect(fromTrashEntry(entry)).toEqual(record)
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Gemini image embedding — one call to the singular embedContent REST endpoint.
+ *
+ * Bypasses the SDK because the SDK routes all embedContent calls through the
+ * batchEmbedContents endpoint, which does not support inlineData (images).
+ * With the mock backend nothing leaves the worker: the vector is derived
+ * from the image bytes, so the same image always embeds the same way.
+ *
+ * Pure module with no Vue or DOM dependencies, so search.worker.js can use it.
+ */
+
+import { createMockEmbedding, hashString } from './mock-genai.js'
+
+export const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta'
+
+/**
+ * Non-OK response from embedContent; `status` is the HTTP status code
+ */
+export class EmbedRequestError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'EmbedRequestError'
+    this.status = status
+  }
+}
+
+/**
+ * Deterministic offline embedding for an image
+ * @param {string} base64 - Base64-encoded image data
+ * @param {number} dims
+ * @returns {number[]}
+ */
+export const createMockImageEmbedding = (base64, dims) => createMockEmbedding(`image ${hashString(base64)}`, dims)
+
+/**
+ * Embed one image
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} options.model - Embedding model id
+ * @param {number} options.dims - Output dimensionality
+ * @param {string} options.base64 - Base64-encoded image data
+ * @param {string} options.mimeType
+ * @param {boolean} [options.mock] - Use the offline mock instead of the network
+ * @returns {Promise<number[]|null>}
+ * @throws {EmbedRequestError} When the API answers with a non-OK status
+ */
+export const embedImage = async ({ apiKey, model, dims, base64, mimeType, mock = false }) => {
+  if (mock) return createMockImageEmbedding(base64, dims)
+
+  const resp = await fetch(`${GEMINI_API_BASE}/models/${model}:embedContent?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      content: {
+        parts: [{ inline_data: { mime_type: mimeType, data: base64 } }],
+      },
+      output_dimensionality: dims,
+    }),
+  })
+
+  if (!resp.ok) throw new EmbedRequestError(resp.status, await resp.text())
+
+  const data = await resp.json()
+  return data.embedding?.values || null
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { embedImage, createMockImageEmbedding, EmbedRequestError, GEMINI_API_BASE } from './image-embedding.js'
+
+const request = {
+  apiKey: 'AIzaTestKey',
+  model: 'gemini-embedding-2-preview',
+  dims: 768,
+  base64: 'iVBORw0KGgoAAAA',
+  mimeType: 'image/png',
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ============================================================================
+// createMockImageEmbedding
+// ============================================================================
+
+describe('createMockImageEmbedding', () => {
+  it('is deterministic for the same bytes', () => {
+    expect(createMockImageEmbedding('abc', 768)).toEqual(createMockImageEmbedding('abc', 768))
+  })
+
+  it('differs for different bytes', () => {
+    expect(createMockImageEmbedding('abc', 768)).not.toEqual(createMockImageEmbedding('abd', 768))
+  })
+
+  it('returns a unit vector of the requested size', () => {
+    const values = createMockImageEmbedding('abc', 64)
+    expect(values).toHaveLength(64)
+    expect(Math.hypot(...values)).toBeCloseTo(1)
+  })
+})
+
+// ============================================================================
+// embedImage
+// ============================================================================
+
+describe('embedImage', () => {
+  it('answers from the mock without touching the network', async () => {
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+
+    const values = await embedImage({ ...request, mock: true })
+
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect(values).toEqual(createMockImageEmbedding(request.base64, request.dims))
+  })
+
+  it('posts the image to the singular embedContent endpoint', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ embedding: { values: [0.6, 0.8] } }) }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const values = await embedImage(request)
+
+    expect(values).toEqual([0.6, 0.8])
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe(`${GEMINI_API_BASE}/models/gemini-embedding-2-preview:embedContent?key=AIzaTestKey`)
+    expect(JSON.parse(init.body)).toEqual({
+      content: { parts: [{ inline_data: { mime_type: 'image/png', data: request.base64 } }] },
+      output_dimensionality: 768,
+    })
+  })
+
+  it('returns null when the response has no embedding', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => ({}) }))
+    expect(await embedImage(request)).toBeNull()
+  })
+
+  it('throws EmbedRequestError with the status on a non-OK response', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: false, status: 429, text: async () => 'RESOURCE_EXHAUSTED' }))
+
+    const error = await embedImage(request).catch((err) => err)
+
+    expect(error).toBeInstanceOf(EmbedRequestError)
+    expect(error.status).toBe(429)
+    expect(error.message).toBe('RESOURCE_EXHAUSTED')
+  })
+})
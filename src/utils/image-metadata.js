@@ -0,0 +1,486 @@
+/**
+ * Generation metadata embedded in downloaded image files.
+ *
+ * The prompt, mode, options, model, seed and timestamp travel with the file so
+ * an image shared outside the app can be dropped back in to restore its
+ * settings:
+ * - PNG: tEXt (Software, Creation Time) and iTXt (Description, nbp-generation)
+ * - JPEG: XMP packet in an APP1 segment
+ * - WebP: XMP chunk (simple files are converted to the extended VP8X layout)
+ *
+ * Pure module working on Uint8Array; no DOM dependencies.
+ */
+
+export const METADATA_VERSION = 1
+export const METADATA_KEYWORD = 'nbp-generation'
+export const METADATA_SOFTWARE = 'Mediator (nbp-web-gen)'
+export const XMP_NAMESPACE = 'urn:nbp-web-gen:xmp:1.0/'
+
+// Large or internal option fields that don't belong in a shared file
+const OMITTED_OPTION_KEYS = ['editSession', 'pages', 'pagesContent', 'pageStyleGuides', 'narrationScripts']
+
+// Modes whose settings can be restored from a file
+export const RESTORABLE_MODES = ['generate', 'edit', 'sticker', 'story', 'diagram', 'slides']
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0'
+const JPEG_MAX_SEGMENT = 0xffff
+const VP8X_FLAG_ALPHA = 0x10
+const VP8X_FLAG_XMP = 0x04
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+const latin1Decoder = new TextDecoder('latin1')
+
+// ============================================================================
+// Metadata object
+// ============================================================================
+
+/**
+ * Build the metadata object written into files
+ * @param {Object} params
+ * @param {string} [params.prompt]
+ * @param {string} params.mode
+ * @param {Object} [params.options] - History/store options (model and seed are read from here)
+ * @param {number} [params.timestamp] - Generation time in ms
+ * @returns {Object}
+ */
+export const buildGenerationMetadata = ({ prompt = '', mode, options = {}, timestamp = Date.now() }) => {
+  const cleaned = { ...options }
+  for (const key of OMITTED_OPTION_KEYS) delete cleaned[key]
+  return {
+    version: METADATA_VERSION,
+    prompt: prompt || '',
+    mode,
+    options: JSON.parse(JSON.stringify(cleaned)),
+    model: options.model || null,
+    seed: options.seed ?? null,
+    timestamp,
+  }
+}
+
+/**
+ * Validate metadata parsed from a file
+ * @param {string} json
+ * @returns {Object|null} null if missing or not ours
+ */
+export const parseGenerationMetadata = (json) => {
+  let data
+  try {
+    data = JSON.parse(json)
+  } catch {
+    return null
+  }
+  if (!data || typeof data !== 'object' || typeof data.mode !== 'string') return null
+  return {
+    version: data.version || METADATA_VERSION,
+    prompt: typeof data.prompt === 'string' ? data.prompt : '',
+    mode: data.mode,
+    options: data.options && typeof data.options === 'object' ? data.options : {},
+    model: data.model || null,
+    seed: data.seed ?? null,
+    timestamp: Number.isFinite(data.timestamp) ? data.timestamp : null,
+  }
+}
+
+const valueKind = (value) => {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+/**
+ * Options from a file that can be applied to the store: only keys the current
+ * mode options already have, with the same kind of value. Keeps old or
+ * foreign files from adding unknown fields.
+ * @param {Object} current - Store options for the mode
+ * @param {Object} saved - Options from the file
+ * @returns {Object}
+ */
+export const pickRestorableOptions = (current, saved) => {
+  const picked = {}
+  for (const [key, value] of Object.entries(saved || {})) {
+    if (!(key in current) || OMITTED_OPTION_KEYS.includes(key)) continue
+    const kind = valueKind(current[key])
+    if (kind === valueKind(value) || kind === 'null' || value === null) {
+      picked[key] = value
+    }
+  }
+  return picked
+}
+
+// ============================================================================
+// Format detection / shared helpers
+// ============================================================================
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {'image/png'|'image/jpeg'|'image/webp'|null}
+ */
+export const detectImageFormat = (bytes) => {
+  if (bytes.length >= 8 && PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return 'image/png'
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg'
+  if (bytes.length >= 12 && ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'image/webp'
+  return null
+}
+
+const ascii = (bytes, offset, length) => latin1Decoder.decode(bytes.subarray(offset, offset + length))
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+const latin1 = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0) & 0xff)
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+let crcTable = null
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const readPngChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const chunks = []
+  let offset = 8
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset)
+    const type = ascii(bytes, offset + 4, 4)
+    const end = offset + 12 + length
+    if (end > bytes.length) throw new Error('Truncated PNG chunk')
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), raw: bytes.subarray(offset, end) })
+    offset = end
+    if (type === 'IEND') break
+  }
+  return chunks
+}
+
+const buildPngChunk = (type, data) => {
+  const body = concat([latin1(type), data])
+  const out = new Uint8Array(body.length + 8)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, data.length)
+  out.set(body, 4)
+  view.setUint32(body.length + 4, crc32(body))
+  return out
+}
+
+const textChunk = (keyword, text) => buildPngChunk('tEXt', concat([latin1(keyword), [0], latin1(text)]))
+
+// Uncompressed iTXt: keyword \0 flag method language \0 translated \0 UTF-8 text
+const itxtChunk = (keyword, text) =>
+  buildPngChunk('iTXt', concat([latin1(keyword), [0, 0, 0, 0, 0], encoder.encode(text)]))
+
+const readTextChunk = ({ type, data }) => {
+  const sep = data.indexOf(0)
+  if (sep < 0) return null
+  const keyword = ascii(data, 0, sep)
+  if (type === 'tEXt') return { keyword, text: ascii(data, sep + 1, data.length - sep - 1) }
+  // iTXt: skip compression flag/method, then language tag and translated keyword
+  if (data[sep + 1] !== 0) return null // compressed iTXt is never written by us
+  const langEnd = data.indexOf(0, sep + 3)
+  const translatedEnd = langEnd < 0 ? -1 : data.indexOf(0, langEnd + 1)
+  if (translatedEnd < 0) return null
+  return { keyword, text: decoder.decode(data.subarray(translatedEnd + 1)) }
+}
+
+const OUR_PNG_KEYWORDS = ['Software', 'Creation Time', 'Description', METADATA_KEYWORD]
+
+const embedPng = (bytes, meta) => {
+  const chunks = readPngChunks(bytes).filter((chunk) => {
+    if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') return true
+    return !OUR_PNG_KEYWORDS.includes(readTextChunk(chunk)?.keyword)
+  })
+  const added = [
+    textChunk('Software', METADATA_SOFTWARE),
+    textChunk('Creation Time', new Date(meta.timestamp || Date.now()).toISOString()),
+    ...(meta.prompt ? [itxtChunk('Description', meta.prompt)] : []),
+    itxtChunk(METADATA_KEYWORD, JSON.stringify(meta)),
+  ]
+  const iend = chunks.findIndex((chunk) => chunk.type === 'IEND')
+  if (iend < 0) throw new Error('PNG has no IEND chunk')
+  return concat([
+    Uint8Array.from(PNG_SIGNATURE),
+    ...chunks.slice(0, iend).map((chunk) => chunk.raw),
+    ...added,
+    ...chunks.slice(iend).map((chunk) => chunk.raw),
+  ])
+}
+
+const readPng = (bytes) => {
+  for (const chunk of readPngChunks(bytes)) {
+    if (chunk.type !== 'iTXt' && chunk.type !== 'tEXt') continue
+    const entry = readTextChunk(chunk)
+    if (entry?.keyword === METADATA_KEYWORD) return entry.text
+  }
+  return null
+}
+
+// ============================================================================
+// XMP packet
+// ============================================================================
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;')
+
+const unescapeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()]
+  })
+
+/**
+ * Build an XMP packet (dc:description, xmp:CreateDate/CreatorTool, nbp:generation)
+ * @param {Object} meta
+ * @returns {string}
+ */
+export const buildXmpPacket = (meta) => {
+  const description = meta.prompt
+    ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(meta.prompt)}</rdf:li></rdf:Alt></dc:description>`
+    : ''
+  return (
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about=""' +
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+    ` xmlns:nbp="${XMP_NAMESPACE}"` +
+    ` xmp:CreatorTool="${escapeXml(METADATA_SOFTWARE)}"` +
+    ` xmp:CreateDate="${new Date(meta.timestamp || Date.now()).toISOString()}"` +
+    ` nbp:generation="${escapeXml(JSON.stringify(meta))}">` +
+    description +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>' +
+    '<?xpacket end="w"?>'
+  )
+}
+
+/**
+ * Extract our JSON from an XMP packet
+ * @param {string} xmp
+ * @returns {string|null}
+ */
+export const readXmpPacket = (xmp) => {
+  const match = xmp.match(/nbp:generation="([^"]*)"/)
+  return match ? unescapeXml(match[1]) : null
+}
+
+// ============================================================================
+// JPEG
+// ============================================================================
+
+const readJpegSegments = (bytes) => {
+  const segments = []
+  let offset = 2
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1]
+    // Start of scan: the rest is entropy-coded data
+    if (marker === 0xda) break
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3]
+    segments.push({ marker, start: offset, end: offset + 2 + length })
+    offset += 2 + length
+  }
+  return { segments, dataStart: offset }
+}
+
+const isXmpSegment = (bytes, segment) =>
+  segment.marker === 0xe1 && ascii(bytes, segment.start + 4, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER
+
+const embedJpeg = (bytes, meta) => {
+  const payload = concat([latin1(XMP_JPEG_HEADER), encoder.encode(buildXmpPacket(meta))])
+  if (payload.length + 2 > JPEG_MAX_SEGMENT) throw new Error('Metadata too large for a JPEG XMP segment')
+
+  const { segments, dataStart } = readJpegSegments(bytes)
+  const kept = segments.filter((segment) => !isXmpSegment(bytes, segment))
+  // XMP goes after JFIF (APP0) and Exif (APP1) so readers that expect them first still work
+  const insertAt = kept.findIndex((segment) => segment.marker !== 0xe0 && segment.marker !== 0xe1)
+  const before = insertAt < 0 ? kept : kept.slice(0, insertAt)
+  const after = insertAt < 0 ? [] : kept.slice(insertAt)
+
+  const header = Uint8Array.of(0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff)
+  return concat([
+    bytes.subarray(0, 2),
+    ...before.map((s) => bytes.subarray(s.start, s.end)),
+    header,
+    payload,
+    ...after.map((s) => bytes.subarray(s.start, s.end)),
+    bytes.subarray(dataStart),
+  ])
+}
+
+const readJpeg = (bytes) => {
+  const segment = readJpegSegments(bytes).segments.find((s) => isXmpSegment(bytes, s))
+  if (!segment) return null
+  const xmp = decoder.decode(bytes.subarray(segment.start + 4 + XMP_JPEG_HEADER.length, segment.end))
+  return readXmpPacket(xmp)
+}
+
+// ============================================================================
+// WebP
+// ============================================================================
+
+const readWebpChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const chunks = []
+  let offset = 12
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4)
+    const size = view.getUint32(offset + 4, true)
+    const end = offset + 8 + size + (size & 1)
+    if (offset + 8 + size > bytes.length) throw new Error('Truncated WebP chunk')
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) })
+    offset = end
+  }
+  return chunks
+}
+
+const buildWebpChunk = (type, data) => {
+  const out = new Uint8Array(8 + data.length + (data.length & 1))
+  out.set(latin1(type), 0)
+  new DataView(out.buffer).setUint32(4, data.length, true)
+  out.set(data, 8)
+  return out
+}
+
+/**
+ * Canvas size and alpha of a simple (VP8/VP8L) WebP
+ * @returns {{width: number, height: number, alpha: boolean}}
+ */
+const readWebpBitstreamInfo = (chunk) => {
+  const d = chunk.data
+  if (chunk.type === 'VP8 ') {
+    // Frame tag (3 bytes), start code 9d 01 2a, then 14-bit width/height
+    return { width: ((d[7] << 8) | d[6]) & 0x3fff, height: ((d[9] << 8) | d[8]) & 0x3fff, alpha: false }
+  }
+  if (chunk.type === 'VP8L') {
+    // Signature 0x2f, then 14-bit width-1, 14-bit height-1, 1-bit alpha
+    const bits = d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24)
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      alpha: ((bits >>> 28) & 1) === 1,
+    }
+  }
+  throw new Error(`Unsupported WebP chunk ${chunk.type}`)
+}
+
+const buildVp8xChunk = ({ width, height, alpha }) => {
+  const data = new Uint8Array(10)
+  data[0] = VP8X_FLAG_XMP | (alpha ? VP8X_FLAG_ALPHA : 0)
+  const w = width - 1
+  const h = height - 1
+  data.set([w & 0xff, (w >> 8) & 0xff, (w >> 16) & 0xff, h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff], 4)
+  return buildWebpChunk('VP8X', data)
+}
+
+const embedWebp = (bytes, meta) => {
+  const chunks = readWebpChunks(bytes).filter((chunk) => chunk.type !== 'XMP ')
+  const xmp = buildWebpChunk('XMP ', encoder.encode(buildXmpPacket(meta)))
+
+  let body
+  if (chunks[0]?.type === 'VP8X') {
+    const vp8x = new Uint8Array(chunks[0].data)
+    vp8x[0] |= VP8X_FLAG_XMP
+    body = [buildWebpChunk('VP8X', vp8x), ...chunks.slice(1).map((c) => buildWebpChunk(c.type, c.data))]
+  } else {
+    const image = chunks.find((chunk) => chunk.type === 'VP8 ' || chunk.type === 'VP8L')
+    if (!image) throw new Error('WebP has no image data')
+    body = [buildVp8xChunk(readWebpBitstreamInfo(image)), ...chunks.map((c) => buildWebpChunk(c.type, c.data))]
+  }
+  // XMP comes last (after image data and EXIF)
+  body.push(xmp)
+
+  const riffSize = 4 + body.reduce((sum, c) => sum + c.length, 0)
+  const header = new Uint8Array(12)
+  header.set(latin1('RIFF'), 0)
+  new DataView(header.buffer).setUint32(4, riffSize, true)
+  header.set(latin1('WEBP'), 8)
+  return concat([header, ...body])
+}
+
+const readWebp = (bytes) => {
+  const chunk = readWebpChunks(bytes).find((c) => c.type === 'XMP ')
+  return chunk ? readXmpPacket(decoder.decode(chunk.data)) : null
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Write generation metadata into PNG, JPEG or WebP bytes
+ * @param {Uint8Array} bytes
+ * @param {Object} meta - From buildGenerationMetadata
+ * @returns {Uint8Array} New bytes (the input is not modified)
+ * @throws {Error} For unsupported or malformed files
+ */
+export const embedGenerationMetadata = (bytes, meta) => {
+  switch (detectImageFormat(bytes)) {
+    case 'image/png':
+      return embedPng(bytes, meta)
+    case 'image/jpeg':
+      return embedJpeg(bytes, meta)
+    case 'image/webp':
+      return embedWebp(bytes, meta)
+    default:
+      throw new Error('Unsupported image format for metadata')
+  }
+}
+
+/**
+ * Read generation metadata written by embedGenerationMetadata
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} null if the file has none (or is malformed)
+ */
+export const readGenerationMetadata = (bytes) => {
+  try {
+    let json = null
+    switch (detectImageFormat(bytes)) {
+      case 'image/png':
+        json = readPng(bytes)
+        break
+      case 'image/jpeg':
+        json = readJpeg(bytes)
+        break
+      case 'image/webp':
+        json = readWebp(bytes)
+        break
+    }
+    return json ? parseGenerationMetadata(json) : null
+  } catch {
+    return null
+  }
+}
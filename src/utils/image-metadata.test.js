@@ -0,0 +1,272 @@
+import { describe, it, expect } from 'vitest'
+import {
+  METADATA_KEYWORD,
+  buildGenerationMetadata,
+  parseGenerationMetadata,
+  pickRestorableOptions,
+  detectImageFormat,
+  crc32,
+  buildXmpPacket,
+  readXmpPacket,
+  embedGenerationMetadata,
+  readGenerationMetadata,
+} from './image-metadata'
+
+const bytesOf = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0))
+const u32be = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]
+const u32le = (n) => [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]
+
+const pngChunk = (type, data) => {
+  const body = [...bytesOf(type), ...data]
+  return [...u32be(data.length), ...body, ...u32be(crc32(Uint8Array.from(body)))]
+}
+
+/** Minimal PNG: IHDR, a fake IDAT and IEND (chunk structure only) */
+const makePng = () =>
+  Uint8Array.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...pngChunk('IHDR', [0, 0, 0, 4, 0, 0, 0, 2, 8, 6, 0, 0, 0]),
+    ...pngChunk('IDAT', [1, 2, 3, 4]),
+    ...pngChunk('IEND', []),
+  ])
+
+/** Minimal JPEG: SOI, JFIF APP0, DQT, SOS with scan data, EOI */
+const makeJpeg = () =>
+  Uint8Array.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x10, ...bytesOf('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0,
+    0xff, 0xdb, 0x00, 0x04, 0x00, 0x01,
+    0xff, 0xda, 0x00, 0x02, 0x11, 0x22, 0x33,
+    0xff, 0xd9,
+  ])
+
+const webpChunk = (type, data) => [...bytesOf(type), ...u32le(data.length), ...data, ...(data.length & 1 ? [0] : [])]
+const makeWebp = (chunks) => {
+  const body = chunks.flat()
+  return Uint8Array.from([...bytesOf('RIFF'), ...u32le(body.length + 4), ...bytesOf('WEBP'), ...body])
+}
+
+/** VP8L header for a 300x200 image with alpha */
+const vp8lHeader = () => {
+  const bits = (300 - 1) | ((200 - 1) << 14) | (1 << 28)
+  return [0x2f, ...u32le(bits >>> 0), 0xaa]
+}
+
+/** VP8 (lossy) header for a 640x480 image */
+const vp8Header = () => [0x10, 0x02, 0x00, 0x9d, 0x01, 0x2a, 640 & 0xff, 640 >> 8, 480 & 0xff, 480 >> 8, 0x55]
+
+const meta = buildGenerationMetadata({
+  prompt: '一隻橘貓 "on" a <table> & chair',
+  mode: 'generate',
+  options: { model: 'gemini-3-pro-image-preview', seed: 42, temperature: 1, ratio: '16:9', styles: ['anime'] },
+  timestamp: 1760000000000,
+})
+
+// ============================================================================
+// Metadata object
+// ============================================================================
+
+describe('buildGenerationMetadata', () => {
+  it('lifts model and seed out of the options', () => {
+    expect(meta).toMatchObject({
+      version: 1,
+      mode: 'generate',
+      model: 'gemini-3-pro-image-preview',
+      seed: 42,
+      timestamp: 1760000000000,
+    })
+    expect(meta.options.ratio).toBe('16:9')
+  })
+
+  it('drops large internal option fields', () => {
+    const built = buildGenerationMetadata({
+      mode: 'edit',
+      options: { resolution: '2k', editSession: { turns: [] }, pagesContent: [] },
+    })
+    expect(built.options).toEqual({ resolution: '2k' })
+  })
+})
+
+describe('parseGenerationMetadata', () => {
+  it('rejects invalid JSON and objects without a mode', () => {
+    expect(parseGenerationMetadata('not json')).toBeNull()
+    expect(parseGenerationMetadata('{"prompt":"x"}')).toBeNull()
+  })
+
+  it('fills defaults for missing fields', () => {
+    expect(parseGenerationMetadata('{"mode":"edit"}')).toEqual({
+      version: 1,
+      prompt: '',
+      mode: 'edit',
+      options: {},
+      model: null,
+      seed: null,
+      timestamp: null,
+    })
+  })
+})
+
+describe('pickRestorableOptions', () => {
+  it('keeps only known keys with matching value kinds', () => {
+    const current = { ratio: '1:1', styles: [], matrix: { enabled: false }, count: 1 }
+    const saved = { ratio: '16:9', styles: 'anime', matrix: { enabled: true }, unknown: 1, count: 4 }
+    expect(pickRestorableOptions(current, saved)).toEqual({ ratio: '16:9', matrix: { enabled: true }, count: 4 })
+  })
+
+  it('never restores omitted fields', () => {
+    expect(pickRestorableOptions({ pages: [] }, { pages: [{ id: 1 }] })).toEqual({})
+  })
+})
+
+// ============================================================================
+// Format detection / XMP
+// ============================================================================
+
+describe('detectImageFormat', () => {
+  it('recognizes PNG, JPEG and WebP signatures', () => {
+    expect(detectImageFormat(makePng())).toBe('image/png')
+    expect(detectImageFormat(makeJpeg())).toBe('image/jpeg')
+    expect(detectImageFormat(makeWebp([webpChunk('VP8L', vp8lHeader())]))).toBe('image/webp')
+    expect(detectImageFormat(bytesOf('GIF89a'))).toBeNull()
+  })
+})
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(bytesOf('123456789'))).toBe(0xcbf43926)
+  })
+})
+
+describe('XMP packet', () => {
+  it('round-trips JSON with XML special characters and newlines', () => {
+    const tricky = { ...meta, prompt: 'line 1\nline 2 & "quotes" <tags>' }
+    const packet = buildXmpPacket(tricky)
+    expect(packet).toContain('<dc:description>')
+    expect(JSON.parse(readXmpPacket(packet))).toEqual(tricky)
+  })
+
+  it('returns null for foreign XMP', () => {
+    expect(readXmpPacket('<x:xmpmeta xmlns:x="adobe:ns:meta/"></x:xmpmeta>')).toBeNull()
+  })
+})
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+describe('PNG metadata', () => {
+  it('round-trips through iTXt', () => {
+    const out = embedGenerationMetadata(makePng(), meta)
+    expect(readGenerationMetadata(out)).toEqual(meta)
+  })
+
+  it('writes standard text chunks before IEND with valid CRCs', () => {
+    const out = embedGenerationMetadata(makePng(), meta)
+    const text = new TextDecoder('latin1').decode(out)
+    expect(text).toContain('tEXtSoftware\0')
+    expect(text).toContain('tEXtCreation Time\0' + new Date(meta.timestamp).toISOString())
+    expect(text).toContain(`iTXt${METADATA_KEYWORD}\0`)
+    expect(text.endsWith('IEND\xaeB`\x82')).toBe(true)
+
+    // Verify every chunk CRC
+    const view = new DataView(out.buffer)
+    let offset = 8
+    while (offset < out.length) {
+      const length = view.getUint32(offset)
+      const crc = view.getUint32(offset + 8 + length)
+      expect(crc32(out.subarray(offset + 4, offset + 8 + length))).toBe(crc)
+      offset += 12 + length
+    }
+  })
+
+  it('replaces existing metadata instead of duplicating it', () => {
+    const once = embedGenerationMetadata(makePng(), meta)
+    const twice = embedGenerationMetadata(once, { ...meta, prompt: 'second' })
+    expect(readGenerationMetadata(twice).prompt).toBe('second')
+    expect(twice.length).toBeLessThan(once.length)
+  })
+
+  it('returns null for a PNG without metadata', () => {
+    expect(readGenerationMetadata(makePng())).toBeNull()
+  })
+})
+
+// ============================================================================
+// JPEG
+// ============================================================================
+
+describe('JPEG metadata', () => {
+  it('round-trips through an XMP APP1 segment after JFIF', () => {
+    const source = makeJpeg()
+    const out = embedGenerationMetadata(source, meta)
+    expect(readGenerationMetadata(out)).toEqual(meta)
+    // APP0 stays first, XMP APP1 follows
+    expect([out[2], out[3]]).toEqual([0xff, 0xe0])
+    expect([out[20], out[21]]).toEqual([0xff, 0xe1])
+    // Scan data is untouched
+    expect(Array.from(out.slice(-7))).toEqual(Array.from(source.slice(-7)))
+  })
+
+  it('replaces an existing XMP segment', () => {
+    const once = embedGenerationMetadata(makeJpeg(), meta)
+    const twice = embedGenerationMetadata(once, { ...meta, seed: 43 })
+    expect(readGenerationMetadata(twice).seed).toBe(43)
+    expect(twice.length).toBe(once.length)
+  })
+
+  it('throws when the packet does not fit in one segment', () => {
+    const huge = { ...meta, prompt: 'x'.repeat(70000) }
+    expect(() => embedGenerationMetadata(makeJpeg(), huge)).toThrow()
+  })
+})
+
+// ============================================================================
+// WebP
+// ============================================================================
+
+describe('WebP metadata', () => {
+  const readVp8x = (bytes) => {
+    expect(new TextDecoder().decode(bytes.subarray(12, 16))).toBe('VP8X')
+    const d = bytes.subarray(20, 30)
+    return {
+      flags: d[0],
+      width: (d[4] | (d[5] << 8) | (d[6] << 16)) + 1,
+      height: (d[7] | (d[8] << 8) | (d[9] << 16)) + 1,
+    }
+  }
+
+  it('converts a lossless file to VP8X with size and alpha', () => {
+    const out = embedGenerationMetadata(makeWebp([webpChunk('VP8L', vp8lHeader())]), meta)
+    expect(readVp8x(out)).toEqual({ flags: 0x14, width: 300, height: 200 })
+    expect(readGenerationMetadata(out)).toEqual(meta)
+  })
+
+  it('converts a lossy file to VP8X', () => {
+    const out = embedGenerationMetadata(makeWebp([webpChunk('VP8 ', vp8Header())]), meta)
+    expect(readVp8x(out)).toEqual({ flags: 0x04, width: 640, height: 480 })
+    expect(readGenerationMetadata(out)).toEqual(meta)
+  })
+
+  it('sets the XMP flag on an existing VP8X file and keeps the RIFF size right', () => {
+    const vp8x = [0x10, 0, 0, 0, 0x2b, 0x01, 0x00, 0xc7, 0x00, 0x00]
+    const source = makeWebp([webpChunk('VP8X', vp8x), webpChunk('ALPH', [1, 2, 3]), webpChunk('VP8 ', vp8Header())])
+    const out = embedGenerationMetadata(source, meta)
+    expect(readVp8x(out).flags).toBe(0x14)
+    expect(new DataView(out.buffer).getUint32(4, true)).toBe(out.length - 8)
+
+    const again = embedGenerationMetadata(out, { ...meta, seed: 43 })
+    expect(again.length).toBe(out.length)
+    expect(readGenerationMetadata(again).seed).toBe(43)
+  })
+})
+
+describe('readGenerationMetadata', () => {
+  it('returns null for unsupported or truncated input', () => {
+    expect(readGenerationMetadata(bytesOf('GIF89a'))).toBeNull()
+    expect(readGenerationMetadata(embedGenerationMetadata(makePng(), meta).slice(0, 40))).toBeNull()
+  })
+
+  it('embedGenerationMetadata throws for unsupported formats', () => {
+    expect(() => embedGenerationMetadata(bytesOf('GIF89a'), meta)).toThrow()
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * Least-recently-used cache (pure)
+ *
+ * A Map that keeps at most `maxEntries` entries. Reading an entry marks it
+ * as recently used; adding past the limit drops the least recently used one
+ * and hands it to `onEvict` (e.g. to revoke an object URL). Entries that
+ * `canEvict` refuses (e.g. still on screen) are passed over; the cache grows
+ * past the limit until trim() finds them free.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=200]
+ * @param {(value: *, key: *) => void} [options.onEvict] - Called for entries dropped to stay under the limit
+ * @param {(value: *, key: *) => boolean} [options.canEvict] - false keeps an entry past the limit
+ * @returns {{
+ *   get: (key: *) => *,
+ *   set: (key: *, value: *) => void,
+ *   has: (key: *) => boolean,
+ *   delete: (key: *) => boolean,
+ *   clear: () => void,
+ *   trim: () => void,
+ *   entries: () => IterableIterator<[*, *]>,
+ *   values: () => IterableIterator<*>,
+ *   readonly size: number,
+ * }}
+ * @example
+ * const cache = createLruCache({ maxEntries: 2, onEvict: (url) => URL.revokeObjectURL(url) })
+ */
+export const createLruCache = ({ maxEntries = 200, onEvict, canEvict } = {}) => {
+  const map = new Map()
+
+  // Drop the least recently used entries allowed to go (never `keep`) until under the limit
+  const trim = (keep) => {
+    for (const [key, value] of map) {
+      if (map.size <= maxEntries) return
+      if (key === keep || (canEvict && !canEvict(value, key))) continue
+      map.delete(key)
+      onEvict?.(value, key)
+    }
+  }
+
+  const get = (key) => {
+    if (!map.has(key)) return undefined
+    // Re-insert to move the entry to the most recent end
+    const value = map.get(key)
+    map.delete(key)
+    map.set(key, value)
+    return value
+  }
+
+  const set = (key, value) => {
+    if (map.has(key)) map.delete(key)
+    map.set(key, value)
+    trim(key)
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => map.has(key),
+    delete: (key) => map.delete(key),
+    clear: () => map.clear(),
+    trim: () => trim(),
+    entries: () => map.entries(),
+    values: () => map.values(),
+    get size() {
+      return map.size
+    },
+  }
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createLruCache } from './lru-cache'
+
+describe('createLruCache', () => {
+  it('stores and reads values', () => {
+    const cache = createLruCache({ maxEntries: 2 })
+    cache.set('a', 1)
+    expect(cache.get('a')).toBe(1)
+    expect(cache.has('b')).toBe(false)
+    expect(cache.get('b')).toBeUndefined()
+  })
+
+  it('evicts the least recently used entry past the limit', () => {
+    const onEvict = vi.fn()
+    const cache = createLruCache({ maxEntries: 2, onEvict })
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+    expect([...cache.entries()]).toEqual([['a', 1], ['c', 3]])
+    expect(onEvict).toHaveBeenCalledWith(2, 'b')
+  })
+
+  it('does not call onEvict for explicit delete or clear', () => {
+    const onEvict = vi.fn()
+    const cache = createLruCache({ maxEntries: 2, onEvict })
+    cache.set('a', 1)
+    cache.set('b', 2)
+    expect(cache.delete('a')).toBe(true)
+    cache.clear()
+    expect(cache.size).toBe(0)
+    expect(onEvict).not.toHaveBeenCalled()
+  })
+
+  it('overwriting a key refreshes it without evicting', () => {
+    const onEvict = vi.fn()
+    const cache = createLruCache({ maxEntries: 2, onEvict })
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.set('a', 10)
+    expect([...cache.values()]).toEqual([2, 10])
+    expect(onEvict).not.toHaveBeenCalled()
+  })
+
+  it('passes over entries canEvict refuses until trim finds them free', () => {
+    const onEvict = vi.fn()
+    const inUse = new Set([1])
+    const cache = createLruCache({ maxEntries: 2, onEvict, canEvict: (value) => !inUse.has(value) })
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.set('c', 3)
+    expect([...cache.values()]).toEqual([1, 3])
+    expect(onEvict).toHaveBeenCalledWith(2, 'b')
+
+    cache.set('d', 4)
+    expect([...cache.values()]).toEqual([1, 4])
+
+    inUse.add(4)
+    cache.set('e', 5)
+    expect([...cache.values()]).toEqual([1, 4, 5])
+
+    inUse.clear()
+    cache.trim()
+    expect([...cache.values()]).toEqual([4, 5])
+    expect(onEvict).toHaveBeenLastCalledWith(1, 'a')
+  })
+})
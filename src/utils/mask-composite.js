@@ -0,0 +1,133 @@
+/**
+ * Mask helpers for masked region editing.
+ *
+ * A mask is a single-channel Uint8Array (one byte per pixel, 0 = keep,
+ * 255 = editable). Compositing copies edited pixels only where the mask is
+ * set, so everything outside the mask stays byte-identical to the original.
+ *
+ * Pure module with no DOM dependencies; canvas decoding lives in
+ * composables/useMaskedEdit.js.
+ */
+
+/**
+ * Pixels at or above this value (after alpha) count as masked
+ */
+export const MASK_THRESHOLD = 128
+
+/**
+ * Convert RGBA pixels (white = editable on black or transparent) to a binary mask
+ * @param {Uint8ClampedArray|Uint8Array} rgba
+ * @param {number} [threshold]
+ * @returns {Uint8Array}
+ */
+export const toBinaryMask = (rgba, threshold = MASK_THRESHOLD) => {
+  const mask = new Uint8Array(rgba.length / 4)
+  for (let i = 0; i < mask.length; i++) {
+    const o = i * 4
+    // Brightest channel weighted by alpha, so colored strokes count too
+    const value = (Math.max(rgba[o], rgba[o + 1], rgba[o + 2]) * rgba[o + 3]) / 255
+    mask[i] = value >= threshold ? 255 : 0
+  }
+  return mask
+}
+
+/**
+ * Expand a binary mask to opaque RGBA (white on black) for encoding as PNG
+ * @param {Uint8Array} mask
+ * @returns {Uint8ClampedArray}
+ */
+export const maskToRgba = (mask) => {
+  const rgba = new Uint8ClampedArray(mask.length * 4)
+  for (let i = 0; i < mask.length; i++) {
+    const o = i * 4
+    rgba[o] = rgba[o + 1] = rgba[o + 2] = mask[i]
+    rgba[o + 3] = 255
+  }
+  return rgba
+}
+
+/**
+ * Resize a mask with nearest-neighbour sampling (keeps it binary)
+ * @param {Uint8Array} mask
+ * @param {number} srcWidth
+ * @param {number} srcHeight
+ * @param {number} dstWidth
+ * @param {number} dstHeight
+ * @returns {Uint8Array}
+ */
+export const resizeMaskNearest = (mask, srcWidth, srcHeight, dstWidth, dstHeight) => {
+  if (srcWidth === dstWidth && srcHeight === dstHeight) return mask
+
+  const out = new Uint8Array(dstWidth * dstHeight)
+  for (let y = 0; y < dstHeight; y++) {
+    const sy = Math.min(srcHeight - 1, Math.floor(((y + 0.5) * srcHeight) / dstHeight))
+    for (let x = 0; x < dstWidth; x++) {
+      const sx = Math.min(srcWidth - 1, Math.floor(((x + 0.5) * srcWidth) / dstWidth))
+      out[y * dstWidth + x] = mask[sy * srcWidth + sx]
+    }
+  }
+  return out
+}
+
+/**
+ * Number of masked pixels
+ * @param {Uint8Array} mask
+ * @returns {number}
+ */
+export const countMaskedPixels = (mask) => {
+  let count = 0
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) count++
+  }
+  return count
+}
+
+/**
+ * Bounding box of the masked pixels
+ * @param {Uint8Array} mask
+ * @param {number} width
+ * @returns {{x: number, y: number, width: number, height: number}|null} null for an empty mask
+ */
+export const getMaskBounds = (mask, width) => {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -1
+  let maxY = -1
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue
+    const x = i % width
+    const y = (i - x) / width
+    if (x < minX) minX = x
+    if (x > maxX) maxX = x
+    if (y < minY) minY = y
+    if (y > maxY) maxY = y
+  }
+  if (maxX < 0) return null
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+}
+
+/**
+ * Take edited pixels inside the mask and original pixels everywhere else.
+ * All three inputs must have the same pixel count.
+ * @param {Uint8ClampedArray} original - RGBA
+ * @param {Uint8ClampedArray} edited - RGBA, already resized to the original
+ * @param {Uint8Array} mask - Binary mask
+ * @returns {Uint8ClampedArray} RGBA
+ * @throws {Error} If the sizes don't match
+ */
+export const compositeMasked = (original, edited, mask) => {
+  if (original.length !== edited.length || original.length !== mask.length * 4) {
+    throw new Error('Mask composite size mismatch')
+  }
+
+  const out = new Uint8ClampedArray(original)
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue
+    const o = i * 4
+    out[o] = edited[o]
+    out[o + 1] = edited[o + 1]
+    out[o + 2] = edited[o + 2]
+    out[o + 3] = edited[o + 3]
+  }
+  return out
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest'
+import {
+  toBinaryMask,
+  maskToRgba,
+  resizeMaskNearest,
+  countMaskedPixels,
+  getMaskBounds,
+  compositeMasked,
+} from './mask-composite'
+
+/** RGBA buffer filled with one color */
+const solid = (pixels, [r, g, b, a = 255]) => {
+  const rgba = new Uint8ClampedArray(pixels * 4)
+  for (let i = 0; i < pixels; i++) rgba.set([r, g, b, a], i * 4)
+  return rgba
+}
+
+// ============================================================================
+// toBinaryMask / maskToRgba
+// ============================================================================
+
+describe('toBinaryMask', () => {
+  it('treats white as masked and black as kept', () => {
+    const rgba = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255])
+    expect(Array.from(toBinaryMask(rgba))).toEqual([255, 0])
+  })
+
+  it('counts colored strokes by their brightest channel', () => {
+    const rgba = new Uint8ClampedArray([255, 0, 128, 255])
+    expect(Array.from(toBinaryMask(rgba))).toEqual([255])
+  })
+
+  it('ignores transparent and faint pixels', () => {
+    const rgba = new Uint8ClampedArray([255, 255, 255, 0, 255, 255, 255, 100, 100, 100, 100, 255])
+    expect(Array.from(toBinaryMask(rgba))).toEqual([0, 0, 0])
+  })
+})
+
+describe('maskToRgba', () => {
+  it('expands to opaque white on black', () => {
+    expect(Array.from(maskToRgba(new Uint8Array([255, 0])))).toEqual([255, 255, 255, 255, 0, 0, 0, 255])
+  })
+})
+
+// ============================================================================
+// resizeMaskNearest
+// ============================================================================
+
+describe('resizeMaskNearest', () => {
+  it('returns the same mask when the size matches', () => {
+    const mask = new Uint8Array([255, 0, 0, 255])
+    expect(resizeMaskNearest(mask, 2, 2, 2, 2)).toBe(mask)
+  })
+
+  it('upscales without introducing grey values', () => {
+    const mask = new Uint8Array([255, 0])
+    const out = resizeMaskNearest(mask, 2, 1, 4, 2)
+    expect(Array.from(out)).toEqual([255, 255, 0, 0, 255, 255, 0, 0])
+  })
+
+  it('downscales by sampling pixel centres', () => {
+    const mask = new Uint8Array([0, 255, 0, 255, 0, 255, 0, 255])
+    expect(Array.from(resizeMaskNearest(mask, 4, 2, 2, 1))).toEqual([255, 255])
+  })
+})
+
+// ============================================================================
+// countMaskedPixels / getMaskBounds
+// ============================================================================
+
+describe('countMaskedPixels', () => {
+  it('counts set pixels', () => {
+    expect(countMaskedPixels(new Uint8Array([255, 0, 255]))).toBe(2)
+    expect(countMaskedPixels(new Uint8Array(4))).toBe(0)
+  })
+})
+
+describe('getMaskBounds', () => {
+  it('returns the bounding box of masked pixels', () => {
+    // 4x3 mask with pixels at (1,1) and (2,2)
+    const mask = new Uint8Array(12)
+    mask[1 * 4 + 1] = 255
+    mask[2 * 4 + 2] = 255
+    expect(getMaskBounds(mask, 4)).toEqual({ x: 1, y: 1, width: 2, height: 2 })
+  })
+
+  it('returns null for an empty mask', () => {
+    expect(getMaskBounds(new Uint8Array(9), 3)).toBeNull()
+  })
+})
+
+// ============================================================================
+// compositeMasked
+// ============================================================================
+
+describe('compositeMasked', () => {
+  it('keeps original pixels outside the mask byte-for-byte', () => {
+    const original = new Uint8ClampedArray([1, 2, 3, 255, 4, 5, 6, 255, 7, 8, 9, 128])
+    const edited = solid(3, [200, 200, 200])
+    const mask = new Uint8Array([0, 255, 0])
+
+    const out = compositeMasked(original, edited, mask)
+
+    expect(Array.from(out.slice(0, 4))).toEqual([1, 2, 3, 255])
+    expect(Array.from(out.slice(4, 8))).toEqual([200, 200, 200, 255])
+    expect(Array.from(out.slice(8, 12))).toEqual([7, 8, 9, 128])
+  })
+
+  it('does not modify its inputs', () => {
+    const original = solid(1, [10, 10, 10])
+    compositeMasked(original, solid(1, [99, 99, 99]), new Uint8Array([255]))
+    expect(Array.from(original)).toEqual([10, 10, 10, 255])
+  })
+
+  it('throws on mismatched sizes', () => {
+    expect(() => compositeMasked(solid(2, [0, 0, 0]), solid(1, [0, 0, 0]), new Uint8Array(2))).toThrow()
+  })
+})
@@ -0,0 +1,670 @@
+/**
+ * Mock @google/genai client — deterministic, offline stand-in for demos and tests.
+ *
+ * Implements the subset of the SDK surface the app uses:
+ * `models.generateContent`, `models.generateContentStream`, `models.generateVideos`,
+ * `models.embedContent`, `models.countTokens`, `operations.getVideosOperation`
+ * and `chats.create().sendMessageStream`.
+ *
+ * Output depends only on the request (same prompt → same image, audio and
+ * embedding). Errors are scripted with directives in the latest message text
+ * (earlier turns of a multi-turn request are ignored):
+ *
+ *   [mock:429]      every call fails with 429 RESOURCE_EXHAUSTED
+ *   [mock:429x2]    the first 2 calls fail, then it succeeds (retry paths)
+ *   [mock:safety]   400 INVALID_ARGUMENT, blocked by safety filters
+ *   [mock:500]      500 INTERNAL
+ *   [mock:timeout]  never answers until aborted
+ *
+ * Pure module with no Vue or DOM dependencies, so search.worker.js can use it.
+ */
+
+import { uint8ArrayToBinaryString } from './binaryUtils'
+
+const MOCK_IMAGE_LONG_EDGE = 384
+const MOCK_AUDIO_SAMPLE_RATE = 24000
+const MOCK_EMBEDDING_DIMS = 768
+const MOCK_CHUNK_COUNT = 3
+// Input tokens Gemini bills per image at up to 384px
+const MOCK_IMAGE_TOKENS = 258
+// A scripted timeout without an abort signal gives up like a server deadline would
+const MOCK_TIMEOUT_HANG_MS = 5 * 60 * 1000
+
+const DIRECTIVE_PATTERN = /\[mock:(429|500|safety|timeout)(?:x(\d+))?\]/i
+
+const ERROR_RESPONSES = {
+  429: { status: 429, code: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (e.g. check quota).' },
+  500: { status: 500, code: 'INTERNAL', message: 'An internal error has occurred.' },
+  safety: {
+    status: 400,
+    code: 'INVALID_ARGUMENT',
+    message: 'Request blocked by safety filters: the content is prohibited.',
+  },
+}
+
+// Attempts per scripted directive, so `[mock:429x2]` fails exactly twice
+const directiveAttempts = new Map()
+let operationCounter = 0
+
+// ============================================================================
+// Deterministic helpers
+// ============================================================================
+
+/**
+ * FNV-1a 32-bit hash
+ * @param {string} text
+ * @returns {number}
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5
+  const str = String(text ?? '')
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+const bytesToBase64 = (bytes) => btoa(uint8ArrayToBinaryString(bytes))
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4)
+
+/**
+ * Error shaped like the SDK's ApiError (status + JSON body in the message)
+ */
+export class MockApiError extends Error {
+  constructor({ status, code, message }) {
+    super(JSON.stringify({ error: { code: status, message, status: code } }))
+    this.name = 'ApiError'
+    this.status = status
+  }
+}
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError')
+
+/**
+ * Sleep that rejects with AbortError when the signal fires
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+// ============================================================================
+// Scripted errors
+// ============================================================================
+
+/**
+ * Find a scripted error directive in request text
+ * @param {string} text
+ * @returns {{ type: string, times: number }|null} times is Infinity without `xN`
+ */
+export const parseMockDirective = (text) => {
+  const match = String(text || '').match(DIRECTIVE_PATTERN)
+  if (!match) return null
+  return {
+    type: match[1].toLowerCase(),
+    times: match[2] ? parseInt(match[2], 10) : Infinity,
+  }
+}
+
+/**
+ * Throw (or hang) if the request text scripts an error for this attempt
+ * @param {string} text
+ * @param {AbortSignal} [signal]
+ */
+const applyDirective = async (text, signal) => {
+  const directive = parseMockDirective(text)
+  if (!directive) return
+
+  const key = `${directive.type}:${hashString(text)}`
+  const attempt = (directiveAttempts.get(key) || 0) + 1
+  if (attempt > directive.times) {
+    directiveAttempts.delete(key)
+    return
+  }
+  directiveAttempts.set(key, attempt)
+
+  if (directive.type === 'timeout') {
+    await delay(MOCK_TIMEOUT_HANG_MS, signal)
+    throw new MockApiError({ status: 504, code: 'DEADLINE_EXCEEDED', message: 'Deadline expired before operation could complete.' })
+  }
+  throw new MockApiError(ERROR_RESPONSES[directive.type])
+}
+
+/**
+ * Forget scripted attempt counts (tests)
+ */
+export const resetMockState = () => {
+  directiveAttempts.clear()
+  operationCounter = 0
+}
+
+// ============================================================================
+// Fake media
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const adler32 = (bytes) => {
+  let a = 1
+  let b = 0
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521
+    b = (b + a) % 65521
+  }
+  return ((b << 16) | a) >>> 0
+}
+
+// zlib stream made of uncompressed (stored) deflate blocks
+const zlibStore = (data) => {
+  const MAX_BLOCK = 0xffff
+  const blockCount = Math.max(1, Math.ceil(data.length / MAX_BLOCK))
+  const out = new Uint8Array(2 + data.length + blockCount * 5 + 4)
+  const view = new DataView(out.buffer)
+  out[0] = 0x78
+  out[1] = 0x01
+  let offset = 2
+  for (let i = 0; i < blockCount; i++) {
+    const block = data.subarray(i * MAX_BLOCK, (i + 1) * MAX_BLOCK)
+    out[offset] = i === blockCount - 1 ? 1 : 0
+    view.setUint16(offset + 1, block.length, true)
+    view.setUint16(offset + 3, ~block.length & 0xffff, true)
+    out.set(block, offset + 5)
+    offset += 5 + block.length
+  }
+  view.setUint32(offset, adler32(data))
+  return out
+}
+
+const pngChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i)
+  chunk.set(data, 8)
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+  return chunk
+}
+
+/**
+ * Encode RGB pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} rgb - width × height × 3 bytes
+ * @returns {Uint8Array}
+ */
+export const encodePng = (width, height, rgb) => {
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, height)
+  header[8] = 8 // bit depth
+  header[9] = 2 // color type: RGB
+
+  // Each scanline is prefixed with filter type 0 (None)
+  const stride = width * 3
+  const raw = new Uint8Array((stride + 1) * height)
+  for (let y = 0; y < height; y++) {
+    raw.set(rgb.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+  }
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlibStore(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]
+  const png = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    png.set(part, offset)
+    offset += part.length
+  }
+  return png
+}
+
+const colorFromHash = (hash) => [(hash >>> 16) & 0xff, (hash >>> 8) & 0xff, hash & 0xff]
+
+/**
+ * Image size for an aspect ratio, long edge MOCK_IMAGE_LONG_EDGE
+ * @param {string} [aspectRatio] - e.g. '16:9'
+ * @returns {{ width: number, height: number }}
+ */
+export const getMockImageSize = (aspectRatio = '1:1') => {
+  const [w, h] = String(aspectRatio).split(':').map(Number)
+  if (!(w > 0 && h > 0)) return { width: MOCK_IMAGE_LONG_EDGE, height: MOCK_IMAGE_LONG_EDGE }
+  const short = Math.max(2, Math.round((MOCK_IMAGE_LONG_EDGE * Math.min(w, h)) / Math.max(w, h) / 2) * 2)
+  return w >= h
+    ? { width: MOCK_IMAGE_LONG_EDGE, height: short }
+    : { width: short, height: MOCK_IMAGE_LONG_EDGE }
+}
+
+/**
+ * Gradient with a disc, colors derived from the seed text
+ * @param {string} seed
+ * @param {string} [aspectRatio]
+ * @returns {{ data: string, mimeType: string }} Base64 PNG
+ */
+export const createMockImage = (seed, aspectRatio) => {
+  const { width, height } = getMockImageSize(aspectRatio)
+  const hash = hashString(seed)
+  const top = colorFromHash(hash)
+  const bottom = colorFromHash(hashString(`${seed}:bottom`))
+  const disc = colorFromHash(hashString(`${seed}:disc`))
+
+  const cx = width / 2
+  const cy = height / 2
+  const radius = Math.min(width, height) / 4
+  const rgb = new Uint8Array(width * height * 3)
+
+  for (let y = 0; y < height; y++) {
+    const t = y / Math.max(1, height - 1)
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3
+      const inDisc = (x - cx) ** 2 + (y - cy) ** 2 <= radius ** 2
+      for (let c = 0; c < 3; c++) {
+        rgb[i + c] = inDisc ? disc[c] : Math.round(top[c] * (1 - t) + bottom[c] * t)
+      }
+    }
+  }
+
+  return { data: bytesToBase64(encodePng(width, height, rgb)), mimeType: 'image/png' }
+}
+
+/**
+ * 16-bit mono PCM tone, length proportional to the text (1–8 s)
+ * @param {string} text
+ * @returns {{ data: string, mimeType: string }}
+ */
+export const createMockPcm = (text) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length
+  const seconds = Math.min(8, Math.max(1, words * 0.3))
+  const samples = Math.round(seconds * MOCK_AUDIO_SAMPLE_RATE)
+  const frequency = 220 + (hashString(text) % 440)
+  const bytes = new Uint8Array(samples * 2)
+  const view = new DataView(bytes.buffer)
+  for (let i = 0; i < samples; i++) {
+    // Short fade in/out avoids clicks
+    const envelope = Math.min(1, i / 1200, (samples - i) / 1200)
+    const value = Math.sin((2 * Math.PI * frequency * i) / MOCK_AUDIO_SAMPLE_RATE) * 0.2 * envelope
+    view.setInt16(i * 2, Math.round(value * 0x7fff), true)
+  }
+  return {
+    data: bytesToBase64(bytes),
+    mimeType: `audio/L16;codec=pcm;rate=${MOCK_AUDIO_SAMPLE_RATE}`,
+  }
+}
+
+/**
+ * Hashed bag-of-words embedding (L2-normalized), so texts sharing words
+ * are close and semantic search behaves plausibly
+ * @param {string} text
+ * @param {number} [dims]
+ * @returns {number[]}
+ */
+export const createMockEmbedding = (text, dims = MOCK_EMBEDDING_DIMS) => {
+  const values = new Array(dims).fill(0)
+  const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || ['']
+  for (const token of tokens) {
+    const hash = hashString(token)
+    values[hash % dims] += hash & 0x80000000 ? -1 : 1
+  }
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1
+  return values.map((v) => v / norm)
+}
+
+/**
+ * A short clip of the mock image. Recorded with MediaRecorder when the
+ * browser supports it; otherwise placeholder bytes (tests, workers).
+ * @param {string} seed
+ * @param {string} [aspectRatio]
+ * @returns {Promise<{ videoBytes: string, mimeType: string }>}
+ */
+export const createMockVideo = async (seed, aspectRatio) => {
+  const canRecord =
+    typeof document !== 'undefined' &&
+    typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function'
+
+  if (canRecord) {
+    try {
+      const { width, height } = getMockImageSize(aspectRatio)
+      const canvas = document.createElement('canvas')
+      canvas.width = width
+      canvas.height = height
+      const ctx = canvas.getContext('2d')
+      const [r, g, b] = colorFromHash(hashString(seed))
+      const stream = canvas.captureStream(24)
+      const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' })
+      const chunks = []
+      recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data)
+      const stopped = new Promise((resolve) => (recorder.onstop = resolve))
+
+      recorder.start()
+      const start = performance.now()
+      await new Promise((resolve) => {
+        const draw = () => {
+          const t = (performance.now() - start) / 1000
+          ctx.fillStyle = `rgb(${r}, ${g}, ${b})`
+          ctx.fillRect(0, 0, width, height)
+          ctx.fillStyle = '#ffffff'
+          ctx.beginPath()
+          ctx.arc(((t % 1) * width), height / 2, Math.min(width, height) / 8, 0, Math.PI * 2)
+          ctx.fill()
+          if (t < 1) requestAnimationFrame(draw)
+          else resolve()
+        }
+        draw()
+      })
+      recorder.stop()
+      await stopped
+
+      const blob = new Blob(chunks, { type: 'video/webm' })
+      const bytes = new Uint8Array(await blob.arrayBuffer())
+      return { videoBytes: bytesToBase64(bytes), mimeType: 'video/webm' }
+    } catch (err) {
+      console.warn('[mock-genai] Video recording failed, using placeholder:', err)
+    }
+  }
+
+  const placeholder = new TextEncoder().encode(`mock-video:${hashString(seed)}`)
+  return { videoBytes: bytesToBase64(placeholder), mimeType: 'video/mp4' }
+}
+
+// ============================================================================
+// Structured output
+// ============================================================================
+
+/**
+ * Fill a JSON schema with placeholder values. Arrays of objects with a
+ * `pageId` get one item per `[Page ID: xxx]` in the prompt, which is how the
+ * slides and narration prompts list their pages.
+ * @param {Object} schema
+ * @param {{ prompt: string, pageIds: string[] }} context
+ * @param {string} [name] - Property name, used in placeholder text
+ * @returns {*}
+ */
+export const fakeFromSchema = (schema, context, name = 'value') => {
+  switch (schema?.type) {
+    case 'object': {
+      const result = {}
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        result[key] = fakeFromSchema(prop, context, key)
+      }
+      return result
+    }
+    case 'array': {
+      const item = schema.items || { type: 'string' }
+      if (item.type === 'object' && item.properties?.pageId && context.pageIds.length > 0) {
+        return context.pageIds.map((pageId, index) => ({
+          ...fakeFromSchema(item, context, name),
+          pageId,
+          ...(item.properties.script && { script: `Speaker 1: Mock narration for page ${index + 1}.` }),
+        }))
+      }
+      return Array.from({ length: MOCK_CHUNK_COUNT }, (_, index) => {
+        const value = fakeFromSchema(item, context, name)
+        if (value && typeof value === 'object' && 'pageNumber' in value) value.pageNumber = index + 1
+        return value
+      })
+    }
+    case 'integer':
+    case 'number':
+      return 1
+    case 'boolean':
+      return true
+    default:
+      return `Mock ${name}`
+  }
+}
+
+// ============================================================================
+// Responses
+// ============================================================================
+
+const toContentList = (contents) => {
+  if (!contents) return []
+  if (typeof contents === 'string') return [{ parts: [{ text: contents }] }]
+  return Array.isArray(contents) ? contents : [contents]
+}
+
+const toParts = (message) => {
+  if (typeof message === 'string') return [{ text: message }]
+  return Array.isArray(message) ? message.map((p) => (typeof p === 'string' ? { text: p } : p)) : [message]
+}
+
+const collectText = (contents) =>
+  toContentList(contents)
+    .flatMap((c) => c.parts || [])
+    .map((p) => p.text || '')
+    .join('\n')
+
+// Only the newest message, so a directive in an earlier turn doesn't fire again
+const collectLatestText = (contents) => collectText(toContentList(contents).slice(-1))
+
+const countInlineData = (contents) =>
+  toContentList(contents)
+    .flatMap((c) => c.parts || [])
+    .filter((p) => p.inlineData).length
+
+const splitText = (text, count = MOCK_CHUNK_COUNT) => {
+  const size = Math.ceil(text.length / count) || 1
+  const chunks = []
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size))
+  return chunks
+}
+
+const textCandidate = (parts) => ({ candidates: [{ content: { role: 'model', parts } }] })
+
+/**
+ * Build the streamed chunks for a generateContent request
+ * @param {Object} request - SDK generateContent params
+ * @returns {Array<Object>} GenerateContentResponse-shaped chunks
+ */
+const buildChunks = ({ model, contents, config = {} }) => {
+  const prompt = collectText(contents)
+  const modalities = (config.responseModalities || []).map((m) => String(m).toUpperCase())
+  const includeThoughts = !!config.thinkingConfig?.includeThoughts
+  const chunks = []
+  let outputTokens = 0
+  let imageTokens = 0
+  let audioTokens = 0
+  let thoughtsTokens = 0
+
+  if (includeThoughts) {
+    const thinking = `**Mock thinking**\n\nPlanning a response for: ${prompt.slice(0, 80)}\n\n`
+    thoughtsTokens = estimateTokens(thinking)
+    for (const text of splitText(thinking)) chunks.push(textCandidate([{ text, thought: true }]))
+  }
+
+  if (modalities.includes('AUDIO')) {
+    audioTokens = 250
+    chunks.push(textCandidate([{ inlineData: createMockPcm(prompt) }]))
+  } else if (modalities.includes('IMAGE')) {
+    imageTokens = 1120
+    const image = createMockImage(`${model}:${prompt}:${countInlineData(contents)}`, config.imageConfig?.aspectRatio)
+    // Gemini 3 image models sign the image part; multi-turn edits send it back
+    chunks.push(textCandidate([{ inlineData: image, thoughtSignature: 'mock-signature' }]))
+    if (modalities.includes('TEXT')) {
+      const text = 'Mock image generated offline.'
+      outputTokens = estimateTokens(text)
+      chunks.push(textCandidate([{ text }]))
+    }
+  } else if (config.responseSchema) {
+    const pageIds = [...prompt.matchAll(/\[Page ID: ([^\]]+)\]/g)].map((m) => m[1].trim())
+    const json = JSON.stringify(fakeFromSchema(config.responseSchema, { prompt, pageIds }))
+    outputTokens = estimateTokens(json)
+    for (const text of splitText(json)) chunks.push(textCandidate([{ text }]))
+  } else {
+    const text = `Mock response from ${model || 'gemini'}: ${prompt.slice(0, 120)}`
+    outputTokens = estimateTokens(text)
+    for (const part of splitText(text)) chunks.push(textCandidate([{ text: part }]))
+  }
+
+  const promptTokens = estimateTokens(prompt) + countInlineData(contents) * MOCK_IMAGE_TOKENS
+  const candidatesTokens = outputTokens + imageTokens + audioTokens
+  const last = chunks[chunks.length - 1]
+  last.candidates[0].finishReason = 'STOP'
+  last.modelVersion = `${model || 'gemini'}-mock`
+  last.usageMetadata = {
+    promptTokenCount: promptTokens,
+    candidatesTokenCount: candidatesTokens,
+    thoughtsTokenCount: thoughtsTokens,
+    totalTokenCount: promptTokens + candidatesTokens + thoughtsTokens,
+    candidatesTokensDetails: [
+      ...(imageTokens ? [{ modality: 'IMAGE', tokenCount: imageTokens }] : []),
+      ...(audioTokens ? [{ modality: 'AUDIO', tokenCount: audioTokens }] : []),
+      ...(outputTokens ? [{ modality: 'TEXT', tokenCount: outputTokens }] : []),
+    ],
+  }
+  return chunks
+}
+
+// Merge streamed chunks into one non-streaming response
+const mergeChunks = (chunks) => {
+  const last = chunks[chunks.length - 1]
+  const parts = chunks.flatMap((c) => c.candidates?.[0]?.content?.parts || [])
+  const response = {
+    candidates: [{ content: { role: 'model', parts }, finishReason: last.candidates[0].finishReason }],
+    usageMetadata: last.usageMetadata,
+    modelVersion: last.modelVersion,
+  }
+  Object.defineProperty(response, 'text', {
+    get: () => parts.filter((p) => p.text && !p.thought).map((p) => p.text).join(''),
+  })
+  return response
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Drop-in replacement for `new GoogleGenAI({ apiKey })`
+ */
+export class MockGoogleGenAI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Ignored
+   * @param {number} [options.latencyMs=120] - Delay before the first chunk and between chunks
+   */
+  constructor({ latencyMs = 120 } = {}) {
+    this.latencyMs = latencyMs
+
+    const stream = async (request) => {
+      const signal = request.config?.abortSignal
+      await applyDirective(collectLatestText(request.contents), signal)
+      await delay(this.latencyMs, signal)
+      const chunks = buildChunks(request)
+      const latency = this.latencyMs
+      return (async function* () {
+        for (const chunk of chunks) {
+          if (signal?.aborted) throw abortError()
+          yield chunk
+          await delay(latency / MOCK_CHUNK_COUNT, signal)
+        }
+      })()
+    }
+
+    this.models = {
+      generateContentStream: stream,
+
+      generateContent: async (request) => {
+        const chunks = []
+        for await (const chunk of await stream(request)) chunks.push(chunk)
+        return mergeChunks(chunks)
+      },
+
+      generateVideos: async ({ prompt, config = {} }) => {
+        await applyDirective(prompt, config.abortSignal)
+        await delay(this.latencyMs, config.abortSignal)
+        operationCounter += 1
+        return {
+          name: `operations/mock-video-${operationCounter}`,
+          done: false,
+          mockRequest: { prompt, aspectRatio: config.aspectRatio },
+        }
+      },
+
+      embedContent: async ({ contents, config = {} }) => {
+        const list = toContentList(contents)
+        await applyDirective(collectText(list), config.abortSignal)
+        const dims = config.outputDimensionality || MOCK_EMBEDDING_DIMS
+        return {
+          embeddings: list.map((c) => ({
+            values: createMockEmbedding((c.parts || []).map((p) => p.text || '').join(' '), dims),
+          })),
+        }
+      },
+
+      countTokens: async ({ contents }) => ({
+        totalTokens: estimateTokens(collectText(contents)) + countInlineData(contents) * MOCK_IMAGE_TOKENS,
+      }),
+    }
+
+    this.operations = {
+      // Finishes on the first poll
+      getVideosOperation: async ({ operation }) => {
+        const { prompt, aspectRatio } = operation.mockRequest || {}
+        const video = await createMockVideo(String(prompt || operation.name), aspectRatio)
+        return {
+          ...operation,
+          done: true,
+          response: {
+            generatedVideos: [{ video: { uri: `mock://${operation.name}`, ...video } }],
+          },
+        }
+      },
+    }
+
+    this.chats = {
+      create: ({ model, history = [], config = {} }) => {
+        const turns = [...history]
+        return {
+          sendMessageStream: async ({ message, config: callConfig = {} }) => {
+            const parts = toParts(message)
+            turns.push({ role: 'user', parts })
+            const response = await stream({
+              model,
+              contents: [{ role: 'user', parts }],
+              config: { ...config, ...callConfig },
+            })
+            turns.push({ role: 'model', parts: [{ text: '(mock)' }] })
+            return response
+          },
+          getHistory: () => turns,
+        }
+      },
+    }
+  }
+}
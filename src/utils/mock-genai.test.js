@@ -0,0 +1,475 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  hashString,
+  MockApiError,
+  parseMockDirective,
+  resetMockState,
+  encodePng,
+  getMockImageSize,
+  createMockImage,
+  createMockPcm,
+  createMockEmbedding,
+  createMockVideo,
+  fakeFromSchema,
+  MockGoogleGenAI,
+} from './mock-genai'
+import { detectMimeFromBase64 } from './binaryUtils'
+import { parseMimeType, base64ToInt16Array } from './audioEncoder'
+import { classifyApiError } from '@/composables/apiErrors'
+import { ERROR_CATEGORY } from '@/constants'
+
+const collect = async (stream) => {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return chunks
+}
+
+const partsOf = (chunks) => chunks.flatMap((c) => c.candidates?.[0]?.content?.parts || [])
+
+const userText = (text) => [{ role: 'user', parts: [{ text }] }]
+
+// ============================================================================
+// hashString
+// ============================================================================
+
+describe('hashString', () => {
+  it('is deterministic', () => {
+    expect(hashString('banana')).toBe(hashString('banana'))
+  })
+
+  it('differs for different input', () => {
+    expect(hashString('banana')).not.toBe(hashString('apple'))
+  })
+
+  it('returns an unsigned 32-bit integer', () => {
+    const hash = hashString('anything')
+    expect(Number.isInteger(hash)).toBe(true)
+    expect(hash).toBeGreaterThanOrEqual(0)
+    expect(hash).toBeLessThan(2 ** 32)
+  })
+})
+
+// ============================================================================
+// parseMockDirective
+// ============================================================================
+
+describe('parseMockDirective', () => {
+  it('returns null without a directive', () => {
+    expect(parseMockDirective('a cat on a sofa')).toBeNull()
+  })
+
+  it('parses an unlimited directive', () => {
+    expect(parseMockDirective('a cat [mock:429]')).toEqual({ type: '429', times: Infinity })
+  })
+
+  it('parses a counted directive', () => {
+    expect(parseMockDirective('[mock:timeoutx3] a cat')).toEqual({ type: 'timeout', times: 3 })
+  })
+
+  it('is case-insensitive', () => {
+    expect(parseMockDirective('[MOCK:Safety]')).toEqual({ type: 'safety', times: Infinity })
+  })
+})
+
+// ============================================================================
+// MockApiError
+// ============================================================================
+
+describe('MockApiError', () => {
+  it('looks like an SDK ApiError', () => {
+    const err = new MockApiError({ status: 429, code: 'RESOURCE_EXHAUSTED', message: 'quota' })
+    expect(err.name).toBe('ApiError')
+    expect(err.status).toBe(429)
+    expect(JSON.parse(err.message)).toEqual({ error: { code: 429, message: 'quota', status: 'RESOURCE_EXHAUSTED' } })
+  })
+})
+
+// ============================================================================
+// Fake media
+// ============================================================================
+
+describe('encodePng', () => {
+  it('writes the PNG signature and IHDR dimensions', () => {
+    const png = encodePng(3, 2, new Uint8Array(3 * 2 * 3))
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+    const view = new DataView(png.buffer)
+    expect(view.getUint32(16)).toBe(3)
+    expect(view.getUint32(20)).toBe(2)
+  })
+
+  it('ends with an IEND chunk', () => {
+    const png = encodePng(1, 1, new Uint8Array(3))
+    const tail = String.fromCharCode(...png.subarray(png.length - 8, png.length - 4))
+    expect(tail).toBe('IEND')
+  })
+})
+
+describe('getMockImageSize', () => {
+  it('defaults to a square', () => {
+    expect(getMockImageSize()).toEqual({ width: 384, height: 384 })
+  })
+
+  it('keeps the long edge for landscape and portrait', () => {
+    expect(getMockImageSize('16:9')).toEqual({ width: 384, height: 216 })
+    expect(getMockImageSize('9:16')).toEqual({ width: 216, height: 384 })
+  })
+
+  it('falls back to square for invalid ratios', () => {
+    expect(getMockImageSize('wide')).toEqual({ width: 384, height: 384 })
+  })
+})
+
+describe('createMockImage', () => {
+  it('returns a PNG detectable from its base64', () => {
+    const image = createMockImage('a red apple', '1:1')
+    expect(image.mimeType).toBe('image/png')
+    expect(detectMimeFromBase64(image.data)).toBe('image/png')
+  })
+
+  it('is deterministic per seed', () => {
+    expect(createMockImage('seed-a').data).toBe(createMockImage('seed-a').data)
+    expect(createMockImage('seed-a').data).not.toBe(createMockImage('seed-b').data)
+  })
+})
+
+describe('createMockPcm', () => {
+  it('returns 16-bit PCM with a rate in the MIME type', () => {
+    const audio = createMockPcm('hello world')
+    expect(parseMimeType(audio.mimeType).sampleRate).toBe(24000)
+    // Minimum length is one second
+    expect(base64ToInt16Array(audio.data).length).toBe(24000)
+  })
+
+  it('gets longer with more words, up to 8 seconds', () => {
+    const long = createMockPcm('word '.repeat(100))
+    expect(base64ToInt16Array(long.data).length).toBe(8 * 24000)
+  })
+})
+
+describe('createMockEmbedding', () => {
+  const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0)
+
+  it('returns a unit vector of the requested size', () => {
+    const vector = createMockEmbedding('a cat on a sofa', 64)
+    expect(vector).toHaveLength(64)
+    expect(cosine(vector, vector)).toBeCloseTo(1, 6)
+  })
+
+  it('places texts sharing words closer together', () => {
+    const cat = createMockEmbedding('orange cat sleeping on the sofa')
+    const similar = createMockEmbedding('cat sleeping on a sofa')
+    const different = createMockEmbedding('quarterly revenue spreadsheet')
+    expect(cosine(cat, similar)).toBeGreaterThan(cosine(cat, different))
+  })
+})
+
+describe('createMockVideo', () => {
+  it('returns placeholder bytes when recording is unavailable', async () => {
+    const video = await createMockVideo('a wave', '16:9')
+    expect(video.mimeType).toMatch(/^video\//)
+    expect(video.videoBytes.length).toBeGreaterThan(0)
+  })
+})
+
+// ============================================================================
+// fakeFromSchema
+// ============================================================================
+
+describe('fakeFromSchema', () => {
+  const pageSchema = {
+    type: 'object',
+    properties: {
+      globalStyle: { type: 'string' },
+      pageStyles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { pageId: { type: 'string' }, styleGuide: { type: 'string' } },
+        },
+      },
+    },
+  }
+
+  it('creates one item per page ID from the prompt', () => {
+    const result = fakeFromSchema(pageSchema, { prompt: '', pageIds: ['ab12', 'xy9k'] })
+    expect(result.globalStyle).toBe('Mock globalStyle')
+    expect(result.pageStyles.map((p) => p.pageId)).toEqual(['ab12', 'xy9k'])
+  })
+
+  it('numbers pages sequentially', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        pages: {
+          type: 'array',
+          items: { type: 'object', properties: { pageNumber: { type: 'integer' }, content: { type: 'string' } } },
+        },
+      },
+    }
+    const result = fakeFromSchema(schema, { prompt: '', pageIds: [] })
+    expect(result.pages.map((p) => p.pageNumber)).toEqual([1, 2, 3])
+  })
+
+  it('fills scripts with a speaker label', () => {
+    const schema = {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { pageId: { type: 'string' }, script: { type: 'string' } },
+      },
+    }
+    const [item] = fakeFromSchema(schema, { prompt: '', pageIds: ['p1'] })
+    expect(item.script).toMatch(/^Speaker 1: /)
+  })
+})
+
+// ============================================================================
+// MockGoogleGenAI
+// ============================================================================
+
+describe('MockGoogleGenAI', () => {
+  let ai
+
+  beforeEach(() => {
+    resetMockState()
+    ai = new MockGoogleGenAI({ latencyMs: 0 })
+  })
+
+  describe('models.generateContentStream', () => {
+    it('streams thinking, an image and text for image requests', async () => {
+      const stream = await ai.models.generateContentStream({
+        model: 'gemini-3-pro-image-preview',
+        contents: userText('a lighthouse'),
+        config: {
+          responseModalities: ['IMAGE', 'TEXT'],
+          imageConfig: { aspectRatio: '16:9' },
+          thinkingConfig: { includeThoughts: true },
+        },
+      })
+      const chunks = await collect(stream)
+      const parts = partsOf(chunks)
+
+      expect(parts.some((p) => p.thought && p.text)).toBe(true)
+      const image = parts.find((p) => p.inlineData)
+      expect(image.inlineData.mimeType).toBe('image/png')
+      expect(parts.some((p) => p.text && !p.thought)).toBe(true)
+
+      const last = chunks[chunks.length - 1]
+      expect(last.usageMetadata.candidatesTokensDetails).toContainEqual({ modality: 'IMAGE', tokenCount: 1120 })
+      expect(last.candidates[0].finishReason).toBe('STOP')
+    })
+
+    it('omits thinking when not requested', async () => {
+      const chunks = await collect(
+        await ai.models.generateContentStream({
+          model: 'm',
+          contents: userText('a lighthouse'),
+          config: { responseModalities: ['IMAGE'] },
+        }),
+      )
+      expect(partsOf(chunks).some((p) => p.thought)).toBe(false)
+    })
+
+    it('returns JSON matching the response schema', async () => {
+      const chunks = await collect(
+        await ai.models.generateContentStream({
+          model: 'm',
+          contents: userText('[Page ID: ab12]\nPage 1:\nIntro\n\n[Page ID: cd34]\nPage 2:\nEnd'),
+          config: {
+            responseMimeType: 'application/json',
+            responseSchema: {
+              type: 'object',
+              properties: {
+                pageScripts: {
+                  type: 'array',
+                  items: { type: 'object', properties: { pageId: { type: 'string' }, script: { type: 'string' } } },
+                },
+              },
+            },
+          },
+        }),
+      )
+      const text = partsOf(chunks).map((p) => p.text).join('')
+      expect(JSON.parse(text).pageScripts.map((s) => s.pageId)).toEqual(['ab12', 'cd34'])
+    })
+
+    it('rejects with AbortError when already aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      await expect(
+        ai.models.generateContentStream({ model: 'm', contents: userText('x'), config: { abortSignal: controller.signal } }),
+      ).rejects.toMatchObject({ name: 'AbortError' })
+    })
+  })
+
+  describe('models.generateContent', () => {
+    it('returns TTS audio for AUDIO requests', async () => {
+      const response = await ai.models.generateContent({
+        model: 'tts',
+        contents: userText('Speaker 1: Hello there'),
+        config: { responseModalities: ['AUDIO'] },
+      })
+      const audio = response.candidates[0].content.parts.find((p) => p.inlineData?.mimeType?.startsWith('audio/'))
+      expect(audio).toBeTruthy()
+      expect(response.usageMetadata.totalTokenCount).toBeGreaterThan(0)
+    })
+
+    it('exposes merged text', async () => {
+      const response = await ai.models.generateContent({ model: 'm', contents: 'hello' })
+      expect(response.text).toContain('hello')
+    })
+  })
+
+  describe('scripted errors', () => {
+    const request = (text, config = {}) => ({ model: 'm', contents: userText(text), config })
+
+    it('fails every call with [mock:429]', async () => {
+      for (let i = 0; i < 3; i++) {
+        await expect(ai.models.generateContent(request('x [mock:429]'))).rejects.toMatchObject({ status: 429 })
+      }
+    })
+
+    it('fails the first N calls with [mock:429xN], then succeeds', async () => {
+      await expect(ai.models.generateContent(request('y [mock:429x2]'))).rejects.toMatchObject({ status: 429 })
+      await expect(ai.models.generateContent(request('y [mock:429x2]'))).rejects.toMatchObject({ status: 429 })
+      await expect(ai.models.generateContent(request('y [mock:429x2]'))).resolves.toBeTruthy()
+    })
+
+    it('classifies 429 as retriable and safety as permanent', async () => {
+      const quota = await ai.models.generateContent(request('[mock:429]')).catch((e) => e)
+      const safety = await ai.models.generateContent(request('[mock:safety]')).catch((e) => e)
+
+      expect(classifyApiError(quota).isRetriable).toBe(true)
+      expect(safety.status).toBe(400)
+      expect(classifyApiError(safety).category).toBe(ERROR_CATEGORY.PERMANENT)
+    })
+
+    it('ignores directives in earlier turns', async () => {
+      const contents = [
+        { role: 'user', parts: [{ text: 'first [mock:safety]' }] },
+        { role: 'model', parts: [{ text: 'ok' }] },
+        { role: 'user', parts: [{ text: 'second' }] },
+      ]
+      await expect(ai.models.generateContent({ model: 'm', contents })).resolves.toBeTruthy()
+    })
+
+    it('hangs on [mock:timeout] until aborted', async () => {
+      const controller = new AbortController()
+      const pending = ai.models.generateContent(request('[mock:timeout]', { abortSignal: controller.signal }))
+      setTimeout(() => controller.abort(), 10)
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+    })
+  })
+
+  describe('video', () => {
+    it('completes the operation on the first poll', async () => {
+      let operation = await ai.models.generateVideos({ model: 'veo', prompt: 'waves', config: { aspectRatio: '16:9' } })
+      expect(operation.done).toBe(false)
+
+      operation = await ai.operations.getVideosOperation({ operation })
+      expect(operation.done).toBe(true)
+      const video = operation.response.generatedVideos[0].video
+      expect(video.uri).toMatch(/^mock:\/\//)
+      expect(video.videoBytes).toBeTruthy()
+    })
+  })
+
+  describe('embeddings', () => {
+    it('embeds each content', async () => {
+      const result = await ai.models.embedContent({
+        model: 'embedding',
+        contents: [{ parts: [{ text: 'cat' }] }, { parts: [{ text: 'dog' }] }],
+        config: { outputDimensionality: 32 },
+      })
+      expect(result.embeddings).toHaveLength(2)
+      expect(result.embeddings[0].values).toHaveLength(32)
+    })
+
+    it('accepts a single content object', async () => {
+      const result = await ai.models.embedContent({ model: 'embedding', contents: { parts: [{ text: 'cat' }] } })
+      expect(result.embeddings).toHaveLength(1)
+    })
+
+    it('counts tokens', async () => {
+      const result = await ai.models.countTokens({ model: 'embedding', contents: [{ parts: [{ text: 'abcdefgh' }] }] })
+      expect(result.totalTokens).toBe(2)
+    })
+
+    it('counts image parts so image embeddings reach the usage ledger', async () => {
+      const result = await ai.models.countTokens({
+        model: 'embedding',
+        contents: [{ parts: [{ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo' } }] }],
+      })
+      expect(result.totalTokens).toBe(258)
+    })
+  })
+
+  describe('chats', () => {
+    it('streams a reply with thoughts', async () => {
+      const chat = ai.chats.create({ model: 'agent', history: [], config: { thinkingConfig: { includeThoughts: true } } })
+      const chunks = await collect(await chat.sendMessageStream({ message: [{ text: 'hi there' }] }))
+      const parts = partsOf(chunks)
+      expect(parts.some((p) => p.thought)).toBe(true)
+      expect(parts.filter((p) => !p.thought).map((p) => p.text).join('')).toContain('hi there')
+      expect(chat.getHistory()).toHaveLength(2)
+    })
+  })
+})
+
+// ============================================================================
+// Full flow through the image provider
+// ============================================================================
+
+describe('mock backend through geminiImageProvider', () => {
+  beforeEach(() => {
+    resetMockState()
+    localStorage.setItem('nbp-mock-backend', 'true')
+  })
+
+  afterEach(() => {
+    localStorage.removeItem('nbp-mock-backend')
+  })
+
+  it('generates an image without a real key', async () => {
+    const { geminiImageProvider } = await import('@/composables/geminiImageProvider')
+    const thinking = []
+    const result = await geminiImageProvider.generate({
+      prompt: 'a banana spaceship',
+      options: { model: 'gemini-3-pro-image-preview', ratio: '1:1', resolution: '1k' },
+      referenceImages: [],
+      credentials: { apiKey: 'mock-backend-key' },
+      signal: new AbortController().signal,
+      onThinkingChunk: (chunk) => thinking.push(chunk),
+    })
+
+    expect(result.images.filter((img) => !img.isThought)).toHaveLength(1)
+    expect(result.usage.usageMetadata.totalTokenCount).toBeGreaterThan(0)
+    expect(thinking.length).toBeGreaterThan(0)
+  })
+
+  it('replays multi-turn history and returns signed model parts', async () => {
+    const { geminiImageProvider } = await import('@/composables/geminiImageProvider')
+    const request = {
+      options: { model: 'gemini-3-pro-image-preview' },
+      referenceImages: [],
+      credentials: { apiKey: 'mock-backend-key' },
+      signal: new AbortController().signal,
+      onThinkingChunk: null,
+    }
+    const first = await geminiImageProvider.edit({ ...request, prompt: 'make it blue' })
+    const image = first.modelParts.find((p) => p.inlineData)
+    expect(image.thoughtSignature).toBe('mock-signature')
+
+    const second = await geminiImageProvider.edit({
+      ...request,
+      prompt: 'add a hat',
+      history: [
+        { role: 'user', parts: [{ text: 'make it blue' }] },
+        { role: 'model', parts: first.modelParts },
+      ],
+    })
+    expect(second.images.filter((img) => !img.isThought)).toHaveLength(1)
+    // The replayed image counts toward the prompt
+    expect(second.usage.usageMetadata.promptTokenCount).toBeGreaterThan(first.usage.usageMetadata.promptTokenCount)
+  })
+})
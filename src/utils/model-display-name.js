@@ -25,6 +25,9 @@ const shortMap = new Map([
 // Image generation modes that default to DEFAULT_MODEL when no model specified
 const IMAGE_MODES = new Set(['generate', 'sticker', 'edit', 'story', 'diagram', 'slides'])
 
+// Agent mode always runs on this text model
+const AGENT_MODEL = 'gemini-3-flash-preview'
+
 /**
  * Get full display name for a model code name.
  * @param {string|null|undefined} codeName
@@ -46,31 +49,24 @@ export function getModelShortName(codeName) {
 }
 
 /**
- * Get the model short name from a history item's mode + options.
+ * Get the model code name a history item was generated with.
  * Image modes without options.model default to the default image model.
  * @param {string} mode
  * @param {Object|null|undefined} options
+ * @returns {string|null} Model code name or null
+ */
+export function getHistoryModelCode(mode, options) {
+  if (mode === 'agent') return AGENT_MODEL
+  if (IMAGE_MODES.has(mode)) return options?.model || DEFAULT_MODEL
+  return options?.model || null
+}
+
+/**
+ * Get the model short name from a history item's mode + options.
+ * @param {string} mode
+ * @param {Object|null|undefined} options
  * @returns {string|null} Short display name or null
  */
 export function getHistoryModelName(mode, options) {
-  if (mode === 'agent') return '3 Flash'
-
-  // Video mode
-  if (mode === 'video') {
-    const code = options?.model
-    return code ? getModelShortName(code) : null
-  }
-
-  // Image modes: default to DEFAULT_MODEL when no model in options
-  if (IMAGE_MODES.has(mode)) {
-    const code = options?.model || DEFAULT_MODEL
-    return getModelShortName(code)
-  }
-
-  // Fallback
-  if (options?.model) {
-    return getModelShortName(options.model)
-  }
-
-  return null
+  return getModelShortName(getHistoryModelCode(mode, options))
 }
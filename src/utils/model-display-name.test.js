@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { getModelDisplayName, getModelShortName, getHistoryModelName } from './model-display-name'
+import { getModelDisplayName, getModelShortName, getHistoryModelCode, getHistoryModelName } from './model-display-name'
 
 describe('getModelDisplayName', () => {
   it('returns full label for known image model', () => {
@@ -43,6 +43,22 @@ describe('getModelShortName', () => {
   })
 })
 
+describe('getHistoryModelCode', () => {
+  it('defaults image modes to the default image model', () => {
+    expect(getHistoryModelCode('generate', {})).toBe('gemini-3-pro-image-preview')
+    expect(getHistoryModelCode('slides', { model: 'gemini-3.1-flash-image-preview' })).toBe('gemini-3.1-flash-image-preview')
+  })
+
+  it('returns the video model or null', () => {
+    expect(getHistoryModelCode('video', { model: 'fast' })).toBe('fast')
+    expect(getHistoryModelCode('video', {})).toBeNull()
+  })
+
+  it('returns the agent text model', () => {
+    expect(getHistoryModelCode('agent', null)).toBe('gemini-3-flash-preview')
+  })
+})
+
 describe('getHistoryModelName', () => {
   it('returns short name for generate mode with model', () => {
     expect(getHistoryModelName('generate', { model: 'gemini-3-pro-image-preview' }))
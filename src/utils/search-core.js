@@ -3,6 +3,8 @@
 // No DOM/Worker/Vue dependencies — fully testable
 // ============================================================================
 
+import { collectionsSearchText } from './history-collections'
+
 export const SEARCH_DEFAULTS = {
   chunkSize: 200,
   chunkOverlap: 50,
@@ -20,6 +22,7 @@ export const SEARCH_DEFAULTS = {
 /**
  * Extract searchable text from a history record.
  * For agent mode, pass the full conversation from OPFS as second arg.
+ * Tags and albums (see history-collections.js) are appended as a last line.
  *
  * @param {Object} record - IndexedDB history record
  * @param {Array|null} conversation - Agent conversation messages (from OPFS)
@@ -28,6 +31,13 @@ export const SEARCH_DEFAULTS = {
 export function extractText(record, conversation = null) {
   if (!record) return ''
 
+  const text = extractContentText(record, conversation)
+  const collections = collectionsSearchText(record)
+  return collections ? [text, collections].filter(Boolean).join('\n') : text
+}
+
+/** Mode-specific searchable text of a record, without its tags and albums */
+function extractContentText(record, conversation) {
   const mode = record.mode || ''
   const prompt = record.prompt || ''
 
@@ -367,6 +377,8 @@ export function highlightSnippet(chunkText, query, contextLength = SEARCH_DEFAUL
  */
 export function stripRecordForIndexing(id, record) {
   const stripped = { id, mode: record.mode, prompt: record.prompt, timestamp: record.timestamp }
+  if (record.tags?.length) stripped.tags = record.tags
+  if (record.albums?.length) stripped.albums = record.albums
 
   // Preserve images opfsPath for multimodal embedding (strip thumbnails/base64 to reduce payload)
   // Keep null placeholders to maintain original index alignment (important for slides page matching)
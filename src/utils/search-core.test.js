@@ -212,6 +212,16 @@ describe('extractText', () => {
   it('handles unknown mode by returning prompt', () => {
     expect(extractText({ mode: 'unknown_mode', prompt: 'test' })).toBe('test')
   })
+
+  // Tags and albums
+  it('appends tags and albums as a last line', () => {
+    const record = { mode: 'generate', prompt: 'a cat', tags: ['pet', 'night'], albums: ['Trip 2026'] }
+    expect(extractText(record)).toBe('a cat\n#pet #night Trip 2026')
+  })
+
+  it('indexes tags of a record without prompt text', () => {
+    expect(extractText({ mode: 'generate', tags: ['pet'] })).toBe('#pet')
+  })
 })
 
 // ============================================================================
@@ -672,6 +682,14 @@ describe('stripRecordForIndexing', () => {
     expect(result.options).toEqual({ negativePrompt: 'blurry' })
   })
 
+  it('keeps tags and albums', () => {
+    const record = { mode: 'generate', prompt: 'a cat', timestamp: 1000, tags: ['pet'], albums: ['Trip'], favorite: true }
+    const result = stripRecordForIndexing('t1', record)
+    expect(result.tags).toEqual(['pet'])
+    expect(result.albums).toEqual(['Trip'])
+    expect(result.favorite).toBeUndefined()
+  })
+
   it('skips video options when no negativePrompt', () => {
     const record = { mode: 'video', prompt: 'cat', timestamp: 3000, options: { resolution: '1080p' } }
     const result = stripRecordForIndexing('v1', record)
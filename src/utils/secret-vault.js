@@ -0,0 +1,180 @@
+/**
+ * Secret vault helpers (pure, WebCrypto)
+ *
+ * Secrets are encrypted with AES-GCM under a key derived from the user's
+ * passphrase with PBKDF2-SHA256. Each secret is bound to its storage key as
+ * additional authenticated data, so ciphertexts can't be swapped between
+ * entries. State, idle lock and UI live in composables/useSecretVault.js.
+ */
+import { uint8ArrayToBinaryString } from './binaryUtils'
+
+export const VAULT_VERSION = 1
+export const PBKDF2_ITERATIONS = 600_000
+const SALT_BYTES = 16
+const IV_BYTES = 12
+
+// Known plaintext encrypted at setup; decrypting it verifies the passphrase
+const CHECK_NAME = 'nbp-vault-check'
+const CHECK_VALUE = 'nbp-vault'
+
+/**
+ * Which part of the app may read each secret (localStorage key → scope).
+ * createSecretStore(scope) only hands out the keys of its scope.
+ */
+export const SECRET_SCOPES = {
+  'nanobanana-api-key': 'gemini',
+  'nanobanana-free-tier-api-key': 'gemini',
+  'nbp-api-key-pool': 'gemini',
+  'nbp-openai-api-key': 'image-provider',
+  'nbp-cf-turn-credentials': 'peer-sync',
+  'nbp-cf-ice-cache': 'peer-sync', // Contains short-lived TURN usernames / passwords
+}
+
+export const SECRET_STORAGE_KEYS = Object.keys(SECRET_SCOPES)
+
+/**
+ * @param {string} storageKey
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export const isSecretInScope = (storageKey, scope) => SECRET_SCOPES[storageKey] === scope
+
+/** @param {Uint8Array} bytes */
+export const bytesToBase64 = (bytes) => btoa(uint8ArrayToBinaryString(bytes))
+
+/** @param {string} base64 */
+export const base64ToBytes = (base64) => Uint8Array.from(atob(base64), (c) => c.charCodeAt(0))
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length))
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export const derivePassphraseKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey',
+  ])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  )
+}
+
+/**
+ * Encrypt a string value
+ * @param {CryptoKey} key
+ * @param {string} name - Bound as additional data (e.g. the storage key)
+ * @param {string} plaintext
+ * @returns {Promise<{ iv: string, data: string }>} Base64 fields
+ */
+export const encryptSecret = async (key, name, plaintext) => {
+  const iv = randomBytes(IV_BYTES)
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(name) },
+    key,
+    new TextEncoder().encode(plaintext),
+  )
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) }
+}
+
+/**
+ * Decrypt a value from encryptSecret
+ * @param {CryptoKey} key
+ * @param {string} name - Same name used to encrypt
+ * @param {{ iv: string, data: string }} entry
+ * @returns {Promise<string>}
+ * @throws {DOMException} OperationError for a wrong key, name or tampered data
+ */
+export const decryptSecret = async (key, name, entry) => {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(entry.iv), additionalData: new TextEncoder().encode(name) },
+    key,
+    base64ToBytes(entry.data),
+  )
+  return new TextDecoder().decode(plain)
+}
+
+/**
+ * Create an empty vault record for a new passphrase
+ * @param {string} passphrase
+ * @param {Object} [params]
+ * @param {number} [params.iterations]
+ * @returns {Promise<{ record: Object, key: CryptoKey }>}
+ */
+export const createVault = async (passphrase, { iterations = PBKDF2_ITERATIONS } = {}) => {
+  const salt = randomBytes(SALT_BYTES)
+  const key = await derivePassphraseKey(passphrase, salt, iterations)
+  const record = {
+    version: VAULT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+    check: await encryptSecret(key, CHECK_NAME, CHECK_VALUE),
+    secrets: {},
+  }
+  return { record, key }
+}
+
+/**
+ * Derive the key for a vault record and verify the passphrase
+ * @param {Object} record - From createVault
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey|null>} null if the passphrase is wrong
+ */
+export const openVault = async (record, passphrase) => {
+  const key = await derivePassphraseKey(passphrase, base64ToBytes(record.kdf.salt), record.kdf.iterations)
+  try {
+    return (await decryptSecret(key, CHECK_NAME, record.check)) === CHECK_VALUE ? key : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Decrypt every secret in a record
+ * @param {CryptoKey} key
+ * @param {Object} record
+ * @returns {Promise<Map<string, string>>} storage key → plaintext
+ */
+export const decryptVaultSecrets = async (key, record) => {
+  const secrets = new Map()
+  for (const [name, entry] of Object.entries(record.secrets || {})) {
+    secrets.set(name, await decryptSecret(key, name, entry))
+  }
+  return secrets
+}
+
+/**
+ * Encrypt a set of secrets into a record's `secrets` field
+ * @param {CryptoKey} key
+ * @param {Map<string, string>} secrets
+ * @returns {Promise<Object<string, { iv: string, data: string }>>}
+ */
+export const encryptVaultSecrets = async (key, secrets) => {
+  const encrypted = {}
+  for (const [name, value] of secrets) {
+    encrypted[name] = await encryptSecret(key, name, value)
+  }
+  return encrypted
+}
+
+/**
+ * Sanity-check a stored vault record
+ * @param {*} raw - Parsed localStorage value
+ * @returns {boolean}
+ */
+export const isValidVaultRecord = (raw) =>
+  raw?.version === VAULT_VERSION &&
+  typeof raw.kdf?.salt === 'string' &&
+  Number.isInteger(raw.kdf?.iterations) &&
+  typeof raw.check?.iv === 'string' &&
+  typeof raw.check?.data === 'string'
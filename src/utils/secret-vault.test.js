@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import {
+  SECRET_SCOPES,
+  SECRET_STORAGE_KEYS,
+  isSecretInScope,
+  bytesToBase64,
+  base64ToBytes,
+  encryptSecret,
+  decryptSecret,
+  createVault,
+  openVault,
+  encryptVaultSecrets,
+  decryptVaultSecrets,
+  isValidVaultRecord,
+} from './secret-vault'
+
+// Low iteration count keeps the tests fast; the format is the same
+const FAST = { iterations: 1000 }
+
+describe('secret scopes', () => {
+  it('keeps each secret readable by its own scope only', () => {
+    expect(isSecretInScope('nanobanana-api-key', 'gemini')).toBe(true)
+    expect(isSecretInScope('nanobanana-api-key', 'peer-sync')).toBe(false)
+    expect(isSecretInScope('nbp-cf-turn-credentials', 'peer-sync')).toBe(true)
+    expect(isSecretInScope('nbp-openai-api-key', 'gemini')).toBe(false)
+    expect(isSecretInScope('nanobanana-history', 'gemini')).toBe(false)
+  })
+
+  it('lists every scoped key', () => {
+    expect(SECRET_STORAGE_KEYS).toEqual(Object.keys(SECRET_SCOPES))
+  })
+})
+
+describe('base64 helpers', () => {
+  it('round-trips bytes', () => {
+    const bytes = new Uint8Array([0, 1, 127, 128, 255])
+    expect(Array.from(base64ToBytes(bytesToBase64(bytes)))).toEqual([0, 1, 127, 128, 255])
+  })
+})
+
+describe('vault', () => {
+  it('opens with the right passphrase and decrypts secrets', async () => {
+    const { record, key } = await createVault('correct horse', FAST)
+    record.secrets = await encryptVaultSecrets(key, new Map([['nanobanana-api-key', 'AIza-secret']]))
+
+    expect(isValidVaultRecord(record)).toBe(true)
+    expect(JSON.stringify(record)).not.toContain('AIza-secret')
+
+    const opened = await openVault(record, 'correct horse')
+    expect(opened).not.toBeNull()
+    const secrets = await decryptVaultSecrets(opened, record)
+    expect(secrets.get('nanobanana-api-key')).toBe('AIza-secret')
+  })
+
+  it('rejects a wrong passphrase', async () => {
+    const { record } = await createVault('correct horse', FAST)
+    expect(await openVault(record, 'wrong horse')).toBeNull()
+  })
+
+  it('binds each ciphertext to its name', async () => {
+    const { key } = await createVault('pass', FAST)
+    const entry = await encryptSecret(key, 'nanobanana-api-key', 'value')
+    expect(await decryptSecret(key, 'nanobanana-api-key', entry)).toBe('value')
+    await expect(decryptSecret(key, 'nbp-cf-turn-credentials', entry)).rejects.toThrow()
+  })
+
+  it('uses a fresh salt and IV each time', async () => {
+    const a = await createVault('pass', FAST)
+    const b = await createVault('pass', FAST)
+    expect(a.record.kdf.salt).not.toBe(b.record.kdf.salt)
+    expect(a.record.check.iv).not.toBe(b.record.check.iv)
+  })
+})
+
+describe('isValidVaultRecord', () => {
+  it('rejects malformed records', () => {
+    expect(isValidVaultRecord(null)).toBe(false)
+    expect(isValidVaultRecord({ version: 1 })).toBe(false)
+    expect(isValidVaultRecord({ version: 2, kdf: { salt: 'a', iterations: 1 }, check: { iv: 'a', data: 'b' } })).toBe(
+      false,
+    )
+  })
+})
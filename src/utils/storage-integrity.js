@@ -0,0 +1,166 @@
+/**
+ * Storage integrity checks (pure)
+ *
+ * History records, characters and agent conversations point at OPFS files by
+ * path (or, for characters and conversations, by id). A check compares those
+ * references with the files actually in OPFS and reports:
+ * - missing: a reference without its file (re-link to a file with the same
+ *   name but another extension, restore from IndexedDB data, or drop it)
+ * - corrupt: a referenced file that is empty or whose bytes don't match its
+ *   extension
+ * - orphan: a file no record refers to (deleted)
+ * - legacy: a character still carrying `imageData` in IndexedDB although its
+ *   OPFS image exists (what migrateAllCharactersToOPFS leaves when interrupted)
+ *
+ * Trashed records keep their files until purged, so their directories are
+ * never orphans. Agent records keep images referenced from the conversation
+ * JSON, so their image directory is treated as fully referenced.
+ * Reading files and applying repairs live in composables/useStorageIntegrity.js.
+ */
+
+// OPFS directories holding one sub-directory per history record
+export const HISTORY_FILE_DIRS = ['images', 'videos', 'audio', 'conversations']
+
+// Same order as useCharacterStorage's resolver: the first existing one is used
+export const CHARACTER_IMAGE_EXTENSIONS = ['webp', 'png', 'jpg', 'jpeg']
+
+export const ISSUE_TYPES = ['missing', 'corrupt', 'orphan', 'legacy']
+
+// Bytes read from each file for the signature check
+export const SIGNATURE_BYTES = 16
+
+/**
+ * @param {Object} record - History record
+ * @returns {Array<{ field: string, index?: number, path: string }>} Files the record refers to
+ */
+export const expectedHistoryFiles = (record) => {
+  const refs = []
+  record.images?.forEach((image, index) => {
+    if (image?.opfsPath) refs.push({ field: 'image', index, path: image.opfsPath })
+  })
+  if (record.video?.opfsPath) refs.push({ field: 'video', path: record.video.opfsPath })
+  record.narration?.audio?.forEach((audio, index) => {
+    if (audio?.opfsPath) refs.push({ field: 'audio', index, path: audio.opfsPath })
+  })
+  if (record.mode === 'agent') {
+    refs.push({ field: 'conversation', path: `/conversations/${record.id}/conversation.json` })
+  }
+  return refs
+}
+
+/**
+ * @param {string} path - e.g. /images/12/0.webp
+ * @returns {{ dir: string, id: number|null, name: string }}
+ */
+export const parseStoragePath = (path) => {
+  const parts = path.replace(/^\//, '').split('/')
+  const id = parts.length > 2 ? Number(parts[1]) : NaN
+  return { dir: parts[0], id: Number.isInteger(id) ? id : null, name: parts[parts.length - 1] }
+}
+
+const splitExtension = (path) => {
+  const dot = path.lastIndexOf('.')
+  return dot > path.lastIndexOf('/') ? [path.slice(0, dot), path.slice(dot + 1).toLowerCase()] : [path, '']
+}
+
+/**
+ * A file that a missing reference probably meant: same directory and name,
+ * another extension (e.g. after a format change), not used by anything else
+ * @param {string} path - Missing path
+ * @param {Map<string, number>} files - Existing path -> size
+ * @param {Set<string>} referenced - Paths already claimed
+ * @returns {string|null}
+ */
+export const findRelinkCandidate = (path, files, referenced) => {
+  const [stem] = splitExtension(path)
+  for (const candidate of files.keys()) {
+    if (candidate === path || referenced.has(candidate)) continue
+    if (splitExtension(candidate)[0] === stem) return candidate
+  }
+  return null
+}
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length))
+
+const SIGNATURES = {
+  webp: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP',
+  png: (b) => b[0] === 0x89 && ascii(b, 1, 3) === 'PNG',
+  jpg: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  jpeg: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  mp4: (b) => ascii(b, 4, 4) === 'ftyp',
+  webm: (b) => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3,
+  // ID3 tag or a bare MPEG frame sync
+  mp3: (b) => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  wav: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WAVE',
+}
+
+/**
+ * @param {string} path
+ * @param {Uint8Array} head - First SIGNATURE_BYTES bytes
+ * @param {number} size - File size
+ * @returns {'empty'|'signature'|null} null when it looks fine (or the type is not checked)
+ */
+export const detectFileProblem = (path, head, size) => {
+  if (size === 0) return 'empty'
+  const check = SIGNATURES[splitExtension(path)[1]]
+  if (check && !check(head)) return 'signature'
+  return null
+}
+
+/**
+ * The character's image among its OPFS files; other variants are left to the
+ * orphan check
+ * @param {number} characterId
+ * @param {Map<string, number>} files - Existing path -> size
+ * @returns {string|null}
+ */
+export const resolveCharacterFile = (characterId, files) =>
+  CHARACTER_IMAGE_EXTENSIONS.map((ext) => `/characters/${characterId}/image.${ext}`).find((path) => files.has(path)) ||
+  null
+
+/**
+ * Repair proposed for a missing or corrupt history reference when there is no
+ * file to re-link to
+ * @param {Object} record
+ * @param {{ field: string }} ref
+ * @returns {'removeReference'|'removeRecord'|null}
+ */
+export const historyRepairFor = (record, ref) => {
+  // The agent record is only a pointer to its conversation
+  if (ref.field === 'conversation') return 'removeRecord'
+  // Edit-session turns address images by position, so entries can't be dropped
+  if (ref.field === 'image' && record.options?.editSession) return null
+  return 'removeReference'
+}
+
+/**
+ * Files not claimed by any record
+ * @param {Map<string, number>} files - Existing path -> size
+ * @param {Set<string>} referenced - Paths claimed by records
+ * @param {Set<string>} ownedDirs - Directories kept whole, e.g. 'images/12'
+ * @returns {Array<{ path: string, size: number }>}
+ */
+export const findOrphans = (files, referenced, ownedDirs) => {
+  const orphans = []
+  for (const [path, size] of files) {
+    if (referenced.has(path)) continue
+    const { dir, id } = parseStoragePath(path)
+    if (id !== null && ownedDirs.has(`${dir}/${id}`)) continue
+    orphans.push({ path, size })
+  }
+  return orphans
+}
+
+/**
+ * @param {Array<Object>} issues
+ * @returns {Object<string, number>} Count per ISSUE_TYPES entry, plus `repairable`
+ */
+export const summarizeIssues = (issues) => {
+  const summary = Object.fromEntries(ISSUE_TYPES.map((type) => [type, 0]))
+  summary.repairable = 0
+  for (const issue of issues) {
+    summary[issue.type]++
+    if (issue.repair) summary.repairable++
+  }
+  return summary
+}
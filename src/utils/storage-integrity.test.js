@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import {
+  expectedHistoryFiles,
+  parseStoragePath,
+  findRelinkCandidate,
+  detectFileProblem,
+  resolveCharacterFile,
+  historyRepairFor,
+  findOrphans,
+  summarizeIssues,
+} from './storage-integrity'
+
+const bytes = (...values) => {
+  const head = new Uint8Array(16)
+  values.forEach((value, i) => {
+    head[i] = typeof value === 'string' ? value.charCodeAt(0) : value
+  })
+  return head
+}
+const text = (s, offset = 0, head = new Uint8Array(16)) => {
+  for (let i = 0; i < s.length; i++) head[offset + i] = s.charCodeAt(i)
+  return head
+}
+
+// ============================================================================
+// expectedHistoryFiles / parseStoragePath
+// ============================================================================
+
+describe('expectedHistoryFiles', () => {
+  it('lists images, video and narration audio with their positions', () => {
+    const record = {
+      id: 3,
+      mode: 'slides',
+      images: [{ opfsPath: '/images/3/0.webp' }, { thumbnail: 'x' }],
+      video: { opfsPath: '/videos/3/video.mp4' },
+      narration: { audio: [{ pageIndex: 0, opfsPath: '/audio/3/0.mp3' }] },
+    }
+    expect(expectedHistoryFiles(record)).toEqual([
+      { field: 'image', index: 0, path: '/images/3/0.webp' },
+      { field: 'video', path: '/videos/3/video.mp4' },
+      { field: 'audio', index: 0, path: '/audio/3/0.mp3' },
+    ])
+  })
+
+  it('expects a conversation file for agent records', () => {
+    expect(expectedHistoryFiles({ id: 7, mode: 'agent' })).toEqual([
+      { field: 'conversation', path: '/conversations/7/conversation.json' },
+    ])
+  })
+})
+
+describe('parseStoragePath', () => {
+  it('splits directory, owner id and file name', () => {
+    expect(parseStoragePath('/images/12/0.webp')).toEqual({ dir: 'images', id: 12, name: '0.webp' })
+    expect(parseStoragePath('/images/stray.webp')).toEqual({ dir: 'images', id: null, name: 'stray.webp' })
+  })
+})
+
+// ============================================================================
+// findRelinkCandidate
+// ============================================================================
+
+describe('findRelinkCandidate', () => {
+  const files = new Map([
+    ['/images/5/0.png', 10],
+    ['/images/5/1.webp', 10],
+  ])
+
+  it('finds the same file name with another extension', () => {
+    expect(findRelinkCandidate('/images/5/0.webp', files, new Set())).toBe('/images/5/0.png')
+  })
+
+  it('ignores files other references already use', () => {
+    expect(findRelinkCandidate('/images/5/0.webp', files, new Set(['/images/5/0.png']))).toBeNull()
+    expect(findRelinkCandidate('/images/5/2.webp', files, new Set())).toBeNull()
+  })
+})
+
+// ============================================================================
+// detectFileProblem
+// ============================================================================
+
+describe('detectFileProblem', () => {
+  it('accepts files whose bytes match the extension', () => {
+    expect(detectFileProblem('/images/1/0.webp', text('WEBP', 8, text('RIFF')), 100)).toBeNull()
+    expect(detectFileProblem('/characters/1/image.png', bytes(0x89, 'P', 'N', 'G'), 100)).toBeNull()
+    expect(detectFileProblem('/characters/1/image.jpg', bytes(0xff, 0xd8, 0xff), 100)).toBeNull()
+    expect(detectFileProblem('/videos/1/video.mp4', text('ftyp', 4), 100)).toBeNull()
+    expect(detectFileProblem('/audio/1/0.mp3', text('ID3'), 100)).toBeNull()
+    expect(detectFileProblem('/audio/1/0.mp3', bytes(0xff, 0xfb), 100)).toBeNull()
+    expect(detectFileProblem('/audio/1/0.wav', text('WAVE', 8, text('RIFF')), 100)).toBeNull()
+  })
+
+  it('flags empty files and mismatched bytes', () => {
+    expect(detectFileProblem('/images/1/0.webp', new Uint8Array(0), 0)).toBe('empty')
+    expect(detectFileProblem('/images/1/0.webp', bytes(0x89, 'P', 'N', 'G'), 100)).toBe('signature')
+    expect(detectFileProblem('/videos/1/video.mp4', new Uint8Array(16), 100)).toBe('signature')
+  })
+
+  it('does not judge types it has no signature for', () => {
+    expect(detectFileProblem('/conversations/1/conversation.json', new Uint8Array(16), 100)).toBeNull()
+  })
+})
+
+// ============================================================================
+// resolveCharacterFile / historyRepairFor
+// ============================================================================
+
+describe('resolveCharacterFile', () => {
+  it('picks the preferred variant', () => {
+    const files = new Map([
+      ['/characters/4/image.png', 10],
+      ['/characters/4/image.webp', 10],
+    ])
+    expect(resolveCharacterFile(4, files)).toBe('/characters/4/image.webp')
+    expect(resolveCharacterFile(5, files)).toBeNull()
+  })
+})
+
+describe('historyRepairFor', () => {
+  it('removes the whole agent record when its conversation is gone', () => {
+    expect(historyRepairFor({ mode: 'agent' }, { field: 'conversation' })).toBe('removeRecord')
+  })
+
+  it('keeps edit-session images in place', () => {
+    expect(historyRepairFor({ options: { editSession: {} } }, { field: 'image' })).toBeNull()
+    expect(historyRepairFor({}, { field: 'image' })).toBe('removeReference')
+    expect(historyRepairFor({}, { field: 'video' })).toBe('removeReference')
+  })
+})
+
+// ============================================================================
+// findOrphans / summarizeIssues
+// ============================================================================
+
+describe('findOrphans', () => {
+  it('returns files outside the referenced set and owned directories', () => {
+    const files = new Map([
+      ['/images/1/0.webp', 10],
+      ['/images/1/1.webp', 20],
+      ['/images/2/0.webp', 30],
+      ['/videos/9/video.mp4', 40],
+    ])
+    const orphans = findOrphans(files, new Set(['/images/1/0.webp']), new Set(['images/2']))
+    expect(orphans).toEqual([
+      { path: '/images/1/1.webp', size: 20 },
+      { path: '/videos/9/video.mp4', size: 40 },
+    ])
+  })
+})
+
+describe('summarizeIssues', () => {
+  it('counts issues per type and those with a repair', () => {
+    const summary = summarizeIssues([
+      { type: 'missing', repair: 'relink' },
+      { type: 'missing', repair: null },
+      { type: 'orphan', repair: 'deleteOrphan' },
+    ])
+    expect(summary).toEqual({ missing: 2, corrupt: 0, orphan: 1, legacy: 0, repairable: 2 })
+  })
+})
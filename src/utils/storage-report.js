@@ -0,0 +1,153 @@
+/**
+ * Storage dashboard helpers (pure)
+ *
+ * The dashboard adds up the OPFS directories (including the export / import
+ * temporary files), the OCR model cache and the search snapshots, and compares the total with navigator.storage.estimate().
+ * Whatever the browser reports beyond the tracked categories (IndexedDB
+ * records with their inline thumbnails, caches...) is shown as "other".
+ * Gathering and the cleanup actions live in composables/useStorageManager.js.
+ */
+
+const DAY_MS = 86_400_000
+
+// Dashboard rows, in display order
+export const STORAGE_CATEGORIES = [
+  'images',
+  'videos',
+  'audio',
+  'characters',
+  'conversations',
+  'ocrModels',
+  'searchIndex',
+  'transferFiles',
+]
+
+// Share of the quota at which the dashboard warns, then asks to clean up
+export const QUOTA_WARNING_RATIO = 0.8
+export const QUOTA_CRITICAL_RATIO = 0.95
+
+// Age choices (days) for removing originals
+export const ORIGINAL_AGE_OPTIONS = [30, 90, 180, 365]
+export const DEFAULT_ORIGINAL_AGE_DAYS = 90
+
+/**
+ * Rough size of a structured-clone value as IndexedDB stores it
+ * (strings as UTF-16, numbers as 8 bytes, binary by byte length)
+ * @param {*} value
+ * @returns {number} Bytes
+ */
+export const estimateStoredSize = (value) => {
+  if (value == null) return 0
+  if (typeof value === 'string') return value.length * 2
+  if (typeof value === 'number') return 8
+  if (typeof value === 'boolean') return 4
+  if (value instanceof ArrayBuffer) return value.byteLength
+  if (ArrayBuffer.isView(value)) return value.byteLength
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size
+  if (Array.isArray(value)) return value.reduce((sum, item) => sum + estimateStoredSize(item), 0)
+  if (typeof value === 'object') {
+    let size = 0
+    for (const [key, item] of Object.entries(value)) size += key.length * 2 + estimateStoredSize(item)
+    return size
+  }
+  return 0
+}
+
+/**
+ * @param {number} usage - Bytes used by the origin
+ * @param {number} quota - Bytes the origin may use
+ * @returns {'ok'|'warning'|'critical'|'unknown'}
+ */
+export const quotaLevel = (usage, quota) => {
+  if (!(quota > 0) || !(usage >= 0)) return 'unknown'
+  const ratio = usage / quota
+  if (ratio >= QUOTA_CRITICAL_RATIO) return 'critical'
+  if (ratio >= QUOTA_WARNING_RATIO) return 'warning'
+  return 'ok'
+}
+
+/**
+ * @param {Object} params
+ * @param {Object<string, number>} params.sizes - Bytes per STORAGE_CATEGORIES key
+ * @param {number|null} [params.usage] - From navigator.storage.estimate()
+ * @param {number|null} [params.quota]
+ * @returns {{ rows: Array<{ key: string, bytes: number, share: number }>, tracked: number, other: number, usage: number, quota: number|null, ratio: number|null, level: string }}
+ */
+export const buildStorageReport = ({ sizes = {}, usage = null, quota = null }) => {
+  const tracked = STORAGE_CATEGORIES.reduce((sum, key) => sum + (sizes[key] || 0), 0)
+  // The estimate can lag behind a write; never show less than what was counted
+  const total = Math.max(usage || 0, tracked)
+  const other = total - tracked
+  const rows = STORAGE_CATEGORIES.map((key) => ({
+    key,
+    bytes: sizes[key] || 0,
+    share: total > 0 ? (sizes[key] || 0) / total : 0,
+  }))
+  if (other > 0) rows.push({ key: 'other', bytes: other, share: other / total })
+
+  return {
+    rows,
+    tracked,
+    other,
+    usage: total,
+    quota: quota > 0 ? quota : null,
+    ratio: quota > 0 ? total / quota : null,
+    level: quotaLevel(total, quota),
+  }
+}
+
+/**
+ * History images whose originals can be swapped for their thumbnail
+ * @param {Array<Object>} records - History records
+ * @param {Object} options
+ * @param {number} options.olderThanDays
+ * @param {number} [options.now=Date.now()]
+ * @param {boolean} [options.keepFavorites=true] - Skip starred records
+ * @returns {Array<{ id: number, indexes: number[] }>} Image indexes per record
+ */
+export const selectOriginalsToPrune = (records, { olderThanDays, now = Date.now(), keepFavorites = true }) => {
+  const cutoff = now - olderThanDays * DAY_MS
+  const selected = []
+  for (const record of records) {
+    if (!(record?.timestamp < cutoff)) continue
+    if (keepFavorites && record.favorite === true) continue
+    const indexes = []
+    record.images?.forEach((image, index) => {
+      if (image?.opfsPath && !image.originalRemoved) indexes.push(index)
+    })
+    if (indexes.length > 0) selected.push({ id: record.id, indexes })
+  }
+  return selected
+}
+
+/**
+ * @param {string} path
+ * @returns {boolean}
+ */
+export const isPngPath = (path) => typeof path === 'string' && /\.png$/i.test(path)
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4))
+
+/**
+ * Whether a WebP file holds a lossless (VP8L) bitstream. Browsers only encode
+ * lossless WebP for some quality values, so transcodes are checked before
+ * they replace a PNG.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export const isLosslessWebP = (bytes) => {
+  if (!bytes || bytes.length < 16) return false
+  if (fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') return false
+  // Walk the chunks: a simple file starts with VP8L, an extended one (VP8X)
+  // lists ALPH/VP8 or VP8L further on
+  let offset = 12
+  while (offset + 8 <= bytes.length) {
+    const type = fourCC(bytes, offset)
+    if (type === 'VP8L') return true
+    if (type === 'VP8 ') return false
+    const size =
+      (bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24)) >>> 0
+    offset += 8 + size + (size % 2)
+  }
+  return false
+}
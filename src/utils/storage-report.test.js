@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import {
+  STORAGE_CATEGORIES,
+  estimateStoredSize,
+  quotaLevel,
+  buildStorageReport,
+  selectOriginalsToPrune,
+  isPngPath,
+  isLosslessWebP,
+} from './storage-report'
+
+const DAY = 86_400_000
+const NOW = 1000 * DAY
+
+// RIFF/WEBP container holding the given chunks ([fourCC, payloadLength])
+const webp = (...chunks) => {
+  const parts = []
+  for (const [type, length] of chunks) {
+    const header = new Uint8Array(8)
+    header.set([...type].map((c) => c.charCodeAt(0)))
+    header[4] = length & 0xff
+    header[5] = (length >> 8) & 0xff
+    parts.push(header, new Uint8Array(length + (length % 2)))
+  }
+  const body = parts.reduce((sum, part) => sum + part.length, 0)
+  const bytes = new Uint8Array(12 + body)
+  bytes.set([...'RIFF'].map((c) => c.charCodeAt(0)), 0)
+  bytes.set([...'WEBP'].map((c) => c.charCodeAt(0)), 8)
+  let offset = 12
+  for (const part of parts) {
+    bytes.set(part, offset)
+    offset += part.length
+  }
+  return bytes
+}
+
+// ============================================================================
+// estimateStoredSize
+// ============================================================================
+
+describe('estimateStoredSize', () => {
+  it('counts strings as UTF-16 and binary by byte length', () => {
+    expect(estimateStoredSize('abc')).toBe(6)
+    expect(estimateStoredSize(new Float32Array(4))).toBe(16)
+    expect(estimateStoredSize(new ArrayBuffer(10))).toBe(10)
+  })
+
+  it('adds up nested objects and arrays, keys included', () => {
+    expect(estimateStoredSize({ a: 1, bb: [true, 'x'] })).toBe(2 + 8 + 4 + 4 + 2)
+    expect(estimateStoredSize(null)).toBe(0)
+  })
+})
+
+// ============================================================================
+// quotaLevel / buildStorageReport
+// ============================================================================
+
+describe('quotaLevel', () => {
+  it('warns from 80% and turns critical from 95%', () => {
+    expect(quotaLevel(50, 100)).toBe('ok')
+    expect(quotaLevel(80, 100)).toBe('warning')
+    expect(quotaLevel(95, 100)).toBe('critical')
+  })
+
+  it('is unknown without a quota', () => {
+    expect(quotaLevel(50, 0)).toBe('unknown')
+    expect(quotaLevel(50, null)).toBe('unknown')
+  })
+})
+
+describe('buildStorageReport', () => {
+  it('lists every category and the untracked rest as other', () => {
+    const report = buildStorageReport({ sizes: { images: 600, videos: 200 }, usage: 1000, quota: 2000 })
+    expect(report.rows.map((row) => row.key)).toEqual([...STORAGE_CATEGORIES, 'other'])
+    expect(report.tracked).toBe(800)
+    expect(report.other).toBe(200)
+    expect(report.rows[0].share).toBeCloseTo(0.6)
+    expect(report.ratio).toBe(0.5)
+    expect(report.level).toBe('ok')
+  })
+
+  it('never reports less than the tracked total when the estimate lags', () => {
+    const report = buildStorageReport({ sizes: { images: 500 }, usage: 300, quota: 600 })
+    expect(report.usage).toBe(500)
+    expect(report.other).toBe(0)
+    expect(report.rows.some((row) => row.key === 'other')).toBe(false)
+    expect(report.level).toBe('warning')
+  })
+
+  it('works without an estimate', () => {
+    const report = buildStorageReport({ sizes: { audio: 10 } })
+    expect(report.quota).toBeNull()
+    expect(report.ratio).toBeNull()
+    expect(report.level).toBe('unknown')
+  })
+})
+
+// ============================================================================
+// selectOriginalsToPrune
+// ============================================================================
+
+describe('selectOriginalsToPrune', () => {
+  const image = (extra = {}) => ({ opfsPath: '/images/1/0.webp', ...extra })
+
+  it('picks images of records older than the cutoff', () => {
+    const records = [
+      { id: 1, timestamp: NOW - 100 * DAY, images: [image(), image()] },
+      { id: 2, timestamp: NOW - 10 * DAY, images: [image()] },
+    ]
+    expect(selectOriginalsToPrune(records, { olderThanDays: 30, now: NOW })).toEqual([{ id: 1, indexes: [0, 1] }])
+  })
+
+  it('skips favorites unless asked, and images already pruned', () => {
+    const records = [
+      { id: 1, timestamp: 0, favorite: true, images: [image()] },
+      { id: 2, timestamp: 0, images: [image({ originalRemoved: true }), image()] },
+      { id: 3, timestamp: 0, video: { opfsPath: '/videos/3/video.mp4' } },
+    ]
+    expect(selectOriginalsToPrune(records, { olderThanDays: 30, now: NOW })).toEqual([{ id: 2, indexes: [1] }])
+    expect(selectOriginalsToPrune(records, { olderThanDays: 30, now: NOW, keepFavorites: false })).toEqual([
+      { id: 1, indexes: [0] },
+      { id: 2, indexes: [1] },
+    ])
+  })
+})
+
+// ============================================================================
+// isPngPath / isLosslessWebP
+// ============================================================================
+
+describe('isPngPath', () => {
+  it('matches the extension case-insensitively', () => {
+    expect(isPngPath('/characters/1/image.PNG')).toBe(true)
+    expect(isPngPath('/characters/1/image.webp')).toBe(false)
+    expect(isPngPath(null)).toBe(false)
+  })
+})
+
+describe('isLosslessWebP', () => {
+  it('detects simple and extended lossless files', () => {
+    expect(isLosslessWebP(webp(['VP8L', 20]))).toBe(true)
+    expect(isLosslessWebP(webp(['VP8X', 10], ['VP8L', 20]))).toBe(true)
+  })
+
+  it('rejects lossy files and non-WebP data', () => {
+    expect(isLosslessWebP(webp(['VP8 ', 20]))).toBe(false)
+    expect(isLosslessWebP(webp(['VP8X', 10], ['ALPH', 5], ['VP8 ', 20]))).toBe(false)
+    expect(isLosslessWebP(new Uint8Array(32))).toBe(false)
+  })
+})
@@ -0,0 +1,159 @@
+/**
+ * Usage ledger helpers (pure, shared by main thread and search worker)
+ *
+ * Turns Gemini `usageMetadata` into ledger entries and aggregates them for
+ * the usage dashboard. Persistence lives in composables/useUsageLedger.js.
+ */
+import { estimateTokenCost } from '../constants/modelPricing.js'
+
+/**
+ * Sum token counts of one modality from a `*TokensDetails` array
+ * @param {Array<{modality: string, tokenCount: number}>} details
+ * @param {string} modality - 'TEXT' | 'IMAGE' | 'AUDIO'
+ * @returns {number}
+ */
+const sumModality = (details, modality) =>
+  (details || [])
+    .filter((d) => d?.modality === modality)
+    .reduce((sum, d) => sum + (d.tokenCount || 0), 0)
+
+/**
+ * Normalize Gemini `usageMetadata` into flat token counts
+ * @param {Object|null|undefined} usageMetadata - From a response or the last stream chunk
+ * @returns {{ inputTokens: number, outputTokens: number, thoughtsTokens: number, cachedTokens: number, imageOutputTokens: number, audioOutputTokens: number, totalTokens: number }}
+ */
+export const normalizeUsageMetadata = (usageMetadata) => {
+  const meta = usageMetadata || {}
+  const candidates = meta.candidatesTokenCount || 0
+  const imageOutputTokens = sumModality(meta.candidatesTokensDetails, 'IMAGE')
+  const audioOutputTokens = sumModality(meta.candidatesTokensDetails, 'AUDIO')
+  const inputTokens = meta.promptTokenCount || 0
+  const thoughtsTokens = meta.thoughtsTokenCount || 0
+
+  return {
+    inputTokens,
+    outputTokens: Math.max(0, candidates - imageOutputTokens - audioOutputTokens),
+    thoughtsTokens,
+    cachedTokens: meta.cachedContentTokenCount || 0,
+    imageOutputTokens,
+    audioOutputTokens,
+    totalTokens: meta.totalTokenCount || inputTokens + candidates + thoughtsTokens,
+  }
+}
+
+/**
+ * Short, non-secret identifier for an API key (last 4 characters)
+ * @param {string} apiKey
+ * @returns {string} e.g. "…x9Qa", or '' when no key
+ */
+export const maskApiKey = (apiKey) => (apiKey ? `…${String(apiKey).slice(-4)}` : '')
+
+const pad2 = (n) => String(n).padStart(2, '0')
+
+/**
+ * Local-time day key
+ * @param {number} timestamp
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const toDayKey = (timestamp) => {
+  const d = new Date(timestamp)
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`
+}
+
+/**
+ * Local-time month key
+ * @param {number} timestamp
+ * @returns {string} 'YYYY-MM'
+ */
+export const toMonthKey = (timestamp) => toDayKey(timestamp).slice(0, 7)
+
+/**
+ * Build a ledger entry for one API call
+ * @param {Object} params
+ * @param {string} params.source - Calling module, e.g. 'image', 'slides', 'narration', 'agent', 'character', 'search', 'video'
+ * @param {string} params.mode - App mode the call belongs to (generate, slides, agent, ...)
+ * @param {string} params.model - Model ID
+ * @param {'paid'|'freeTier'} params.keyType - Which key paid for it
+ * @param {string} params.keyHint - Masked key (see maskApiKey)
+ * @param {Object} [params.usageMetadata] - Raw Gemini usageMetadata
+ * @param {Object} [params.usage] - Already-normalized usage (overrides usageMetadata)
+ * @param {number} [params.cost] - Explicit cost in USD (e.g. Veo per-second pricing)
+ * @param {number} [params.timestamp]
+ * @returns {Object} Ledger entry
+ */
+export const buildLedgerEntry = ({
+  source,
+  mode,
+  model,
+  keyType = 'paid',
+  keyHint = '',
+  usageMetadata,
+  usage,
+  cost,
+  timestamp = Date.now(),
+}) => {
+  const tokens = { ...normalizeUsageMetadata(usageMetadata), ...(usage || {}) }
+  if (usage && usage.totalTokens === undefined) {
+    tokens.totalTokens =
+      tokens.inputTokens +
+      tokens.outputTokens +
+      tokens.thoughtsTokens +
+      tokens.imageOutputTokens +
+      tokens.audioOutputTokens
+  }
+
+  // Free tier calls are not billed
+  const estimatedCost =
+    keyType === 'freeTier' ? 0 : Number.isFinite(cost) ? cost : estimateTokenCost(model, tokens)
+
+  return {
+    timestamp,
+    day: toDayKey(timestamp),
+    month: toMonthKey(timestamp),
+    source,
+    mode: mode || source,
+    model: model || 'unknown',
+    keyType,
+    keyHint,
+    ...tokens,
+    cost: estimatedCost,
+  }
+}
+
+const emptyTotals = () => ({ calls: 0, tokens: 0, cost: 0 })
+
+const addTo = (totals, entry) => {
+  totals.calls += 1
+  totals.tokens += entry.totalTokens || 0
+  totals.cost += entry.cost || 0
+}
+
+/**
+ * Aggregate ledger entries per period, with per-mode and per-key breakdowns
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {'day'|'month'} period
+ * @returns {Array<{ period: string, totals: Object, byMode: Object, byKey: Object }>} Newest period first
+ */
+export const summarizeLedger = (entries, period = 'day') => {
+  const field = period === 'month' ? 'month' : 'day'
+  const groups = new Map()
+
+  for (const entry of entries) {
+    const key = entry[field] || (field === 'month' ? toMonthKey(entry.timestamp) : toDayKey(entry.timestamp))
+    if (!groups.has(key)) {
+      groups.set(key, { period: key, totals: emptyTotals(), byMode: {}, byKey: {} })
+    }
+    const group = groups.get(key)
+    addTo(group.totals, entry)
+
+    const mode = entry.mode || 'unknown'
+    group.byMode[mode] ??= emptyTotals()
+    addTo(group.byMode[mode], entry)
+
+    const keyLabel = entry.keyHint ? `${entry.keyType}:${entry.keyHint}` : entry.keyType || 'unknown'
+    group.byKey[keyLabel] ??= emptyTotals()
+    addTo(group.byKey[keyLabel], entry)
+  }
+
+  return [...groups.values()].sort((a, b) => b.period.localeCompare(a.period))
+}
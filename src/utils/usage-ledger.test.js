@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeUsageMetadata,
+  maskApiKey,
+  toDayKey,
+  toMonthKey,
+  buildLedgerEntry,
+  summarizeLedger,
+} from './usage-ledger'
+import { estimateTokenCost, getModelPricing, FALLBACK_PRICING } from '../constants/modelPricing'
+
+// ============================================================================
+// normalizeUsageMetadata
+// ============================================================================
+
+describe('normalizeUsageMetadata', () => {
+  it('returns zeros for missing metadata', () => {
+    expect(normalizeUsageMetadata(undefined)).toEqual({
+      inputTokens: 0,
+      outputTokens: 0,
+      thoughtsTokens: 0,
+      cachedTokens: 0,
+      imageOutputTokens: 0,
+      audioOutputTokens: 0,
+      totalTokens: 0,
+    })
+  })
+
+  it('splits image output tokens from text output', () => {
+    const usage = normalizeUsageMetadata({
+      promptTokenCount: 100,
+      candidatesTokenCount: 1300,
+      candidatesTokensDetails: [
+        { modality: 'IMAGE', tokenCount: 1290 },
+        { modality: 'TEXT', tokenCount: 10 },
+      ],
+      thoughtsTokenCount: 50,
+      totalTokenCount: 1450,
+    })
+    expect(usage.inputTokens).toBe(100)
+    expect(usage.imageOutputTokens).toBe(1290)
+    expect(usage.outputTokens).toBe(10)
+    expect(usage.thoughtsTokens).toBe(50)
+    expect(usage.totalTokens).toBe(1450)
+  })
+
+  it('splits audio output tokens', () => {
+    const usage = normalizeUsageMetadata({
+      promptTokenCount: 20,
+      candidatesTokenCount: 500,
+      candidatesTokensDetails: [{ modality: 'AUDIO', tokenCount: 500 }],
+    })
+    expect(usage.audioOutputTokens).toBe(500)
+    expect(usage.outputTokens).toBe(0)
+  })
+
+  it('computes total when totalTokenCount is absent', () => {
+    const usage = normalizeUsageMetadata({
+      promptTokenCount: 10,
+      candidatesTokenCount: 5,
+      thoughtsTokenCount: 3,
+    })
+    expect(usage.totalTokens).toBe(18)
+  })
+})
+
+// ============================================================================
+// maskApiKey / date keys
+// ============================================================================
+
+describe('maskApiKey', () => {
+  it('keeps only the last 4 characters', () => {
+    expect(maskApiKey('AIzaSyExample1234abcd')).toBe('…abcd')
+  })
+
+  it('returns empty string without a key', () => {
+    expect(maskApiKey('')).toBe('')
+    expect(maskApiKey(null)).toBe('')
+  })
+})
+
+describe('toDayKey / toMonthKey', () => {
+  it('formats local dates with zero padding', () => {
+    const ts = new Date(2026, 2, 5, 10, 30).getTime()
+    expect(toDayKey(ts)).toBe('2026-03-05')
+    expect(toMonthKey(ts)).toBe('2026-03')
+  })
+})
+
+// ============================================================================
+// estimateTokenCost
+// ============================================================================
+
+describe('estimateTokenCost', () => {
+  it('prices image output tokens separately', () => {
+    const pricing = getModelPricing('gemini-3-pro-image-preview')
+    const cost = estimateTokenCost('gemini-3-pro-image-preview', {
+      inputTokens: 1_000_000,
+      imageOutputTokens: 1_000_000,
+    })
+    expect(cost).toBeCloseTo(pricing.input + pricing.imageOutput)
+  })
+
+  it('bills thinking tokens at the output rate', () => {
+    const pricing = getModelPricing('gemini-3-flash-preview')
+    expect(estimateTokenCost('gemini-3-flash-preview', { thoughtsTokens: 1_000_000 })).toBeCloseTo(
+      pricing.output,
+    )
+  })
+
+  it('falls back for unknown models', () => {
+    expect(getModelPricing('some-future-model')).toBe(FALLBACK_PRICING)
+  })
+})
+
+// ============================================================================
+// buildLedgerEntry
+// ============================================================================
+
+describe('buildLedgerEntry', () => {
+  const timestamp = new Date(2026, 0, 15, 12).getTime()
+  const usageMetadata = { promptTokenCount: 1000, candidatesTokenCount: 2000, totalTokenCount: 3000 }
+
+  it('builds an entry with period keys and estimated cost', () => {
+    const entry = buildLedgerEntry({
+      source: 'image',
+      mode: 'generate',
+      model: 'gemini-3-flash-preview',
+      keyHint: '…abcd',
+      usageMetadata,
+      timestamp,
+    })
+    expect(entry).toMatchObject({
+      timestamp,
+      day: '2026-01-15',
+      month: '2026-01',
+      source: 'image',
+      mode: 'generate',
+      keyType: 'paid',
+      keyHint: '…abcd',
+      inputTokens: 1000,
+      outputTokens: 2000,
+      totalTokens: 3000,
+    })
+    expect(entry.cost).toBeCloseTo(
+      estimateTokenCost('gemini-3-flash-preview', { inputTokens: 1000, outputTokens: 2000 }),
+    )
+  })
+
+  it('records free tier calls at zero cost', () => {
+    const entry = buildLedgerEntry({
+      source: 'image',
+      mode: 'generate',
+      model: 'gemini-3-flash-preview',
+      keyType: 'freeTier',
+      usageMetadata,
+      timestamp,
+    })
+    expect(entry.cost).toBe(0)
+    expect(entry.totalTokens).toBe(3000)
+  })
+
+  it('uses an explicit cost when given', () => {
+    const entry = buildLedgerEntry({ source: 'video', mode: 'video', model: 'veo', cost: 3.2, timestamp })
+    expect(entry.cost).toBe(3.2)
+  })
+
+  it('accepts pre-normalized usage and derives the total', () => {
+    const entry = buildLedgerEntry({
+      source: 'search',
+      mode: 'search',
+      model: 'gemini-embedding-2-preview',
+      usage: { inputTokens: 400 },
+      timestamp,
+    })
+    expect(entry.inputTokens).toBe(400)
+    expect(entry.totalTokens).toBe(400)
+  })
+
+  it('defaults mode to source', () => {
+    expect(buildLedgerEntry({ source: 'character', timestamp }).mode).toBe('character')
+  })
+})
+
+// ============================================================================
+// summarizeLedger
+// ============================================================================
+
+describe('summarizeLedger', () => {
+  const entry = (day, mode, keyType, keyHint, totalTokens, cost) => ({
+    day,
+    month: day.slice(0, 7),
+    mode,
+    keyType,
+    keyHint,
+    totalTokens,
+    cost,
+  })
+
+  const entries = [
+    entry('2026-01-01', 'generate', 'paid', '…aaaa', 100, 0.1),
+    entry('2026-01-01', 'slides', 'paid', '…aaaa', 200, 0.2),
+    entry('2026-01-02', 'generate', 'freeTier', '…bbbb', 50, 0),
+    entry('2026-02-01', 'generate', 'paid', '…aaaa', 10, 0.05),
+  ]
+
+  it('groups by day, newest first', () => {
+    const days = summarizeLedger(entries, 'day')
+    expect(days.map((d) => d.period)).toEqual(['2026-02-01', '2026-01-02', '2026-01-01'])
+    expect(days[2].totals).toEqual({ calls: 2, tokens: 300, cost: expect.closeTo(0.3) })
+  })
+
+  it('groups by month with per-mode and per-key breakdowns', () => {
+    const [feb, jan] = summarizeLedger(entries, 'month')
+    expect(feb.period).toBe('2026-02')
+    expect(jan.totals.calls).toBe(3)
+    expect(jan.byMode.generate).toEqual({ calls: 2, tokens: 150, cost: expect.closeTo(0.1) })
+    expect(jan.byMode.slides.calls).toBe(1)
+    expect(Object.keys(jan.byKey).sort()).toEqual(['freeTier:…bbbb', 'paid:…aaaa'])
+    expect(jan.byKey['freeTier:…bbbb'].cost).toBe(0)
+  })
+
+  it('derives period keys from the timestamp when missing', () => {
+    const ts = new Date(2026, 4, 9).getTime()
+    const [group] = summarizeLedger([{ timestamp: ts, mode: 'agent', keyType: 'paid', cost: 1 }])
+    expect(group.period).toBe('2026-05-09')
+    expect(group.byKey.paid.calls).toBe(1)
+  })
+
+  it('returns an empty list for no entries', () => {
+    expect(summarizeLedger([])).toEqual([])
+  })
+})
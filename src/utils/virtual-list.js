@@ -0,0 +1,94 @@
+/**
+ * Virtual list helpers (pure)
+ *
+ * Layout math for long scrolling lists that only render the rows in view.
+ * Rows may differ in height: measured heights are used where known and an
+ * estimate everywhere else, so the scrollbar stays stable while scrolling.
+ * Also the page bookkeeping for lists whose rows are loaded in pages.
+ * Used by composables/useVirtualList.js and composables/useHistoryList.js.
+ */
+
+/**
+ * Top offset of every row, plus the total height as the last entry
+ * @param {number} count - Number of rows
+ * @param {(index: number) => number} getHeight - Height of a row (measured or estimated)
+ * @returns {Float64Array} offsets[i] = top of row i, offsets[count] = total height
+ */
+export const buildOffsets = (count, getHeight) => {
+  const offsets = new Float64Array(count + 1)
+  for (let i = 0; i < count; i++) {
+    offsets[i + 1] = offsets[i] + getHeight(i)
+  }
+  return offsets
+}
+
+/**
+ * Index of the row at a vertical position (binary search over the offsets)
+ * @param {Float64Array} offsets - From buildOffsets
+ * @param {number} y - Position from the top of the list
+ * @returns {number} Row index, clamped to the list
+ */
+export const findRowAt = (offsets, y) => {
+  const count = offsets.length - 1
+  if (count <= 0) return 0
+  let low = 0
+  let high = count - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (offsets[mid] <= y) low = mid
+    else high = mid - 1
+  }
+  return low
+}
+
+/**
+ * Rows to render for a scroll position
+ * @param {Float64Array} offsets - From buildOffsets
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} [overscan=4] - Extra rows rendered above and below the viewport
+ * @returns {{ start: number, end: number }} Rows [start, end)
+ */
+export const findVisibleRange = (offsets, scrollTop, viewportHeight, overscan = 4) => {
+  const count = offsets.length - 1
+  if (count <= 0) return { start: 0, end: 0 }
+  const first = findRowAt(offsets, Math.max(0, scrollTop))
+  const last = findRowAt(offsets, Math.max(0, scrollTop + viewportHeight))
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + 1 + overscan),
+  }
+}
+
+/**
+ * Pages that hold the rows [start, end)
+ * @param {number} start
+ * @param {number} end - Exclusive
+ * @param {number} pageSize
+ * @returns {number[]} Page numbers in order
+ */
+export const pagesForRange = (start, end, pageSize) => {
+  if (end <= start) return []
+  const pages = []
+  for (let page = Math.floor(start / pageSize); page <= Math.floor((end - 1) / pageSize); page++) {
+    pages.push(page)
+  }
+  return pages
+}
+
+/**
+ * Cached pages to drop so at most `maxPages` stay, farthest from the pages in view first
+ * @param {number[]} cachedPages - Pages currently in memory
+ * @param {number[]} visiblePages - Pages in view (never dropped)
+ * @param {number} maxPages
+ * @returns {number[]} Pages to drop
+ */
+export const pagesToEvict = (cachedPages, visiblePages, maxPages) => {
+  if (cachedPages.length <= maxPages) return []
+  const keep = new Set(visiblePages)
+  const center = visiblePages.length > 0 ? (visiblePages[0] + visiblePages[visiblePages.length - 1]) / 2 : 0
+  const candidates = cachedPages
+    .filter((page) => !keep.has(page))
+    .sort((a, b) => Math.abs(b - center) - Math.abs(a - center))
+  return candidates.slice(0, cachedPages.length - maxPages)
+}
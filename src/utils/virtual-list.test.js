@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { buildOffsets, findRowAt, findVisibleRange, pagesForRange, pagesToEvict } from './virtual-list'
+
+// ============================================================================
+// Layout
+// ============================================================================
+
+describe('buildOffsets', () => {
+  it('accumulates row heights with the total last', () => {
+    const heights = [10, 20, 30]
+    expect([...buildOffsets(3, (i) => heights[i])]).toEqual([0, 10, 30, 60])
+  })
+
+  it('handles an empty list', () => {
+    expect([...buildOffsets(0, () => 10)]).toEqual([0])
+  })
+
+  it('stays fast for 20,000 rows', () => {
+    const offsets = buildOffsets(20_000, () => 88)
+    expect(offsets[20_000]).toBe(20_000 * 88)
+  })
+})
+
+describe('findRowAt', () => {
+  const offsets = buildOffsets(4, (i) => [10, 20, 30, 40][i])
+
+  it('finds the row containing a position', () => {
+    expect(findRowAt(offsets, 0)).toBe(0)
+    expect(findRowAt(offsets, 9.5)).toBe(0)
+    expect(findRowAt(offsets, 10)).toBe(1)
+    expect(findRowAt(offsets, 59)).toBe(2)
+  })
+
+  it('clamps positions past either end', () => {
+    expect(findRowAt(offsets, -5)).toBe(0)
+    expect(findRowAt(offsets, 1000)).toBe(3)
+  })
+})
+
+describe('findVisibleRange', () => {
+  const offsets = buildOffsets(1000, () => 100)
+
+  it('returns the rows in view plus overscan', () => {
+    expect(findVisibleRange(offsets, 0, 400, 2)).toEqual({ start: 0, end: 7 })
+    expect(findVisibleRange(offsets, 5000, 400, 2)).toEqual({ start: 48, end: 57 })
+  })
+
+  it('clamps to the end of the list', () => {
+    expect(findVisibleRange(offsets, 99_800, 400, 2)).toEqual({ start: 996, end: 1000 })
+  })
+
+  it('returns an empty range for an empty list', () => {
+    expect(findVisibleRange(buildOffsets(0, () => 1), 0, 400)).toEqual({ start: 0, end: 0 })
+  })
+})
+
+// ============================================================================
+// Paging
+// ============================================================================
+
+describe('pagesForRange', () => {
+  it('lists every page touched by the range', () => {
+    expect(pagesForRange(0, 50, 50)).toEqual([0])
+    expect(pagesForRange(45, 105, 50)).toEqual([0, 1, 2])
+  })
+
+  it('is empty for an empty range', () => {
+    expect(pagesForRange(10, 10, 50)).toEqual([])
+  })
+})
+
+describe('pagesToEvict', () => {
+  it('keeps everything under the limit', () => {
+    expect(pagesToEvict([0, 1, 2], [1], 4)).toEqual([])
+  })
+
+  it('drops the pages farthest from the view, never the visible ones', () => {
+    expect(pagesToEvict([0, 1, 2, 10, 11, 12], [11], 4)).toEqual([0, 1])
+    expect(pagesToEvict([0, 1, 2], [0, 1, 2], 1)).toEqual([])
+  })
+})
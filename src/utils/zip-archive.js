@@ -0,0 +1,323 @@
+/**
+ * Minimal streaming ZIP writer and random-access reader (pure)
+ *
+ * JSZip keeps the whole archive in memory on both ends, which is what large
+ * history exports can't afford. The writer here emits entries as they are
+ * added (stored, i.e. uncompressed: images, video and audio are already
+ * compressed), so only one chunk of one file is in memory at a time. The
+ * reader parses the central directory from the end of a Blob/File and slices
+ * single entries out of it, so an archive is never read as a whole.
+ *
+ * Offsets past 4 GB use ZIP64 records; a single entry must stay below 4 GB.
+ */
+
+// Bytes read from a Blob per step when writing it into the archive
+export const ZIP_CHUNK_SIZE = 1024 * 1024
+
+const MAX_UINT16 = 0xffff
+const MAX_UINT32 = 0xffffffff
+
+const SIG_LOCAL = 0x04034b50
+const SIG_DESCRIPTOR = 0x08074b50
+const SIG_CENTRAL = 0x02014b50
+const SIG_ZIP64_END = 0x06064b50
+const SIG_ZIP64_LOCATOR = 0x07064b50
+const SIG_END = 0x06054b50
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 file names
+const FLAGS = 0x0808
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+const VERSION = 20
+const VERSION_ZIP64 = 45
+
+// End of central directory plus the longest possible comment
+const END_SEARCH_BYTES = 22 + MAX_UINT16
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * CRC-32 as used by ZIP; pass the previous result to continue over chunks
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0]
+ * @returns {number}
+ */
+export const crc32 = (bytes, crc = 0) => {
+  let c = crc ^ MAX_UINT32
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ MAX_UINT32) >>> 0
+}
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+const toBytes = (data) => (typeof data === 'string' ? encoder.encode(data) : data)
+
+/**
+ * @param {function(Uint8Array): (Promise<void>|void)} write - Receives the archive bytes in order
+ * @returns {{ addFile: function(string, Blob|Uint8Array|string, Date=): Promise<void>, finish: function(): Promise<number>, readonly size: number }}
+ */
+export const createZipWriter = (write) => {
+  const entries = []
+  const names = new Set()
+  let offset = 0
+  let finished = false
+
+  const emit = async (bytes) => {
+    await write(bytes)
+    offset += bytes.length
+  }
+
+  /**
+   * @param {string} name - Path inside the archive, e.g. 'files/abc/0.webp'
+   * @param {Blob|Uint8Array|string} data
+   * @param {Date} [modified]
+   */
+  const addFile = async (name, data, modified = new Date()) => {
+    if (finished) throw new Error('ZIP archive already finished')
+    if (names.has(name)) throw new Error(`Duplicate ZIP entry: ${name}`)
+    names.add(name)
+
+    const nameBytes = encoder.encode(name)
+    const { time, date } = dosDateTime(modified)
+    const localOffset = offset
+
+    const header = new DataView(new ArrayBuffer(30))
+    header.setUint32(0, SIG_LOCAL, true)
+    header.setUint16(4, VERSION, true)
+    header.setUint16(6, FLAGS, true)
+    header.setUint16(8, METHOD_STORED, true)
+    header.setUint16(10, time, true)
+    header.setUint16(12, date, true)
+    header.setUint16(26, nameBytes.length, true)
+    await emit(new Uint8Array(header.buffer))
+    await emit(nameBytes)
+
+    let crc = 0
+    let size = 0
+    if (data instanceof Blob) {
+      for (let start = 0; start < data.size; start += ZIP_CHUNK_SIZE) {
+        const chunk = new Uint8Array(await data.slice(start, start + ZIP_CHUNK_SIZE).arrayBuffer())
+        crc = crc32(chunk, crc)
+        size += chunk.length
+        await emit(chunk)
+      }
+    } else {
+      const bytes = toBytes(data)
+      crc = crc32(bytes)
+      size = bytes.length
+      await emit(bytes)
+    }
+    if (size >= MAX_UINT32) throw new Error(`ZIP entry too large: ${name}`)
+
+    const descriptor = new DataView(new ArrayBuffer(16))
+    descriptor.setUint32(0, SIG_DESCRIPTOR, true)
+    descriptor.setUint32(4, crc, true)
+    descriptor.setUint32(8, size, true)
+    descriptor.setUint32(12, size, true)
+    await emit(new Uint8Array(descriptor.buffer))
+
+    entries.push({ nameBytes, time, date, crc, size, offset: localOffset })
+  }
+
+  /**
+   * Write the central directory; no entries can be added afterwards
+   * @returns {Promise<number>} Total archive size in bytes
+   */
+  const finish = async () => {
+    if (finished) throw new Error('ZIP archive already finished')
+    finished = true
+    const directoryOffset = offset
+
+    for (const entry of entries) {
+      const zip64 = entry.offset >= MAX_UINT32
+      const extraLength = zip64 ? 12 : 0
+      const header = new DataView(new ArrayBuffer(46 + entry.nameBytes.length + extraLength))
+      header.setUint32(0, SIG_CENTRAL, true)
+      header.setUint16(4, VERSION_ZIP64, true)
+      header.setUint16(6, zip64 ? VERSION_ZIP64 : VERSION, true)
+      header.setUint16(8, FLAGS, true)
+      header.setUint16(10, METHOD_STORED, true)
+      header.setUint16(12, entry.time, true)
+      header.setUint16(14, entry.date, true)
+      header.setUint32(16, entry.crc, true)
+      header.setUint32(20, entry.size, true)
+      header.setUint32(24, entry.size, true)
+      header.setUint16(28, entry.nameBytes.length, true)
+      header.setUint16(30, extraLength, true)
+      header.setUint32(42, zip64 ? MAX_UINT32 : entry.offset, true)
+      const bytes = new Uint8Array(header.buffer)
+      bytes.set(entry.nameBytes, 46)
+      if (zip64) {
+        const extraStart = 46 + entry.nameBytes.length
+        header.setUint16(extraStart, 0x0001, true)
+        header.setUint16(extraStart + 2, 8, true)
+        header.setBigUint64(extraStart + 4, BigInt(entry.offset), true)
+      }
+      await emit(bytes)
+    }
+
+    const directorySize = offset - directoryOffset
+    const needsZip64 =
+      entries.length >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32
+
+    if (needsZip64) {
+      const zip64EndOffset = offset
+      const end64 = new DataView(new ArrayBuffer(56 + 20))
+      end64.setUint32(0, SIG_ZIP64_END, true)
+      end64.setBigUint64(4, 44n, true)
+      end64.setUint16(12, VERSION_ZIP64, true)
+      end64.setUint16(14, VERSION_ZIP64, true)
+      end64.setBigUint64(24, BigInt(entries.length), true)
+      end64.setBigUint64(32, BigInt(entries.length), true)
+      end64.setBigUint64(40, BigInt(directorySize), true)
+      end64.setBigUint64(48, BigInt(directoryOffset), true)
+      // Locator
+      end64.setUint32(56, SIG_ZIP64_LOCATOR, true)
+      end64.setBigUint64(64, BigInt(zip64EndOffset), true)
+      end64.setUint32(72, 1, true)
+      await emit(new Uint8Array(end64.buffer))
+    }
+
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, SIG_END, true)
+    end.setUint16(8, needsZip64 ? MAX_UINT16 : entries.length, true)
+    end.setUint16(10, needsZip64 ? MAX_UINT16 : entries.length, true)
+    end.setUint32(12, needsZip64 ? MAX_UINT32 : directorySize, true)
+    end.setUint32(16, needsZip64 ? MAX_UINT32 : directoryOffset, true)
+    await emit(new Uint8Array(end.buffer))
+    return offset
+  }
+
+  return {
+    addFile,
+    finish,
+    get size() {
+      return offset
+    },
+  }
+}
+
+const readView = async (blob, start, length) =>
+  new DataView(await blob.slice(start, start + length).arrayBuffer())
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<boolean>} Whether the blob starts like a ZIP archive
+ */
+export const isZipBlob = async (blob) => {
+  if (blob.size < 22) return false
+  const view = await readView(blob, 0, 4)
+  const signature = view.getUint32(0, true)
+  return signature === SIG_LOCAL || signature === SIG_END
+}
+
+/**
+ * List the entries of an archive from its central directory
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, { name: string, method: number, crc: number, compressedSize: number, size: number, offset: number }>>}
+ */
+export const readZipEntries = async (blob) => {
+  const tailStart = Math.max(0, blob.size - END_SEARCH_BYTES)
+  const tail = await readView(blob, tailStart, blob.size - tailStart)
+  let endPos = -1
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === SIG_END) {
+      endPos = i
+      break
+    }
+  }
+  if (endPos < 0) throw new Error('Not a ZIP archive')
+
+  let count = tail.getUint16(endPos + 10, true)
+  let directorySize = tail.getUint32(endPos + 12, true)
+  let directoryOffset = tail.getUint32(endPos + 16, true)
+
+  const locatorPos = tailStart + endPos - 20
+  if (
+    (count === MAX_UINT16 || directorySize === MAX_UINT32 || directoryOffset === MAX_UINT32) &&
+    locatorPos >= 0
+  ) {
+    const locator = await readView(blob, locatorPos, 20)
+    if (locator.getUint32(0, true) === SIG_ZIP64_LOCATOR) {
+      const end64 = await readView(blob, Number(locator.getBigUint64(8, true)), 56)
+      if (end64.getUint32(0, true) !== SIG_ZIP64_END) throw new Error('Corrupt ZIP64 directory')
+      count = Number(end64.getBigUint64(32, true))
+      directorySize = Number(end64.getBigUint64(40, true))
+      directoryOffset = Number(end64.getBigUint64(48, true))
+    }
+  }
+
+  const directory = await readView(blob, directoryOffset, directorySize)
+  const entries = new Map()
+  let pos = 0
+  for (let i = 0; i < count; i++) {
+    if (directory.getUint32(pos, true) !== SIG_CENTRAL) throw new Error('Corrupt ZIP directory')
+    const nameLength = directory.getUint16(pos + 28, true)
+    const extraLength = directory.getUint16(pos + 30, true)
+    const commentLength = directory.getUint16(pos + 32, true)
+    const entry = {
+      name: decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength)),
+      method: directory.getUint16(pos + 10, true),
+      crc: directory.getUint32(pos + 16, true),
+      compressedSize: directory.getUint32(pos + 20, true),
+      size: directory.getUint32(pos + 24, true),
+      offset: directory.getUint32(pos + 42, true),
+    }
+
+    // ZIP64 extra field: only the values saturated in the header are present, in this order
+    let extraPos = pos + 46 + nameLength
+    const extraEnd = extraPos + extraLength
+    while (extraPos + 4 <= extraEnd) {
+      const id = directory.getUint16(extraPos, true)
+      const length = directory.getUint16(extraPos + 2, true)
+      if (id === 0x0001) {
+        let field = extraPos + 4
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] !== MAX_UINT32) continue
+          entry[key] = Number(directory.getBigUint64(field, true))
+          field += 8
+        }
+      }
+      extraPos += 4 + length
+    }
+
+    if (!entry.name.endsWith('/')) entries.set(entry.name, entry)
+    pos += 46 + nameLength + extraLength + commentLength
+  }
+  return entries
+}
+
+/**
+ * The content of one entry, without reading the rest of the archive
+ * @param {Blob} blob - The archive
+ * @param {{ method: number, compressedSize: number, offset: number }} entry - From readZipEntries
+ * @param {string} [type] - MIME type for the returned Blob
+ * @returns {Promise<Blob>}
+ */
+export const openZipEntry = async (blob, entry, type = '') => {
+  const header = await readView(blob, entry.offset, 30)
+  if (header.getUint32(0, true) !== SIG_LOCAL) throw new Error(`Corrupt ZIP entry: ${entry.name}`)
+  const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true)
+  const data = blob.slice(start, start + entry.compressedSize, type)
+  if (entry.method === METHOD_STORED) return data
+  if (entry.method === METHOD_DEFLATE) {
+    const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+    const inflated = await new Response(stream).blob()
+    return type ? new Blob([inflated], { type }) : inflated
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`)
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import JSZip from 'jszip'
+import { crc32, createZipWriter, isZipBlob, readZipEntries, openZipEntry, ZIP_CHUNK_SIZE } from './zip-archive'
+
+const writeArchive = async (files) => {
+  const chunks = []
+  const writer = createZipWriter((bytes) => {
+    chunks.push(bytes.slice())
+  })
+  for (const [name, data] of files) await writer.addFile(name, data)
+  const size = await writer.finish()
+  return { blob: new Blob(chunks), size }
+}
+
+const text = async (blob) => new TextDecoder().decode(await blob.arrayBuffer())
+
+// ============================================================================
+// crc32
+// ============================================================================
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+
+  it('continues across chunks', () => {
+    const bytes = new TextEncoder().encode('hello world')
+    expect(crc32(bytes.subarray(5), crc32(bytes.subarray(0, 5)))).toBe(crc32(bytes))
+  })
+})
+
+// ============================================================================
+// createZipWriter / readZipEntries / openZipEntry
+// ============================================================================
+
+describe('createZipWriter', () => {
+  it('round-trips strings, bytes and blobs', async () => {
+    const binary = new Uint8Array([0, 1, 2, 255])
+    const { blob, size } = await writeArchive([
+      ['manifest.json', '{"version":5}'],
+      ['files/a/0.webp', binary],
+      ['files/a/video.mp4', new Blob([new Uint8Array(10).fill(7)])],
+    ])
+    expect(blob.size).toBe(size)
+    expect(await isZipBlob(blob)).toBe(true)
+
+    const entries = await readZipEntries(blob)
+    expect([...entries.keys()]).toEqual(['manifest.json', 'files/a/0.webp', 'files/a/video.mp4'])
+    expect(await text(await openZipEntry(blob, entries.get('manifest.json')))).toBe('{"version":5}')
+    const image = await openZipEntry(blob, entries.get('files/a/0.webp'), 'image/webp')
+    expect(image.type).toBe('image/webp')
+    expect(new Uint8Array(await image.arrayBuffer())).toEqual(binary)
+    expect(entries.get('files/a/video.mp4').crc).toBe(crc32(new Uint8Array(10).fill(7)))
+  })
+
+  it('streams blobs larger than one chunk', async () => {
+    const big = new Uint8Array(ZIP_CHUNK_SIZE + 100)
+    for (let i = 0; i < big.length; i++) big[i] = i % 251
+    const { blob } = await writeArchive([['big.bin', new Blob([big])]])
+    const entry = (await readZipEntries(blob)).get('big.bin')
+    expect(entry.size).toBe(big.length)
+    expect(entry.crc).toBe(crc32(big))
+    const read = new Uint8Array(await (await openZipEntry(blob, entry)).arrayBuffer())
+    expect(read.length).toBe(big.length)
+    expect(crc32(read)).toBe(crc32(big))
+  })
+
+  it('writes archives other ZIP readers accept', async () => {
+    const { blob } = await writeArchive([
+      ['records/0.json', '{"prompt":"貓"}'],
+      ['files/x/0.webp', new Uint8Array([1, 2, 3])],
+    ])
+    const zip = await JSZip.loadAsync(await blob.arrayBuffer(), { checkCRC32: true })
+    expect(await zip.file('records/0.json').async('string')).toBe('{"prompt":"貓"}')
+    expect(Array.from(await zip.file('files/x/0.webp').async('uint8array'))).toEqual([1, 2, 3])
+  })
+
+  it('rejects duplicate names and writes after finish', async () => {
+    const writer = createZipWriter(() => {})
+    await writer.addFile('a.txt', 'a')
+    await expect(writer.addFile('a.txt', 'b')).rejects.toThrow('Duplicate')
+    await writer.finish()
+    await expect(writer.addFile('b.txt', 'b')).rejects.toThrow('finished')
+  })
+})
+
+describe('readZipEntries', () => {
+  it('reads deflated archives written by other tools', async () => {
+    const zip = new JSZip()
+    zip.file('manifest.json', JSON.stringify({ version: 5, records: ['a'.repeat(500)] }))
+    zip.folder('empty')
+    const blob = new Blob([await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' })])
+
+    const entries = await readZipEntries(blob)
+    expect([...entries.keys()]).toEqual(['manifest.json'])
+    const manifest = JSON.parse(await text(await openZipEntry(blob, entries.get('manifest.json'))))
+    expect(manifest.records[0]).toHaveLength(500)
+  })
+
+  it('rejects files that are not archives', async () => {
+    const blob = new Blob(['{"version":4,"records":[]}'])
+    expect(await isZipBlob(blob)).toBe(false)
+    await expect(readZipEntries(blob)).rejects.toThrow('Not a ZIP archive')
+  })
+})
@@ -12,7 +12,7 @@
  *
  * Communication Protocol:
  * Main → Worker:
- *   { type: 'init', apiKey?, freeApiKey?, provider? }
+ *   { type: 'init', apiKey?, freeApiKey?, provider?, mockBackend? }
  *   { type: 'updateApiKeys', apiKey?, freeApiKey? }
  *   { type: 'switchProvider', requestId, provider }
  *   { type: 'search', requestId, query, mode, strategy }
@@ -39,10 +39,13 @@
  */
 
 import { create, search, insertMultiple, removeMultiple } from '@orama/orama'
-import { GoogleGenAI } from '@google/genai'
+import { createGenAIClient } from '../composables/genaiClient.js'
 
 import { extractText, chunkText, extractAgentMessages, SEARCH_DEFAULTS } from '../utils/search-core.js'
 import { prepareEmbeddingMaterial } from '../utils/embedding-material.js'
+import { embedImage } from '../utils/image-embedding.js'
+import { collectionsSearchText } from '../utils/history-collections.js'
+import { maskApiKey } from '../utils/usage-ledger.js'
 
 // ============================================================================
 // Constants
@@ -168,6 +171,7 @@ let isInitialized = false
 // API keys for Gemini Embedding (passed from main thread)
 let apiKeyPrimary = null // Paid key
 let apiKeyFree = null // Free tier key (preferred for text usage)
+let apiKeysPool = [] // Pool keys allowed for embedding, in priority order (see useApiKeyPool)
 
 // Free tier backoff: skip free key for 1 hour after 429
 let freeKeyExhausted = false
@@ -179,6 +183,7 @@ let activeProvider = null
 
 // @google/genai SDK instance (lazy-created, rebuilt when API key changes)
 let aiInstance = null
+let mockBackend = false // Offline mock client instead of the SDK (set by 'init')
 let aiInstanceKey = null // Track which key was used to create the instance
 
 // Transformers.js pipeline for local embedding (lazy loaded)
@@ -524,7 +529,7 @@ function createFreshDb(provider) {
  */
 function getApiKey() {
   if (apiKeyFree && !freeKeyExhausted) return apiKeyFree
-  return apiKeyPrimary || null
+  return apiKeysPool[0] || apiKeyPrimary || null
 }
 
 /**
@@ -533,7 +538,7 @@ function getApiKey() {
  */
 function getAiInstance(apiKey) {
   if (aiInstance && aiInstanceKey === apiKey) return aiInstance
-  aiInstance = new GoogleGenAI({ apiKey })
+  aiInstance = createGenAIClient(apiKey, { mock: mockBackend })
   aiInstanceKey = apiKey
   return aiInstance
 }
@@ -560,6 +565,7 @@ function markFreeKeyExhausted() {
 function getKeysToTry() {
   const keys = []
   if (apiKeyFree && !freeKeyExhausted) keys.push({ key: apiKeyFree, isFree: true })
+  for (const key of apiKeysPool) keys.push({ key, isFree: false })
   if (apiKeyPrimary) keys.push({ key: apiKeyPrimary, isFree: false })
   return keys
 }
@@ -567,18 +573,31 @@ function getKeysToTry() {
 /**
  * Call Gemini countTokens API (free, no billing) via SDK.
  * Fire-and-forget: used only for accurate cost tracking.
- * @param {string[]} texts - Texts to count tokens for
+ * The count is also forwarded to the main thread for the usage ledger.
+ * @param {Array<Object>} parts - Content parts that were embedded (text or inlineData)
  * @param {string} apiKey - API key to use
+ * @param {boolean} isFree - Whether apiKey is the free tier key
  */
-async function countTokensInBackground(texts, apiKey) {
+async function countTokensInBackground(parts, apiKey, isFree) {
   try {
     const ai = getAiInstance(apiKey)
     const result = await ai.models.countTokens({
       model: PROVIDER_CONFIG.gemini.model,
-      contents: [{ parts: texts.map((t) => ({ text: t })) }],
+      contents: [{ parts }],
     })
     if (result?.totalTokens) {
       sessionEmbeddingTokens += result.totalTokens
+      self.postMessage({
+        type: 'usage',
+        entry: {
+          source: 'search',
+          mode: 'search',
+          model: PROVIDER_CONFIG.gemini.model,
+          keyType: isFree ? 'freeTier' : 'paid',
+          keyHint: maskApiKey(apiKey),
+          usage: { inputTokens: result.totalTokens },
+        },
+      })
     }
   } catch (err) {
     console.warn('[search.worker] countTokens failed (non-critical):', err.message)
@@ -597,7 +616,7 @@ function isRateLimitError(err) {
 
 /**
  * Call Gemini batchEmbedContents API via SDK.
- * Tries free key first (unless backed off), falls back to paid key on 429.
+ * Tries free key first (unless backed off), then pool keys, then the paid key on 429.
  * @param {string[]} texts
  * @param {'RETRIEVAL_DOCUMENT'|'RETRIEVAL_QUERY'} taskType
  * @returns {Promise<Array<Array<number>>>}
@@ -619,7 +638,7 @@ async function callGeminiBatchEmbed(texts, taskType) {
       })
 
       // Fire-and-forget: count actual tokens for cost tracking
-      countTokensInBackground(texts, key)
+      countTokensInBackground(texts.map((text) => ({ text })), key, isFree)
       return (result.embeddings || []).map((e) => e.values)
     } catch (err) {
       if (isRateLimitError(err)) {
@@ -641,7 +660,7 @@ async function callGeminiBatchEmbed(texts, taskType) {
 
 /**
  * Call Gemini embedContent API for a single text via SDK.
- * Tries free key first (unless backed off), falls back to paid key on 429.
+ * Tries free key first (unless backed off), then pool keys, then the paid key on 429.
  * @param {string} text
  * @param {'RETRIEVAL_DOCUMENT'|'RETRIEVAL_QUERY'} taskType
  * @returns {Promise<Array<number>|null>}
@@ -663,7 +682,7 @@ async function callGeminiSingleEmbed(text, taskType) {
       })
 
       // Fire-and-forget: count actual tokens for cost tracking
-      countTokensInBackground([text], key)
+      countTokensInBackground([{ text }], key, isFree)
       return result.embeddings?.[0]?.values || null
     } catch (err) {
       if (isRateLimitError(err)) {
@@ -738,10 +757,8 @@ async function loadImageAsBase64(opfsPath) {
 }
 
 /**
- * Call Gemini embedContent REST API for image embedding.
- * Bypasses SDK because the SDK routes all embedContent calls through the
- * batchEmbedContents endpoint, which does not support inlineData (images).
- * Uses the singular embedContent REST endpoint directly.
+ * Embed an image with the Gemini provider, falling back to the paid key
+ * when the free key is rate-limited (see utils/image-embedding.js).
  * @param {string} base64 - Base64-encoded image data (PNG format)
  * @param {string} mimeType - Image MIME type (should be 'image/png')
  * @returns {Promise<Array<number>|null>}
@@ -755,33 +772,14 @@ async function callGeminiMultimodalEmbed(base64, mimeType) {
 
   for (const { key, isFree } of keysToTry) {
     try {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:embedContent?key=${key}`
-      const resp = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          content: {
-            parts: [{ inline_data: { mime_type: mimeType, data: base64 } }],
-          },
-          output_dimensionality: dims,
-        }),
-      })
-
-      if (!resp.ok) {
-        const errBody = await resp.text()
-        if (resp.status === 429) {
-          if (isFree) markFreeKeyExhausted()
-          else console.warn('[search.worker] Paid key also rate-limited for multimodal embedding')
-          continue
-        }
-        throw new Error(errBody)
-      }
-
-      const data = await resp.json()
-      return data.embedding?.values || null
+      const values = await embedImage({ apiKey: key, model: geminiModel, dims, base64, mimeType, mock: mockBackend })
+      // Fire-and-forget: count actual tokens for cost tracking
+      if (values) countTokensInBackground([{ inlineData: { mimeType, data: base64 } }], key, isFree)
+      return values
     } catch (err) {
-      if (isRateLimitError(err)) {
+      if (err.status === 429 || isRateLimitError(err)) {
         if (isFree) markFreeKeyExhausted()
+        else console.warn('[search.worker] Paid key also rate-limited for multimodal embedding')
         continue
       }
       throw err
@@ -902,6 +900,9 @@ function prepareRecord(record, conversation = null) {
     const allMsgs = extractAgentMessages(conversation)
     if (allMsgs.length > 0) {
       chunks = allMsgs.map((m, i) => ({ text: m.text, contextText: m.text, index: i }))
+      // Per-message chunks skip fullText, so tags/albums get their own chunk
+      const collections = collectionsSearchText(record)
+      if (collections) chunks.push({ text: collections, contextText: collections, index: chunks.length })
     } else {
       console.warn(`[search.worker] Agent record ${parentId}: conversation has no text messages, falling back to prompt`)
       chunks = chunkText(fullText, chunkOpts)
@@ -1585,7 +1586,9 @@ async function initialize(keys = {}) {
   // Store API keys (can be updated later via 'updateApiKeys')
   if (keys.apiKey) apiKeyPrimary = keys.apiKey
   if (keys.freeApiKey) apiKeyFree = keys.freeApiKey
+  if (Array.isArray(keys.poolApiKeys)) apiKeysPool = keys.poolApiKeys
   if (keys.provider !== undefined) activeProvider = keys.provider
+  if (keys.mockBackend !== undefined) mockBackend = !!keys.mockBackend
 
   if (isInitialized) {
     self.postMessage({ type: 'ready', indexedCount: indexedParentIds.size })
@@ -1700,12 +1703,19 @@ self.addEventListener('message', async (event) => {
   try {
     switch (type) {
       case 'init': {
-        await initialize({ apiKey: event.data.apiKey, freeApiKey: event.data.freeApiKey, provider: event.data.provider })
+        await initialize({
+          apiKey: event.data.apiKey,
+          freeApiKey: event.data.freeApiKey,
+          poolApiKeys: event.data.poolApiKeys,
+          provider: event.data.provider,
+          mockBackend: event.data.mockBackend,
+        })
         break
       }
 
       case 'updateApiKeys': {
         if (event.data.apiKey !== undefined) apiKeyPrimary = event.data.apiKey
+        if (Array.isArray(event.data.poolApiKeys)) apiKeysPool = event.data.poolApiKeys
         if (event.data.freeApiKey !== undefined) {
           const oldFree = apiKeyFree
           apiKeyFree = event.data.freeApiKey
@@ -1718,7 +1728,7 @@ self.addEventListener('message', async (event) => {
         // Invalidate SDK instance so it's recreated with the new key
         aiInstance = null
         aiInstanceKey = null
-        console.log(`[search.worker] API keys updated (primary=${!!apiKeyPrimary}, free=${!!apiKeyFree}, freeBackedOff=${freeKeyExhausted})`)
+        console.log(`[search.worker] API keys updated (primary=${!!apiKeyPrimary}, free=${!!apiKeyFree}, pool=${apiKeysPool.length}, freeBackedOff=${freeKeyExhausted})`)
         break
       }
 